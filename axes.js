@@ -0,0 +1,112 @@
+// axes.js
+// Chart furniture for the visualization: "nice" tick values, line geometry
+// for the axes, tick marks and ground grid, and a DOM overlay that keeps text
+// labels pinned to 3D positions.  Line vertices are position.xyz + color.rgb
+// for a line-list pipeline.
+
+import { projectToScreen } from './core.js';
+
+// Round tick values covering [min, max], roughly `count` of them, on a
+// 1 / 2 / 5 x 10^n step.  Returns { ticks, step }.
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) {
+    return { ticks: [min], step: 1 };
+  }
+  const rough = (max - min) / Math.max(count, 1);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const residual = rough / magnitude;
+  const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+  const ticks = [];
+  // Small epsilon so the end points survive floating-point error
+  for (let v = Math.ceil(min / step - 1e-9) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+  }
+  return { ticks, step };
+}
+
+// Format a tick value with just enough decimals for the step between ticks
+export function formatTick(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+// Format a raw data value for tooltips without losing precision that matters
+export function formatValue(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 6 });
+}
+
+const AXIS_COLOR = [0.75, 0.8, 0.88];
+const GRID_COLOR = [0.2, 0.27, 0.36];
+// White axes and a light grid for the high-contrast mode's black background
+const HIGH_CONTRAST_AXIS_COLOR = [1, 1, 1];
+const HIGH_CONTRAST_GRID_COLOR = [0.6, 0.6, 0.6];
+
+// Line geometry for a chart box.  `box` is { left, right, front, back, top }
+// in world units with the floor at y = 0; `xLines` / `zLines` are positions of
+// the ground grid lines and `yTicks` the heights of the value ticks;
+// `highContrast` switches to the high-contrast colors.
+export function chartAxesLines({ left, right, front, back, top }, {
+  xLines = [], zLines = [], yTicks = [], highContrast = false
+} = {}) {
+  const lines = [];
+  const line = (a, b, color) => lines.push(...a, ...color, ...b, ...color);
+  const axisColor = highContrast ? HIGH_CONTRAST_AXIS_COLOR : AXIS_COLOR;
+  const gridColor = highContrast ? HIGH_CONTRAST_GRID_COLOR : GRID_COLOR;
+  const tickSize = Math.min(right - left, front - back, top) * 0.03 || 0.02;
+
+  // Ground grid
+  for (const x of xLines) line([x, 0, front], [x, 0, back], gridColor);
+  for (const z of zLines) line([left, 0, z], [right, 0, z], gridColor);
+
+  // Value gridlines on the back and left walls, with tick marks on the y axis
+  for (const y of yTicks) {
+    line([left, y, back], [right, y, back], gridColor);
+    line([left, y, front], [left, y, back], gridColor);
+    line([left - tickSize, y, front], [left, y, front], axisColor);
+  }
+
+  // x (series), y (value) and z (time) axes meet at the front-left corner
+  line([left, 0, front], [right, 0, front], axisColor);
+  line([left, 0, front], [left, top, front], axisColor);
+  line([left, 0, front], [left, 0, back], axisColor);
+  return new Float32Array(lines);
+}
+
+// Text labels positioned over the canvas.  setLabels() takes
+// [{ text, position: [x, y, z], className }]; update() re-projects them with
+// the current view-projection matrix and hides the ones behind the camera.
+export function createLabelOverlay(container) {
+  let labels = [];
+
+  return {
+    setLabels(list) {
+      container.replaceChildren();
+      labels = list.map(({ text, position, className }) => {
+        const element = document.createElement('span');
+        element.textContent = text;
+        if (className) element.className = className;
+        container.appendChild(element);
+        return { element, position };
+      });
+    },
+
+    update(viewProjection, width, height) {
+      for (const { element, position } of labels) {
+        const screen = projectToScreen(position, viewProjection, width, height);
+        if (!screen || screen[0] < 0 || screen[1] < 0 || screen[0] > width || screen[1] > height) {
+          element.style.display = 'none';
+          continue;
+        }
+        element.style.display = '';
+        // left/top place the anchor; the page's CSS transform aligns the text
+        element.style.left = `${screen[0].toFixed(1)}px`;
+        element.style.top = `${screen[1].toFixed(1)}px`;
+      }
+    },
+
+    destroy() {
+      container.replaceChildren();
+      labels = [];
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// background.js
+// Service worker: an "Open in 3D viewer" context-menu item on links and pages
+// that point at a model file and, when the user turns it on, opening model
+// files the browser is about to download.  Both open viewer.html with the
+// model URL as its `?model=` parameter.
+
+import { MODEL_URL_PATTERNS, modelDownloadUrl, modelFormat, viewerUrl } from './modelurl.js';
+import { loadSettings } from './settings.js';
+
+function viewerFor(modelUrl) {
+  return viewerUrl(chrome.runtime.getURL('viewer.html'), modelUrl);
+}
+
+// Menu items persist across service worker restarts, so they are only
+// created on install and update
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: 'open-link-in-viewer',
+    title: 'Open in 3D viewer',
+    contexts: ['link'],
+    targetUrlPatterns: MODEL_URL_PATTERNS
+  });
+  chrome.contextMenus.create({
+    id: 'open-page-in-viewer',
+    title: 'Open in 3D viewer',
+    contexts: ['page'],
+    documentUrlPatterns: MODEL_URL_PATTERNS
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const url = info.menuItemId === 'open-link-in-viewer' ? info.linkUrl : info.pageUrl;
+  if (!modelFormat(url)) return;
+  chrome.tabs.create({ url: viewerFor(url), index: tab ? tab.index + 1 : undefined });
+});
+
+// A model file the browser is about to download opens in the viewer instead
+// (the openModelDownloads setting).  Only real downloads count, so a page
+// that merely has a model extension in its path still opens as a page, and
+// the download waits for suggest(), so cancelling it leaves no file behind.
+chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+  const modelUrl = item.byExtensionId === chrome.runtime.id ? null : modelDownloadUrl(item);
+  if (!modelUrl) return false;
+  loadSettings().then(async (settings) => {
+    if (!settings.openModelDownloads) {
+      suggest();
+      return;
+    }
+    await chrome.downloads.cancel(item.id);
+    await chrome.downloads.erase({ id: item.id });
+    await chrome.tabs.create({ url: viewerFor(modelUrl) });
+  }).catch((err) => {
+    console.error('Could not open the download in the viewer:', err);
+    suggest();
+  });
+  // suggest() is called asynchronously
+  return true;
+});
@@ -0,0 +1,285 @@
+// camera.js
+// Orbit / pan / zoom camera controller shared by the viewer and the
+// visualization.  The camera orbits a target point: left-drag orbits,
+// right-drag (or shift+drag) pans, the wheel or a two-finger pinch zooms.
+// Input moves a goal state and the visible state eases towards it, which
+// gives the motion its damping.  onChange listeners hear about every change
+// to the goal, and update() reports whether the view is still moving, so
+// pages that render on demand know when to draw.
+
+import { mat4, vec3 } from './core.js';
+
+export function createOrbitCamera(canvas, options = {}) {
+  const defaults = {
+    target: options.target || [0, 0, 0],
+    distance: options.distance ?? 5,
+    yaw: options.yaw ?? 0,
+    pitch: options.pitch ?? 0.3
+  };
+  let fov = options.fov ?? Math.PI / 4;
+  const minDistance = options.minDistance ?? 1e-3;
+  const maxDistance = options.maxDistance ?? 1e5;
+  const damping = options.damping ?? 10; // higher settles faster; 0 disables smoothing
+  const rotateSpeed = options.rotateSpeed ?? 0.005; // radians per pixel
+  const maxPitch = Math.PI / 2 - 0.01;
+
+  // goal is what input edits; current follows it every update()
+  const goal = { target: [...defaults.target], distance: defaults.distance, yaw: defaults.yaw, pitch: defaults.pitch };
+  const current = { target: [...defaults.target], distance: defaults.distance, yaw: defaults.yaw, pitch: defaults.pitch };
+  let home = { ...defaults, target: [...defaults.target] };
+  let autoRotate = options.autoRotate ?? false;
+  let autoRotateSpeed = options.autoRotateSpeed ?? 0.2; // radians per second
+  const changeListeners = [];
+  function changed() {
+    changeListeners.forEach((listener) => listener());
+  }
+
+  function clampGoal() {
+    goal.pitch = Math.max(-maxPitch, Math.min(maxPitch, goal.pitch));
+    goal.distance = Math.max(minDistance, Math.min(maxDistance, goal.distance));
+  }
+
+  // Camera basis vectors derived from the current orbit angles
+  function basis(state) {
+    const cp = Math.cos(state.pitch);
+    const forward = [-cp * Math.sin(state.yaw), -Math.sin(state.pitch), -cp * Math.cos(state.yaw)];
+    const right = [Math.cos(state.yaw), 0, -Math.sin(state.yaw)];
+    return { forward, right, up: vec3.cross(right, forward) };
+  }
+
+  function orbit(dx, dy) {
+    goal.yaw -= dx * rotateSpeed;
+    goal.pitch += dy * rotateSpeed;
+    clampGoal();
+    changed();
+  }
+
+  function pan(dx, dy) {
+    // Scale so that the point under the cursor stays under the cursor
+    const worldPerPixel = (2 * goal.distance * Math.tan(fov / 2)) / Math.max(canvas.clientHeight, 1);
+    const { right, up } = basis(goal);
+    for (let i = 0; i < 3; i++) {
+      goal.target[i] += (-dx * right[i] + dy * up[i]) * worldPerPixel;
+    }
+    changed();
+  }
+
+  function zoom(factor) {
+    goal.distance *= factor;
+    clampGoal();
+    changed();
+  }
+
+  // Pointer input: one pointer orbits or pans, two pointers pinch-zoom and pan
+  const pointers = new Map();
+  let lastPinch = null;
+  function pinchState() {
+    const [a, b] = [...pointers.values()];
+    return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  function onPointerDown(e) {
+    canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, button: e.button });
+    lastPinch = pointers.size === 2 ? pinchState() : null;
+  }
+  function onPointerMove(e) {
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    const dx = e.clientX - p.x;
+    const dy = e.clientY - p.y;
+    p.x = e.clientX;
+    p.y = e.clientY;
+    if (pointers.size === 2) {
+      const pinch = pinchState();
+      if (lastPinch && pinch.distance > 0) {
+        zoom(lastPinch.distance / pinch.distance);
+        pan(pinch.x - lastPinch.x, pinch.y - lastPinch.y);
+      }
+      lastPinch = pinch;
+    } else if (pointers.size === 1) {
+      if (p.button === 2 || p.button === 1 || e.shiftKey) {
+        pan(dx, dy);
+      } else {
+        orbit(dx, dy);
+      }
+    }
+  }
+  function onPointerUp(e) {
+    pointers.delete(e.pointerId);
+    lastPinch = pointers.size === 2 ? pinchState() : null;
+    // Auto-rotation waits for the last pointer to lift
+    if (pointers.size === 0 && autoRotate) changed();
+  }
+  function onWheel(e) {
+    e.preventDefault();
+    // deltaMode 1 is lines; normalise roughly to pixels
+    const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+    zoom(Math.exp(delta * 0.001));
+  }
+  function onContextMenu(e) {
+    e.preventDefault();
+  }
+
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+  canvas.addEventListener('wheel', onWheel, { passive: false });
+  canvas.addEventListener('contextmenu', onContextMenu);
+
+  const camera = {
+    // Vertical field of view in radians
+    get fov() {
+      return fov;
+    },
+    set fov(value) {
+      fov = value;
+      changed();
+    },
+
+    // Called after every change to where the camera is headed
+    onChange(listener) {
+      changeListeners.push(listener);
+    },
+
+    // Advance auto-rotation and damping; dt is in seconds.  Returns true
+    // while the view is still moving.
+    update(dt) {
+      dt = Math.min(Math.max(dt, 0), 0.1);
+      if (autoRotate && pointers.size === 0) {
+        goal.yaw += autoRotateSpeed * dt;
+      }
+      const t = damping > 0 ? 1 - Math.exp(-damping * dt) : 1;
+      current.yaw += (goal.yaw - current.yaw) * t;
+      current.pitch += (goal.pitch - current.pitch) * t;
+      // Interpolate distance in log space so zooming feels uniform
+      current.distance = Math.exp(Math.log(current.distance) + (Math.log(goal.distance) - Math.log(current.distance)) * t);
+      for (let i = 0; i < 3; i++) {
+        current.target[i] += (goal.target[i] - current.target[i]) * t;
+      }
+      if (autoRotate && autoRotateSpeed !== 0 && pointers.size === 0) return true;
+      // Close enough: finish the easing so the view can settle
+      const epsilon = 1e-5;
+      const settled = Math.abs(goal.yaw - current.yaw) < epsilon &&
+        Math.abs(goal.pitch - current.pitch) < epsilon &&
+        Math.abs(Math.log(goal.distance / current.distance)) < epsilon &&
+        vec3.distance(goal.target, current.target) < epsilon * goal.distance;
+      if (settled) Object.assign(current, { ...goal, target: [...goal.target] });
+      return !settled;
+    },
+
+    getEye() {
+      const cp = Math.cos(current.pitch);
+      return [
+        current.target[0] + current.distance * cp * Math.sin(current.yaw),
+        current.target[1] + current.distance * Math.sin(current.pitch),
+        current.target[2] + current.distance * cp * Math.cos(current.yaw)
+      ];
+    },
+
+    getTarget() {
+      return [...current.target];
+    },
+
+    get distance() {
+      return current.distance;
+    },
+
+    getViewMatrix() {
+      return mat4.lookAt(camera.getEye(), current.target, [0, 1, 0]);
+    },
+
+    get autoRotate() {
+      return autoRotate;
+    },
+    set autoRotate(value) {
+      autoRotate = !!value;
+      changed();
+    },
+
+    get autoRotateSpeed() {
+      return autoRotateSpeed;
+    },
+    set autoRotateSpeed(value) {
+      autoRotateSpeed = value;
+      changed();
+    },
+
+    // Change the orbit angles of the home view, kept by later frame() calls
+    setHomeAngles(yaw, pitch) {
+      defaults.yaw = yaw;
+      defaults.pitch = pitch;
+      home = { ...home, yaw, pitch };
+    },
+
+    // Return to the home view (the initial one, or the last framed bounds)
+    reset() {
+      goal.target = [...home.target];
+      goal.distance = home.distance;
+      goal.yaw = home.yaw;
+      goal.pitch = home.pitch;
+      changed();
+    },
+
+    // Fit a { min, max } box in view and make that the new home view
+    frame(bounds) {
+      const { min, max } = bounds;
+      const radius = Math.max(Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]) / 2, 1e-3);
+      goal.target = [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2];
+      goal.distance = (radius / Math.sin(fov / 2)) * 1.1;
+      clampGoal();
+      home = { target: [...goal.target], distance: goal.distance, yaw: defaults.yaw, pitch: defaults.pitch };
+      changed();
+    },
+
+    // Orbit state for saving, as { target, distance, yaw, pitch }
+    getState() {
+      return { target: [...goal.target], distance: goal.distance, yaw: goal.yaw, pitch: goal.pitch };
+    },
+
+    // Move to a saved state (easing there) and make it the home view
+    setState(state) {
+      goal.target = [...state.target];
+      goal.distance = state.distance;
+      goal.yaw = state.yaw;
+      goal.pitch = state.pitch;
+      clampGoal();
+      home = { target: [...goal.target], distance: goal.distance, yaw: goal.yaw, pitch: goal.pitch };
+      changed();
+    },
+
+    // Jump straight to the goal state, skipping the easing
+    snap() {
+      Object.assign(current, { ...goal, target: [...goal.target] });
+      changed();
+    },
+
+    destroy() {
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointercancel', onPointerUp);
+      canvas.removeEventListener('wheel', onWheel);
+      canvas.removeEventListener('contextmenu', onContextMenu);
+      changeListeners.length = 0;
+    }
+  };
+  return camera;
+}
+
+// Wire a page's camera buttons (any of them may be missing from the page)
+export function bindCameraControls(camera, { autoRotate, reset, frameAll, getBounds }) {
+  if (autoRotate) {
+    autoRotate.checked = camera.autoRotate;
+    autoRotate.addEventListener('change', () => {
+      camera.autoRotate = autoRotate.checked;
+    });
+  }
+  if (reset) {
+    reset.addEventListener('click', () => camera.reset());
+  }
+  if (frameAll) {
+    frameAll.addEventListener('click', () => camera.frame(getBounds()));
+  }
+}
@@ -0,0 +1,243 @@
+// capture.js
+// Frame export for the viewer and the visualization: PNG of the current
+// view, offscreen renders at an arbitrary resolution and WebM recordings.
+// Captures never read the swap-chain texture.  Each page provides
+//   draw(colorTarget, depthView, aspect)
+// which encodes and submits one frame into the given attachments (colorTarget
+// as in renderer.colorTarget(), see core.js), and the frame is rendered into
+// a texture owned by this module and read back.
+
+// Offscreen color + depth attachments with a reusable readback buffer.  They
+// follow the renderer's sample count so the page's pipelines fit.
+export function createCaptureTarget(renderer, width, height) {
+  const { device, format, depthFormat, sampleCount } = renderer;
+  const max = device.limits.maxTextureDimension2D;
+  if (width > max || height > max) {
+    throw new Error(`${width}×${height} exceeds this GPU's ${max}px texture limit.`);
+  }
+  const color = device.createTexture({
+    size: [width, height],
+    format,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
+  });
+  const depth = device.createTexture({
+    size: [width, height],
+    format: depthFormat,
+    sampleCount,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+  });
+  const multisample = sampleCount > 1
+    ? device.createTexture({
+      size: [width, height],
+      format,
+      sampleCount,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT
+    })
+    : null;
+  // Rows of a texture-to-buffer copy must be 256-byte aligned
+  const bytesPerRow = Math.ceil((width * 4) / 256) * 256;
+  const readback = device.createBuffer({
+    size: bytesPerRow * height,
+    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+  });
+  const colorTarget = multisample
+    ? { view: multisample.createView(), resolveTarget: color.createView(), width, height }
+    : { view: color.createView(), resolveTarget: undefined, width, height };
+  const depthView = depth.createView();
+  const swapRedBlue = format.startsWith('bgra');
+
+  return {
+    width,
+    height,
+    colorTarget,
+    depthView,
+
+    // Copy the color texture back as tightly packed RGBA bytes
+    async read() {
+      const encoder = device.createCommandEncoder();
+      encoder.copyTextureToBuffer({ texture: color }, { buffer: readback, bytesPerRow }, [width, height]);
+      device.queue.submit([encoder.finish()]);
+      await readback.mapAsync(GPUMapMode.READ);
+      const mapped = new Uint8Array(readback.getMappedRange());
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        pixels.set(mapped.subarray(y * bytesPerRow, y * bytesPerRow + width * 4), y * width * 4);
+      }
+      readback.unmap();
+      if (swapRedBlue) {
+        for (let i = 0; i < pixels.length; i += 4) {
+          const b = pixels[i];
+          pixels[i] = pixels[i + 2];
+          pixels[i + 2] = b;
+        }
+      }
+      // The canvas is configured opaque, so ignore whatever alpha was written
+      for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+      return pixels;
+    },
+
+    destroy() {
+      color.destroy();
+      depth.destroy();
+      if (multisample) multisample.destroy();
+      readback.destroy();
+    }
+  };
+}
+
+// Render one frame at width x height and return it as a PNG blob
+export async function captureImage(renderer, draw, width, height) {
+  const target = createCaptureTarget(renderer, width, height);
+  try {
+    draw(target.colorTarget, target.depthView, width / height);
+    const pixels = await target.read();
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    return await canvas.convertToBlob({ type: 'image/png' });
+  } finally {
+    target.destroy();
+  }
+}
+
+function recorderMimeType() {
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+// Record `duration` seconds at `fps` frames per second into a WebM blob.
+// Frames are rendered offscreen on a wall-clock schedule (so animation plays
+// at its normal speed) and fed to a MediaRecorder through a 2D canvas.
+export async function recordVideo(renderer, draw, { width, height, duration, fps, onProgress }) {
+  const mimeType = recorderMimeType();
+  if (!window.MediaRecorder || !mimeType) {
+    throw new Error('This browser cannot record WebM video.');
+  }
+  const target = createCaptureTarget(renderer, width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: width * height * fps * 0.15 });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  });
+  const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve));
+
+  recorder.start();
+  try {
+    const frames = Math.max(1, Math.round(duration * fps));
+    const start = performance.now();
+    for (let i = 0; i < frames; i++) {
+      const wait = start + (i * 1000) / fps - performance.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      draw(target.colorTarget, target.depthView, width / height);
+      ctx.putImageData(new ImageData(await target.read(), width, height), 0, 0);
+      track.requestFrame();
+      if (onProgress) onProgress((i + 1) / frames);
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+    target.destroy();
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+// Fill a container (usually a <details> element) with the export controls.
+// `name` prefixes the downloaded file names.
+export function createCapturePanel(container, { renderer, draw, name }) {
+  const status = document.createElement('div');
+  status.className = 'status';
+
+  const row = (...children) => {
+    const label = document.createElement('label');
+    label.append(...children);
+    container.appendChild(label);
+    return label;
+  };
+  const numberInput = (value, min, max, step = 1) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.style.width = '5em';
+    return input;
+  };
+  const button = (text) => {
+    const b = document.createElement('button');
+    b.textContent = text;
+    return b;
+  };
+
+  const screenshot = button('Save PNG');
+  row(screenshot);
+
+  const width = numberInput(3840, 16, 16384);
+  const height = numberInput(2160, 16, 16384);
+  const render = button('Render PNG');
+  row('Size ', width, ' × ', height, ' ', render);
+
+  const duration = numberInput(5, 1, 120);
+  const fps = numberInput(30, 1, 60);
+  const record = button('Record WebM');
+  row('Video ', duration, ' s at ', fps, ' fps ', record);
+  container.appendChild(status);
+
+  const buttons = [screenshot, render, record];
+  const size = (input) => Math.max(16, parseInt(input.value, 10) || 16);
+  // One capture at a time; errors are shown in the panel
+  async function run(message, task) {
+    buttons.forEach((b) => (b.disabled = true));
+    status.textContent = message;
+    try {
+      await task();
+      status.textContent = 'Saved.';
+    } catch (err) {
+      console.error(err);
+      status.textContent = err.message;
+    } finally {
+      buttons.forEach((b) => (b.disabled = false));
+    }
+  }
+
+  screenshot.addEventListener('click', () => run('Capturing…', async () => {
+    const blob = await captureImage(renderer, draw, renderer.width, renderer.height);
+    downloadBlob(blob, `${name}-${timestamp()}.png`);
+  }));
+  render.addEventListener('click', () => run('Rendering…', async () => {
+    const blob = await captureImage(renderer, draw, size(width), size(height));
+    downloadBlob(blob, `${name}-${size(width)}x${size(height)}-${timestamp()}.png`);
+  }));
+  record.addEventListener('click', () => run('Recording…', async () => {
+    // Video encoders want even dimensions
+    const blob = await recordVideo(renderer, draw, {
+      width: renderer.width & ~1,
+      height: renderer.height & ~1,
+      duration: Math.max(parseFloat(duration.value) || 1, 1),
+      fps: Math.min(Math.max(parseFloat(fps.value) || 30, 1), 60),
+      onProgress: (p) => {
+        status.textContent = `Recording… ${Math.round(p * 100)}%`;
+      }
+    });
+    downloadBlob(blob, `${name}-${timestamp()}.webm`);
+  }));
+}
@@ -0,0 +1,233 @@
+// chartaccess.js
+// Text alternatives for the visualization's canvas chart: keyboard focus
+// that steps cell by cell and announces each value through an ARIA live
+// region, a data table mirroring the newest sample, and a plain-text summary
+// of the trend after every update.  Everything here reads the history grid
+// (timeseries.js: values[row * columns + column], oldest row first) and
+// knows nothing about the GPU side.
+
+import { formatValue } from './axes.js';
+
+// The table lists at most this many series; the random demo can have a
+// million, far more than a page (or a screen reader) can take
+const TABLE_ROWS = 500;
+
+const valueAt = (grid, row, column) => grid.values[row * grid.columns + column];
+const timeOf = (grid, row) => new Date(grid.times[row]).toLocaleTimeString();
+
+// Averages and their changes need no more than two decimals
+const formatDerived = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+function signed(value) {
+  return `${value < 0 ? '−' : '+'}${formatValue(Math.abs(value))}`;
+}
+
+// " (+1.5%)" for a change from `before`, nothing when `before` is zero
+function percentChange(change, before) {
+  if (before === 0) return '';
+  const percent = (change / Math.abs(before)) * 100;
+  return ` (${percent < 0 ? '−' : '+'}${Math.abs(percent).toFixed(1)}%)`;
+}
+
+// The finite values of one row as [{ label, value, column }]
+function rowValues(grid, row) {
+  const values = [];
+  for (let column = 0; column < grid.columns; column++) {
+    const value = valueAt(grid, row, column);
+    if (Number.isFinite(value)) values.push({ label: grid.labels[column], value, column });
+  }
+  return values;
+}
+
+// One cell read out, e.g. "EUR: 1,234.5 at 10:42:01 (series 2 of 3,
+// sample 20 of 20)"
+export function describeCell(grid, row, column) {
+  const value = valueAt(grid, row, column);
+  const reading = Number.isFinite(value) ? formatValue(value) : 'no value';
+  return `${grid.labels[column]}: ${reading} at ${timeOf(grid, row)} ` +
+    `(series ${column + 1} of ${grid.columns}, sample ${row + 1} of ${grid.rows})`;
+}
+
+// A few sentences on the newest sample: its range and average, how it moved
+// since the previous sample and how the average moved across the history
+export function summarizeTrend(grid) {
+  if (grid.rows === 0 || grid.columns === 0) return 'No data yet.';
+  const latest = grid.rows - 1;
+  const time = timeOf(grid, latest);
+  const current = rowValues(grid, latest);
+  if (current.length === 0) return `The sample at ${time} has no values.`;
+
+  const sentences = [];
+  const average = (values) => values.reduce((sum, { value }) => sum + value, 0) / values.length;
+  if (current.length === 1) {
+    sentences.push(`${current[0].label} is ${formatValue(current[0].value)} at ${time}.`);
+  } else {
+    const highest = current.reduce((a, b) => (b.value > a.value ? b : a));
+    const lowest = current.reduce((a, b) => (b.value < a.value ? b : a));
+    sentences.push(`${current.length} series at ${time}: highest ${highest.label} at ${formatValue(highest.value)}, ` +
+      `lowest ${lowest.label} at ${formatValue(lowest.value)}, average ${formatDerived(average(current))}.`);
+  }
+
+  if (grid.rows >= 2) {
+    let rose = 0;
+    let fell = 0;
+    let biggest = null;
+    const compared = current.filter(({ column }) => Number.isFinite(valueAt(grid, latest - 1, column)));
+    for (const { label, value, column } of compared) {
+      const before = valueAt(grid, latest - 1, column);
+      const change = value - before;
+      if (change > 0) rose++;
+      if (change < 0) fell++;
+      if (!biggest || Math.abs(change) > Math.abs(biggest.change)) biggest = { label, change, before };
+    }
+    // Without series in common with the previous sample there is nothing to say
+    if (biggest && biggest.change === 0) {
+      sentences.push('Nothing changed since the previous sample.');
+    } else if (biggest && compared.length === 1) {
+      sentences.push(`Since the previous sample it ${biggest.change > 0 ? 'rose' : 'fell'} by ` +
+        `${formatValue(Math.abs(biggest.change))}${percentChange(biggest.change, biggest.before)}.`);
+    } else if (biggest) {
+      sentences.push(`Since the previous sample ${rose} rose, ${fell} fell and ${compared.length - rose - fell} ` +
+        `stayed the same; ${biggest.label} moved most, by ${signed(biggest.change)}` +
+        `${percentChange(biggest.change, biggest.before)}.`);
+    }
+  }
+
+  // Across the history, over the series in both the oldest and the newest sample
+  if (grid.rows >= 3) {
+    const common = current.filter(({ column }) => Number.isFinite(valueAt(grid, 0, column)));
+    if (common.length > 0) {
+      const before = average(common.map(({ column }) => ({ value: valueAt(grid, 0, column) })));
+      const change = average(common) - before;
+      const over = `Over the last ${grid.rows} samples ${common.length === 1 ? 'it' : 'the average'}`;
+      sentences.push(change === 0
+        ? `${over} stayed at ${formatDerived(before)}.`
+        : `${over} ${change > 0 ? 'rose' : 'fell'} by ${formatDerived(Math.abs(change))}${percentChange(change, before)}.`);
+    }
+  }
+  return sentences.join(' ');
+}
+
+// Data table of the newest sample: one row per series with its value and
+// the change since the previous sample.  The caller decides when to update
+// it; a hidden table need not follow every sample.
+export function createDataTable(container) {
+  const table = document.createElement('table');
+  const caption = table.createCaption();
+  const head = table.createTHead().insertRow();
+  for (const text of ['Series', 'Value', 'Change']) {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.textContent = text;
+    head.appendChild(cell);
+  }
+  const body = table.createTBody();
+  container.appendChild(table);
+
+  return {
+    update(grid) {
+      body.replaceChildren();
+      if (grid.rows === 0) {
+        caption.textContent = 'No data yet';
+        return;
+      }
+      const latest = grid.rows - 1;
+      const shown = Math.min(grid.columns, TABLE_ROWS);
+      caption.textContent = `Values at ${timeOf(grid, latest)}` +
+        (shown < grid.columns ? `, the first ${shown} of ${grid.columns.toLocaleString()} series` : '');
+      for (let column = 0; column < shown; column++) {
+        const row = body.insertRow();
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.textContent = grid.labels[column];
+        row.appendChild(header);
+        const value = valueAt(grid, latest, column);
+        const before = latest > 0 ? valueAt(grid, latest - 1, column) : NaN;
+        row.insertCell().textContent = Number.isFinite(value) ? formatValue(value) : '–';
+        row.insertCell().textContent = Number.isFinite(value) && Number.isFinite(before) ? signed(value - before) : '–';
+      }
+    }
+  };
+}
+
+// Arrow keys: left / right across the series, up / down through time (up is
+// older, further back in the chart)
+const STEPS = {
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0]
+};
+
+// Keyboard focus on the chart element.  The arrow keys step through the
+// cells (see STEPS), Home / End jump to the first / last series, Page Up /
+// Page Down to the oldest / newest sample and Escape lets go.  Every step is
+// read out through `announcer`, an ARIA live region.  The focus follows its
+// series and its age as samples arrive, so it stays on the newest sample.
+// `getGrid()` returns the current history grid; `onChange()` runs whenever
+// the focused cell (the `cell` getter) may have changed.
+export function createChartNavigation(element, announcer, { getGrid, onChange = () => {} }) {
+  let focus = null; // { age (samples back from the newest), label, column }
+
+  // The focused { row, column } in `grid`, or null
+  function resolve(grid) {
+    if (!focus || grid.rows === 0 || grid.columns === 0) return null;
+    const index = grid.labels.indexOf(focus.label);
+    return {
+      row: Math.max(grid.rows - 1 - focus.age, 0),
+      column: index >= 0 ? index : Math.min(focus.column, grid.columns - 1)
+    };
+  }
+
+  function onKeyDown(e) {
+    const grid = getGrid();
+    if (e.key === 'Escape') {
+      if (!focus) return;
+      focus = null;
+      announcer.textContent = '';
+      onChange();
+      return;
+    }
+    const step = STEPS[e.key];
+    const jump = ['Home', 'End', 'PageUp', 'PageDown'].includes(e.key);
+    if (!step && !jump) return;
+    e.preventDefault();
+    if (grid.rows === 0 || grid.columns === 0) {
+      announcer.textContent = 'No data yet.';
+      return;
+    }
+    const current = resolve(grid);
+    const clamp = (value, count) => Math.min(Math.max(value, 0), count - 1);
+    // The first key press lands on the first series of the newest sample
+    let row = current ? current.row : grid.rows - 1;
+    let column = current ? current.column : 0;
+    if (current && step) {
+      row = clamp(row + step[0], grid.rows);
+      column = clamp(column + step[1], grid.columns);
+    }
+    if (e.key === 'Home') column = 0;
+    if (e.key === 'End') column = grid.columns - 1;
+    if (e.key === 'PageUp') row = 0;
+    if (e.key === 'PageDown') row = grid.rows - 1;
+    focus = { age: grid.rows - 1 - row, label: grid.labels[column], column };
+    announcer.textContent = describeCell(grid, row, column);
+    onChange();
+  }
+
+  element.addEventListener('keydown', onKeyDown);
+  element.addEventListener('focus', onChange);
+  element.addEventListener('blur', onChange);
+
+  return {
+    // Only while the element has the keyboard focus
+    get cell() {
+      return document.activeElement === element ? resolve(getGrid()) : null;
+    },
+
+    destroy() {
+      element.removeEventListener('keydown', onKeyDown);
+      element.removeEventListener('focus', onChange);
+      element.removeEventListener('blur', onChange);
+    }
+  };
+}
@@ -0,0 +1,1048 @@
+// charts.js
+// Chart types for the visualization.  Every type is created from a shared
+// context and brings its own geometry, WGSL vertex shader and instance
+// layout, but exposes the same methods:
+//   update(layout)                 rebuild GPU data from the history grid
+//   draw(pass)                     record draw calls into a render pass
+//   drawShadow(pass)               the same into a shadow caster pass (WebGPU)
+//   cellBox(layout, row, column)   world-space { min, max } used for picking
+//   destroy()                      release GPU buffers
+// `context` is { device, format, depthFormat, sampleCount, uniformBuffer,
+// lightingBuffer, shadows, reportError }, with `shadows` the shadow map from
+// shadows.js; shader and pipeline errors are passed to reportError(err).
+// Charts hold the shadow map's view, so they are recreated when it changes.
+// Types with `createWebGL` also run on the WebGL2 fallback (webgl.js), where
+// the context is { renderer, uniformBuffer, lightingBuffer } and draw(pass)
+// gets a WebGL2 pass.  Types with `createCompute` have a WebGPU version for
+// large grids that builds its instances in a compute shader from the raw
+// values and draws them indirectly; as the draw counter (countDraws() in
+// core.js) cannot see into indirect draws, they report `triangles` themselves.
+// They also measure the value range on the GPU, so their update(layout)
+// returns a promise of the grid's { min, max } (null if it could not be read
+// back) for the page's axes and legend.
+// `layout` describes what to draw (see visualization.js):
+//   grid                       the history grid; raw values stay here
+//   barSpacing, rowSpacing     cell pitch along x and z
+//   cellPosition(row, column)  displayed [x, z] of a cell
+//   cellHeight(row, column)    displayed height
+//   cellScale(row, column)     size factor, 0..1 while a cell grows in
+//   cellColor(row, column)     rgb from the active color scale
+//   heightOffset, heightScale  height = heightOffset + value * heightScale
+//   heightSpan                 heightScale is heightSpan / max(max value, 1)
+//   colorScale                 the active scale (colormaps.js), for its params
+// The cell accessors return animated values, so charts just redraw whatever
+// they are given.
+
+import { lightingWGSL, LIGHTING_GLSL } from './lighting.js';
+import { heightFieldMesh } from './timeseries.js';
+import { checkShaderModule, withErrorScope } from './gpuerrors.js';
+import { GL_CLIP_DEPTH } from './webgl.js';
+import { SHADOW_DEPTH_STENCIL, GROUND_COLOR } from './shadows.js';
+
+// Grow-only GPU buffer helper: reuses `buffer` when it is big enough
+export function ensureBuffer(device, buffer, size, usage) {
+  size = Math.max(Math.ceil(size / 4) * 4, 4);
+  if (buffer && buffer.size >= size) return buffer;
+  if (buffer) buffer.destroy();
+  return device.createBuffer({ size, usage: usage | GPUBufferUsage.COPY_DST });
+}
+
+function staticBuffer(device, data, usage) {
+  const buffer = device.createBuffer({ size: data.byteLength, usage: usage | GPUBufferUsage.COPY_DST });
+  device.queue.writeBuffer(buffer, 0, data);
+  return buffer;
+}
+
+// Unit cube centered at the origin; each face has its own four vertices so
+// it can carry a flat normal.  position.xyz + normal.xyz
+function cubeGeometry() {
+  const faces = [
+    // corners (counter-clockwise)                                    // normal
+    [[-0.5, -0.5, 0.5], [0.5, -0.5, 0.5], [0.5, 0.5, 0.5], [-0.5, 0.5, 0.5], [0, 0, 1]],
+    [[0.5, -0.5, 0.5], [0.5, -0.5, -0.5], [0.5, 0.5, -0.5], [0.5, 0.5, 0.5], [1, 0, 0]],
+    [[0.5, -0.5, -0.5], [-0.5, -0.5, -0.5], [-0.5, 0.5, -0.5], [0.5, 0.5, -0.5], [0, 0, -1]],
+    [[-0.5, -0.5, -0.5], [-0.5, -0.5, 0.5], [-0.5, 0.5, 0.5], [-0.5, 0.5, -0.5], [-1, 0, 0]],
+    [[-0.5, 0.5, 0.5], [0.5, 0.5, 0.5], [0.5, 0.5, -0.5], [-0.5, 0.5, -0.5], [0, 1, 0]],
+    [[-0.5, -0.5, -0.5], [0.5, -0.5, -0.5], [0.5, -0.5, 0.5], [-0.5, -0.5, 0.5], [0, -1, 0]]
+  ];
+  const vertices = new Float32Array(faces.length * 4 * 6);
+  const indices = new Uint16Array(faces.length * 6);
+  faces.forEach((face, f) => {
+    for (let k = 0; k < 4; k++) {
+      vertices.set([...face[k], ...face[4]], (f * 4 + k) * 6);
+    }
+    indices.set([0, 1, 2, 0, 2, 3].map((i) => f * 4 + i), f * 6);
+  });
+  return { vertices, indices };
+}
+
+// UV sphere of diameter 1 centered at the origin.  position.xyz + normal.xyz
+function sphereGeometry(bands = 8, segments = 12) {
+  const vertices = new Float32Array((bands + 1) * (segments + 1) * 6);
+  for (let b = 0; b <= bands; b++) {
+    const theta = (b / bands) * Math.PI;
+    for (let s = 0; s <= segments; s++) {
+      const phi = (s / segments) * Math.PI * 2;
+      const n = [Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi)];
+      vertices.set([n[0] * 0.5, n[1] * 0.5, n[2] * 0.5, ...n], (b * (segments + 1) + s) * 6);
+    }
+  }
+  const indices = new Uint16Array(bands * segments * 6);
+  let k = 0;
+  for (let b = 0; b < bands; b++) {
+    for (let s = 0; s < segments; s++) {
+      const a = b * (segments + 1) + s;
+      const c = a + segments + 1;
+      indices.set([a, a + 1, c, a + 1, c + 1, c], k);
+      k += 6;
+    }
+  }
+  return { vertices, indices };
+}
+
+// Shared WGSL around each chart's vertex shader: the MVP uniform, lighting
+// with the shadow map at bindings 2-4, and a lit fragment shader
+function chartShader(vertexCode) {
+  return `
+struct Uniforms {
+  mvpMatrix : mat4x4<f32>,
+};
+@binding(0) @group(0) var<uniform> uniforms : Uniforms;
+${lightingWGSL(0, 1, 2)}
+
+struct VertexOutput {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
+  @location(1) vNormal : vec3<f32>,
+  @location(2) vWorldPos : vec3<f32>,
+};
+${vertexCode}
+@fragment
+fn fs_main(input : VertexOutput) -> @location(0) vec4<f32> {
+  let lit = shade(input.vColor, input.vNormal, input.vWorldPos, 0.0, 0.5);
+  return vec4<f32>(lit, 1.0);
+}
+`;
+}
+
+const POSITION_NORMAL = {
+  arrayStride: 6 * 4,
+  attributes: [
+    { shaderLocation: 0, offset: 0, format: 'float32x3' },
+    { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' }
+  ]
+};
+
+const POSITION_NORMAL_COLOR = {
+  arrayStride: 9 * 4,
+  attributes: [
+    { shaderLocation: 0, offset: 0, format: 'float32x3' },
+    { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' },
+    { shaderLocation: 2, offset: 6 * 4, format: 'float32x3' }
+  ]
+};
+
+// Vertex shader for charts whose vertices already carry a color
+const COLORED_VERTEX_WGSL = `
+@vertex
+fn vs_main(@location(0) position : vec3<f32>, @location(1) normal : vec3<f32>,
+           @location(2) color : vec3<f32>) -> VertexOutput {
+  var out : VertexOutput;
+  out.Position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
+  out.vWorldPos = position;
+  out.vNormal = normal;
+  out.vColor = color;
+  return out;
+}
+`;
+
+// Pipeline plus the bind group for the shared uniforms, which never change
+// for the lifetime of a chart, and the same pair for the shadow caster pass:
+// the vertex stage alone, with the shadow uniforms (which start with the
+// light's view-projection) bound as `uniforms`
+function createChartPipeline(context, code, buffers, cullMode) {
+  const { device, shadows, reportError } = context;
+  const shaderCode = chartShader(code);
+  const module = device.createShaderModule({ label: 'Chart', code: shaderCode });
+  checkShaderModule(module, 'Chart', shaderCode).catch(reportError);
+  return withErrorScope(device, 'Chart pipeline', () => {
+    const pipeline = device.createRenderPipeline({
+      layout: 'auto',
+      vertex: { module, entryPoint: 'vs_main', buffers },
+      fragment: { module, entryPoint: 'fs_main', targets: [ { format: context.format } ] },
+      primitive: { topology: 'triangle-list', cullMode },
+      depthStencil: {
+        depthWriteEnabled: true,
+        depthCompare: 'less',
+        format: context.depthFormat
+      },
+      multisample: { count: context.sampleCount }
+    });
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: context.uniformBuffer } },
+        { binding: 1, resource: { buffer: context.lightingBuffer } },
+        { binding: 2, resource: { buffer: shadows.uniformBuffer } },
+        { binding: 3, resource: shadows.view },
+        { binding: 4, resource: shadows.sampler }
+      ]
+    });
+    const shadowPipeline = device.createRenderPipeline({
+      layout: 'auto',
+      vertex: { module, entryPoint: 'vs_main', buffers },
+      primitive: { topology: 'triangle-list', cullMode },
+      depthStencil: SHADOW_DEPTH_STENCIL
+    });
+    const shadowBindGroup = device.createBindGroup({
+      layout: shadowPipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: shadows.uniformBuffer } }]
+    });
+    return { pipeline, bindGroup, shadowPipeline, shadowBindGroup };
+  }, reportError);
+}
+
+// Non-instanced chart drawn from one indexed mesh that is rebuilt on update
+function createMeshChart(context, { code, vertexLayout, cullMode, buildMesh, cellBox }) {
+  const { device } = context;
+  const { pipeline, bindGroup, shadowPipeline, shadowBindGroup } = createChartPipeline(context, code, [vertexLayout], cullMode);
+  let vertexBuffer = null;
+  let indexBuffer = null;
+  let indexCount = 0;
+
+  function record(pass, recordPipeline, recordBindGroup) {
+    if (indexCount === 0) return;
+    pass.setPipeline(recordPipeline);
+    pass.setBindGroup(0, recordBindGroup);
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setIndexBuffer(indexBuffer, 'uint32');
+    pass.drawIndexed(indexCount);
+  }
+
+  return {
+    update(layout) {
+      const mesh = buildMesh(layout);
+      vertexBuffer = ensureBuffer(device, vertexBuffer, mesh.vertices.byteLength, GPUBufferUsage.VERTEX);
+      indexBuffer = ensureBuffer(device, indexBuffer, mesh.indices.byteLength, GPUBufferUsage.INDEX);
+      device.queue.writeBuffer(vertexBuffer, 0, mesh.vertices);
+      device.queue.writeBuffer(indexBuffer, 0, mesh.indices);
+      indexCount = mesh.indices.length;
+    },
+    draw(pass) {
+      record(pass, pipeline, bindGroup);
+    },
+    drawShadow(pass) {
+      record(pass, shadowPipeline, shadowBindGroup);
+    },
+    cellBox,
+    destroy() {
+      vertexBuffer && vertexBuffer.destroy();
+      indexBuffer && indexBuffer.destroy();
+    }
+  };
+}
+
+// Instance data for every finite grid cell; missing samples are skipped
+// rather than drawn
+function fillInstances(layout, instanceStride, writeInstance) {
+  const { grid } = layout;
+  const data = new Float32Array(grid.rows * grid.columns * instanceStride);
+  let count = 0;
+  for (let r = 0; r < grid.rows; r++) {
+    for (let c = 0; c < grid.columns; c++) {
+      if (!Number.isFinite(grid.values[r * grid.columns + c])) continue;
+      writeInstance(data, count * instanceStride, layout, r, c);
+      count++;
+    }
+  }
+  return { data, count };
+}
+
+// Instanced chart: one static mesh drawn once per finite grid cell.
+// `instanceAttributes` start at shader location 2; `writeInstance(data,
+// offset, layout, row, column)` fills one instance.
+function createInstancedChart(context, { code, geometry, instanceStride, instanceAttributes, writeInstance, cellBox }) {
+  const { device } = context;
+  const { pipeline, bindGroup, shadowPipeline, shadowBindGroup } = createChartPipeline(context, code, [
+    POSITION_NORMAL,
+    { arrayStride: instanceStride * 4, stepMode: 'instance', attributes: instanceAttributes }
+  ], 'back');
+  const vertexBuffer = staticBuffer(device, geometry.vertices, GPUBufferUsage.VERTEX);
+  const indexBuffer = staticBuffer(device, geometry.indices, GPUBufferUsage.INDEX);
+  let instanceBuffer = null;
+  let instanceCount = 0;
+
+  function record(pass, recordPipeline, recordBindGroup) {
+    if (instanceCount === 0) return;
+    pass.setPipeline(recordPipeline);
+    pass.setBindGroup(0, recordBindGroup);
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setVertexBuffer(1, instanceBuffer);
+    pass.setIndexBuffer(indexBuffer, 'uint16');
+    pass.drawIndexed(geometry.indices.length, instanceCount);
+  }
+
+  return {
+    update(layout) {
+      const { data, count } = fillInstances(layout, instanceStride, writeInstance);
+      instanceCount = count;
+      instanceBuffer = ensureBuffer(device, instanceBuffer, data.byteLength, GPUBufferUsage.VERTEX);
+      device.queue.writeBuffer(instanceBuffer, 0, data, 0, instanceCount * instanceStride);
+    },
+    draw(pass) {
+      record(pass, pipeline, bindGroup);
+    },
+    drawShadow(pass) {
+      record(pass, shadowPipeline, shadowBindGroup);
+    },
+    cellBox,
+    destroy() {
+      vertexBuffer.destroy();
+      indexBuffer.destroy();
+      instanceBuffer && instanceBuffer.destroy();
+    }
+  };
+}
+
+// Lit fragment shader shared by the WebGL2 charts; each brings a vertex
+// shader writing vColor, vNormal and vWorldPos
+const CHART_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+${LIGHTING_GLSL}
+in vec3 vColor;
+in vec3 vNormal;
+in vec3 vWorldPos;
+out vec4 fragColor;
+
+void main() {
+  fragColor = vec4(shade(vColor, vNormal, vWorldPos, 0.0, 0.5), 1.0);
+}
+`;
+
+// createInstancedChart for the WebGL2 fallback, with a GLSL vertex shader
+function createWebGLInstancedChart(context, { vertex, geometry, instanceStride, instanceAttributes, writeInstance, cellBox }) {
+  const { renderer } = context;
+  const pipeline = renderer.createPipeline({
+    label: 'Chart',
+    vertex,
+    fragment: CHART_GLSL_FRAGMENT,
+    buffers: [
+      POSITION_NORMAL,
+      { arrayStride: instanceStride * 4, stepMode: 'instance', attributes: instanceAttributes }
+    ],
+    uniformBlocks: { Uniforms: 0, Lighting: 1 },
+    cullMode: 'back'
+  });
+  const vertexBuffer = renderer.createBuffer('vertex', geometry.vertices);
+  const indexBuffer = renderer.createBuffer('index', geometry.indices);
+  const instanceBuffer = renderer.createBuffer('vertex', instanceStride * 4);
+  let instanceCount = 0;
+  return {
+    update(layout) {
+      const { data, count } = fillInstances(layout, instanceStride, writeInstance);
+      instanceCount = count;
+      if (count > 0) renderer.writeBuffer(instanceBuffer, data.subarray(0, count * instanceStride));
+    },
+    draw(pass) {
+      if (instanceCount === 0) return;
+      pass.setPipeline(pipeline);
+      pass.setUniformBuffer(0, context.uniformBuffer);
+      pass.setUniformBuffer(1, context.lightingBuffer);
+      pass.setVertexBuffer(0, vertexBuffer);
+      pass.setVertexBuffer(1, instanceBuffer);
+      pass.setIndexBuffer(indexBuffer, 'uint16');
+      pass.drawIndexed(geometry.indices.length, instanceCount);
+    },
+    cellBox,
+    destroy() {
+      pipeline.destroy();
+      vertexBuffer.destroy();
+      indexBuffer.destroy();
+      instanceBuffer.destroy();
+    }
+  };
+}
+
+// Compute passes for createComputeChart.  range_main reduces the present
+// values to their minimum and maximum (atomics on float bits mapped to
+// order-preserving u32 keys, first per workgroup, then across them).
+// layout_main then runs one invocation per grid cell: it derives the height
+// and color scale from that range the way visualization.js and
+// colormaps.js do, turns the raw value into an instance (the same data
+// writeInstance() produces: bars are offset.xyz + scale.xyz + color.rgb,
+// points center.xyz + size + color.rgb) and counts it into the indirect
+// draw arguments.  Missing samples arrive as MISSING and are skipped.
+const MISSING_VALUE = -3.0e38;
+const MAX_STOPS = 16;
+const LAYOUT_PARAMS_SIZE = 48 + MAX_STOPS * 16;
+// Color map kinds for Params.colorKind
+const COLOR_KINDS = { sequential: 0, diverging: 1, categorical: 2 };
+const LAYOUT_WGSL = `
+struct Params {
+  count : u32,
+  columns : u32,
+  rows : u32,
+  dispatchWidth : u32,
+  spacing : vec2<f32>,
+  heightOffset : f32,
+  heightSpan : f32,
+  size : f32,
+  colorKind : u32,
+  stopCount : u32,
+  shape : u32,
+  stops : array<vec4<f32>, ${MAX_STOPS}>,
+};
+struct DrawArgs {
+  indexCount : u32,
+  instanceCount : atomic<u32>,
+  firstIndex : u32,
+  baseVertex : u32,
+  firstInstance : u32,
+};
+@group(0) @binding(0) var<uniform> params : Params;
+@group(0) @binding(1) var<storage, read> values : array<f32>;
+@group(0) @binding(2) var<storage, read_write> instances : array<f32>;
+@group(0) @binding(3) var<storage, read_write> args : DrawArgs;
+// Keys of the minimum and maximum; reset to 0xffffffff and 0 before range_main
+@group(0) @binding(4) var<storage, read_write> bounds : array<atomic<u32>, 2>;
+
+var<workgroup> groupMin : atomic<u32>;
+var<workgroup> groupMax : atomic<u32>;
+
+// Flip negative floats entirely and set the sign bit of positive ones, so
+// the keys compare as unsigned integers the way the floats compare
+fn toKey(value : f32) -> u32 {
+  let bits = bitcast<u32>(value);
+  return select(bits | 0x80000000u, ~bits, (bits & 0x80000000u) != 0u);
+}
+
+fn fromKey(key : u32) -> f32 {
+  return bitcast<f32>(select(~key, key & 0x7fffffffu, (key & 0x80000000u) != 0u));
+}
+
+fn cellIndex(id : vec3<u32>) -> u32 {
+  return id.y * params.dispatchWidth + id.x;
+}
+
+@compute @workgroup_size(64)
+fn range_main(@builtin(global_invocation_id) id : vec3<u32>, @builtin(local_invocation_index) localIndex : u32) {
+  if (localIndex == 0u) {
+    atomicStore(&groupMin, 0xffffffffu);
+    atomicStore(&groupMax, 0u);
+  }
+  workgroupBarrier();
+  let i = cellIndex(id);
+  if (i < params.count && values[i] > ${MISSING_VALUE}) {
+    let key = toKey(values[i]);
+    atomicMin(&groupMin, key);
+    atomicMax(&groupMax, key);
+  }
+  workgroupBarrier();
+  if (localIndex == 0u) {
+    atomicMin(&bounds[0], atomicLoad(&groupMin));
+    atomicMax(&bounds[1], atomicLoad(&groupMax));
+  }
+}
+
+// (min, max) of the present values, (0, 0) when there are none
+fn valueRange() -> vec2<f32> {
+  let low = atomicLoad(&bounds[0]);
+  let high = atomicLoad(&bounds[1]);
+  if (low > high) {
+    return vec2<f32>(0.0);
+  }
+  return vec2<f32>(fromKey(low), fromKey(high));
+}
+
+// colorScaleParams() in colormaps.js
+fn colorOf(value : f32, column : u32, r : vec2<f32>) -> vec3<f32> {
+  if (params.colorKind == ${COLOR_KINDS.categorical}u) {
+    return params.stops[column % params.stopCount].rgb;
+  }
+  var scale = 0.0;
+  var offset = 1.0;
+  if (params.colorKind == ${COLOR_KINDS.diverging}u) {
+    let center = select((r.x + r.y) * 0.5, 0.0, r.x < 0.0 && r.y > 0.0);
+    var spread = max(r.y - center, center - r.x);
+    if (spread == 0.0) {
+      spread = 1.0;
+    }
+    scale = 0.5 / spread;
+    offset = 0.5 - 0.5 * center / spread;
+  } else if (r.y > r.x) {
+    scale = 1.0 / (r.y - r.x);
+    offset = -r.x / (r.y - r.x);
+  }
+  let t = clamp(value * scale + offset, 0.0, 1.0);
+  let x = t * f32(params.stopCount - 1u);
+  let i = min(u32(floor(x)), params.stopCount - 2u);
+  return mix(params.stops[i].rgb, params.stops[i + 1u].rgb, x - f32(i));
+}
+
+@compute @workgroup_size(64)
+fn layout_main(@builtin(global_invocation_id) id : vec3<u32>) {
+  let i = cellIndex(id);
+  if (i >= params.count) {
+    return;
+  }
+  let value = values[i];
+  if (value <= ${MISSING_VALUE}) {
+    return;
+  }
+  let r = valueRange();
+  let row = i / params.columns;
+  let column = i % params.columns;
+  let x = (f32(column) - f32(params.columns - 1u) * 0.5) * params.spacing.x;
+  let z = -f32(params.rows - 1u - row) * params.spacing.y;
+  let height = params.heightOffset + value * params.heightSpan / max(r.y, 1.0);
+  let color = colorOf(value, column, r);
+  let slot = atomicAdd(&args.instanceCount, 1u);
+  if (params.shape == 0u) {
+    let o = slot * 9u;
+    instances[o] = x;
+    instances[o + 1u] = height * 0.5;
+    instances[o + 2u] = z;
+    instances[o + 3u] = params.size;
+    instances[o + 4u] = height;
+    instances[o + 5u] = params.size;
+    instances[o + 6u] = color.r;
+    instances[o + 7u] = color.g;
+    instances[o + 8u] = color.b;
+  } else {
+    let o = slot * 7u;
+    instances[o] = x;
+    instances[o + 1u] = height;
+    instances[o + 2u] = z;
+    instances[o + 3u] = params.size * (0.5 + 0.5 * clamp(height, 0.0, 1.0));
+    instances[o + 4u] = color.r;
+    instances[o + 5u] = color.g;
+    instances[o + 6u] = color.b;
+  }
+}
+`;
+
+// fromKey() in LAYOUT_WGSL
+function fromRangeKey(key) {
+  const bits = key & 0x80000000 ? key & 0x7fffffff : ~key >>> 0;
+  return new Float32Array(new Uint32Array([bits]).buffer)[0];
+}
+
+// Workgroups of 64 spread over x and y, as x alone is limited to 65535
+function layoutDispatch(count) {
+  const groups = Math.max(Math.ceil(count / 64), 1);
+  const x = Math.min(groups, 65535);
+  return [x, Math.ceil(groups / x)];
+}
+
+// The height and color scale are left to the shader, which measures the range
+function packLayoutParams(layout, shape, size, dispatchX) {
+  const { grid } = layout;
+  const { categorical, diverging, stops } = layout.colorScale.params;
+  const kind = categorical ? COLOR_KINDS.categorical : diverging ? COLOR_KINDS.diverging : COLOR_KINDS.sequential;
+  const data = new ArrayBuffer(LAYOUT_PARAMS_SIZE);
+  const u32 = new Uint32Array(data);
+  const f32 = new Float32Array(data);
+  u32.set([grid.rows * grid.columns, grid.columns, grid.rows, dispatchX * 64]);
+  f32.set([layout.barSpacing, layout.rowSpacing, layout.heightOffset, layout.heightSpan, size], 4);
+  u32.set([kind, Math.min(stops.length, MAX_STOPS), shape], 9);
+  stops.slice(0, MAX_STOPS).forEach((stop, i) => f32.set(stop, 12 + i * 4));
+  return data;
+}
+
+// Instanced chart for large grids (WebGPU only).  The raw values go to a
+// storage buffer and LAYOUT_WGSL builds the instances on the GPU, so the
+// CPU only copies one float per cell; the draw is indirect because only
+// the GPU knows how many cells were present.  Positions are the final
+// ones, without the eased transitions of the other charts.  `shape` picks
+// the instance layout (0 bars, 1 points), `size(layout)` the base size.
+function createComputeChart(context, { code, geometry, instanceStride, instanceAttributes, shape, size, cellBox }) {
+  const { device, reportError } = context;
+  const { pipeline, bindGroup, shadowPipeline, shadowBindGroup } = createChartPipeline(context, code, [
+    POSITION_NORMAL,
+    { arrayStride: instanceStride * 4, stepMode: 'instance', attributes: instanceAttributes }
+  ], 'back');
+  const module = device.createShaderModule({ label: 'Chart layout', code: LAYOUT_WGSL });
+  checkShaderModule(module, 'Chart layout', LAYOUT_WGSL).catch(reportError);
+  const [rangePipeline, layoutPipeline] = ['range_main', 'layout_main'].map((entryPoint) =>
+    withErrorScope(device, 'Chart layout pipeline', () => device.createComputePipeline({
+      layout: 'auto',
+      compute: { module, entryPoint }
+    }), reportError));
+  const vertexBuffer = staticBuffer(device, geometry.vertices, GPUBufferUsage.VERTEX);
+  const indexBuffer = staticBuffer(device, geometry.indices, GPUBufferUsage.INDEX);
+  const paramsBuffer = device.createBuffer({
+    size: LAYOUT_PARAMS_SIZE,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+  });
+  const argsBuffer = device.createBuffer({
+    size: 5 * 4,
+    usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+  });
+  const resetArgs = new Uint32Array([geometry.indices.length, 0, 0, 0, 0]);
+  const boundsBuffer = device.createBuffer({
+    size: 2 * 4,
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+  });
+  const resetBounds = new Uint32Array([0xffffffff, 0]);
+  // Both grow with the grid; the bind groups are only rebuilt when they do
+  let valueBuffer = null;
+  let instanceBuffer = null;
+  let rangeBindGroup = null;
+  let layoutBindGroup = null;
+  let staging = new Float32Array(0);
+  let cellCount = 0;
+  let present = 0;
+
+  // The measured range, copied out of boundsBuffer by `encoder`
+  async function readRange(encoder) {
+    const readBuffer = device.createBuffer({ size: 2 * 4, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+    encoder.copyBufferToBuffer(boundsBuffer, 0, readBuffer, 0, 2 * 4);
+    device.queue.submit([encoder.finish()]);
+    try {
+      await readBuffer.mapAsync(GPUMapMode.READ);
+      const [low, high] = new Uint32Array(readBuffer.getMappedRange());
+      return low > high ? { min: 0, max: 0 } : { min: fromRangeKey(low), max: fromRangeKey(high) };
+    } catch (err) {
+      // The chart or the device went away first
+      return null;
+    } finally {
+      readBuffer.destroy();
+    }
+  }
+
+  function record(pass, recordPipeline, recordBindGroup) {
+    if (cellCount === 0) return;
+    pass.setPipeline(recordPipeline);
+    pass.setBindGroup(0, recordBindGroup);
+    pass.setVertexBuffer(0, vertexBuffer);
+    pass.setVertexBuffer(1, instanceBuffer);
+    pass.setIndexBuffer(indexBuffer, 'uint16');
+    pass.drawIndexedIndirect(argsBuffer, 0);
+  }
+
+  return {
+    update(layout) {
+      const { grid } = layout;
+      cellCount = grid.rows * grid.columns;
+      present = 0;
+      if (cellCount === 0) return Promise.resolve({ min: 0, max: 0 });
+      if (staging.length < cellCount) staging = new Float32Array(cellCount);
+      for (let i = 0; i < cellCount; i++) {
+        const value = grid.values[i];
+        if (Number.isFinite(value)) {
+          staging[i] = value;
+          present++;
+        } else {
+          staging[i] = MISSING_VALUE;
+        }
+      }
+      const values = ensureBuffer(device, valueBuffer, cellCount * 4, GPUBufferUsage.STORAGE);
+      const instances = ensureBuffer(device, instanceBuffer, cellCount * instanceStride * 4,
+        GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX);
+      if (values !== valueBuffer || instances !== instanceBuffer) {
+        valueBuffer = values;
+        instanceBuffer = instances;
+        rangeBindGroup = device.createBindGroup({
+          layout: rangePipeline.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: paramsBuffer } },
+            { binding: 1, resource: { buffer: valueBuffer } },
+            { binding: 4, resource: { buffer: boundsBuffer } }
+          ]
+        });
+        layoutBindGroup = device.createBindGroup({
+          layout: layoutPipeline.getBindGroupLayout(0),
+          entries: [
+            { binding: 0, resource: { buffer: paramsBuffer } },
+            { binding: 1, resource: { buffer: valueBuffer } },
+            { binding: 2, resource: { buffer: instanceBuffer } },
+            { binding: 3, resource: { buffer: argsBuffer } },
+            { binding: 4, resource: { buffer: boundsBuffer } }
+          ]
+        });
+      }
+      const [x, y] = layoutDispatch(cellCount);
+      device.queue.writeBuffer(valueBuffer, 0, staging, 0, cellCount);
+      device.queue.writeBuffer(paramsBuffer, 0, packLayoutParams(layout, shape, size(layout), x));
+      device.queue.writeBuffer(argsBuffer, 0, resetArgs);
+      device.queue.writeBuffer(boundsBuffer, 0, resetBounds);
+      const encoder = device.createCommandEncoder({ label: 'Chart layout' });
+      // Each dispatch sees the storage writes of the one before
+      const pass = encoder.beginComputePass();
+      pass.setPipeline(rangePipeline);
+      pass.setBindGroup(0, rangeBindGroup);
+      pass.dispatchWorkgroups(x, y);
+      pass.setPipeline(layoutPipeline);
+      pass.setBindGroup(0, layoutBindGroup);
+      pass.dispatchWorkgroups(x, y);
+      pass.end();
+      return readRange(encoder);
+    },
+    draw(pass) {
+      record(pass, pipeline, bindGroup);
+    },
+    drawShadow(pass) {
+      record(pass, shadowPipeline, shadowBindGroup);
+    },
+    // What the indirect draw comes to: one instance per present cell
+    get triangles() {
+      return cellCount === 0 ? 0 : present * (geometry.indices.length / 3);
+    },
+    cellBox,
+    destroy() {
+      vertexBuffer.destroy();
+      indexBuffer.destroy();
+      paramsBuffer.destroy();
+      argsBuffer.destroy();
+      boundsBuffer.destroy();
+      valueBuffer && valueBuffer.destroy();
+      instanceBuffer && instanceBuffer.destroy();
+    }
+  };
+}
+
+// Footprint of a bar in its cell
+function barSize(layout) {
+  return Math.min(layout.barSpacing, layout.rowSpacing) * 2 / 3;
+}
+
+// Instanced cubes standing on y = 0.  Instance: offset.xyz + scale.xyz +
+// color.rgb.  Shared by the WebGPU and WebGL2 versions.
+const BAR_INSTANCES = {
+  instanceStride: 9,
+  instanceAttributes: [
+    { shaderLocation: 2, offset: 0, format: 'float32x3' },
+    { shaderLocation: 3, offset: 3 * 4, format: 'float32x3' },
+    { shaderLocation: 4, offset: 6 * 4, format: 'float32x3' }
+  ],
+  writeInstance(data, offset, layout, row, column) {
+    const height = layout.cellHeight(row, column);
+    const size = barSize(layout) * layout.cellScale(row, column);
+    const [x, z] = layout.cellPosition(row, column);
+    data.set([x, height / 2, z, size, height, size, ...layout.cellColor(row, column)], offset);
+  },
+  cellBox(layout, row, column) {
+    const half = barSize(layout) / 2;
+    const [x, z] = layout.cellPosition(row, column);
+    return { min: [x - half, 0, z - half], max: [x + half, layout.cellHeight(row, column), z + half] };
+  }
+};
+
+const BAR_WGSL = `
+@vertex
+fn vs_main(@location(0) position : vec3<f32>, @location(1) normal : vec3<f32>,
+           @location(2) offset : vec3<f32>, @location(3) scale : vec3<f32>,
+           @location(4) color : vec3<f32>) -> VertexOutput {
+  var out : VertexOutput;
+  // apply scale and offset to cube vertices
+  let worldPos = position * scale + offset;
+  out.Position = uniforms.mvpMatrix * vec4<f32>(worldPos, 1.0);
+  out.vWorldPos = worldPos;
+  // normals transform by the inverse scale
+  // (a zero scale only occurs for bars that are not visible anyway)
+  out.vNormal = normal / max(scale, vec3<f32>(1e-6));
+  out.vColor = color;
+  return out;
+}
+`;
+
+function createBarChart(context) {
+  return createInstancedChart(context, { ...BAR_INSTANCES, geometry: cubeGeometry(), code: BAR_WGSL });
+}
+
+function createComputeBarChart(context) {
+  return createComputeChart(context, { ...BAR_INSTANCES, geometry: cubeGeometry(), code: BAR_WGSL, shape: 0, size: barSize });
+}
+
+function createWebGLBarChart(context) {
+  return createWebGLInstancedChart(context, {
+    ...BAR_INSTANCES,
+    geometry: cubeGeometry(),
+    vertex: `#version 300 es
+layout(std140) uniform Uniforms {
+  mat4 mvpMatrix;
+} uniforms;
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 normal;
+layout(location = 2) in vec3 offset;
+layout(location = 3) in vec3 scale;
+layout(location = 4) in vec3 color;
+out vec3 vColor;
+out vec3 vNormal;
+out vec3 vWorldPos;
+
+void main() {
+  vec3 worldPos = position * scale + offset;
+  gl_Position = glClipDepth(uniforms.mvpMatrix * vec4(worldPos, 1.0));
+  vWorldPos = worldPos;
+  vNormal = normal / max(scale, vec3(1e-6));
+  vColor = color;
+}
+`
+  });
+}
+
+// Scatter point size: grows with the value so magnitude reads twice.
+// LAYOUT_WGSL computes the same.
+function pointSize(layout, row, column) {
+  const base = Math.min(layout.barSpacing, layout.rowSpacing) * 0.6;
+  const height = Math.min(Math.max(layout.cellHeight(row, column), 0), 1);
+  return base * (0.5 + 0.5 * height) * layout.cellScale(row, column);
+}
+
+// Spheres at (series, value, time).  Instance: position.xyz + size +
+// color.rgb
+const SCATTER_WGSL = `
+@vertex
+fn vs_main(@location(0) position : vec3<f32>, @location(1) normal : vec3<f32>,
+           @location(2) center : vec3<f32>, @location(3) size : f32,
+           @location(4) color : vec3<f32>) -> VertexOutput {
+  var out : VertexOutput;
+  let worldPos = position * size + center;
+  out.Position = uniforms.mvpMatrix * vec4<f32>(worldPos, 1.0);
+  out.vWorldPos = worldPos;
+  out.vNormal = normal;
+  out.vColor = color;
+  return out;
+}
+`;
+
+const SCATTER_INSTANCES = {
+  instanceStride: 7,
+  instanceAttributes: [
+    { shaderLocation: 2, offset: 0, format: 'float32x3' },
+    { shaderLocation: 3, offset: 3 * 4, format: 'float32' },
+    { shaderLocation: 4, offset: 4 * 4, format: 'float32x3' }
+  ],
+  writeInstance(data, offset, layout, row, column) {
+    const [x, z] = layout.cellPosition(row, column);
+    data.set([x, layout.cellHeight(row, column), z, pointSize(layout, row, column),
+      ...layout.cellColor(row, column)], offset);
+  },
+  cellBox(layout, row, column) {
+    const half = pointSize(layout, row, column) / 2;
+    const [x, z] = layout.cellPosition(row, column);
+    const y = layout.cellHeight(row, column);
+    return { min: [x - half, y - half, z - half], max: [x + half, y + half, z + half] };
+  }
+};
+
+function createScatterChart(context) {
+  return createInstancedChart(context, { ...SCATTER_INSTANCES, geometry: sphereGeometry(), code: SCATTER_WGSL });
+}
+
+function createComputeScatterChart(context) {
+  return createComputeChart(context, {
+    ...SCATTER_INSTANCES,
+    geometry: sphereGeometry(),
+    code: SCATTER_WGSL,
+    shape: 1,
+    size: (layout) => Math.min(layout.barSpacing, layout.rowSpacing) * 0.6
+  });
+}
+
+// Continuous height field over the grid
+function createSurfaceChart(context) {
+  return createMeshChart(context, {
+    code: COLORED_VERTEX_WGSL,
+    vertexLayout: POSITION_NORMAL_COLOR,
+    // the surface is open, so show its underside too
+    cullMode: 'none',
+    buildMesh({ grid, cellPosition, cellHeight, cellColor }) {
+      const mesh = heightFieldMesh(grid, cellHeight, cellPosition);
+      // Widen position + normal to position + normal + color
+      const count = grid.rows * grid.columns;
+      const vertices = new Float32Array(count * 9);
+      for (let i = 0; i < count; i++) {
+        vertices.set(mesh.vertices.subarray(i * 6, i * 6 + 6), i * 9);
+        vertices.set(cellColor(Math.floor(i / grid.columns), i % grid.columns), i * 9 + 6);
+      }
+      return { vertices, indices: mesh.indices };
+    },
+    cellBox(layout, row, column) {
+      const [x, z] = layout.cellPosition(row, column);
+      const hx = layout.barSpacing / 2;
+      const hz = layout.rowSpacing / 2;
+      return { min: [x - hx, 0, z - hz], max: [x + hx, layout.cellHeight(row, column), z + hz] };
+    }
+  });
+}
+
+// Flat tiles on the floor, one per cell, colored by value
+const HEATMAP_LIFT = 0.002; // keeps the tiles off the ground grid lines
+
+function createHeatmapChart(context) {
+  return createMeshChart(context, {
+    code: COLORED_VERTEX_WGSL,
+    vertexLayout: POSITION_NORMAL_COLOR,
+    cullMode: 'none',
+    buildMesh({ grid, cellPosition, cellScale, cellColor, barSpacing, rowSpacing }) {
+      const vertices = new Float32Array(grid.rows * grid.columns * 4 * 9);
+      const indices = new Uint32Array(grid.rows * grid.columns * 6);
+      let quads = 0;
+      for (let r = 0; r < grid.rows; r++) {
+        for (let c = 0; c < grid.columns; c++) {
+          const value = grid.values[r * grid.columns + c];
+          if (!Number.isFinite(value)) continue;
+          const color = cellColor(r, c);
+          const [x, z] = cellPosition(r, c);
+          const hx = barSpacing * 0.48 * cellScale(r, c);
+          const hz = rowSpacing * 0.48 * cellScale(r, c);
+          [[-hx, hz], [hx, hz], [hx, -hz], [-hx, -hz]].forEach(([dx, dz], k) => {
+            vertices.set([x + dx, HEATMAP_LIFT, z + dz, 0, 1, 0, ...color], (quads * 4 + k) * 9);
+          });
+          indices.set([0, 1, 2, 0, 2, 3].map((i) => quads * 4 + i), quads * 6);
+          quads++;
+        }
+      }
+      return { vertices: vertices.subarray(0, quads * 4 * 9), indices: indices.subarray(0, quads * 6) };
+    },
+    cellBox(layout, row, column) {
+      const [x, z] = layout.cellPosition(row, column);
+      const hx = layout.barSpacing / 2;
+      const hz = layout.rowSpacing / 2;
+      return { min: [x - hx, 0, z - hz], max: [x + hx, HEATMAP_LIFT * 2, z + hz] };
+    }
+  });
+}
+
+// One ribbon per series running back through time at the value height.
+// Gaps in a series split its ribbon; a lone sample gets a short stub.
+function createRibbonChart(context) {
+  return createMeshChart(context, {
+    code: COLORED_VERTEX_WGSL,
+    vertexLayout: POSITION_NORMAL_COLOR,
+    cullMode: 'none',
+    buildMesh({ grid, cellPosition, cellHeight, cellColor, barSpacing, rowSpacing }) {
+      const halfWidth = barSpacing / 3;
+      const vertices = [];
+      const indices = [];
+      // points are [x, y, z, r, g, b]
+      const emitSegment = (points) => {
+        if (points.length === 1) {
+          const [x, y, z, ...color] = points[0];
+          points = [[x, y, z + rowSpacing / 3, ...color], [x, y, z - rowSpacing / 3, ...color]];
+        }
+        const base = vertices.length / 9;
+        points.forEach(([x, y, z, ...color], i) => {
+          const prev = points[Math.max(i - 1, 0)];
+          const next = points[Math.min(i + 1, points.length - 1)];
+          const dhdz = (next[1] - prev[1]) / (next[2] - prev[2] || 1);
+          const len = Math.hypot(1, dhdz);
+          const normal = [0, 1 / len, -dhdz / len];
+          vertices.push(x - halfWidth, y, z, ...normal, ...color, x + halfWidth, y, z, ...normal, ...color);
+          if (i > 0) {
+            const a = base + (i - 1) * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+          }
+        });
+      };
+      for (let c = 0; c < grid.columns; c++) {
+        let points = [];
+        for (let r = 0; r < grid.rows; r++) {
+          const value = grid.values[r * grid.columns + c];
+          if (Number.isFinite(value)) {
+            const [x, z] = cellPosition(r, c);
+            points.push([x, cellHeight(r, c), z, ...cellColor(r, c)]);
+          } else if (points.length) {
+            emitSegment(points);
+            points = [];
+          }
+        }
+        if (points.length) emitSegment(points);
+      }
+      return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+    },
+    cellBox(layout, row, column) {
+      const [x, z] = layout.cellPosition(row, column);
+      const y = layout.cellHeight(row, column);
+      const hx = layout.barSpacing / 3;
+      const hz = layout.rowSpacing / 2;
+      const hy = Math.min(layout.barSpacing, layout.rowSpacing) / 4;
+      return { min: [x - hx, y - hy, z - hz], max: [x + hx, y + hy, z + hz] };
+    }
+  });
+}
+
+// Ground plane under the chart: a quad from `min` to `max` ([x, z]
+// corners) at height `y`, facing up.  Drawn like a chart but passed
+// { min, max, y } instead of a layout; it receives shadows but casts none.
+function groundMesh({ min, max, y }) {
+  const corners = [[min[0], min[1]], [max[0], min[1]], [max[0], max[1]], [min[0], max[1]]];
+  const vertices = new Float32Array(4 * 9);
+  corners.forEach(([x, z], i) => vertices.set([x, y, z, 0, 1, 0, ...GROUND_COLOR], i * 9));
+  return { vertices, indices: new Uint32Array([0, 2, 1, 0, 3, 2]) };
+}
+
+export function createGroundPlane(context) {
+  return createMeshChart(context, {
+    code: COLORED_VERTEX_WGSL,
+    vertexLayout: POSITION_NORMAL_COLOR,
+    cullMode: 'back',
+    buildMesh: groundMesh,
+    cellBox: () => null
+  });
+}
+
+export function createWebGLGroundPlane(context) {
+  const { renderer } = context;
+  const pipeline = renderer.createPipeline({
+    label: 'Ground',
+    vertex: `#version 300 es
+layout(std140) uniform Uniforms {
+  mat4 mvpMatrix;
+} uniforms;
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 normal;
+layout(location = 2) in vec3 color;
+out vec3 vColor;
+out vec3 vNormal;
+out vec3 vWorldPos;
+
+void main() {
+  gl_Position = glClipDepth(uniforms.mvpMatrix * vec4(position, 1.0));
+  vWorldPos = position;
+  vNormal = normal;
+  vColor = color;
+}
+`,
+    fragment: CHART_GLSL_FRAGMENT,
+    buffers: [POSITION_NORMAL_COLOR],
+    uniformBlocks: { Uniforms: 0, Lighting: 1 },
+    cullMode: 'back'
+  });
+  const vertexBuffer = renderer.createBuffer('vertex', 4 * 9 * 4);
+  const indexBuffer = renderer.createBuffer('index', new Uint32Array(6));
+  return {
+    update(ground) {
+      const mesh = groundMesh(ground);
+      renderer.writeBuffer(vertexBuffer, mesh.vertices);
+      renderer.writeBuffer(indexBuffer, mesh.indices);
+    },
+    draw(pass) {
+      pass.setPipeline(pipeline);
+      pass.setUniformBuffer(0, context.uniformBuffer);
+      pass.setUniformBuffer(1, context.lightingBuffer);
+      pass.setVertexBuffer(0, vertexBuffer);
+      pass.setIndexBuffer(indexBuffer, 'uint32');
+      pass.drawIndexed(6);
+    },
+    cellBox: () => null,
+    destroy() {
+      pipeline.destroy();
+      vertexBuffer.destroy();
+      indexBuffer.destroy();
+    }
+  };
+}
+
+// Chart registry used to build the page's chart-type picker
+export const CHART_TYPES = {
+  bars: { label: 'Bars', create: createBarChart, createWebGL: createWebGLBarChart, createCompute: createComputeBarChart },
+  surface: { label: 'Surface', create: createSurfaceChart },
+  heatmap: { label: 'Heatmap', create: createHeatmapChart },
+  scatter: { label: '3D scatter', create: createScatterChart, createCompute: createComputeScatterChart },
+  ribbons: { label: 'Line ribbons', create: createRibbonChart }
+};
@@ -0,0 +1,140 @@
+// colormaps.js
+// Color scales for the visualization.  Continuous maps are sampled between
+// the data minimum and maximum; the categorical map colors by series.  Also
+// builds the on-screen legend that matches the active scale.
+
+import { formatValue } from './axes.js';
+
+function hexColors(list) {
+  return list.map((hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255));
+}
+
+// `stops` are evenly spaced; `diverging` maps centre on zero when the data
+// crosses it
+export const COLORMAPS = {
+  viridis: {
+    label: 'Viridis',
+    stops: hexColors(['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+      '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'])
+  },
+  magma: {
+    label: 'Magma',
+    stops: hexColors(['#000004', '#180f3d', '#440f76', '#721f81', '#9e2f7f',
+      '#cd4071', '#f1605d', '#fd9668', '#feca8d', '#fcfdbf'])
+  },
+  diverging: {
+    label: 'Diverging (blue–red)',
+    diverging: true,
+    stops: hexColors(['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7',
+      '#fddbc7', '#f4a582', '#d6604d', '#b2182b'])
+  },
+  // Bright colors only, for the high-contrast mode's black background
+  highContrast: {
+    label: 'High contrast',
+    stops: hexColors(['#00e5ff', '#76ff03', '#ffea00', '#ffffff'])
+  },
+  categorical: {
+    label: 'Categorical (by series)',
+    categorical: true,
+    stops: hexColors(['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+      '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'])
+  }
+};
+
+// Linear interpolation between the stops of a continuous map, t in [0, 1]
+export function sampleColormap(stops, t) {
+  t = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+  const x = t * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  const f = x - i;
+  return stops[i].map((a, k) => a + (stops[i + 1][k] - a) * f);
+}
+
+// Where a value falls on a map as position(value) = value * scale + offset,
+// plus the stops, in a form a shader can evaluate too.  Returns
+// { categorical, diverging, stops, scale, offset }; the compute layout in
+// charts.js works out scale and offset itself from the kind of map.
+export function colorScaleParams(name, min, max) {
+  const map = COLORMAPS[name] || COLORMAPS.viridis;
+  if (map.categorical) return { categorical: true, diverging: false, stops: map.stops, scale: 0, offset: 0 };
+  if (map.diverging) {
+    const center = min < 0 && max > 0 ? 0 : (min + max) / 2;
+    const spread = Math.max(max - center, center - min) || 1;
+    return { categorical: false, diverging: true, stops: map.stops, scale: 0.5 / spread, offset: 0.5 - (0.5 * center) / spread };
+  }
+  return max > min
+    ? { categorical: false, diverging: false, stops: map.stops, scale: 1 / (max - min), offset: -min / (max - min) }
+    : { categorical: false, diverging: false, stops: map.stops, scale: 0, offset: 1 };
+}
+
+// Build a scale for `name` over the data range.  Returns
+// { color(value, series), position(value), params } where position is the
+// value's place on the legend in [0, 1] and params is colorScaleParams().
+export function createColorScale(name, min, max) {
+  const params = colorScaleParams(name, min, max);
+  const { stops, scale, offset } = params;
+  if (params.categorical) {
+    return {
+      color: (value, series) => stops[series % stops.length],
+      position: () => 0,
+      params
+    };
+  }
+  const position = (value) => value * scale + offset;
+  return {
+    color: (value) => sampleColormap(stops, position(value)),
+    position,
+    params
+  };
+}
+
+function cssColor([r, g, b]) {
+  return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+// Legend for the active scale: a gradient with its value range for the
+// continuous maps, one swatch per series for the categorical map
+export function createLegend(container) {
+  return {
+    update(name, min, max, seriesLabels) {
+      const map = COLORMAPS[name] || COLORMAPS.viridis;
+      container.replaceChildren();
+      if (map.categorical) {
+        const shown = seriesLabels.slice(0, 20);
+        shown.forEach((label, i) => {
+          const item = document.createElement('div');
+          const swatch = document.createElement('span');
+          swatch.className = 'swatch';
+          swatch.style.background = cssColor(map.stops[i % map.stops.length]);
+          item.append(swatch, label);
+          container.appendChild(item);
+        });
+        if (seriesLabels.length > shown.length) {
+          const more = document.createElement('div');
+          more.textContent = `… ${seriesLabels.length - shown.length} more`;
+          container.appendChild(more);
+        }
+        return;
+      }
+      if (!(max >= min)) return;
+      const scale = createColorScale(name, min, max);
+      // Sample through the scale so a diverging centre shows where it really is
+      const steps = 16;
+      const gradient = Array.from({ length: steps + 1 }, (_, i) => {
+        const value = min + ((max - min) * i) / steps;
+        return `${cssColor(scale.color(value))} ${((i / steps) * 100).toFixed(1)}%`;
+      });
+      const bar = document.createElement('div');
+      bar.className = 'gradient';
+      bar.style.background = `linear-gradient(to right, ${gradient.join(', ')})`;
+      const range = document.createElement('div');
+      range.className = 'range';
+      const low = document.createElement('span');
+      low.textContent = formatValue(min);
+      const high = document.createElement('span');
+      high.textContent = formatValue(max);
+      range.append(low, high);
+      container.append(bar, range);
+    }
+  };
+}
@@ -0,0 +1,997 @@
+// core.js
+// Shared rendering core for the viewer and the visualization:
+//  - mat4 / vec3 / quat / ray helpers.  Matrices are column-major Float32Arrays (the
+//    layout WGSL and glTF use) and `multiply(a, b)` returns a * b, so
+//    `multiply(projection, view)` applies the view first.  Clip-space depth is
+//    WebGPU's [0, 1] range.
+//  - createRenderer(), which owns the adapter/device, canvas configuration,
+//    resizing (including devicePixelRatio changes), the depth and multisample
+//    attachments, the frame loop, recovery from device loss and teardown,
+//    plus watchCanvasSize() and createFrameLoop(), the sizing and frame loop
+//    parts, which the WebGL2 fallback (webgl.js) shares.
+//  - The numbers behind the performance HUD (perfhud.js): per-frame CPU time,
+//    draw calls and triangles (countDraws()), GPU pass time from timestamp
+//    queries and the bytes held by the page's buffers and textures.
+// The math has no GPU or DOM dependencies so it can be exercised on its own.
+
+export const vec3 = {
+  create(x = 0, y = 0, z = 0) {
+    return [x, y, z];
+  },
+  add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+  },
+  subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  },
+  scale(a, s) {
+    return [a[0] * s, a[1] * s, a[2] * s];
+  },
+  dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  },
+  cross(a, b) {
+    return [
+      a[1] * b[2] - a[2] * b[1],
+      a[2] * b[0] - a[0] * b[2],
+      a[0] * b[1] - a[1] * b[0]
+    ];
+  },
+  length(a) {
+    return Math.hypot(a[0], a[1], a[2]);
+  },
+  distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+  },
+  normalize(a) {
+    const len = Math.hypot(a[0], a[1], a[2]);
+    return len > 0 ? [a[0] / len, a[1] / len, a[2] / len] : [0, 0, 0];
+  },
+  lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+  },
+  // Transform a point (w = 1) by a 4x4 matrix, with perspective divide
+  transformMat4(a, m) {
+    const x = a[0], y = a[1], z = a[2];
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1;
+    return [
+      (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+      (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+      (m[2] * x + m[6] * y + m[10] * z + m[14]) / w
+    ];
+  },
+  // Rotate a vector by a unit quaternion [x, y, z, w]
+  transformQuat(a, q) {
+    const [qx, qy, qz, qw] = q;
+    const tx = 2 * (qy * a[2] - qz * a[1]);
+    const ty = 2 * (qz * a[0] - qx * a[2]);
+    const tz = 2 * (qx * a[1] - qy * a[0]);
+    return [
+      a[0] + qw * tx + qy * tz - qz * ty,
+      a[1] + qw * ty + qz * tx - qx * tz,
+      a[2] + qw * tz + qx * ty - qy * tx
+    ];
+  }
+};
+
+export const quat = {
+  identity() {
+    return [0, 0, 0, 1];
+  },
+  fromAxisAngle(axis, angle) {
+    const [x, y, z] = vec3.normalize(axis);
+    const s = Math.sin(angle / 2);
+    return [x * s, y * s, z * s, Math.cos(angle / 2)];
+  },
+  // Euler angles in radians, applied as R = Rx * Ry * Rz
+  fromEuler(x, y, z) {
+    const qx = quat.fromAxisAngle([1, 0, 0], x);
+    const qy = quat.fromAxisAngle([0, 1, 0], y);
+    const qz = quat.fromAxisAngle([0, 0, 1], z);
+    return quat.multiply(quat.multiply(qx, qy), qz);
+  },
+  // Inverse of fromEuler, returns [x, y, z] in radians
+  toEuler(q) {
+    const m = mat4.fromTRS(undefined, q);
+    const y = Math.asin(Math.max(-1, Math.min(1, m[8])));
+    if (Math.abs(m[8]) < 0.9999999) {
+      return [Math.atan2(-m[9], m[10]), y, Math.atan2(-m[4], m[0])];
+    }
+    return [Math.atan2(m[6], m[5]), y, 0];
+  },
+  multiply(a, b) {
+    const [ax, ay, az, aw] = a;
+    const [bx, by, bz, bw] = b;
+    return [
+      ax * bw + aw * bx + ay * bz - az * by,
+      ay * bw + aw * by + az * bx - ax * bz,
+      az * bw + aw * bz + ax * by - ay * bx,
+      aw * bw - ax * bx - ay * by - az * bz
+    ];
+  },
+  normalize(q) {
+    const len = Math.hypot(q[0], q[1], q[2], q[3]);
+    return len > 0 ? q.map((c) => c / len) : [0, 0, 0, 1];
+  },
+  slerp(a, b, t) {
+    let [bx, by, bz, bw] = b;
+    let cosom = a[0] * bx + a[1] * by + a[2] * bz + a[3] * bw;
+    // Take the short way round
+    if (cosom < 0) {
+      cosom = -cosom;
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+    }
+    let s0 = 1 - t;
+    let s1 = t;
+    if (1 - cosom > 1e-6) {
+      const omega = Math.acos(cosom);
+      const sinom = Math.sin(omega);
+      s0 = Math.sin((1 - t) * omega) / sinom;
+      s1 = Math.sin(t * omega) / sinom;
+    }
+    return [s0 * a[0] + s1 * bx, s0 * a[1] + s1 * by, s0 * a[2] + s1 * bz, s0 * a[3] + s1 * bw];
+  }
+};
+
+export const mat4 = {
+  identity() {
+    return new Float32Array([
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    ]);
+  },
+  // a * b
+  multiply(a, b) {
+    const out = new Float32Array(16);
+    for (let i = 0; i < 4; ++i) {
+      const ai0 = a[i];
+      const ai1 = a[i + 4];
+      const ai2 = a[i + 8];
+      const ai3 = a[i + 12];
+      out[i] = ai0 * b[0] + ai1 * b[1] + ai2 * b[2] + ai3 * b[3];
+      out[i + 4] = ai0 * b[4] + ai1 * b[5] + ai2 * b[6] + ai3 * b[7];
+      out[i + 8] = ai0 * b[8] + ai1 * b[9] + ai2 * b[10] + ai3 * b[11];
+      out[i + 12] = ai0 * b[12] + ai1 * b[13] + ai2 * b[14] + ai3 * b[15];
+    }
+    return out;
+  },
+  // Right-handed perspective projection mapping depth to WebGPU's [0, 1]
+  perspective(fov, aspect, near, far) {
+    const f = 1.0 / Math.tan(fov / 2);
+    const nf = 1 / (near - far);
+    return new Float32Array([
+      f / aspect, 0, 0, 0,
+      0, f, 0, 0,
+      0, 0, far * nf, -1,
+      0, 0, far * near * nf, 0
+    ]);
+  },
+  // Right-handed orthographic projection mapping depth to [0, 1]
+  orthographic(left, right, bottom, top, near, far) {
+    const lr = 1 / (left - right);
+    const bt = 1 / (bottom - top);
+    const nf = 1 / (near - far);
+    return new Float32Array([
+      -2 * lr, 0, 0, 0,
+      0, -2 * bt, 0, 0,
+      0, 0, nf, 0,
+      (left + right) * lr, (top + bottom) * bt, near * nf, 1
+    ]);
+  },
+  lookAt(eye, center, up) {
+    const z = vec3.normalize(vec3.subtract(eye, center));
+    let x = vec3.normalize(vec3.cross(up, z));
+    if (x[0] === 0 && x[1] === 0 && x[2] === 0) {
+      // Looking straight along `up`: pick any perpendicular axis
+      x = vec3.normalize(vec3.cross(Math.abs(z[0]) < 0.9 ? [1, 0, 0] : [0, 0, 1], z));
+    }
+    const y = vec3.cross(z, x);
+    return new Float32Array([
+      x[0], y[0], z[0], 0,
+      x[1], y[1], z[1], 0,
+      x[2], y[2], z[2], 0,
+      -vec3.dot(x, eye), -vec3.dot(y, eye), -vec3.dot(z, eye), 1
+    ]);
+  },
+  translation(x, y, z) {
+    return new Float32Array([
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      x, y, z, 1
+    ]);
+  },
+  scaling(x, y, z) {
+    return new Float32Array([
+      x, 0, 0, 0,
+      0, y, 0, 0,
+      0, 0, z, 0,
+      0, 0, 0, 1
+    ]);
+  },
+  rotationY(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return new Float32Array([
+      c, 0, -s, 0,
+      0, 1, 0, 0,
+      s, 0, c, 0,
+      0, 0, 0, 1
+    ]);
+  },
+  // Compose translation, rotation (unit quaternion [x, y, z, w]) and scale
+  fromTRS(t = [0, 0, 0], r = [0, 0, 0, 1], s = [1, 1, 1]) {
+    const [x, y, z, w] = r;
+    const x2 = x + x, y2 = y + y, z2 = z + z;
+    const xx = x * x2, xy = x * y2, xz = x * z2;
+    const yy = y * y2, yz = y * z2, zz = z * z2;
+    const wx = w * x2, wy = w * y2, wz = w * z2;
+    return new Float32Array([
+      (1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+      (xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+      (xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+      t[0], t[1], t[2], 1
+    ]);
+  },
+  transpose(m) {
+    const out = new Float32Array(16);
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) {
+        out[c * 4 + r] = m[r * 4 + c];
+      }
+    }
+    return out;
+  },
+  // General inverse; returns null for singular matrices
+  invert(m) {
+    const a00 = m[0], a01 = m[1], a02 = m[2], a03 = m[3];
+    const a10 = m[4], a11 = m[5], a12 = m[6], a13 = m[7];
+    const a20 = m[8], a21 = m[9], a22 = m[10], a23 = m[11];
+    const a30 = m[12], a31 = m[13], a32 = m[14], a33 = m[15];
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+    let det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (!det) return null;
+    det = 1 / det;
+    return new Float32Array([
+      (a11 * b11 - a12 * b10 + a13 * b09) * det,
+      (a02 * b10 - a01 * b11 - a03 * b09) * det,
+      (a31 * b05 - a32 * b04 + a33 * b03) * det,
+      (a22 * b04 - a21 * b05 - a23 * b03) * det,
+      (a12 * b08 - a10 * b11 - a13 * b07) * det,
+      (a00 * b11 - a02 * b08 + a03 * b07) * det,
+      (a32 * b02 - a30 * b05 - a33 * b01) * det,
+      (a20 * b05 - a22 * b02 + a23 * b01) * det,
+      (a10 * b10 - a11 * b08 + a13 * b06) * det,
+      (a01 * b08 - a00 * b10 - a03 * b06) * det,
+      (a30 * b04 - a31 * b02 + a33 * b00) * det,
+      (a21 * b02 - a20 * b04 - a23 * b00) * det,
+      (a11 * b07 - a10 * b09 - a12 * b06) * det,
+      (a00 * b09 - a01 * b07 + a02 * b06) * det,
+      (a31 * b01 - a30 * b03 - a32 * b00) * det,
+      (a20 * b03 - a21 * b01 + a22 * b00) * det
+    ]);
+  },
+  // Inverse-transpose of the upper 3x3 (so normals survive non-uniform scale), as a mat4
+  normalMatrix(m) {
+    const a00 = m[0], a01 = m[1], a02 = m[2];
+    const a10 = m[4], a11 = m[5], a12 = m[6];
+    const a20 = m[8], a21 = m[9], a22 = m[10];
+    const b01 = a22 * a11 - a12 * a21;
+    const b11 = -a22 * a10 + a12 * a20;
+    const b21 = a21 * a10 - a11 * a20;
+    let det = a00 * b01 + a01 * b11 + a02 * b21;
+    det = det ? 1 / det : 0;
+    return new Float32Array([
+      b01 * det, b11 * det, b21 * det, 0,
+      (-a22 * a01 + a02 * a21) * det, (a22 * a00 - a02 * a20) * det, (-a21 * a00 + a01 * a20) * det, 0,
+      (a12 * a01 - a02 * a11) * det, (-a12 * a00 + a02 * a10) * det, (a11 * a00 - a01 * a10) * det, 0,
+      0, 0, 0, 1
+    ]);
+  },
+  // Split an affine matrix into { translation, rotation (quat), scale }.
+  // Shear cannot be represented and is lost.
+  decompose(m) {
+    const translation = [m[12], m[13], m[14]];
+    let sx = Math.hypot(m[0], m[1], m[2]);
+    const sy = Math.hypot(m[4], m[5], m[6]);
+    const sz = Math.hypot(m[8], m[9], m[10]);
+    // A negative determinant means a mirror; put it on x
+    const det = m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+    if (det < 0) sx = -sx;
+    const r = (i, s) => (s ? m[i] / s : 0);
+    // Rotation matrix entries, row-major names over column-major storage
+    const m00 = r(0, sx), m10 = r(1, sx), m20 = r(2, sx);
+    const m01 = r(4, sy), m11 = r(5, sy), m21 = r(6, sy);
+    const m02 = r(8, sz), m12 = r(9, sz), m22 = r(10, sz);
+    const trace = m00 + m11 + m22;
+    let q;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1);
+      q = [(m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s];
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+      q = [0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s];
+    } else if (m11 > m22) {
+      const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+      q = [(m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s];
+    } else {
+      const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+      q = [(m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s];
+    }
+    return { translation, rotation: quat.normalize(q), scale: [sx, sy, sz] };
+  }
+};
+
+export const ray = {
+  // Ray through a canvas pixel.  x and y are CSS pixels relative to the
+  // canvas; `viewProjection` is projection * view (plus any model transform
+  // the picked geometry uses).  Returns { origin, direction } or null.
+  fromScreen(x, y, width, height, viewProjection) {
+    const inverse = mat4.invert(viewProjection);
+    if (!inverse) return null;
+    const ndcX = (x / width) * 2 - 1;
+    const ndcY = 1 - (y / height) * 2;
+    const near = vec3.transformMat4([ndcX, ndcY, 0], inverse);
+    const far = vec3.transformMat4([ndcX, ndcY, 1], inverse);
+    return { origin: near, direction: vec3.normalize(vec3.subtract(far, near)) };
+  },
+  // Distance along the ray to an axis-aligned box, or null if it misses (slab test)
+  intersectBox(r, min, max) {
+    let tmin = -Infinity;
+    let tmax = Infinity;
+    for (let i = 0; i < 3; i++) {
+      if (Math.abs(r.direction[i]) < 1e-12) {
+        if (r.origin[i] < min[i] || r.origin[i] > max[i]) return null;
+        continue;
+      }
+      let t1 = (min[i] - r.origin[i]) / r.direction[i];
+      let t2 = (max[i] - r.origin[i]) / r.direction[i];
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      tmin = Math.max(tmin, t1);
+      tmax = Math.min(tmax, t2);
+      if (tmin > tmax) return null;
+    }
+    if (tmax < 0) return null;
+    return Math.max(tmin, 0);
+  },
+  // Walk the cells of a regular grid on the xz plane that the ray crosses
+  // between distances t0 and t1, nearest first.  Cell (i, k) spans
+  // x in origin[0] + [i, i + 1] * size[0] and z in origin[1] + [k, k + 1] * size[1];
+  // cells outside counts[0] x counts[1] are skipped.  `visit(i, k)`
+  // returning true stops the walk.
+  traverseGrid(r, origin, size, counts, t0, t1, visit) {
+    const start = [r.origin[0] + r.direction[0] * t0, r.origin[2] + r.direction[2] * t0];
+    const direction = [r.direction[0], r.direction[2]];
+    const cell = [0, 1].map((a) => Math.floor((start[a] - origin[a]) / size[a]));
+    const step = direction.map((d) => Math.sign(d));
+    const tDelta = direction.map((d, a) => (d !== 0 ? size[a] / Math.abs(d) : Infinity));
+    const tNext = [0, 1].map((a) => {
+      if (direction[a] === 0) return Infinity;
+      const boundary = origin[a] + (cell[a] + (direction[a] > 0 ? 1 : 0)) * size[a];
+      return t0 + (boundary - start[a]) / direction[a];
+    });
+    for (let t = t0; t <= t1;) {
+      const inside = cell[0] >= 0 && cell[0] < counts[0] && cell[1] >= 0 && cell[1] < counts[1];
+      if (inside && visit(cell[0], cell[1])) return;
+      const a = tNext[0] < tNext[1] ? 0 : 1;
+      if (tNext[a] === Infinity) return;
+      t = tNext[a];
+      cell[a] += step[a];
+      tNext[a] += tDelta[a];
+    }
+  }
+};
+
+// Project a world-space point to CSS pixels.  Returns null behind the camera.
+export function projectToScreen(point, viewProjection, width, height) {
+  const m = viewProjection;
+  const [x, y, z] = point;
+  const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+  if (w <= 0) return null;
+  const cx = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+  const cy = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+  return [(cx * 0.5 + 0.5) * width, (0.5 - cy * 0.5) * height];
+}
+
+// Keep a canvas backing store in sync with its CSS size and
+// devicePixelRatio.  `onSize(width, height)` gets the size in device pixels,
+// clamped to `maxSize()`, after every change and on update().
+export function watchCanvasSize(canvas, maxSize, onSize) {
+  let cssSize = [canvas.clientWidth, canvas.clientHeight];
+  let devicePixelSize = null; // exact size when the browser reports it
+  let stopped = false;
+
+  function update() {
+    const dpr = window.devicePixelRatio || 1;
+    const max = maxSize();
+    const width = Math.max(1, Math.min(max, devicePixelSize ? devicePixelSize[0] : Math.round(cssSize[0] * dpr)));
+    const height = Math.max(1, Math.min(max, devicePixelSize ? devicePixelSize[1] : Math.round(cssSize[1] * dpr)));
+    onSize(width, height);
+  }
+
+  const observer = new ResizeObserver((entries) => {
+    const entry = entries[entries.length - 1];
+    cssSize = [entry.contentRect.width, entry.contentRect.height];
+    const exact = entry.devicePixelContentBoxSize && entry.devicePixelContentBoxSize[0];
+    devicePixelSize = exact ? [exact.inlineSize, exact.blockSize] : null;
+    update();
+  });
+  try {
+    observer.observe(canvas, { box: 'device-pixel-content-box' });
+  } catch (e) {
+    observer.observe(canvas);
+  }
+
+  // devicePixelRatio changes (browser zoom, moving to another monitor) do not
+  // always resize the element, so watch the resolution media query as well.
+  let dprQuery = null;
+  function watchDevicePixelRatio() {
+    dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    dprQuery.addEventListener('change', onDevicePixelRatioChange, { once: true });
+  }
+  function onDevicePixelRatioChange() {
+    devicePixelSize = null;
+    update();
+    if (!stopped) watchDevicePixelRatio();
+  }
+  watchDevicePixelRatio();
+  update();
+
+  return {
+    update,
+    stop() {
+      stopped = true;
+      observer.disconnect();
+      dprQuery.removeEventListener('change', onDevicePixelRatioChange);
+    }
+  };
+}
+
+// Adapter and device, failing with a readable message when there is no
+// adapter.  Timestamp queries are enabled where the adapter has them, for the
+// HUD's GPU time.
+async function requestGPUDevice(options) {
+  const adapter = await navigator.gpu.requestAdapter(options.adapterOptions);
+  if (!adapter) {
+    throw new Error('No suitable GPU adapter was found. WebGPU may be disabled in this browser, or this GPU may not be supported.');
+  }
+  const descriptor = options.deviceDescriptor || {};
+  const requiredFeatures = [...(descriptor.requiredFeatures || [])];
+  if (adapter.features.has('timestamp-query') && !requiredFeatures.includes('timestamp-query')) {
+    requiredFeatures.push('timestamp-query');
+  }
+  const device = await adapter.requestDevice({ ...descriptor, requiredFeatures });
+  return { adapter, device };
+}
+
+// Bytes per texel of the formats the pages create; others count as 4
+const FORMAT_BYTES = {
+  r8unorm: 1, rg8unorm: 2, r16float: 2, depth16unorm: 2,
+  rgba8unorm: 4, 'rgba8unorm-srgb': 4, bgra8unorm: 4, 'bgra8unorm-srgb': 4,
+  r32float: 4, rg16float: 4, depth24plus: 4, 'depth24plus-stencil8': 4, depth32float: 4,
+  rg32float: 8, rgba16float: 8, rgba32float: 16
+};
+
+function textureBytes({ size, format, mipLevelCount = 1, sampleCount = 1 }) {
+  const [width, height = 1, layers = 1] = Array.isArray(size)
+    ? size
+    : [size.width, size.height, size.depthOrArrayLayers];
+  let texels = 0;
+  for (let level = 0; level < mipLevelCount; level++) {
+    texels += Math.max(width >> level, 1) * Math.max(height >> level, 1);
+  }
+  return texels * layers * sampleCount * (FORMAT_BYTES[format] || 4);
+}
+
+// Count the bytes of every buffer and texture created on `device` until it
+// is destroyed.  Wraps createBuffer / createTexture on this device only.
+// The canvas textures belong to the browser and are not included.
+function trackMemory(device) {
+  let bytes = 0;
+  function track(resource, size) {
+    bytes += size;
+    const destroy = resource.destroy.bind(resource);
+    resource.destroy = () => {
+      bytes -= size;
+      size = 0;
+      destroy();
+    };
+    return resource;
+  }
+  const createBuffer = device.createBuffer.bind(device);
+  const createTexture = device.createTexture.bind(device);
+  device.createBuffer = (descriptor) => track(createBuffer(descriptor), descriptor.size);
+  device.createTexture = (descriptor) => track(createTexture(descriptor), textureBytes(descriptor));
+  return {
+    get bytes() {
+      return bytes;
+    }
+  };
+}
+
+// Render pass durations from timestamp queries, summed over a frame.
+// Passes take their timestampWrites from passWrites(), resolve(encoder)
+// copies the results out before the encoder is finished and read() maps them
+// once the frame is submitted, calling onTime(milliseconds).  One readback is
+// in flight at a time; frames drawn meanwhile are not measured.  null when
+// the device has no timestamp queries.
+function createGpuTimer(device, onTime) {
+  if (!device.features.has('timestamp-query')) return null;
+  const capacity = 16;
+  const querySet = device.createQuerySet({ type: 'timestamp', count: capacity });
+  const resolveBuffer = device.createBuffer({
+    size: capacity * 8,
+    usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
+  });
+  const readBuffer = device.createBuffer({
+    size: capacity * 8,
+    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+  });
+  let next = 0; // queries handed out since the last readback
+  let resolved = 0; // how many of them have been copied to readBuffer
+  let reading = false;
+  return {
+    passWrites() {
+      if (reading || next + 2 > capacity) return undefined;
+      const writes = { querySet, beginningOfPassWriteIndex: next, endOfPassWriteIndex: next + 1 };
+      next += 2;
+      return writes;
+    },
+    resolve(encoder) {
+      if (reading || resolved === next) return;
+      encoder.resolveQuerySet(querySet, 0, next, resolveBuffer, 0);
+      encoder.copyBufferToBuffer(resolveBuffer, 0, readBuffer, 0, next * 8);
+      resolved = next;
+    },
+    read() {
+      if (reading || resolved === 0) return;
+      reading = true;
+      const count = resolved;
+      readBuffer.mapAsync(GPUMapMode.READ, 0, count * 8).then(() => {
+        const times = new BigInt64Array(readBuffer.getMappedRange(0, count * 8));
+        let total = 0;
+        for (let i = 0; i < count; i += 2) total += Math.max(Number(times[i + 1] - times[i]), 0);
+        readBuffer.unmap();
+        onTime(total / 1e6);
+      }, () => {
+        // The device was lost or destroyed; the next timer takes over
+      }).then(() => {
+        next = 0;
+        resolved = 0;
+        reading = false;
+      });
+    }
+  };
+}
+
+// Wrap a WebGPU render pass so that its draws are counted into `stats`
+// (renderer.stats) for the HUD.  Triangles assume a triangle list.  An
+// indirect draw counts as a call only, its instance count is on the GPU.
+export function countDraws(pass, stats) {
+  return {
+    setPipeline: (pipeline) => pass.setPipeline(pipeline),
+    setBindGroup: (...args) => pass.setBindGroup(...args),
+    setVertexBuffer: (...args) => pass.setVertexBuffer(...args),
+    setIndexBuffer: (...args) => pass.setIndexBuffer(...args),
+    draw(vertexCount, instanceCount = 1, ...rest) {
+      stats.drawCalls++;
+      stats.triangles += Math.floor(vertexCount / 3) * instanceCount;
+      pass.draw(vertexCount, instanceCount, ...rest);
+    },
+    drawIndexed(indexCount, instanceCount = 1, ...rest) {
+      stats.drawCalls++;
+      stats.triangles += Math.floor(indexCount / 3) * instanceCount;
+      pass.drawIndexed(indexCount, instanceCount, ...rest);
+    },
+    drawIndirect(...args) {
+      stats.drawCalls++;
+      pass.drawIndirect(...args);
+    },
+    drawIndexedIndirect(...args) {
+      stats.drawCalls++;
+      pass.drawIndexedIndirect(...args);
+    },
+    end: () => pass.end()
+  };
+}
+
+// The frame loop both renderers share.  `frame(time, dt)` (dt in seconds)
+// runs every animation frame or, with `onDemand` set, only after request()
+// and for as long as it returns true because something is still moving.
+// Nothing is drawn while the page is hidden.  `stats` holds the last frame's
+// CPU time and the draw calls and triangles counted into it; onFrame
+// listeners run after every frame.  `canRun()` is false while the renderer
+// cannot draw (device lost, destroyed, ...).  A frame that throws goes to
+// `onError` and the loop carries on.
+export function createFrameLoop(canRun, onError) {
+  const frameListeners = [];
+  const stats = { cpuTime: 0, gpuTime: null, drawCalls: 0, triangles: 0 };
+  let frame = null;
+  let animationFrame = 0;
+  let then = 0;
+  let requested = false;
+  let inFrame = false;
+
+  function tick(time) {
+    animationFrame = 0;
+    if (!canRun() || document.hidden) return;
+    const dt = Math.max(time - then, 0) / 1000;
+    then = time;
+    requested = false;
+    stats.drawCalls = 0;
+    stats.triangles = 0;
+    const start = performance.now();
+    inFrame = true;
+    let animating;
+    try {
+      animating = frame(time, dt);
+    } catch (err) {
+      onError(err);
+    } finally {
+      inFrame = false;
+      stats.cpuTime = performance.now() - start;
+    }
+    frameListeners.forEach((listener) => listener(stats));
+    if (!loop.onDemand || animating || requested) animationFrame = requestAnimationFrame(tick);
+  }
+
+  // Schedule a frame unless one is pending; dt counts from now, so time
+  // spent idle or hidden is skipped
+  function wake() {
+    if (inFrame || animationFrame || !frame || !canRun() || document.hidden) return;
+    then = performance.now();
+    animationFrame = requestAnimationFrame(tick);
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) {
+      loop.stop();
+    } else {
+      loop.request();
+    }
+  }
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  const loop = {
+    onDemand: false,
+    stats,
+    start(callback) {
+      frame = callback;
+      loop.stop();
+      loop.request();
+    },
+    // Draw (at least) one more frame
+    request() {
+      requested = true;
+      wake();
+    },
+    stop() {
+      cancelAnimationFrame(animationFrame);
+      animationFrame = 0;
+    },
+    onFrame(listener) {
+      frameListeners.push(listener);
+    },
+    destroy() {
+      loop.stop();
+      frameListeners.length = 0;
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  };
+  return loop;
+}
+
+// Color attachment for a render pass into `target` ({ view, resolveTarget },
+// see renderer.colorTarget()).  Multisampled views are resolved into
+// resolveTarget and need not be kept.
+export function colorAttachment(target, clearColor) {
+  return {
+    view: target.view,
+    resolveTarget: target.resolveTarget,
+    clearValue: { r: clearColor[0], g: clearColor[1], b: clearColor[2], a: 1 },
+    loadOp: 'clear',
+    storeOp: target.resolveTarget ? 'discard' : 'store'
+  };
+}
+
+// Set up WebGPU on a canvas.  The renderer keeps the canvas backing store in
+// sync with its CSS size and devicePixelRatio, recreates the depth (and, with
+// `options.sampleCount` 4, multisampled color) attachments whenever the size
+// changes, and runs the frame loop (see createFrameLoop(); set `onDemand` to
+// draw only after requestFrame()).  When the device is
+// lost it requests a new one and asks the page to rebuild (onDeviceRestored)
+// before the loop resumes.  Call destroy() to stop the loop, detach every
+// listener and release the device.
+export async function createRenderer(canvas, options = {}) {
+  const depthFormat = options.depthFormat || 'depth24plus';
+  let { adapter, device } = await requestGPUDevice(options);
+  const context = canvas.getContext('webgpu');
+  const format = navigator.gpu.getPreferredCanvasFormat();
+  context.configure({
+    device,
+    format,
+    alphaMode: 'opaque'
+  });
+
+  const resizeListeners = [];
+  const lostListeners = [];
+  const restoreListeners = [];
+  const errorListeners = [];
+  let sampleCount = options.sampleCount || 1;
+  let depthTexture = null;
+  let multisampleTexture = null;
+  let lost = false;
+  let paused = false;
+  let destroyed = false;
+  let measureGpuTime = false;
+
+  const loop = createFrameLoop(() => !destroyed && !lost && !paused, reportError);
+  // Both belong to the device and are replaced with it
+  let memory = trackMemory(device);
+  let timer = createGpuTimer(device, onGpuTime);
+  function onGpuTime(ms) {
+    loop.stats.gpuTime = ms;
+  }
+  loop.onFrame(() => timer && timer.read());
+
+  // Uncaptured errors repeat every frame, so each message is reported once
+  const reported = new Set();
+  function reportError(err) {
+    if (reported.has(err.message)) return;
+    reported.add(err.message);
+    if (errorListeners.length === 0) console.error(err);
+    errorListeners.forEach((listener) => listener(err));
+  }
+
+  function watchDevice() {
+    const watched = device;
+    watched.addEventListener('uncapturederror', (e) => reportError(new Error(e.error.message)));
+    watched.lost.then((info) => {
+      if (!destroyed && watched === device && info.reason !== 'destroyed') recover(info);
+    });
+  }
+
+  // Device loss (driver reset, GPU process crash, ...): stop drawing, get a
+  // new device, then let the page rebuild its resources before resuming
+  async function recover(info) {
+    lost = true;
+    loop.stop();
+    lostListeners.forEach((listener) => listener(info));
+    for (let attempt = 1; ; attempt++) {
+      try {
+        ({ adapter, device } = await requestGPUDevice(options));
+        break;
+      } catch (err) {
+        if (attempt === 3) {
+          reportError(new Error(`The GPU device was lost and could not be recreated. ${err.message}`));
+          return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+      }
+    }
+    if (destroyed) {
+      device.destroy();
+      return;
+    }
+    memory = trackMemory(device);
+    timer = createGpuTimer(device, onGpuTime);
+    watchDevice();
+    reported.clear();
+    context.configure({ device, format, alphaMode: 'opaque' });
+    depthTexture = null; // belonged to the lost device
+    size.update();
+    if (!(await rebuild())) return;
+    lost = false;
+    if (!paused) loop.request();
+  }
+
+  // Let the page recreate its pipelines and buffers; false when one failed
+  async function rebuild() {
+    try {
+      for (const listener of restoreListeners) await listener(device);
+      return true;
+    } catch (err) {
+      reportError(err);
+      return false;
+    }
+  }
+
+  function createAttachments(width, height) {
+    if (depthTexture) depthTexture.destroy();
+    if (multisampleTexture) multisampleTexture.destroy();
+    // Post-processing (postprocess.js) reads depth for SSAO
+    depthTexture = device.createTexture({
+      size: [width, height, 1],
+      format: depthFormat,
+      sampleCount,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    });
+    multisampleTexture = sampleCount > 1
+      ? device.createTexture({
+        size: [width, height, 1],
+        format,
+        sampleCount,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT
+      })
+      : null;
+  }
+
+  function applySize(width, height) {
+    if (depthTexture && canvas.width === width && canvas.height === height) return;
+    canvas.width = width;
+    canvas.height = height;
+    createAttachments(width, height);
+    resizeListeners.forEach((listener) => listener(width, height));
+    loop.request();
+  }
+  const size = watchCanvasSize(canvas, () => device.limits.maxTextureDimension2D, applySize);
+  watchDevice();
+
+  const renderer = {
+    backend: 'WebGPU',
+    context,
+    format,
+    depthFormat,
+    canvas,
+
+    // Both are replaced after device loss, so don't keep them across frames
+    get adapter() {
+      return adapter;
+    },
+    get device() {
+      return device;
+    },
+    get lost() {
+      return lost;
+    },
+    get width() {
+      return canvas.width;
+    },
+    get height() {
+      return canvas.height;
+    },
+    get aspect() {
+      return canvas.width / canvas.height;
+    },
+    get depthTexture() {
+      return depthTexture;
+    },
+    // 1, or 4 with multisampling; pipelines must be created with the same count
+    get sampleCount() {
+      return sampleCount;
+    },
+
+    // This frame's color target for colorAttachment(): the swap-chain texture,
+    // or the multisampled texture resolving into it, with the size in pixels
+    colorTarget() {
+      const { width, height } = canvas;
+      const view = context.getCurrentTexture().createView();
+      return multisampleTexture
+        ? { view: multisampleTexture.createView(), resolveTarget: view, width, height }
+        : { view, resolveTarget: undefined, width, height };
+    },
+
+    // Switch multisampling on (4) or off (1).  Every pipeline depends on the
+    // sample count, so drawing pauses while the restore listeners rebuild
+    // them, as after device loss.
+    async setSampleCount(count) {
+      if (count === sampleCount) return;
+      sampleCount = count;
+      if (lost) return; // recover() creates the attachments and rebuilds
+      createAttachments(canvas.width, canvas.height);
+      await renderer.rebuild();
+    },
+
+    // Pause drawing while the restore listeners rebuild the page's
+    // pipelines, for changes they depend on such as the color format
+    async rebuild() {
+      if (lost) return; // recover() rebuilds anyway
+      paused = true;
+      loop.stop();
+      const rebuilt = await rebuild();
+      paused = false;
+      if (rebuilt) loop.request();
+    },
+
+    // Register a callback for (width, height) changes in device pixels
+    onResize(listener) {
+      resizeListeners.push(listener);
+    },
+
+    // Called with the loss info when the device is lost; rendering pauses
+    onDeviceLost(listener) {
+      lostListeners.push(listener);
+    },
+
+    // Called with the new device after a loss, a sample count change or
+    // rebuild(); may return a promise.  Rendering resumes once every listener has finished.
+    onDeviceRestored(listener) {
+      restoreListeners.push(listener);
+    },
+
+    // Called with uncaptured GPU errors and failed recoveries
+    onError(listener) {
+      errorListeners.push(listener);
+    },
+
+    reportError,
+
+    // Run `frame(time, dt)` every animation frame; dt is in seconds.  In
+    // on-demand mode `frame` returns true while it needs more frames.
+    start(frame) {
+      loop.start(frame);
+    },
+
+    // Draw only after requestFrame() instead of every animation frame
+    get onDemand() {
+      return loop.onDemand;
+    },
+    set onDemand(value) {
+      loop.onDemand = !!value;
+      loop.request();
+    },
+    requestFrame() {
+      loop.request();
+    },
+
+    // Called with `stats` after every frame
+    onFrame(listener) {
+      loop.onFrame(listener);
+    },
+
+    // The last frame's { cpuTime, gpuTime, drawCalls, triangles }; times are
+    // in milliseconds, gpuTime is null without timestamp queries.  Pages
+    // count their draws with countDraws().
+    get stats() {
+      return loop.stats;
+    },
+    // Bytes held by the page's buffers and textures
+    get memory() {
+      return memory.bytes;
+    },
+
+    // Time render passes while set (the HUD turns it on).  Passes add
+    // `timestampWrites: renderer.timestampWrites()` to their descriptor and
+    // the encoder calls renderer.resolveTimestamps(encoder) before finish().
+    get measureGpuTime() {
+      return measureGpuTime;
+    },
+    set measureGpuTime(value) {
+      measureGpuTime = !!value;
+    },
+    timestampWrites() {
+      return measureGpuTime && timer ? timer.passWrites() : undefined;
+    },
+    resolveTimestamps(encoder) {
+      if (timer) timer.resolve(encoder);
+    },
+
+    destroy() {
+      destroyed = true;
+      loop.destroy();
+      size.stop();
+      resizeListeners.length = 0;
+      lostListeners.length = 0;
+      restoreListeners.length = 0;
+      errorListeners.length = 0;
+      if (depthTexture) depthTexture.destroy();
+      if (multisampleTexture) multisampleTexture.destroy();
+      context.unconfigure();
+      device.destroy();
+    }
+  };
+  return renderer;
+}
@@ -0,0 +1,361 @@
+// datasources.js
+// Data-source adapters for the visualization.  Every adapter is created from a
+// plain parameter object and exposes the same two methods:
+//   start(onData, onError)  begin delivering samples
+//   stop()                  release timers / sockets
+// A sample is { values: number[], labels: string[] }.  The adapters do not
+// know anything about rendering.
+
+// Evaluate a small path expression against parsed JSON.  Supported syntax:
+//   a.b.c      object keys
+//   a[2]       array index
+//   a[*], a.*  every element / every property value
+// The result is always a flat array of the matched values.
+export function selectPath(data, expression) {
+  if (!expression || !expression.trim()) {
+    return Array.isArray(data) ? data : [data];
+  }
+  const tokens = [];
+  expression.replace(/^\$\.?/, '').replace(/([^.[\]]+)|\[(\*|-?\d+|'[^']*'|"[^"]*")\]/g, (_, key, bracket) => {
+    if (key !== undefined) {
+      tokens.push(key);
+    } else if (/^['"]/.test(bracket)) {
+      tokens.push(bracket.slice(1, -1));
+    } else {
+      tokens.push(bracket === '*' ? '*' : Number(bracket));
+    }
+    return '';
+  });
+  let current = [data];
+  for (const token of tokens) {
+    const next = [];
+    for (const item of current) {
+      if (item === null || typeof item !== 'object') continue;
+      if (token === '*') {
+        next.push(...(Array.isArray(item) ? item : Object.values(item)));
+      } else if (typeof token === 'number' && Array.isArray(item)) {
+        const value = item[token < 0 ? item.length + token : token];
+        if (value !== undefined) next.push(value);
+      } else if (token in item) {
+        next.push(item[token]);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Numbers, or numeric strings such as "64,123.50"
+export function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return parseFloat(value.replace(/,/g, ''));
+  return NaN;
+}
+
+// Build a sample from parsed JSON using value and label path expressions
+export function sampleFromJSON(data, valuePath, labelPath) {
+  const values = selectPath(data, valuePath).map(toNumber);
+  if (values.length === 0) {
+    throw new Error(`No values matched "${valuePath}".`);
+  }
+  if (values.some(Number.isNaN)) {
+    throw new Error(`Some values matched by "${valuePath}" are not numbers.`);
+  }
+  const labels = labelPath ? selectPath(data, labelPath).map(String) : [];
+  return { values, labels: values.map((_, i) => labels[i] ?? String(i + 1)) };
+}
+
+// Split CSV text into rows of fields (handles quoted fields and "" escapes)
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+// Build a sample from CSV text.  Columns are picked by header name or by
+// 1-based index; the first row is treated as a header when the value column
+// is not numeric there.
+export function sampleFromCSV(text, valueColumn, labelColumn) {
+  const rows = parseCSV(text);
+  if (rows.length === 0) throw new Error('The CSV file is empty.');
+  const header = rows[0].map((h) => h.trim());
+  const columnIndex = (column, fallback) => {
+    if (column === undefined || column === null || String(column).trim() === '') return fallback;
+    const byName = header.indexOf(String(column).trim());
+    if (byName >= 0) return byName;
+    const index = parseInt(column, 10) - 1;
+    if (Number.isNaN(index) || index < 0) {
+      throw new Error(`CSV column "${column}" was not found.`);
+    }
+    return index;
+  };
+  const valueIndex = columnIndex(valueColumn, header.length > 1 ? 1 : 0);
+  const labelIndex = columnIndex(labelColumn, header.length > 1 ? 0 : -1);
+  const body = Number.isNaN(toNumber(rows[0][valueIndex])) ? rows.slice(1) : rows;
+  const values = body.map((r) => toNumber(r[valueIndex]));
+  const bad = values.findIndex(Number.isNaN);
+  if (bad >= 0) {
+    throw new Error(`CSV row ${bad + 1 + (rows.length - body.length)}: "${body[bad][valueIndex]}" is not a number.`);
+  }
+  const labels = body.map((r, i) => (labelIndex >= 0 ? (r[labelIndex] || '').trim() : String(i + 1)));
+  return { values, labels };
+}
+
+// Demo data: random values, regenerated every `interval` seconds
+export function createRandomSource({ count = 10, interval = 15 }) {
+  let timer = null;
+  return {
+    start(onData) {
+      const emit = () => {
+        const values = Array.from({ length: count }, () => Math.random() * 100);
+        onData({ values, labels: values.map((_, i) => `#${i + 1}`) });
+      };
+      emit();
+      timer = setInterval(emit, interval * 1000);
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+// Poll a REST endpoint returning JSON every `interval` seconds
+export function createRestSource({ url, valuePath, labelPath, interval = 15 }) {
+  if (!url) throw new Error('Enter the URL to poll.');
+  let timer = null;
+  let controller = null;
+  return {
+    start(onData, onError) {
+      const poll = async () => {
+        // A slow endpoint is not asked again until it has answered
+        if (controller) return;
+        controller = new AbortController();
+        try {
+          const resp = await fetch(url, { signal: controller.signal, cache: 'no-store' });
+          if (!resp.ok) {
+            throw new Error(`${url} responded with HTTP ${resp.status}.`);
+          }
+          onData(sampleFromJSON(await resp.json(), valuePath, labelPath));
+        } catch (e) {
+          if (e.name !== 'AbortError') onError(e);
+        } finally {
+          controller = null;
+        }
+      };
+      poll();
+      timer = setInterval(poll, interval * 1000);
+    },
+    stop() {
+      clearInterval(timer);
+      controller && controller.abort();
+    }
+  };
+}
+
+// Subscribe to a WebSocket stream.  Each message is either JSON (picked apart
+// with the path expressions) or a bare number, which is appended as a new bar.
+export function createWebSocketSource({ url, valuePath, labelPath }) {
+  if (!/^wss?:\/\//.test(url || '')) throw new Error('Enter a ws:// or wss:// URL.');
+  let socket = null;
+  let retryTimer = null;
+  let retryDelay = 1000;
+  let stopped = false;
+  const streamed = { values: [], labels: [] };
+  return {
+    start(onData, onError) {
+      const connect = () => {
+        socket = new WebSocket(url);
+        socket.addEventListener('open', () => {
+          retryDelay = 1000;
+        });
+        socket.addEventListener('message', (event) => {
+          try {
+            const text = String(event.data).trim();
+            const number = toNumber(text);
+            if (!Number.isNaN(number) && /^[-+\d.,eE]+$/.test(text)) {
+              streamed.values.push(number);
+              streamed.labels.push(String(streamed.values.length));
+              onData({ values: [...streamed.values], labels: [...streamed.labels] });
+            } else {
+              onData(sampleFromJSON(JSON.parse(text), valuePath, labelPath));
+            }
+          } catch (e) {
+            onError(new Error(`Bad WebSocket message: ${e.message}`));
+          }
+        });
+        socket.addEventListener('close', () => {
+          if (stopped) return;
+          onError(new Error(`WebSocket closed; reconnecting in ${retryDelay / 1000}s.`));
+          retryTimer = setTimeout(connect, retryDelay);
+          retryDelay = Math.min(retryDelay * 2, 30000);
+        });
+      };
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socket && socket.close();
+    }
+  };
+}
+
+// Read a local CSV or JSON file once.  For JSON the path expressions apply;
+// for CSV they name (or number) the value and label columns.
+export function createFileSource({ file, valuePath, labelPath }) {
+  if (!file) throw new Error('Choose a CSV or JSON file.');
+  return {
+    start(onData, onError) {
+      file.text().then((text) => {
+        if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+          onData(sampleFromJSON(JSON.parse(text), valuePath, labelPath));
+        } else {
+          onData(sampleFromCSV(text, valuePath, labelPath));
+        }
+      }).catch(onError);
+    },
+    stop() {}
+  };
+}
+
+// Adapter registry used to build the page's source picker.  `params` lists
+// the inputs each adapter needs; `create` turns their values into a source.
+export const DATA_SOURCES = {
+  rest: {
+    label: 'REST / JSON URL',
+    params: [
+      { key: 'url', label: 'URL', type: 'url', default: 'https://api.coindesk.com/v1/bpi/currentprice.json' },
+      { key: 'valuePath', label: 'Value path', type: 'text', default: 'bpi.*.rate_float' },
+      { key: 'labelPath', label: 'Label path', type: 'text', default: 'bpi.*.code' },
+      { key: 'interval', label: 'Interval (s)', type: 'number', default: 15, min: 1 }
+    ],
+    create: createRestSource
+  },
+  websocket: {
+    label: 'WebSocket stream',
+    params: [
+      { key: 'url', label: 'URL', type: 'url', default: 'wss://' },
+      { key: 'valuePath', label: 'Value path', type: 'text', default: 'values[*]' },
+      { key: 'labelPath', label: 'Label path', type: 'text', default: 'labels[*]' }
+    ],
+    create: createWebSocketSource
+  },
+  file: {
+    label: 'Local CSV / JSON file',
+    params: [
+      { key: 'file', label: 'File', type: 'file', accept: '.csv,.json,.txt' },
+      { key: 'valuePath', label: 'Value path / column', type: 'text', default: '' },
+      { key: 'labelPath', label: 'Label path / column', type: 'text', default: '' }
+    ],
+    create: createFileSource
+  },
+  random: {
+    label: 'Random demo',
+    params: [
+      { key: 'count', label: 'Bars', type: 'number', default: 10, min: 1, max: 1000000 },
+      { key: 'interval', label: 'Interval (s)', type: 'number', default: 15, min: 1 }
+    ],
+    create: createRandomSource
+  }
+};
+
+// The value of a number input, or the parameter's default when the field is
+// empty, not a number or outside min / max
+function numberParam(param, text) {
+  const value = parseFloat(text);
+  if (Number.isNaN(value)) return param.default;
+  if (param.min !== undefined && value < param.min) return param.default;
+  if (param.max !== undefined && value > param.max) return param.default;
+  return value;
+}
+
+// Build the source picker inside `container`.  `onApply(type, params)` is
+// called when the user applies a configuration.  setDefaults(type, values)
+// replaces the initial field values of one adapter (e.g. from the settings).
+export function createDataSourcePanel(container, initialType, onApply) {
+  const select = document.createElement('select');
+  for (const [type, source] of Object.entries(DATA_SOURCES)) {
+    select.add(new Option(source.label, type, false, type === initialType));
+  }
+  const typeLabel = document.createElement('label');
+  typeLabel.textContent = 'Source ';
+  typeLabel.appendChild(select);
+  const fields = document.createElement('div');
+  const apply = document.createElement('button');
+  apply.textContent = 'Apply';
+  container.append(typeLabel, fields, apply);
+
+  let inputs = {};
+  const defaults = {}; // type -> { key: value }
+  function renderFields() {
+    fields.replaceChildren();
+    inputs = {};
+    for (const param of DATA_SOURCES[select.value].params) {
+      const label = document.createElement('label');
+      label.textContent = param.label + ' ';
+      const input = document.createElement('input');
+      input.type = param.type;
+      if (param.type === 'file') {
+        input.accept = param.accept;
+      } else {
+        const overrides = defaults[select.value] || {};
+        input.value = overrides[param.key] ?? param.default ?? '';
+      }
+      if (param.min !== undefined) input.min = param.min;
+      if (param.max !== undefined) input.max = param.max;
+      label.appendChild(input);
+      fields.appendChild(label);
+      inputs[param.key] = input;
+    }
+  }
+  select.addEventListener('change', renderFields);
+  apply.addEventListener('click', () => {
+    const params = {};
+    for (const param of DATA_SOURCES[select.value].params) {
+      const input = inputs[param.key];
+      params[param.key] = param.type === 'number' ? numberParam(param, input.value)
+        : param.type === 'file' ? input.files[0] : input.value.trim();
+    }
+    onApply(select.value, params);
+  });
+  renderFields();
+
+  return {
+    setDefaults(type, values) {
+      defaults[type] = { ...defaults[type], ...values };
+      if (select.value === type) renderFields();
+    }
+  };
+}
@@ -0,0 +1,376 @@
+// environment.js
+// Backgrounds for the viewer: the solid clear color, a vertical gradient, or
+// an equirectangular HDR environment (Radiance .hdr, RGBE) shown as a skybox
+// and used for image-based reflections.  Holds the RGBE parser, the
+// environment texture upload, the shader code sceneview.js builds its
+// background pipelines and reflections from, and the background panel.
+// Environments are large and stay with the page session; scenes store only
+// the style and gradient colors (scene.js).  WebGL2 draws gradients but has
+// no environment support.
+
+import { mipLevelCount, generateMipmaps } from './textures.js';
+
+export const HDR_EXTENSIONS = ['.hdr'];
+
+// Background uniform: inverse view-projection, top and bottom colors,
+// params (x: 0 gradient / 1 environment, y: intensity)
+export const BACKGROUND_UNIFORM_SIZE = (16 + 4 + 4 + 4) * 4;
+
+export function packBackground({ inverseViewProjection, top, bottom, environment, intensity }) {
+  const data = new Float32Array(BACKGROUND_UNIFORM_SIZE / 4);
+  data.set(inverseViewProjection, 0);
+  data.set([...top, 1], 16);
+  data.set([...bottom, 1], 20);
+  data.set([environment ? 1 : 0, intensity, 0, 0], 24);
+  return data;
+}
+
+function hdrError(message) {
+  return new Error(`Invalid HDR image: ${message}`);
+}
+
+// Read one RGBE scanline at `pos` into `scanline` (width * 4 bytes) and
+// return the position after it.  Handles the usual run-length encoding, the
+// old run-length encoding and flat pixels.
+function readScanline(bytes, pos, width, scanline) {
+  if (width >= 8 && width < 32768 && bytes[pos] === 2 && bytes[pos + 1] === 2 && !(bytes[pos + 2] & 0x80)) {
+    if (((bytes[pos + 2] << 8) | bytes[pos + 3]) !== width) throw hdrError('a scanline has the wrong width');
+    pos += 4;
+    // Each channel is run-length encoded separately
+    for (let channel = 0; channel < 4; channel++) {
+      let x = 0;
+      while (x < width) {
+        if (pos >= bytes.length) throw hdrError('the pixel data is truncated');
+        let count = bytes[pos++];
+        if (count > 128) {
+          count -= 128;
+          if (x + count > width) throw hdrError('a run overflows its scanline');
+          const value = bytes[pos++];
+          for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = value;
+        } else {
+          if (count === 0 || x + count > width) throw hdrError('a run overflows its scanline');
+          for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = bytes[pos++];
+        }
+      }
+    }
+    return pos;
+  }
+  let x = 0;
+  let shift = 0;
+  while (x < width) {
+    if (pos + 4 > bytes.length) throw hdrError('the pixel data is truncated');
+    const [r, g, b, e] = bytes.subarray(pos, pos + 4);
+    pos += 4;
+    if (r === 1 && g === 1 && b === 1) {
+      // Old-style run: repeat the previous pixel, counts of consecutive
+      // runs are successively higher bytes
+      const count = e << shift;
+      if (x === 0 || x + count > width) throw hdrError('a run overflows its scanline');
+      for (let i = 0; i < count; i++, x++) scanline.copyWithin(x * 4, (x - 1) * 4, x * 4);
+      shift += 8;
+    } else {
+      scanline.set([r, g, b, e], (x++) * 4);
+      shift = 0;
+    }
+  }
+  return pos;
+}
+
+// Parse a Radiance .hdr file into { width, height, data: Float32Array },
+// three floats per pixel, rows from the top.  Does not touch WebGPU.
+export function parseHDR(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let pos = 0;
+  function readLine() {
+    const start = pos;
+    while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+    if (pos >= bytes.length) throw hdrError('the header is incomplete');
+    return String.fromCharCode.apply(null, bytes.subarray(start, pos++));
+  }
+  if (!readLine().startsWith('#?')) throw hdrError('this is not a Radiance .hdr file');
+  for (let line = readLine(); line.trim() !== ''; line = readLine()) {
+    const format = /^FORMAT=(.*)$/.exec(line);
+    if (format && format[1].trim() !== '32-bit_rle_rgbe') {
+      throw hdrError(`pixel format "${format[1].trim()}" is not supported; only 32-bit_rle_rgbe is`);
+    }
+  }
+  const resolution = /^([-+])Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+  if (!resolution) throw hdrError('only images stored in rows (-Y h +X w or +Y h +X w) are supported');
+  const height = parseInt(resolution[2], 10);
+  const width = parseInt(resolution[3], 10);
+  if (width === 0 || height === 0) throw hdrError('the image is empty');
+
+  const data = new Float32Array(width * height * 3);
+  const scanline = new Uint8Array(width * 4);
+  for (let y = 0; y < height; y++) {
+    pos = readScanline(bytes, pos, width, scanline);
+    const row = resolution[1] === '-' ? y : height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const e = scanline[x * 4 + 3];
+      const f = e === 0 ? 0 : Math.pow(2, e - 136);
+      const o = (row * width + x) * 3;
+      data[o] = scanline[x * 4] * f;
+      data[o + 1] = scanline[x * 4 + 1] * f;
+      data[o + 2] = scanline[x * 4 + 2] * f;
+    }
+  }
+  return { width, height, data };
+}
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+// IEEE half-precision bits for a float; values beyond the half range clamp
+// to its largest finite value
+export function toHalf(value) {
+  floatView[0] = Math.max(Math.min(value, 65504), -65504);
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    // Subnormal half
+    const shifted = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((shifted + 0x1000) >> 13);
+  }
+  // Adding rounds the mantissa and carries into the exponent when needed
+  return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+// rgba16float texture with a full mip chain; reflections of rough surfaces
+// read the blurrier levels
+export async function createEnvironmentTexture(device, hdr) {
+  const { width, height, data } = hdr;
+  const limit = device.limits.maxTextureDimension2D;
+  if (width > limit || height > limit) {
+    throw new Error(`The HDR image is ${width} × ${height}; this GPU allows at most ${limit} pixels per side.`);
+  }
+  const halves = new Uint16Array(width * height * 4);
+  for (let i = 0, j = 0; i < data.length; i += 3, j += 4) {
+    halves[j] = toHalf(data[i]);
+    halves[j + 1] = toHalf(data[i + 1]);
+    halves[j + 2] = toHalf(data[i + 2]);
+    halves[j + 3] = 0x3c00; // 1.0
+  }
+  const texture = device.createTexture({
+    label: 'Environment',
+    size: [width, height],
+    format: 'rgba16float',
+    mipLevelCount: mipLevelCount(width, height),
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+  });
+  device.queue.writeTexture({ texture }, halves, { bytesPerRow: width * 8 }, [width, height]);
+  await generateMipmaps(device, texture);
+  return texture;
+}
+
+// Wraps around horizontally, clamps at the poles
+export function createEnvironmentSampler(device) {
+  return device.createSampler({
+    addressModeU: 'repeat',
+    addressModeV: 'clamp-to-edge',
+    minFilter: 'linear',
+    magFilter: 'linear',
+    mipmapFilter: 'linear'
+  });
+}
+
+// WGSL for sampling the environment: the texture and sampler at the given
+// group / bindings, `equirectUV(direction)` and `environmentLight(...)`,
+// the image-based diffuse and specular light for one surface point.
+// `params` x: intensity, y: mip level count.
+export function environmentWGSL(group, textureBinding, samplerBinding) {
+  return `
+@group(${group}) @binding(${textureBinding}) var environmentTexture : texture_2d<f32>;
+@group(${group}) @binding(${samplerBinding}) var environmentSampler : sampler;
+
+// +Y is up; the image center looks down -Z
+fn equirectUV(direction : vec3<f32>) -> vec2<f32> {
+  let d = normalize(direction);
+  return vec2<f32>(atan2(d.x, -d.z) * 0.15915494 + 0.5, acos(clamp(d.y, -1.0, 1.0)) * 0.31830989);
+}
+
+fn environmentLight(N : vec3<f32>, V : vec3<f32>, albedo : vec3<f32>, metallic : f32, roughness : f32,
+                    params : vec4<f32>) -> vec3<f32> {
+  // A few levels above 1 x 1 is blurry enough to stand in for irradiance;
+  // rougher surfaces reflect blurrier levels
+  let blurred = max(params.y - 4.0, 0.0);
+  let diffuse = textureSampleLevel(environmentTexture, environmentSampler, equirectUV(N), blurred).rgb;
+  let R = reflect(-V, N);
+  let specular = textureSampleLevel(environmentTexture, environmentSampler, equirectUV(R), roughness * blurred).rgb;
+  let NdotV = max(dot(N, V), 1e-4);
+  let F0 = mix(vec3<f32>(0.04), albedo, metallic);
+  let F = F0 + (max(vec3<f32>(1.0 - roughness), F0) - F0) * pow(1.0 - NdotV, 5.0);
+  return (diffuse * albedo * (1.0 - F) * (1.0 - metallic) + specular * F) * params.x;
+}
+`;
+}
+
+// Fullscreen background: a gradient, or the environment seen through the
+// camera.  Drawn first, without depth, before the scene.
+export const BACKGROUND_WGSL = `
+struct Background {
+  inverseViewProjection : mat4x4<f32>,
+  top : vec4<f32>,
+  bottom : vec4<f32>,
+  params : vec4<f32>,  // x: 0 gradient / 1 environment, y: intensity
+};
+@group(0) @binding(0) var<uniform> background : Background;
+${environmentWGSL(0, 1, 2)}
+
+struct VertexOut {
+  @builtin(position) position : vec4<f32>,
+  @location(0) ndc : vec2<f32>,
+};
+
+@vertex
+fn vs_main(@builtin(vertex_index) index : u32) -> VertexOut {
+  let ndc = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u)) * 2.0 - 1.0;
+  var output : VertexOut;
+  output.position = vec4<f32>(ndc, 0.0, 1.0);
+  output.ndc = ndc;
+  return output;
+}
+
+@fragment
+fn fs_main(input : VertexOut) -> @location(0) vec4<f32> {
+  if (background.params.x < 0.5) {
+    return vec4<f32>(mix(background.bottom.rgb, background.top.rgb, input.ndc.y * 0.5 + 0.5), 1.0);
+  }
+  let near = background.inverseViewProjection * vec4<f32>(input.ndc, 0.0, 1.0);
+  let far = background.inverseViewProjection * vec4<f32>(input.ndc, 1.0, 1.0);
+  let direction = far.xyz / far.w - near.xyz / near.w;
+  let color = textureSampleLevel(environmentTexture, environmentSampler, equirectUV(direction), 0.0).rgb;
+  return vec4<f32>(color * background.params.y, 1.0);
+}
+`;
+
+// The gradient for WebGL2, which has no environment support
+export const BACKGROUND_GLSL_VERTEX = `#version 300 es
+out vec2 vNdc;
+
+void main() {
+  vNdc = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2)) * 2.0 - 1.0;
+  gl_Position = vec4(vNdc, 0.0, 1.0);
+}
+`;
+
+export const BACKGROUND_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+layout(std140) uniform Background {
+  mat4 inverseViewProjection;
+  vec4 top;
+  vec4 bottom;
+  vec4 params;
+} background;
+in vec2 vNdc;
+out vec4 fragColor;
+
+void main() {
+  fragColor = vec4(mix(background.bottom.rgb, background.top.rgb, vNdc.y * 0.5 + 0.5), 1.0);
+}
+`;
+
+// Background panel: style, gradient bottom color and the HDR environment.
+// `state` is { style, gradient, environment, intensity } where environment
+// says whether a loaded HDR is shown; `loadHDR(file)` resolves once the
+// image is in use.  `onChange()` runs after every edit.  Returns `update()`
+// to show a changed state and `setAvailable(flag)` for backends without
+// environment support.
+export function createBackgroundPanel(container, state, { loadHDR, onChange = () => {} }) {
+  const style = document.createElement('select');
+  style.add(new Option('Solid', 'solid'));
+  style.add(new Option('Gradient', 'gradient'));
+  style.addEventListener('change', () => {
+    state.style = style.value;
+    update();
+    onChange();
+  });
+
+  const bottom = document.createElement('input');
+  bottom.type = 'color';
+  bottom.addEventListener('input', () => {
+    state.gradient = [1, 3, 5].map((i) => parseInt(bottom.value.slice(i, i + 2), 16) / 255);
+    onChange();
+  });
+  const bottomLabel = document.createElement('label');
+  bottomLabel.append('Bottom color ', bottom);
+
+  const file = document.createElement('input');
+  file.type = 'file';
+  file.accept = HDR_EXTENSIONS.join(',');
+  file.hidden = true;
+  const load = document.createElement('button');
+  load.type = 'button';
+  load.textContent = 'Load HDR…';
+  load.addEventListener('click', () => file.click());
+  const status = document.createElement('span');
+  status.className = 'status';
+  file.addEventListener('change', async () => {
+    const chosen = file.files[0];
+    file.value = '';
+    if (!chosen) return;
+    status.textContent = `Loading ${chosen.name}…`;
+    load.disabled = true;
+    try {
+      await loadHDR(chosen);
+      status.textContent = chosen.name;
+      show.disabled = false;
+      state.environment = true;
+      update();
+      onChange();
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      load.disabled = false;
+    }
+  });
+
+  const show = document.createElement('input');
+  show.type = 'checkbox';
+  show.disabled = true;
+  show.addEventListener('change', () => {
+    state.environment = show.checked;
+    onChange();
+  });
+  const showLabel = document.createElement('label');
+  showLabel.append(show, ' Skybox and reflections');
+
+  const intensity = document.createElement('input');
+  intensity.type = 'range';
+  intensity.min = 0;
+  intensity.max = 4;
+  intensity.step = 0.05;
+  intensity.addEventListener('input', () => {
+    state.intensity = parseFloat(intensity.value);
+    onChange();
+  });
+  const intensityLabel = document.createElement('label');
+  intensityLabel.append('Intensity ', intensity);
+
+  const styleLabel = document.createElement('label');
+  styleLabel.append('Style ', style);
+  const environmentRow = document.createElement('div');
+  environmentRow.append(file, load, ' ', status);
+  container.append(styleLabel, bottomLabel, environmentRow, showLabel, intensityLabel);
+
+  function update() {
+    style.value = state.style;
+    bottom.value = '#' + state.gradient.map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+    bottomLabel.hidden = state.style !== 'gradient';
+    show.checked = state.environment;
+    intensity.value = state.intensity;
+  }
+  update();
+
+  return {
+    update,
+    // Loading is only offered while an environment can be drawn
+    setAvailable(available) {
+      environmentRow.hidden = !available;
+      showLabel.hidden = !available;
+      intensityLabel.hidden = !available;
+    }
+  };
+}
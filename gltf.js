@@ -0,0 +1,366 @@
+// gltf.js
+// A small glTF 2.0 / GLB parser.  It does not touch WebGPU: the result is a
+// flat list of meshes (typed arrays + world matrix + material factors) that the
+// viewer uploads itself, so the parser can also run in tests without a GPU.
+// Base color textures are kept as their encoded PNG / JPEG bytes,
+// { mimeType, data }; textures.js decodes them.
+
+import { mat4 } from './core.js';
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+const COMPONENT_TYPES = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+// Divisors for normalized integer attributes
+const NORMALIZE_DIVISORS = new Map([
+  [Int8Array, 127],
+  [Uint8Array, 255],
+  [Int16Array, 32767],
+  [Uint16Array, 65535]
+]);
+
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Returns true when the buffer starts with the binary glTF header.
+export function isGLB(arrayBuffer) {
+  return arrayBuffer.byteLength >= 12 && new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC;
+}
+
+// Split a .glb container into its JSON document and (optional) binary chunk.
+export function parseGLB(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  if (!isGLB(arrayBuffer)) {
+    throw new Error('Not a binary glTF file (bad magic).');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error(`Unsupported GLB version ${version}; only glTF 2.0 is supported.`);
+  }
+  const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+  let offset = 12;
+  let json = null;
+  let bin = null;
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (start + chunkLength > length) {
+      throw new Error('GLB chunk extends past the end of the file.');
+    }
+    if (chunkType === GLB_CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+    } else if (chunkType === GLB_CHUNK_BIN && !bin) {
+      bin = new Uint8Array(arrayBuffer, start, chunkLength);
+    }
+    offset = start + chunkLength;
+  }
+  if (!json) {
+    throw new Error('GLB file has no JSON chunk.');
+  }
+  return { json, bin };
+}
+
+// Load a .gltf or .glb file.  `data` is the main file's ArrayBuffer and
+// `loadUri(uri, required)` resolves external resources (e.g. the .bin next to
+// a .gltf) to ArrayBuffers, or to null when an optional one (an image) is
+// missing.  Embedded data: URIs are decoded here.
+export async function loadGLTF(data, loadUri) {
+  let json;
+  let bin = null;
+  if (isGLB(data)) {
+    ({ json, bin } = parseGLB(data));
+  } else {
+    try {
+      json = JSON.parse(new TextDecoder().decode(data));
+    } catch (e) {
+      throw new Error(`Invalid glTF JSON: ${e.message}`);
+    }
+  }
+  const buffers = await Promise.all((json.buffers || []).map(async (buffer, i) => {
+    if (buffer.uri === undefined) {
+      if (!bin) throw new Error(`Buffer ${i} has no uri and there is no GLB binary chunk.`);
+      return bin;
+    }
+    if (buffer.uri.startsWith('data:')) {
+      return decodeDataUri(buffer.uri);
+    }
+    if (!loadUri) {
+      throw new Error(`Buffer ${i} references external file "${buffer.uri}".`);
+    }
+    return new Uint8Array(await loadUri(decodeURIComponent(buffer.uri), true));
+  }));
+  // Images stored in buffer views are read by parseGLTF
+  const images = await Promise.all((json.images || []).map(async (image, i) => {
+    if (image.uri === undefined) return null;
+    if (image.uri.startsWith('data:')) {
+      return decodeDataUri(image.uri);
+    }
+    const data = loadUri ? await loadUri(decodeURIComponent(image.uri), false) : null;
+    if (!data) {
+      console.warn(`Image ${i} ("${image.uri}") was not provided; the model is shown without it.`);
+      return null;
+    }
+    return new Uint8Array(data);
+  }));
+  return parseGLTF(json, buffers, images);
+}
+
+// Convert a parsed glTF document plus its resolved buffers into
+// { meshes: [{ name, positions, normals, colors, uvs, indices, material, matrix }] }.
+// `buffers` are ArrayBuffers or Uint8Arrays in the order of json.buffers;
+// `images` holds the bytes of images stored by uri (null where missing).
+export function parseGLTF(json, buffers = [], images = []) {
+  const version = json.asset && json.asset.version;
+  if (!version || !String(version).startsWith('2')) {
+    throw new Error(`Unsupported glTF version "${version}"; only glTF 2.0 is supported.`);
+  }
+  const gltf = {
+    json,
+    buffers: buffers.map((b) => (b instanceof Uint8Array ? b : new Uint8Array(b)))
+  };
+  const textures = (json.textures || []).map((texture, i) => readTexture(gltf, texture, i, images));
+  const materials = (json.materials || []).map((m) => parseMaterial(m, textures));
+  const meshes = [];
+
+  function visit(nodeIndex, parentMatrix, depth) {
+    const node = json.nodes[nodeIndex];
+    if (!node) throw new Error(`Node ${nodeIndex} does not exist.`);
+    if (depth > 256) throw new Error('Node hierarchy is too deep (cycle?).');
+    const local = node.matrix ? new Float32Array(node.matrix) : mat4.fromTRS(node.translation, node.rotation, node.scale);
+    const world = mat4.multiply(parentMatrix, local);
+    if (node.mesh !== undefined) {
+      appendMesh(gltf, node.mesh, world, materials, meshes);
+    }
+    for (const child of node.children || []) {
+      visit(child, world, depth + 1);
+    }
+  }
+
+  const roots = sceneRoots(json);
+  if (roots) {
+    roots.forEach((root) => visit(root, mat4.identity(), 0));
+  } else {
+    // No nodes at all: show every mesh untransformed
+    (json.meshes || []).forEach((_, i) => appendMesh(gltf, i, mat4.identity(), materials, meshes));
+  }
+  return { meshes };
+}
+
+function sceneRoots(json) {
+  if (!json.nodes || json.nodes.length === 0) return null;
+  if (json.scenes && json.scenes.length) {
+    const index = json.scene === undefined ? 0 : json.scene;
+    const scene = json.scenes[index];
+    if (!scene) throw new Error(`Scene ${index} does not exist; the file has ${json.scenes.length}.`);
+    return scene.nodes || [];
+  }
+  // No scene list: every node that is nobody's child is a root
+  const isChild = new Set();
+  json.nodes.forEach((n) => (n.children || []).forEach((c) => isChild.add(c)));
+  return json.nodes.map((_, i) => i).filter((i) => !isChild.has(i));
+}
+
+// { mimeType, data } for a texture the viewer can show, otherwise null
+function readTexture(gltf, texture, index, images) {
+  const image = gltf.json.images && gltf.json.images[texture.source];
+  if (!image) return null;
+  let data = images[texture.source] || null;
+  if (image.bufferView !== undefined) {
+    const view = gltf.json.bufferViews[image.bufferView];
+    const buffer = view && gltf.buffers[view.buffer];
+    if (!buffer) throw new Error(`Image ${texture.source} refers to a missing buffer view.`);
+    data = buffer.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+  }
+  if (!data) return null;
+  const mimeType = image.mimeType || imageType(image.uri || '');
+  if (!Object.values(IMAGE_TYPES).includes(mimeType)) {
+    console.warn(`Texture ${index} is ${mimeType || 'of an unknown type'}; only PNG and JPEG textures are shown.`);
+    return null;
+  }
+  return { mimeType, data };
+}
+
+function imageType(uri) {
+  const data = /^data:([^;,]+)/.exec(uri);
+  if (data) return data[1];
+  const match = /\.([^./\\]+)$/.exec(uri);
+  return (match && IMAGE_TYPES[match[1].toLowerCase()]) || '';
+}
+
+function parseMaterial(m, textures = []) {
+  const pbr = m.pbrMetallicRoughness || {};
+  const baseColorTexture = pbr.baseColorTexture ? textures[pbr.baseColorTexture.index] : null;
+  return {
+    name: m.name || '',
+    baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+    metallicFactor: pbr.metallicFactor ?? 1,
+    roughnessFactor: pbr.roughnessFactor ?? 1,
+    emissiveFactor: m.emissiveFactor || [0, 0, 0],
+    alphaMode: m.alphaMode || 'OPAQUE',
+    alphaCutoff: m.alphaCutoff ?? 0.5,
+    doubleSided: !!m.doubleSided,
+    baseColorTexture: baseColorTexture || null
+  };
+}
+
+function defaultMaterial() {
+  return parseMaterial({});
+}
+
+function appendMesh(gltf, meshIndex, matrix, materials, out) {
+  const mesh = gltf.json.meshes && gltf.json.meshes[meshIndex];
+  if (!mesh) throw new Error(`Mesh ${meshIndex} does not exist.`);
+  mesh.primitives.forEach((primitive, p) => {
+    const mode = primitive.mode ?? MODE_TRIANGLES;
+    if (mode !== MODE_TRIANGLES && mode !== MODE_TRIANGLE_STRIP && mode !== MODE_TRIANGLE_FAN) {
+      console.warn(`Skipping primitive ${p} of mesh "${mesh.name || meshIndex}": mode ${mode} is not a triangle mode.`);
+      return;
+    }
+    const attributes = primitive.attributes;
+    if (attributes.POSITION === undefined) return;
+    const positions = readFloatAccessor(gltf, attributes.POSITION);
+    const normals = attributes.NORMAL !== undefined ? readFloatAccessor(gltf, attributes.NORMAL) : null;
+    const uvs = attributes.TEXCOORD_0 !== undefined ? readFloatAccessor(gltf, attributes.TEXCOORD_0) : null;
+    let colors = null;
+    if (attributes.COLOR_0 !== undefined) {
+      const accessor = gltf.json.accessors[attributes.COLOR_0];
+      colors = toRGB(readFloatAccessor(gltf, attributes.COLOR_0), TYPE_SIZES[accessor.type]);
+    }
+    const vertexCount = positions.length / 3;
+    let indices = primitive.indices !== undefined ? readAccessor(gltf, primitive.indices) : null;
+    if (mode !== MODE_TRIANGLES) {
+      indices = triangulate(indices, vertexCount, mode);
+    }
+    out.push({
+      name: mesh.name || `mesh${meshIndex}`,
+      positions,
+      normals,
+      colors,
+      uvs,
+      indices: indices && widenIndices(indices, vertexCount),
+      material: primitive.material !== undefined ? materials[primitive.material] : defaultMaterial(),
+      matrix
+    });
+  });
+}
+
+// Read an accessor as its declared typed array, honouring byteStride and sparse storage.
+function readAccessor(gltf, accessorIndex) {
+  const accessor = gltf.json.accessors && gltf.json.accessors[accessorIndex];
+  if (!accessor) throw new Error(`Accessor ${accessorIndex} does not exist.`);
+  const ArrayType = COMPONENT_TYPES[accessor.componentType];
+  const size = TYPE_SIZES[accessor.type];
+  if (!ArrayType || !size) {
+    throw new Error(`Accessor ${accessorIndex} has unsupported type ${accessor.type}/${accessor.componentType}.`);
+  }
+  const out = accessor.bufferView !== undefined
+    ? readBufferView(gltf, accessor.bufferView, accessor.byteOffset || 0, ArrayType, size, accessor.count)
+    : new ArrayType(accessor.count * size);
+  if (accessor.sparse) {
+    const sparse = accessor.sparse;
+    const IndexType = COMPONENT_TYPES[sparse.indices.componentType];
+    const indices = readBufferView(gltf, sparse.indices.bufferView, sparse.indices.byteOffset || 0, IndexType, 1, sparse.count);
+    const values = readBufferView(gltf, sparse.values.bufferView, sparse.values.byteOffset || 0, ArrayType, size, sparse.count);
+    for (let i = 0; i < sparse.count; i++) {
+      out.set(values.subarray(i * size, (i + 1) * size), indices[i] * size);
+    }
+  }
+  return out;
+}
+
+function readBufferView(gltf, viewIndex, byteOffset, ArrayType, size, count) {
+  const view = gltf.json.bufferViews && gltf.json.bufferViews[viewIndex];
+  if (!view) throw new Error(`Buffer view ${viewIndex} does not exist.`);
+  const bytes = gltf.buffers[view.buffer];
+  if (!bytes) throw new Error(`Buffer ${view.buffer} was not loaded.`);
+  const elementBytes = ArrayType.BYTES_PER_ELEMENT * size;
+  const stride = view.byteStride || elementBytes;
+  const start = (view.byteOffset || 0) + byteOffset;
+  if (count > 0 && start + stride * (count - 1) + elementBytes > bytes.byteLength) {
+    throw new Error(`Buffer view ${viewIndex} is out of range of buffer ${view.buffer}.`);
+  }
+  const out = new ArrayType(count * size);
+  const outBytes = new Uint8Array(out.buffer);
+  if (stride === elementBytes) {
+    outBytes.set(bytes.subarray(start, start + count * elementBytes));
+  } else {
+    for (let i = 0; i < count; i++) {
+      const src = start + i * stride;
+      outBytes.set(bytes.subarray(src, src + elementBytes), i * elementBytes);
+    }
+  }
+  return out;
+}
+
+function readFloatAccessor(gltf, accessorIndex) {
+  const data = readAccessor(gltf, accessorIndex);
+  if (data instanceof Float32Array) return data;
+  // Integer data is used as is unless normalized, which maps it to 0..1
+  // (unsigned) or -1..1 (signed, clamped at the low end as the spec says)
+  if (!gltf.json.accessors[accessorIndex].normalized) return Float32Array.from(data);
+  const divisor = NORMALIZE_DIVISORS.get(data.constructor);
+  const out = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    out[i] = Math.max(data[i] / divisor, -1);
+  }
+  return out;
+}
+
+function toRGB(data, components) {
+  if (components === 3) return data;
+  const count = data.length / components;
+  const out = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    out[i * 3] = data[i * components];
+    out[i * 3 + 1] = data[i * components + 1];
+    out[i * 3 + 2] = data[i * components + 2];
+  }
+  return out;
+}
+
+// WebGPU only has uint16 and uint32 index formats, so uint8 indices are widened.
+function widenIndices(indices, vertexCount) {
+  if (indices instanceof Uint16Array || indices instanceof Uint32Array) return indices;
+  return vertexCount > 65535 ? Uint32Array.from(indices) : Uint16Array.from(indices);
+}
+
+// Convert strips and fans to plain triangle lists
+function triangulate(indices, vertexCount, mode) {
+  const count = indices ? indices.length : vertexCount;
+  const at = (i) => (indices ? indices[i] : i);
+  const out = [];
+  for (let i = 2; i < count; i++) {
+    if (mode === MODE_TRIANGLE_FAN) {
+      out.push(at(0), at(i - 1), at(i));
+    } else if (i % 2 === 0) {
+      out.push(at(i - 2), at(i - 1), at(i));
+    } else {
+      out.push(at(i - 1), at(i - 2), at(i));
+    }
+  }
+  return vertexCount > 65535 ? Uint32Array.from(out) : Uint16Array.from(out);
+}
+
+function decodeDataUri(uri) {
+  const comma = uri.indexOf(',');
+  if (comma < 0 || !uri.slice(0, comma).endsWith(';base64')) {
+    throw new Error('Only base64 data: URIs are supported.');
+  }
+  const binary = atob(uri.slice(comma + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
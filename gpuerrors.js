@@ -0,0 +1,90 @@
+// gpuerrors.js
+// Turning WebGPU failures into something a user can read: shader compiler
+// output with line numbers, validation / out-of-memory errors caught with
+// error scopes, device-loss descriptions, and the page message box both
+// pages use to show them.  Device-loss recovery itself lives in
+// createRenderer (core.js).
+
+// Compiler messages as text, one per line, each followed by the offending
+// source line when the code is given
+export function formatCompilationMessages(messages, code = null) {
+  const lines = code ? code.split('\n') : [];
+  return messages.map((m) => {
+    const where = m.lineNum > 0 ? `line ${m.lineNum}:${m.linePos}: ` : '';
+    const source = lines[m.lineNum - 1];
+    return `${where}${m.type}: ${m.message}` + (source !== undefined ? `\n    ${source.trim()}` : '');
+  }).join('\n');
+}
+
+// Resolve once compilation has finished; reject with the compiler errors if
+// there were any.  Warnings only go to the console.
+export async function checkShaderModule(module, label, code = null) {
+  const info = await module.getCompilationInfo();
+  const errors = info.messages.filter((m) => m.type === 'error');
+  const warnings = info.messages.filter((m) => m.type === 'warning');
+  if (warnings.length) {
+    console.warn(`${label} shader warnings:\n${formatCompilationMessages(warnings, code)}`);
+  }
+  if (errors.length) {
+    throw new Error(`${label} shader failed to compile:\n${formatCompilationMessages(errors, code)}`);
+  }
+}
+
+// Run `fn` inside validation and out-of-memory error scopes and return its
+// result.  Scopes resolve asynchronously, so errors arrive later through
+// `onError(error)`, labelled with what was being created.
+export function withErrorScope(device, label, fn, onError) {
+  device.pushErrorScope('out-of-memory');
+  device.pushErrorScope('validation');
+  let result;
+  try {
+    result = fn();
+  } finally {
+    const report = (error) => {
+      if (error) onError(new Error(`${label}: ${error.message}`));
+    };
+    device.popErrorScope().then(report, onError);
+    device.popErrorScope().then(report, onError);
+  }
+  return result;
+}
+
+export function describeDeviceLoss(info) {
+  const detail = info.message ? ` (${info.message})` : '';
+  return `The GPU device was lost${detail}.`;
+}
+
+// The page's #message element.  Errors stay until clicked; notices (such as
+// "recovering…") and questions stay until replaced or hidden.
+export function createMessageBox(element) {
+  function show(text, isError) {
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+    element.style.display = 'block';
+  }
+  function hide() {
+    element.style.display = 'none';
+  }
+  element.addEventListener('click', () => {
+    if (element.classList.contains('error')) hide();
+  });
+  return {
+    error(err) {
+      console.error(err);
+      show(err.message || String(err), true);
+    },
+    notice(text) {
+      show(text, false);
+    },
+    // A notice with one button, for actions that need a user gesture (such as
+    // permission prompts)
+    ask(text, label, onClick) {
+      show(text, false);
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      element.append(' ', button);
+    },
+    hide
+  };
+}
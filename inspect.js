@@ -0,0 +1,358 @@
+// inspect.js
+// Inspection tools for the viewer: the options behind its Inspect panel
+// (wireframe overlay, vertex normals, bounding box, section plane, back-face
+// highlighting and click-to-measure), the line geometry sceneview.js draws
+// for them, picking surface points under the pointer and the model
+// statistics the panel shows.  Overlay line vertices are position.xyz +
+// color.rgb for a line-list pipeline, like the chart axes (axes.js).
+
+import { mat4, vec3, ray } from './core.js';
+
+export const CLIP_AXES = ['x', 'y', 'z'];
+
+const BOX_COLOR = [1.0, 0.8, 0.25];
+const CLIP_COLOR = [1.0, 0.35, 0.35];
+const MEASURE_COLOR = [0.39, 1.0, 0.85];
+const NORMAL_BASE_COLOR = [0.2, 0.45, 1.0];
+const NORMAL_TIP_COLOR = [0.6, 0.9, 1.0];
+
+export function createInspection() {
+  return {
+    wireframe: false,
+    normals: false,
+    bounds: false,
+    backfaces: false, // show back faces, tinted
+    clip: false,
+    clipAxis: 'x',
+    clipPosition: 0.5, // along the axis, as a fraction of the bounds
+    clipFlip: false, // keep the far side instead of the near one
+    measure: false
+  };
+}
+
+// The section plane as [nx, ny, nz, d]: points with dot(n, p) > d are cut
+// away.  All zeros, which cuts nothing, while clipping is off.
+export function clipPlane(inspection, { min, max }) {
+  if (!inspection.clip) return [0, 0, 0, 0];
+  const axis = CLIP_AXES.indexOf(inspection.clipAxis);
+  const position = min[axis] + (max[axis] - min[axis]) * inspection.clipPosition;
+  const plane = [0, 0, 0, position];
+  plane[axis] = 1;
+  return inspection.clipFlip ? plane.map((v) => -v) : plane;
+}
+
+function isClipped(plane, point) {
+  return vec3.dot(plane, point) > plane[3];
+}
+
+// A point counts as picked when it lies within this angle (in radians) of
+// the ray, about the size of a default splat
+const POINT_PICK_ANGLE = 0.004;
+
+function isPointCloud(data) {
+  return data.topology === 'point-list';
+}
+
+// Triangle corners as vertex indices; meshes without indices list their
+// triangles' vertices in order, point clouds have none
+function triangleIndices(data) {
+  if (isPointCloud(data)) return new Uint32Array(0);
+  return data.indices || Uint32Array.from({ length: data.positions.length / 3 }, (_, i) => i);
+}
+
+// Each triangle edge once, as a line-list index buffer over the mesh's vertices
+export function edgeIndices(data) {
+  const indices = triangleIndices(data);
+  const vertexCount = data.positions.length / 3;
+  const seen = new Set();
+  const edges = [];
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[i + k];
+      const b = indices[i + ((k + 1) % 3)];
+      const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push(a, b);
+    }
+  }
+  return new Uint32Array(edges);
+}
+
+// A line of `length` along every vertex normal, in the mesh's local space;
+// none for points without normals
+export function normalLines(data, length) {
+  const { positions, normals } = data;
+  const count = normals ? positions.length / 3 : 0;
+  const out = new Float32Array(count * 12);
+  for (let i = 0; i < count; i++) {
+    const p = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const n = [normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]];
+    out.set([...p, ...NORMAL_BASE_COLOR, ...vec3.add(p, vec3.scale(n, length)), ...NORMAL_TIP_COLOR], i * 12);
+  }
+  return out;
+}
+
+// World-space overlay for the current options: the bounding box, the
+// outline of the section plane and the measured points with the segment
+// between them
+export function overlayLines(inspection, bounds, measured = []) {
+  const lines = [];
+  const line = (a, b, color) => lines.push(...a, ...color, ...b, ...color);
+  const { min, max } = bounds;
+  const corner = (i) => [i & 1 ? max[0] : min[0], i & 2 ? max[1] : min[1], i & 4 ? max[2] : min[2]];
+
+  if (inspection.bounds) {
+    // Corners differing in one bit share an edge
+    for (let i = 0; i < 8; i++) {
+      for (const bit of [1, 2, 4]) {
+        if (!(i & bit)) line(corner(i), corner(i | bit), BOX_COLOR);
+      }
+    }
+  }
+
+  if (inspection.clip) {
+    const axis = CLIP_AXES.indexOf(inspection.clipAxis);
+    const [u, v] = [0, 1, 2].filter((a) => a !== axis);
+    const position = min[axis] + (max[axis] - min[axis]) * inspection.clipPosition;
+    const square = [[min[u], min[v]], [max[u], min[v]], [max[u], max[v]], [min[u], max[v]]].map(([a, b]) => {
+      const p = [0, 0, 0];
+      p[axis] = position;
+      p[u] = a;
+      p[v] = b;
+      return p;
+    });
+    square.forEach((p, i) => line(p, square[(i + 1) % 4], CLIP_COLOR));
+  }
+
+  // A small cross on each picked point
+  const size = vec3.distance(min, max) * 0.01;
+  for (const point of measured) {
+    for (let axis = 0; axis < 3; axis++) {
+      const offset = [0, 0, 0];
+      offset[axis] = size;
+      line(vec3.subtract(point, offset), vec3.add(point, offset), MEASURE_COLOR);
+    }
+  }
+  if (measured.length === 2) line(measured[0], measured[1], MEASURE_COLOR);
+  return new Float32Array(lines);
+}
+
+export function formatLength(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+}
+
+// Text for the overlay (axes.js createLabelOverlay): the box's size along
+// each axis at the middle of an edge, and the measured distance
+export function overlayLabels(inspection, bounds, measured = []) {
+  const labels = [];
+  const { min, max } = bounds;
+  if (inspection.bounds) {
+    const mid = vec3.lerp(min, max, 0.5);
+    labels.push(
+      { text: `x ${formatLength(max[0] - min[0])}`, position: [mid[0], min[1], max[2]], className: 'dimension' },
+      { text: `y ${formatLength(max[1] - min[1])}`, position: [min[0], mid[1], max[2]], className: 'dimension' },
+      { text: `z ${formatLength(max[2] - min[2])}`, position: [max[0], min[1], mid[2]], className: 'dimension' }
+    );
+  }
+  if (measured.length === 2) {
+    labels.push({
+      text: formatLength(vec3.distance(measured[0], measured[1])),
+      position: vec3.lerp(measured[0], measured[1], 0.5),
+      className: 'measure'
+    });
+  }
+  return labels;
+}
+
+// Distance along `r` to a triangle, or null if it misses (Möller-Trumbore).
+// Both faces count.
+function intersectTriangle(r, a, b, c) {
+  const e1 = vec3.subtract(b, a);
+  const e2 = vec3.subtract(c, a);
+  const p = vec3.cross(r.direction, e2);
+  const det = vec3.dot(e1, p);
+  if (Math.abs(det) < 1e-12) return null;
+  const s = vec3.subtract(r.origin, a);
+  const u = vec3.dot(s, p) / det;
+  if (u < 0 || u > 1) return null;
+  const q = vec3.cross(s, e1);
+  const v = vec3.dot(r.direction, q) / det;
+  if (v < 0 || u + v > 1) return null;
+  const t = vec3.dot(e2, q) / det;
+  return t > 0 ? t : null;
+}
+
+// Distance along `r` to the nearest point of a cloud close enough to it
+// (see POINT_PICK_ANGLE), or null.  `r.direction` may be scaled, as in
+// pickSurface(); the angle is measured in the same units.
+function intersectPoints(r, positions, isHidden) {
+  const length = vec3.length(r.direction);
+  let best = null;
+  for (let i = 0; i < positions.length; i += 3) {
+    const p = [positions[i], positions[i + 1], positions[i + 2]];
+    const offset = vec3.subtract(p, r.origin);
+    const t = vec3.dot(offset, r.direction) / (length * length);
+    if (t <= 0 || (best !== null && t >= best)) continue;
+    const miss = vec3.distance(offset, vec3.scale(r.direction, t)) / length;
+    if (miss <= t * POINT_PICK_ANGLE && !isHidden(t)) best = t;
+  }
+  return best;
+}
+
+// The nearest point of the visible geometry along a world-space ray, or
+// null.  Surfaces cut away by `plane` (see clipPlane()) are skipped; point
+// clouds are hit at their points.
+export function pickSurface(graph, r, plane = [0, 0, 0, 0]) {
+  let best = null;
+  const atDistance = (t) => vec3.add(r.origin, vec3.scale(r.direction, t));
+  for (const { mesh, nodes } of graph.batches()) {
+    const { positions } = mesh.data;
+    const points = isPointCloud(mesh.data);
+    const indices = triangleIndices(mesh.data);
+    const vertex = (i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    for (const node of nodes) {
+      const inverse = mat4.invert(node.worldMatrix);
+      if (!inverse) continue;
+      // In the node's local space; the direction is not renormalized, so
+      // distances along the ray stay world distances
+      const origin = vec3.transformMat4(r.origin, inverse);
+      const local = {
+        origin,
+        direction: vec3.subtract(vec3.transformMat4(vec3.add(r.origin, r.direction), inverse), origin)
+      };
+      if (ray.intersectBox(local, mesh.bounds.min, mesh.bounds.max) === null) continue;
+      if (points) {
+        const t = intersectPoints(local, positions, (d) => isClipped(plane, atDistance(d)));
+        if (t !== null && (!best || t < best.t)) best = { t, point: atDistance(t) };
+        continue;
+      }
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        const t = intersectTriangle(local, vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2]));
+        if (t === null || (best && t >= best.t)) continue;
+        const point = atDistance(t);
+        if (!isClipped(plane, point)) best = { t, point };
+      }
+    }
+  }
+  return best && best.point;
+}
+
+// Counts for the stats panel.  Vertices, triangles and points count every
+// instance; draws are the calls sceneview.js makes: one instanced call per
+// mesh and base color texture, and one per point-cloud node.
+export function sceneStats(graph) {
+  const stats = { nodes: 0, vertices: 0, triangles: 0, points: 0, draws: 0 };
+  for (const { mesh, nodes } of graph.batches()) {
+    const { positions, indices } = mesh.data;
+    const count = positions.length / 3;
+    stats.nodes += nodes.length;
+    if (isPointCloud(mesh.data)) {
+      stats.points += count * nodes.length;
+      stats.draws += nodes.length;
+      continue;
+    }
+    stats.vertices += count * nodes.length;
+    stats.triangles += Math.floor((indices ? indices.length : count) / 3) * nodes.length;
+    stats.draws += new Set(nodes.map((node) => node.material.baseColorTexture || null)).size;
+  }
+  return stats;
+}
+
+// Inspect panel: the tool toggles, section plane controls, the measured
+// distance and the model statistics.  `onChange()` runs after every edit;
+// setStats() and setMeasurement() refresh the read-outs.
+export function createInspectPanel(container, inspection, { onChange = () => {}, onClearMeasurement = () => {} } = {}) {
+  function checkbox(key, text) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = inspection[key];
+    input.addEventListener('change', () => {
+      inspection[key] = input.checked;
+      update();
+      onChange();
+    });
+    label.append(input, ' ' + text);
+    container.appendChild(label);
+    return label;
+  }
+
+  checkbox('wireframe', 'Wireframe');
+  checkbox('normals', 'Vertex normals');
+  checkbox('bounds', 'Bounding box');
+  checkbox('backfaces', 'Highlight back faces');
+  checkbox('clip', 'Section plane');
+
+  const clipAxisLabel = document.createElement('label');
+  clipAxisLabel.textContent = 'Axis ';
+  const clipAxis = document.createElement('select');
+  CLIP_AXES.forEach((axis) => clipAxis.add(new Option(axis.toUpperCase(), axis, false, inspection.clipAxis === axis)));
+  clipAxis.addEventListener('change', () => {
+    inspection.clipAxis = clipAxis.value;
+    onChange();
+  });
+  clipAxisLabel.appendChild(clipAxis);
+
+  const clipPositionLabel = document.createElement('label');
+  clipPositionLabel.textContent = 'Position ';
+  const clipPosition = document.createElement('input');
+  clipPosition.type = 'range';
+  clipPosition.min = 0;
+  clipPosition.max = 1;
+  clipPosition.step = 0.005;
+  clipPosition.value = inspection.clipPosition;
+  clipPosition.addEventListener('input', () => {
+    inspection.clipPosition = parseFloat(clipPosition.value);
+    onChange();
+  });
+  clipPositionLabel.appendChild(clipPosition);
+  container.append(clipAxisLabel, clipPositionLabel);
+  const clipFlipLabel = checkbox('clipFlip', 'Flip side');
+
+  checkbox('measure', 'Measure (click two points)');
+  const measurement = document.createElement('div');
+  measurement.className = 'status';
+  const clear = document.createElement('button');
+  clear.textContent = 'Clear';
+  clear.addEventListener('click', onClearMeasurement);
+  const measureRow = document.createElement('div');
+  measureRow.append(measurement, clear);
+  container.appendChild(measureRow);
+
+  const stats = document.createElement('div');
+  stats.className = 'status';
+  container.appendChild(stats);
+
+  function update() {
+    for (const label of [clipAxisLabel, clipPositionLabel, clipFlipLabel]) label.hidden = !inspection.clip;
+    measureRow.hidden = !inspection.measure;
+  }
+  update();
+
+  return {
+    // `points` are the picked points so far (0, 1 or 2)
+    setMeasurement(points) {
+      measurement.textContent = points.length === 2
+        ? `Distance ${formatLength(vec3.distance(points[0], points[1]))}`
+        : points.length === 1 ? 'Click a second point' : 'Click a point on the model';
+      clear.hidden = points.length === 0;
+    },
+
+    setStats({ nodes, vertices, triangles, points, draws }, { min, max }) {
+      const vector = (v) => v.map(formatLength).join(', ');
+      stats.replaceChildren(...[
+        `${nodes.toLocaleString()} nodes, ${draws.toLocaleString()} draw calls`,
+        `${vertices.toLocaleString()} vertices, ${triangles.toLocaleString()} triangles`,
+        ...(points > 0 ? [`${points.toLocaleString()} points`] : []),
+        `Size ${vector(vec3.subtract(max, min))}`,
+        `Min ${vector(min)}`,
+        `Max ${vector(max)}`
+      ].map((text) => {
+        const row = document.createElement('div');
+        row.textContent = text;
+        return row;
+      }));
+    }
+  };
+}
@@ -0,0 +1,220 @@
+// lighting.js
+// Shared lighting model for the viewer and the visualization: a WGSL snippet
+// with the lighting uniform block and shading functions (Blinn-Phong and
+// metallic-roughness PBR), the same in GLSL for the WebGL2 fallback, the
+// code that packs the uniform buffer, and the small settings panel both
+// pages show.
+
+import { shadowWGSL } from './shadows.js';
+
+export const SHADING_MODELS = { 'blinn-phong': 0, pbr: 1 };
+
+// 7 vec4s, see the Lighting struct below
+export const LIGHTING_UNIFORM_SIZE = 7 * 16;
+
+export function createLighting() {
+  return {
+    azimuth: 45, // degrees around +Y
+    elevation: 50, // degrees above the horizon
+    intensity: 1.0,
+    color: [1, 1, 1],
+    ambient: 0.25,
+    pointIntensity: 0.0, // headlight at the camera position
+    model: 'pbr'
+  };
+}
+
+// WGSL declarations for the lighting uniform block at the given group/binding
+// plus `shade(...)`, which returns the lit color for one surface point.
+// With `shadowBinding` the shadow map (shadows.js) is declared at that
+// binding and the next two, and dims the directional light.
+export function lightingWGSL(group, binding, shadowBinding = null) {
+  const shadowed = shadowBinding !== null;
+  return `
+${shadowed ? shadowWGSL(group, shadowBinding) : ''}
+struct Lighting {
+  direction : vec4<f32>,      // xyz: direction the light travels, w: intensity
+  color : vec4<f32>,
+  pointPosition : vec4<f32>,  // xyz: position, w: intensity
+  pointColor : vec4<f32>,     // rgb: color, w: range
+  ambient : vec4<f32>,
+  cameraPosition : vec4<f32>,
+  params : vec4<f32>,         // x: shading model (0 Blinn-Phong, 1 PBR)
+};
+@binding(${binding}) @group(${group}) var<uniform> lighting : Lighting;
+
+const PI = 3.14159265359;
+
+fn lightContribution(L : vec3<f32>, radiance : vec3<f32>, N : vec3<f32>, V : vec3<f32>,
+                     albedo : vec3<f32>, metallic : f32, roughness : f32) -> vec3<f32> {
+  let NdotL = max(dot(N, L), 0.0);
+  if (NdotL <= 0.0) {
+    return vec3<f32>(0.0);
+  }
+  let H = normalize(L + V);
+  let NdotH = max(dot(N, H), 0.0);
+  if (lighting.params.x < 0.5) {
+    // Blinn-Phong, with the exponent derived from roughness
+    let r4 = max(roughness * roughness * roughness * roughness, 1e-4);
+    let shininess = min(2.0 / r4 - 2.0, 2048.0);
+    let specular = mix(vec3<f32>(0.04), albedo, metallic) * pow(NdotH, shininess) * (shininess + 8.0) / (8.0 * PI);
+    return radiance * NdotL * (albedo * (1.0 - metallic) + specular);
+  }
+  // Cook-Torrance: GGX distribution, Smith-Schlick geometry, Schlick Fresnel
+  let a = roughness * roughness;
+  let a2 = a * a;
+  let NdotV = max(dot(N, V), 1e-4);
+  let d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+  let D = a2 / (PI * d * d);
+  let k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+  let G = (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+  let F0 = mix(vec3<f32>(0.04), albedo, metallic);
+  let F = F0 + (1.0 - F0) * pow(1.0 - max(dot(H, V), 0.0), 5.0);
+  let specular = D * G * F / (4.0 * NdotV * NdotL + 1e-4);
+  let kd = (1.0 - F) * (1.0 - metallic);
+  // Scaled by PI so the same intensity reads the same in both models
+  return (kd * albedo / PI + specular) * radiance * NdotL * PI;
+}
+
+fn shade(albedo : vec3<f32>, normal : vec3<f32>, worldPos : vec3<f32>, metallic : f32, roughness : f32) -> vec3<f32> {
+  let N = normalize(normal);
+  let V = normalize(lighting.cameraPosition.xyz - worldPos);
+  let r = clamp(roughness, 0.04, 1.0);
+  var color = lighting.ambient.rgb * albedo;
+  let visibility = ${shadowed ? 'shadowFactor(worldPos, N)' : '1.0'};
+  color += lightContribution(-normalize(lighting.direction.xyz), lighting.color.rgb * lighting.direction.w * visibility,
+                             N, V, albedo, metallic, r);
+  let toPoint = lighting.pointPosition.xyz - worldPos;
+  let dist = length(toPoint);
+  let falloff = 1.0 / (1.0 + (dist / lighting.pointColor.w) * (dist / lighting.pointColor.w));
+  color += lightContribution(toPoint / max(dist, 1e-4), lighting.pointColor.rgb * lighting.pointPosition.w * falloff,
+                             N, V, albedo, metallic, r);
+  return color;
+}
+`;
+}
+
+// GLSL ES 3.00 version of lightingWGSL() for the WebGL2 fallback.  The block
+// is bound to the pipeline's `Lighting` uniform block binding.
+export const LIGHTING_GLSL = `
+layout(std140) uniform Lighting {
+  vec4 direction;      // xyz: direction the light travels, w: intensity
+  vec4 color;
+  vec4 pointPosition;  // xyz: position, w: intensity
+  vec4 pointColor;     // rgb: color, w: range
+  vec4 ambient;
+  vec4 cameraPosition;
+  vec4 params;         // x: shading model (0 Blinn-Phong, 1 PBR)
+} lighting;
+
+const float PI = 3.14159265359;
+
+vec3 lightContribution(vec3 L, vec3 radiance, vec3 N, vec3 V, vec3 albedo, float metallic, float roughness) {
+  float NdotL = max(dot(N, L), 0.0);
+  if (NdotL <= 0.0) {
+    return vec3(0.0);
+  }
+  vec3 H = normalize(L + V);
+  float NdotH = max(dot(N, H), 0.0);
+  if (lighting.params.x < 0.5) {
+    float r4 = max(roughness * roughness * roughness * roughness, 1e-4);
+    float shininess = min(2.0 / r4 - 2.0, 2048.0);
+    vec3 specular = mix(vec3(0.04), albedo, metallic) * pow(NdotH, shininess) * (shininess + 8.0) / (8.0 * PI);
+    return radiance * NdotL * (albedo * (1.0 - metallic) + specular);
+  }
+  float a = roughness * roughness;
+  float a2 = a * a;
+  float NdotV = max(dot(N, V), 1e-4);
+  float d = NdotH * NdotH * (a2 - 1.0) + 1.0;
+  float D = a2 / (PI * d * d);
+  float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+  float G = (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+  vec3 F0 = mix(vec3(0.04), albedo, metallic);
+  vec3 F = F0 + (1.0 - F0) * pow(1.0 - max(dot(H, V), 0.0), 5.0);
+  vec3 specular = D * G * F / (4.0 * NdotV * NdotL + 1e-4);
+  vec3 kd = (1.0 - F) * (1.0 - metallic);
+  return (kd * albedo / PI + specular) * radiance * NdotL * PI;
+}
+
+vec3 shade(vec3 albedo, vec3 normal, vec3 worldPos, float metallic, float roughness) {
+  vec3 N = normalize(normal);
+  vec3 V = normalize(lighting.cameraPosition.xyz - worldPos);
+  float r = clamp(roughness, 0.04, 1.0);
+  vec3 color = lighting.ambient.rgb * albedo;
+  color += lightContribution(-normalize(lighting.direction.xyz), lighting.color.rgb * lighting.direction.w,
+                             N, V, albedo, metallic, r);
+  vec3 toPoint = lighting.pointPosition.xyz - worldPos;
+  float dist = length(toPoint);
+  float falloff = 1.0 / (1.0 + (dist / lighting.pointColor.w) * (dist / lighting.pointColor.w));
+  color += lightContribution(toPoint / max(dist, 1e-4), lighting.pointColor.rgb * lighting.pointPosition.w * falloff,
+                             N, V, albedo, metallic, r);
+  return color;
+}
+`;
+
+// Direction the directional light travels, from its azimuth/elevation
+export function lightDirection(lighting) {
+  const az = (lighting.azimuth * Math.PI) / 180;
+  const el = (lighting.elevation * Math.PI) / 180;
+  return [-Math.cos(el) * Math.sin(az), -Math.sin(el), -Math.cos(el) * Math.cos(az)];
+}
+
+// Pack the lighting state into the uniform block layout (the same under
+// WGSL and std140).  The point light is a headlight at `eye`; `range` is the
+// distance at which it falls to half.
+export function packLighting(lighting, eye, range) {
+  const data = new Float32Array(LIGHTING_UNIFORM_SIZE / 4);
+  data.set([...lightDirection(lighting), lighting.intensity], 0);
+  data.set([...lighting.color, 1], 4);
+  data.set([...eye, lighting.pointIntensity], 8);
+  data.set([1, 1, 1, Math.max(range, 1e-3)], 12);
+  data.set([lighting.ambient, lighting.ambient, lighting.ambient, 1], 16);
+  data.set([...eye, 1], 20);
+  data.set([SHADING_MODELS[lighting.model] ?? 1, 0, 0, 0], 24);
+  return data;
+}
+
+export function writeLighting(device, buffer, lighting, eye, range) {
+  device.queue.writeBuffer(buffer, 0, packLighting(lighting, eye, range));
+}
+
+// Fill a container (usually a <details> element) with controls bound to
+// `lighting`; `onChange()` runs after every edit
+export function createLightingPanel(container, lighting, onChange = () => {}) {
+  const controls = [
+    { key: 'model', label: 'Shading', options: { pbr: 'PBR (metal/rough)', 'blinn-phong': 'Blinn-Phong' } },
+    { key: 'azimuth', label: 'Light azimuth', min: 0, max: 360, step: 1 },
+    { key: 'elevation', label: 'Light elevation', min: -90, max: 90, step: 1 },
+    { key: 'intensity', label: 'Intensity', min: 0, max: 5, step: 0.05 },
+    { key: 'ambient', label: 'Ambient', min: 0, max: 1, step: 0.01 },
+    { key: 'pointIntensity', label: 'Headlight', min: 0, max: 5, step: 0.05 }
+  ];
+  for (const control of controls) {
+    const label = document.createElement('label');
+    label.textContent = control.label + ' ';
+    let input;
+    if (control.options) {
+      input = document.createElement('select');
+      for (const [value, text] of Object.entries(control.options)) {
+        input.add(new Option(text, value, false, lighting[control.key] === value));
+      }
+      input.addEventListener('change', () => {
+        lighting[control.key] = input.value;
+        onChange();
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = 'range';
+      input.min = control.min;
+      input.max = control.max;
+      input.step = control.step;
+      input.value = lighting[control.key];
+      input.addEventListener('input', () => {
+        lighting[control.key] = parseFloat(input.value);
+        onChange();
+      });
+    }
+    label.appendChild(input);
+    container.appendChild(label);
+  }
+}
@@ -0,0 +1,495 @@
+// loaders.js
+// Parsers for the mesh formats the viewer can import (OBJ/MTL, ASCII and
+// binary STL) plus the shared helpers that turn user-selected files or a
+// URL into a model.  Every parser returns the same shape as gltf.js:
+//   { meshes: [{ name, positions, normals, colors, uvs, indices, material, matrix }] }
+// and none of them touch WebGPU.  Point clouds (PLY and XYZ, see
+// pointclouds.js) add `topology: 'point-list'`; other meshes are triangle
+// lists.
+
+import { mat4 } from './core.js';
+import { loadGLTF } from './gltf.js';
+import { defaultMaterial } from './materials.js';
+import { parsePLY, parseXYZ } from './pointclouds.js';
+
+// File extensions the viewer accepts, in the form used by <input accept>
+export const MODEL_EXTENSIONS = ['.gltf', '.glb', '.obj', '.stl', '.ply', '.xyz'];
+// Texture images the viewer can show, by extension
+export const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+// Parse a Wavefront .mtl library into { [name]: material }.  A diffuse map
+// (map_Kd) is noted as `baseColorMap`, the file name, for the caller to load.
+export function parseMTL(text) {
+  const materials = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const [keyword, ...args] = line.split(/\s+/);
+    const nums = args.map(Number);
+    if (keyword === 'newmtl') {
+      current = defaultMaterial({ name: args.join(' ') });
+      materials[current.name] = current;
+      return;
+    }
+    if (!current) return;
+    switch (keyword) {
+      case 'Kd':
+        current.baseColorFactor = [nums[0], nums[1] ?? nums[0], nums[2] ?? nums[0], current.baseColorFactor[3]];
+        break;
+      case 'd':
+        current.baseColorFactor[3] = nums[0];
+        break;
+      case 'Tr':
+        current.baseColorFactor[3] = 1 - nums[0];
+        break;
+      case 'Ke':
+        current.emissiveFactor = [nums[0], nums[1] ?? nums[0], nums[2] ?? nums[0]];
+        break;
+      case 'Ns':
+        // Map the Phong exponent (0..1000) onto a perceptual roughness
+        current.roughnessFactor = Math.min(1, Math.sqrt(2 / (nums[0] + 2)));
+        break;
+      case 'Pr':
+        current.roughnessFactor = nums[0];
+        break;
+      case 'Pm':
+        current.metallicFactor = nums[0];
+        break;
+      case 'map_Kd':
+        // Options such as -s or -o come first; the file name is last
+        current.baseColorMap = args[args.length - 1];
+        break;
+    }
+    if (current.baseColorFactor[3] < 1) current.alphaMode = 'BLEND';
+  });
+  return materials;
+}
+
+// Parse a Wavefront .obj file.  Faces are split into one mesh per `usemtl`
+// material; polygons are fan-triangulated and v/vt/vn triples de-duplicated.
+// `materials` is the merged result of parseMTL for the referenced libraries.
+export function parseOBJ(text, materials = {}) {
+  const positions = [];
+  const colors = [];
+  const normals = [];
+  const uvs = [];
+  const groups = [];
+  let group = null;
+
+  function startGroup(materialName) {
+    group = {
+      materialName,
+      positions: [],
+      normals: [],
+      colors: [],
+      uvs: [],
+      indices: [],
+      hasNormals: true,
+      hasUVs: true,
+      lookup: new Map()
+    };
+    groups.push(group);
+  }
+
+  // Resolve a 1-based (or negative, relative) OBJ index
+  function resolve(index, length, lineNo, kind) {
+    const i = parseInt(index, 10);
+    const resolved = i < 0 ? length + i : i - 1;
+    if (Number.isNaN(i) || resolved < 0 || resolved >= length) {
+      throw new Error(`OBJ line ${lineNo}: ${kind} index ${index} is out of range.`);
+    }
+    return resolved;
+  }
+
+  // The cache is keyed on the resolved indices: a relative index such as -1
+  // names a different vertex on every line it appears
+  function vertexIndex(token, lineNo) {
+    const [v, vt, vn] = token.split('/');
+    const p = resolve(v, positions.length / 3, lineNo, 'vertex');
+    const t = vt ? resolve(vt, uvs.length / 2, lineNo, 'texture') : -1;
+    const n = vn ? resolve(vn, normals.length / 3, lineNo, 'normal') : -1;
+    const key = `${p}/${t}/${n}`;
+    let index = group.lookup.get(key);
+    if (index !== undefined) return index;
+    index = group.positions.length / 3;
+    group.positions.push(positions[p * 3], positions[p * 3 + 1], positions[p * 3 + 2]);
+    group.colors.push(colors[p * 3], colors[p * 3 + 1], colors[p * 3 + 2]);
+    if (t >= 0) {
+      group.uvs.push(uvs[t * 2], uvs[t * 2 + 1]);
+    } else {
+      group.hasUVs = false;
+      group.uvs.push(0, 0);
+    }
+    if (n >= 0) {
+      group.normals.push(normals[n * 3], normals[n * 3 + 1], normals[n * 3 + 2]);
+    } else {
+      group.hasNormals = false;
+      group.normals.push(0, 0, 0);
+    }
+    group.lookup.set(key, index);
+    return index;
+  }
+
+  let hasVertexColors = false;
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const lineNo = i + 1;
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const [keyword, ...args] = line.split(/\s+/);
+    switch (keyword) {
+      case 'v': {
+        const nums = args.map(Number);
+        if (nums.length < 3 || nums.slice(0, 3).some(Number.isNaN)) {
+          throw new Error(`OBJ line ${lineNo}: malformed vertex "${line}".`);
+        }
+        positions.push(nums[0], nums[1], nums[2]);
+        // Some exporters append per-vertex RGB after the position
+        if (nums.length >= 6) {
+          hasVertexColors = true;
+          colors.push(nums[3], nums[4], nums[5]);
+        } else {
+          colors.push(1, 1, 1);
+        }
+        break;
+      }
+      case 'vn': {
+        const nums = args.slice(0, 3).map(Number);
+        if (nums.length < 3 || nums.some(Number.isNaN)) {
+          throw new Error(`OBJ line ${lineNo}: malformed normal "${line}".`);
+        }
+        normals.push(nums[0], nums[1], nums[2]);
+        break;
+      }
+      case 'vt': {
+        // The v (and w) coordinates are optional
+        const nums = args.slice(0, 2).map(Number);
+        if (nums.length < 1 || nums.some(Number.isNaN)) {
+          throw new Error(`OBJ line ${lineNo}: malformed texture coordinate "${line}".`);
+        }
+        uvs.push(nums[0], 1 - (nums[1] || 0));
+        break;
+      }
+      case 'usemtl':
+        startGroup(args.join(' '));
+        break;
+      case 'f': {
+        if (args.length < 3) {
+          throw new Error(`OBJ line ${lineNo}: a face needs at least 3 vertices.`);
+        }
+        if (!group) startGroup(null);
+        const face = args.map((token) => vertexIndex(token, lineNo));
+        for (let k = 1; k < face.length - 1; k++) {
+          group.indices.push(face[0], face[k], face[k + 1]);
+        }
+        break;
+      }
+    }
+  });
+
+  const meshes = groups.filter((g) => g.indices.length > 0).map((g, i) => {
+    const vertexCount = g.positions.length / 3;
+    const positionArray = new Float32Array(g.positions);
+    const indexArray = vertexCount > 65535 ? new Uint32Array(g.indices) : new Uint16Array(g.indices);
+    return {
+      name: g.materialName || `group${i}`,
+      positions: positionArray,
+      normals: g.hasNormals ? new Float32Array(g.normals) : computeNormals(positionArray, indexArray),
+      colors: hasVertexColors ? new Float32Array(g.colors) : null,
+      uvs: g.hasUVs ? new Float32Array(g.uvs) : null,
+      indices: indexArray,
+      material: materials[g.materialName] || defaultMaterial({ name: g.materialName || '' }),
+      matrix: mat4.identity()
+    };
+  });
+  if (meshes.length === 0) {
+    throw new Error('OBJ file contains no faces.');
+  }
+  return { meshes };
+}
+
+// Names of the .mtl libraries an OBJ file refers to
+export function objMaterialLibraries(text) {
+  const libs = [];
+  for (const match of text.matchAll(/^\s*mtllib\s+(.+?)\s*$/gm)) {
+    libs.push(match[1]);
+  }
+  return libs;
+}
+
+// Parse an ASCII or binary STL file
+export function parseSTL(arrayBuffer) {
+  const mesh = isBinarySTL(arrayBuffer) ? parseBinarySTL(arrayBuffer) : parseAsciiSTL(arrayBuffer);
+  return { meshes: [mesh] };
+}
+
+function isBinarySTL(arrayBuffer) {
+  if (arrayBuffer.byteLength < 84) return false;
+  const count = new DataView(arrayBuffer).getUint32(80, true);
+  if (84 + count * 50 === arrayBuffer.byteLength) return true;
+  // Not an exact binary size: treat as ASCII only if it looks like one
+  const head = new TextDecoder().decode(new Uint8Array(arrayBuffer, 0, Math.min(512, arrayBuffer.byteLength)));
+  return !/^\s*solid[\s\S]*facet/.test(head);
+}
+
+function parseBinarySTL(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const count = view.getUint32(80, true);
+  if (84 + count * 50 > arrayBuffer.byteLength) {
+    throw new Error(`Binary STL declares ${count} triangles but the file is truncated.`);
+  }
+  const positions = new Float32Array(count * 9);
+  const normals = new Float32Array(count * 9);
+  for (let t = 0; t < count; t++) {
+    const base = 84 + t * 50;
+    for (let v = 0; v < 3; v++) {
+      for (let c = 0; c < 3; c++) {
+        positions[t * 9 + v * 3 + c] = view.getFloat32(base + 12 + v * 12 + c * 4, true);
+        normals[t * 9 + v * 3 + c] = view.getFloat32(base + c * 4, true);
+      }
+    }
+  }
+  return stlMesh(positions, normals);
+}
+
+function parseAsciiSTL(arrayBuffer) {
+  const text = new TextDecoder().decode(arrayBuffer);
+  if (!/^\s*solid/.test(text)) {
+    throw new Error('Not an STL file: expected "solid" header or a binary STL layout.');
+  }
+  const positions = [];
+  const normals = [];
+  const facet = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)\s+outer\s+loop\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+endloop\s+endfacet/g;
+  for (const match of text.matchAll(facet)) {
+    const nums = match.slice(1).map(Number);
+    if (nums.some(Number.isNaN)) {
+      throw new Error(`ASCII STL: malformed facet near "${match[0].slice(0, 60)}...".`);
+    }
+    positions.push(...nums.slice(3));
+    normals.push(...nums.slice(0, 3), ...nums.slice(0, 3), ...nums.slice(0, 3));
+  }
+  if (positions.length === 0) {
+    throw new Error('ASCII STL contains no facets.');
+  }
+  return stlMesh(new Float32Array(positions), new Float32Array(normals));
+}
+
+function stlMesh(positions, normals) {
+  // Facet normals are optional in STL (often written as 0 0 0); recompute those
+  const flat = computeNormals(positions, null);
+  for (let i = 0; i < normals.length; i += 3) {
+    if (normals[i] === 0 && normals[i + 1] === 0 && normals[i + 2] === 0) {
+      normals[i] = flat[i];
+      normals[i + 1] = flat[i + 1];
+      normals[i + 2] = flat[i + 2];
+    }
+  }
+  return {
+    name: 'stl',
+    positions,
+    normals,
+    colors: null,
+    uvs: null,
+    indices: null,
+    material: defaultMaterial({ baseColorFactor: [0.75, 0.78, 0.82, 1] }),
+    matrix: mat4.identity()
+  };
+}
+
+// Area-weighted smooth vertex normals for indexed meshes, flat normals for
+// non-indexed triangle lists.
+export function computeNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+  const triangleCount = indices ? indices.length / 3 : positions.length / 9;
+  for (let t = 0; t < triangleCount; t++) {
+    const a = indices ? indices[t * 3] : t * 3;
+    const b = indices ? indices[t * 3 + 1] : t * 3 + 1;
+    const c = indices ? indices[t * 3 + 2] : t * 3 + 2;
+    const ax = positions[a * 3], ay = positions[a * 3 + 1], az = positions[a * 3 + 2];
+    const e1x = positions[b * 3] - ax, e1y = positions[b * 3 + 1] - ay, e1z = positions[b * 3 + 2] - az;
+    const e2x = positions[c * 3] - ax, e2y = positions[c * 3 + 1] - ay, e2z = positions[c * 3 + 2] - az;
+    // The unnormalized cross product is proportional to the triangle's area
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    for (const v of [a, b, c]) {
+      normals[v * 3] += nx;
+      normals[v * 3 + 1] += ny;
+      normals[v * 3 + 2] += nz;
+    }
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+    if (len > 0) {
+      normals[i] /= len;
+      normals[i + 1] /= len;
+      normals[i + 2] /= len;
+    } else {
+      normals[i + 1] = 1;
+    }
+  }
+  return normals;
+}
+
+// World-space axis-aligned bounds of every mesh in a model
+export function computeBounds(model) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const mesh of model.meshes) {
+    const m = mesh.matrix;
+    const p = mesh.positions;
+    for (let i = 0; i < p.length; i += 3) {
+      const x = p[i], y = p[i + 1], z = p[i + 2];
+      const wx = m[0] * x + m[4] * y + m[8] * z + m[12];
+      const wy = m[1] * x + m[5] * y + m[9] * z + m[13];
+      const wz = m[2] * x + m[6] * y + m[10] * z + m[14];
+      if (wx < min[0]) min[0] = wx;
+      if (wy < min[1]) min[1] = wy;
+      if (wz < min[2]) min[2] = wz;
+      if (wx > max[0]) max[0] = wx;
+      if (wy > max[1]) max[1] = wy;
+      if (wz > max[2]) max[2] = wz;
+    }
+  }
+  if (min[0] > max[0]) {
+    return { min: [-1, -1, -1], max: [1, 1, 1] };
+  }
+  return { min, max };
+}
+
+function extension(name) {
+  const match = /\.([^./\\]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+}
+
+function baseName(uri) {
+  return decodeURIComponent(uri).split(/[\\/]/).pop();
+}
+
+// A texture image as a material holds it: { mimeType, data }
+export async function readImageFile(file) {
+  const mimeType = IMAGE_TYPES['.' + extension(file.name)];
+  if (!mimeType) {
+    throw new Error(`"${file.name}" is not a supported image. Use one of: ${Object.keys(IMAGE_TYPES).join(', ')}.`);
+  }
+  return { mimeType, data: new Uint8Array(await file.arrayBuffer()) };
+}
+
+// Load a model from a set of user-selected or dropped File objects.  The
+// first recognised model file is loaded; the remaining files are used to
+// resolve its dependencies (.bin buffers, .mtl libraries, textures).
+export async function loadModelFiles(files) {
+  files = Array.from(files);
+  const main = files.find((f) => MODEL_EXTENSIONS.includes('.' + extension(f.name)));
+  if (!main) {
+    throw new Error(`Unsupported file type. Open one of: ${MODEL_EXTENSIONS.join(', ')}.`);
+  }
+  return loadModel(main, async (uri, required) => {
+    const name = baseName(uri);
+    const file = files.find((f) => f.name === name);
+    if (!file && required) {
+      throw new Error(`"${main.name}" references "${name}"; select or drop it together with the model.`);
+    }
+    return file || null;
+  });
+}
+
+// Fetch one file of a model as a File named after the URL's last segment.
+// Network and CORS failures both surface as a TypeError from fetch(), so
+// the message names both.
+async function fetchFile(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Could not download ${url}. The server may be unreachable, or it does not allow cross-origin requests (CORS).`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not download ${url}: HTTP ${response.status} ${response.statusText}`.trim());
+  }
+  const name = decodeURIComponent(new URL(response.url || url).pathname.split('/').pop());
+  return new File([await response.blob()], name);
+}
+
+// Load a model from a URL.  Dependencies (.bin buffers, .mtl libraries,
+// textures) are fetched relative to it.
+export async function loadModelUrl(url) {
+  const main = await fetchFile(url);
+  if (!MODEL_EXTENSIONS.includes('.' + extension(main.name))) {
+    throw new Error(`Unsupported file type. Open one of: ${MODEL_EXTENSIONS.join(', ')}.`);
+  }
+  return loadModel(main, async (uri, required) => {
+    try {
+      return await fetchFile(new URL(uri, url).href);
+    } catch (err) {
+      if (required) throw err;
+      return null;
+    }
+  });
+}
+
+// Shared by files and URLs.  `related(uri, required)` resolves a file the
+// model references, or null when an optional one is missing.
+async function loadModel(main, related) {
+  let model;
+  switch (extension(main.name)) {
+    case 'gltf':
+    case 'glb':
+      model = await loadGLTF(await main.arrayBuffer(), async (uri, required) => {
+        const file = await related(uri, required);
+        return file && file.arrayBuffer();
+      });
+      break;
+    case 'obj': {
+      const text = await main.text();
+      const materials = {};
+      for (const lib of objMaterialLibraries(text)) {
+        const file = await related(lib, false);
+        if (file) {
+          Object.assign(materials, parseMTL(await file.text()));
+        } else {
+          console.warn(`Material library "${lib}" was not provided; using default colors.`);
+        }
+      }
+      for (const material of Object.values(materials)) {
+        const map = material.baseColorMap;
+        delete material.baseColorMap;
+        if (!map) continue;
+        const file = IMAGE_TYPES['.' + extension(map)] ? await related(map, false) : null;
+        if (file) {
+          material.baseColorTexture = await readImageFile(file);
+        } else {
+          console.warn(`Texture "${map}" of material "${material.name}" was not provided or is not PNG / JPEG; it is left out.`);
+        }
+      }
+      model = parseOBJ(text, materials);
+      break;
+    }
+    case 'stl':
+      model = parseSTL(await main.arrayBuffer());
+      break;
+    case 'ply':
+      model = parsePLY(await main.arrayBuffer());
+      break;
+    case 'xyz':
+      model = parseXYZ(await main.text());
+      break;
+  }
+  return finishModel(model, main.name);
+}
+
+// Fill in what the renderer relies on: normals and the world bounds.
+// Points without normals stay without; they are drawn unlit.
+export function finishModel(model, name) {
+  if (model.meshes.length === 0) {
+    throw new Error('The model does not contain any triangle meshes or points.');
+  }
+  for (const mesh of model.meshes) {
+    if (!mesh.normals && mesh.topology !== 'point-list') {
+      mesh.normals = computeNormals(mesh.positions, mesh.indices);
+    }
+  }
+  model.name = name;
+  model.bounds = computeBounds(model);
+  return model;
+}
@@ -0,0 +1,20 @@
+// materials.js
+// The material every loader starts from, in the glTF metallic-roughness
+// form gltf.js produces.  Kept apart from loaders.js so the parsers it
+// imports (pointclouds.js) and scene.js can share it without a cycle.
+
+export function defaultMaterial(overrides = {}) {
+  return {
+    name: '',
+    baseColorFactor: [1, 1, 1, 1],
+    metallicFactor: 0,
+    roughnessFactor: 0.6,
+    emissiveFactor: [0, 0, 0],
+    alphaMode: 'OPAQUE',
+    alphaCutoff: 0.5,
+    doubleSided: false,
+    // { mimeType, data: Uint8Array } of an encoded PNG or JPEG, see textures.js
+    baseColorTexture: null,
+    ...overrides
+  };
+}
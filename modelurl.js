@@ -0,0 +1,75 @@
+// modelurl.js
+// Recognising links to model files and passing them to the viewer.  Used by
+// the background service worker (context menu and model downloads) and by
+// the viewer, which reads the URL back from its `?model=` parameter.  No
+// chrome.* or DOM APIs, so it runs anywhere.
+
+import { MODEL_EXTENSIONS } from './loaders.js';
+
+const FORMATS = MODEL_EXTENSIONS.map((ext) => ext.slice(1));
+const SCHEMES = ['http:', 'https:', 'file:'];
+
+// Match patterns for chrome.contextMenus targetUrlPatterns /
+// documentUrlPatterns: the path ends in a model extension, with or without a
+// query string
+export const MODEL_URL_PATTERNS = FORMATS.flatMap((format) => [
+  `*://*/*.${format}`,
+  `*://*/*.${format}?*`,
+  `file:///*.${format}`
+]);
+
+function parse(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+// 'gltf', 'glb', 'obj', 'stl', 'ply' or 'xyz' when `url` points at a model
+// file the viewer can open, otherwise null.  Only the path counts, not the query or hash.
+export function modelFormat(url) {
+  const parsed = parse(url);
+  if (!parsed || !SCHEMES.includes(parsed.protocol)) return null;
+  const match = /\.([^./]+)$/.exec(parsed.pathname);
+  const format = match && match[1].toLowerCase();
+  return FORMATS.includes(format) ? format : null;
+}
+
+// The model URL of a chrome.downloads item the viewer should open instead,
+// or null.  Servers send models as binary or plain text; an HTML response
+// is a page about the model (a repository's file view, say), not the model.
+export function modelDownloadUrl(item) {
+  if (/^text\/html\b/i.test(item.mime || '')) return null;
+  // A redirect may end at a storage URL without the extension
+  return [item.finalUrl, item.url].find((url) => url && modelFormat(url)) || null;
+}
+
+// Last path segment, used as the file name the loaders see
+export function fileNameFromUrl(url) {
+  const parsed = parse(url);
+  const name = parsed ? parsed.pathname.split('/').pop() : '';
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name;
+  }
+}
+
+// viewer.html (given as an absolute URL) with the model URL as a parameter
+export function viewerUrl(viewerPage, modelUrl) {
+  const url = new URL(viewerPage);
+  url.searchParams.set('model', modelUrl);
+  return url.href;
+}
+
+// The model URL passed to the viewer in `search` (location.search), or null.
+// Anything that is not a supported model link is rejected.
+export function modelUrlParam(search) {
+  const value = new URLSearchParams(search).get('model');
+  if (!value) return null;
+  if (!modelFormat(value)) {
+    throw new Error(`"${value}" is not a link to a ${MODEL_EXTENSIONS.join(', ')} file.`);
+  }
+  return value;
+}
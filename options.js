@@ -0,0 +1,10 @@
+// options.js
+// The extension's options page: every setting from settings.js.
+
+import { createSettingsForm, resetSettings } from './settings.js';
+
+createSettingsForm(document.getElementById('settings'));
+
+document.getElementById('resetSettings').addEventListener('click', () => {
+  resetSettings().catch((err) => console.error(err));
+});
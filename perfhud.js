@@ -0,0 +1,70 @@
+// perfhud.js
+// Performance HUD for the viewer and the visualization: frames per second,
+// CPU time spent in the frame callback, GPU time of the render passes (where
+// timestamp queries are available), draw calls and triangles of the last
+// frame, and the memory held by the page's GPU buffers and textures.  The
+// renderer (core.js / webgl.js) collects the numbers; the HUD reads them
+// twice a second, so showing it does not keep an on-demand page drawing.
+
+const REFRESH_MS = 500;
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatMs(ms) {
+  return ms === null ? 'n/a' : `${ms.toFixed(2)} ms`;
+}
+
+// Show the HUD in `element` while `visible` is set
+export function createPerformanceHud(element, renderer) {
+  let frames = 0;
+  let since = performance.now();
+  let interval = 0;
+  renderer.onFrame(() => {
+    frames++;
+  });
+
+  function update() {
+    const now = performance.now();
+    const fps = (frames * 1000) / (now - since);
+    frames = 0;
+    since = now;
+    const { cpuTime, gpuTime, drawCalls, triangles } = renderer.stats;
+    const lines = [
+      `${renderer.backend}${renderer.onDemand ? ', on demand' : ''}`,
+      `FPS       ${fps === 0 ? 'idle' : fps.toFixed(0)}`,
+      `CPU       ${formatMs(cpuTime)}`,
+      `GPU       ${renderer.measureGpuTime ? formatMs(gpuTime) : 'n/a'}`,
+      `Draws     ${drawCalls}`,
+      `Triangles ${triangles.toLocaleString()}`,
+      `Memory    ${formatBytes(renderer.memory)}`
+    ];
+    element.textContent = lines.join('\n');
+  }
+
+  const hud = {
+    get visible() {
+      return !element.hidden;
+    },
+    set visible(value) {
+      element.hidden = !value;
+      // Timestamp queries cost a little, so they only run while shown
+      renderer.measureGpuTime = value;
+      clearInterval(interval);
+      if (value) {
+        frames = 0;
+        since = performance.now();
+        update();
+        interval = setInterval(update, REFRESH_MS);
+      }
+    },
+    destroy() {
+      clearInterval(interval);
+    }
+  };
+  hud.visible = false;
+  return hud;
+}
@@ -0,0 +1,27 @@
+// permissions.js
+// Host permissions for the sites the pages read from.  Extension pages need
+// them to read cross-origin responses; outside the extension (no
+// chrome.permissions) everything counts as granted.
+
+function permissions() {
+  return globalThis.chrome && chrome.permissions;
+}
+
+// The match pattern for every URL of `url`'s origin.  Throws for an invalid URL.
+export function originPattern(url) {
+  return new URL(url).origin + '/*';
+}
+
+// Must run inside a click handler so Chrome can show the prompt
+export function requestHostPermission(url) {
+  const api = permissions();
+  if (!api) return Promise.resolve(true);
+  return api.request({ origins: [originPattern(url)] });
+}
+
+// file: URLs need none; reading them is a separate switch on the extensions page
+export function hasHostPermission(url) {
+  const api = permissions();
+  if (!api || new URL(url).protocol === 'file:') return Promise.resolve(true);
+  return api.contains({ origins: [originPattern(url)] });
+}
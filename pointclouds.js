@@ -0,0 +1,252 @@
+// pointclouds.js
+// Parsers for scanned point clouds: PLY (ASCII, binary little- and
+// big-endian) and plain XYZ / XYZRGB text.  They return the same model shape
+// as the other loaders (see loaders.js); a mesh without triangles has
+// `topology: 'point-list'` and no indices, and is drawn as splats by
+// sceneview.js.  PLY files with faces become ordinary triangle meshes.
+
+import { mat4 } from './core.js';
+import { defaultMaterial } from './materials.js';
+
+// PLY scalar types: DataView getter and size in bytes, under both the
+// original and the sized names
+const PLY_TYPES = {};
+for (const [names, getter, size] of [
+  [['char', 'int8'], 'getInt8', 1],
+  [['uchar', 'uint8'], 'getUint8', 1],
+  [['short', 'int16'], 'getInt16', 2],
+  [['ushort', 'uint16'], 'getUint16', 2],
+  [['int', 'int32'], 'getInt32', 4],
+  [['uint', 'uint32'], 'getUint32', 4],
+  [['float', 'float32'], 'getFloat32', 4],
+  [['double', 'float64'], 'getFloat64', 8]
+]) {
+  for (const name of names) PLY_TYPES[name] = { getter, size, integer: !getter.startsWith('getFloat') };
+}
+
+// Vertex properties the viewer uses, by the names exporters give them
+const VERTEX_PROPERTIES = {
+  x: ['x'],
+  y: ['y'],
+  z: ['z'],
+  nx: ['nx', 'normal_x'],
+  ny: ['ny', 'normal_y'],
+  nz: ['nz', 'normal_z'],
+  red: ['red', 'r', 'diffuse_red'],
+  green: ['green', 'g', 'diffuse_green'],
+  blue: ['blue', 'b', 'diffuse_blue']
+};
+
+const FACE_PROPERTIES = ['vertex_indices', 'vertex_index'];
+
+// Scanned points are matte by default
+const POINT_MATERIAL = { roughnessFactor: 1 };
+
+function pointMesh(name, positions, normals, colors) {
+  return {
+    name,
+    positions,
+    normals,
+    colors,
+    uvs: null,
+    indices: null,
+    topology: 'point-list',
+    material: defaultMaterial(POINT_MATERIAL),
+    matrix: mat4.identity()
+  };
+}
+
+// Parse the header into { format, elements: [{ name, count, properties }],
+// offset } where offset is the first byte after "end_header"
+function parsePLYHeader(bytes) {
+  // The header is ASCII; 64 KB leaves room for long comment blocks
+  const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 65536)));
+  const end = /end_header\r?\n/.exec(head);
+  if (!head.startsWith('ply') || !end) {
+    throw new Error('Not a PLY file: expected a "ply" header ending in "end_header".');
+  }
+  let format = null;
+  const elements = [];
+  for (const line of head.slice(0, end.index).split(/\r?\n/).slice(1)) {
+    const words = line.trim().split(/\s+/);
+    switch (words[0]) {
+      case 'format':
+        format = words[1];
+        break;
+      case 'element':
+        elements.push({ name: words[1], count: parseInt(words[2], 10), properties: [] });
+        break;
+      case 'property': {
+        const element = elements[elements.length - 1];
+        if (!element) throw new Error(`PLY: property "${line.trim()}" comes before any element.`);
+        const property = words[1] === 'list'
+          ? { name: words[4], countType: PLY_TYPES[words[2]], type: PLY_TYPES[words[3]] }
+          : { name: words[2], type: PLY_TYPES[words[1]] };
+        if (!property.type || (words[1] === 'list' && !property.countType)) {
+          throw new Error(`PLY: unknown property type in "${line.trim()}".`);
+        }
+        element.properties.push(property);
+        break;
+      }
+    }
+  }
+  if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+    throw new Error(`PLY: unsupported format "${format}". Use ascii, binary_little_endian or binary_big_endian.`);
+  }
+  for (const element of elements) {
+    if (!(element.count >= 0)) throw new Error(`PLY: element "${element.name}" has no valid count.`);
+  }
+  // The header is ASCII, so its character count is its byte count
+  return { format, elements, offset: end.index + end[0].length };
+}
+
+// Read every element's rows.  `row(element, index, values)` gets each row's
+// values in property order, lists as arrays.
+function readPLYBody(bytes, { format, elements, offset }, row) {
+  if (format === 'ascii') {
+    const lines = new TextDecoder().decode(bytes.subarray(offset)).split(/\r?\n/);
+    let line = 0;
+    for (const element of elements) {
+      for (let i = 0; i < element.count; i++) {
+        // Blank lines between rows are tolerated
+        while (line < lines.length && !lines[line].trim()) line++;
+        if (line >= lines.length) {
+          throw new Error(`PLY: the file ends after ${i} of ${element.count} "${element.name}" rows.`);
+        }
+        const words = lines[line++].trim().split(/\s+/).map(Number);
+        let w = 0;
+        const values = element.properties.map((property) => {
+          if (!property.countType) return words[w++];
+          const count = words[w++];
+          const list = words.slice(w, w + count);
+          w += count;
+          return list;
+        });
+        if (w > words.length || words.some(Number.isNaN)) {
+          throw new Error(`PLY: malformed "${element.name}" row ${i}: "${lines[line - 1].trim().slice(0, 60)}".`);
+        }
+        row(element, i, values);
+      }
+    }
+    return;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = format === 'binary_little_endian';
+  let position = offset;
+  const read = (type) => {
+    if (position + type.size > bytes.length) throw new Error('PLY: the binary data is truncated.');
+    const value = view[type.getter](position, little);
+    position += type.size;
+    return value;
+  };
+  for (const element of elements) {
+    for (let i = 0; i < element.count; i++) {
+      const values = element.properties.map((property) => {
+        if (!property.countType) return read(property.type);
+        const count = read(property.countType);
+        const list = new Array(count);
+        for (let k = 0; k < count; k++) list[k] = read(property.type);
+        return list;
+      });
+      row(element, i, values);
+    }
+  }
+}
+
+// Parse a PLY file.  Vertices may carry normals and colors (8-bit or 0..1
+// float); polygons are fanned into triangles.  Without faces the vertices
+// are a point cloud.
+export function parsePLY(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const header = parsePLYHeader(bytes);
+  const vertexElement = header.elements.find((element) => element.name === 'vertex');
+  if (!vertexElement || vertexElement.count === 0) throw new Error('PLY: the file has no vertices.');
+  const column = (names) => vertexElement.properties.findIndex((p) => !p.countType && names.includes(p.name));
+  const columns = {};
+  for (const [key, names] of Object.entries(VERTEX_PROPERTIES)) columns[key] = column(names);
+  if (columns.x < 0 || columns.y < 0 || columns.z < 0) throw new Error('PLY: vertices need x, y and z properties.');
+  const hasNormals = columns.nx >= 0 && columns.ny >= 0 && columns.nz >= 0;
+  const hasColors = columns.red >= 0 && columns.green >= 0 && columns.blue >= 0;
+  // Integer colors are 0..255 (or the type's range), floats already 0..1
+  const colorScale = hasColors && vertexElement.properties[columns.red].type.integer
+    ? 1 / (2 ** (8 * vertexElement.properties[columns.red].type.size) - 1)
+    : 1;
+
+  const count = vertexElement.count;
+  const positions = new Float32Array(count * 3);
+  const normals = hasNormals ? new Float32Array(count * 3) : null;
+  const colors = hasColors ? new Float32Array(count * 3) : null;
+  const faceElement = header.elements.find((element) => element.name === 'face');
+  const faceColumn = faceElement
+    ? faceElement.properties.findIndex((p) => p.countType && FACE_PROPERTIES.includes(p.name))
+    : -1;
+  const triangles = [];
+
+  readPLYBody(bytes, header, (element, i, values) => {
+    if (element === vertexElement) {
+      positions[i * 3] = values[columns.x];
+      positions[i * 3 + 1] = values[columns.y];
+      positions[i * 3 + 2] = values[columns.z];
+      if (normals) {
+        normals[i * 3] = values[columns.nx];
+        normals[i * 3 + 1] = values[columns.ny];
+        normals[i * 3 + 2] = values[columns.nz];
+      }
+      if (colors) {
+        colors[i * 3] = values[columns.red] * colorScale;
+        colors[i * 3 + 1] = values[columns.green] * colorScale;
+        colors[i * 3 + 2] = values[columns.blue] * colorScale;
+      }
+    } else if (element === faceElement && faceColumn >= 0) {
+      const polygon = values[faceColumn];
+      for (let k = 1; k + 1 < polygon.length; k++) triangles.push(polygon[0], polygon[k], polygon[k + 1]);
+    }
+  });
+
+  if (triangles.length === 0) return { meshes: [pointMesh('ply', positions, normals, colors)] };
+  for (const index of triangles) {
+    if (!(index >= 0 && index < count)) throw new Error(`PLY: a face refers to vertex ${index} but there are only ${count}.`);
+  }
+  return {
+    meshes: [{
+      name: 'ply',
+      positions,
+      normals, // computed by finishModel() when the file has none
+      colors,
+      uvs: null,
+      indices: count > 65535 ? new Uint32Array(triangles) : new Uint16Array(triangles),
+      material: defaultMaterial(),
+      matrix: mat4.identity()
+    }]
+  };
+}
+
+// Parse XYZ text: one point per line as "x y z", optionally followed by
+// "r g b" (0..255, or 0..1 when no value exceeds 1).  Commas and tabs may
+// separate the columns; comments (#, //) and header lines are skipped.
+export function parseXYZ(text) {
+  const positions = [];
+  const colors = [];
+  let colored = true;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+    const values = line.split(/[\s,;]+/).map(Number);
+    if (values.length < 3 || values.slice(0, 3).some(Number.isNaN)) continue;
+    positions.push(values[0], values[1], values[2]);
+    if (values.length >= 6 && !values.slice(3, 6).some(Number.isNaN)) {
+      colors.push(values[3], values[4], values[5]);
+    } else {
+      colored = false;
+    }
+  }
+  if (positions.length === 0) throw new Error('XYZ: no "x y z" lines were found.');
+  let colorArray = null;
+  if (colored) {
+    colorArray = new Float32Array(colors);
+    if (colorArray.some((c) => c > 1)) {
+      for (let i = 0; i < colorArray.length; i++) colorArray[i] /= 255;
+    }
+  }
+  return { meshes: [pointMesh('xyz', new Float32Array(positions), null, colorArray)] };
+}
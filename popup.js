@@ -1,15 +1,19 @@
-// Listener for the popup buttons to open viewer or visualization pages
-document.addEventListener('DOMContentLoaded', () => {
-  const viewerBtn = document.getElementById('openViewer');
-  if (viewerBtn) {
-    viewerBtn.addEventListener('click', () => {
-      chrome.tabs.create({ url: chrome.runtime.getURL('viewer.html') });
-    });
-  }
-  const vizBtn = document.getElementById('openViz');
-  if (vizBtn) {
-    vizBtn.addEventListener('click', () => {
-   chrome.tabs.create({ url: chrome.runtime.getURL('visualiz' + 'ation.html') });
-    });
-  }
-});
+// Listener for the popup buttons to open viewer or visualization pages, plus
+// the most used settings (all of them are on the options page)
+import { createSettingsForm } from './settings.js';
+
+const viewerBtn = document.getElementById('openViewer');
+if (viewerBtn) {
+  viewerBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('viewer.html') });
+  });
+}
+const vizBtn = document.getElementById('openViz');
+if (vizBtn) {
+  vizBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('visualization.html') });
+  });
+}
+
+createSettingsForm(document.getElementById('settings'), ['refreshInterval', 'theme', 'autoRotate', 'msaa', 'showHud']);
+document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
@@ -0,0 +1,474 @@
+// postprocess.js
+// Optional post-processing for the viewer and the visualization (WebGPU
+// only).  While any effect is on, the page renders its scene into an HDR
+// (rgba16float) target instead of the swap chain, multisampled and resolved
+// into it under MSAA, and apply() turns that into the final image:
+//   SSAO          screen-space ambient occlusion from the depth buffer,
+//                 darkening creases and the places where objects meet
+//   bloom         light above 1.0 bleeds into its surroundings, through a
+//                 chain of half-size downsamples and additive upsamples
+//   tone mapping  the ACES filmic curve instead of clipping at 1.0
+//   FXAA          fast approximate antialiasing of the final colors
+// Exposure scales the HDR colors before tone mapping.  Scene pipelines must
+// target `format`, which changes when the chain is turned on or off:
+// configure() says so, and the page then has its pipelines rebuilt through
+// renderer.rebuild().  SSAO reads the page's depth attachment, which the
+// renderer and capture targets create with TEXTURE_BINDING usage.  The
+// renderer's multisampled color texture goes unused while the chain is on.
+
+import { countDraws, mat4 } from './core.js';
+import { checkShaderModule, withErrorScope } from './gpuerrors.js';
+import { mipLevelCount } from './textures.js';
+import { createSettingsControls } from './settings.js';
+
+export const HDR_FORMAT = 'rgba16float';
+// Tone-mapped colors waiting for FXAA
+const LDR_FORMAT = 'rgba8unorm';
+const BLOOM_LEVELS = 5;
+const BLOOM_STRENGTH = 0.6;
+const BLOOM_THRESHOLD = 1.0;
+const SSAO_SAMPLES = 16;
+const SSAO_INTENSITY = 1.2;
+// Target sets kept at once: the canvas size and the last export size, so
+// exports and recordings at another size do not rebuild the page's set
+const TARGET_SETS = 2;
+
+// projection, inverse projection, then
+//   effects  x: SSAO, y: bloom, z: tone mapping, w: exposure
+//   ssao     x: radius in world units, y: intensity
+//   bloom    x: strength, y: threshold
+//   texel    xy: 1 / target size
+const UNIFORM_SIZE = (16 + 16 + 4 * 4) * 4;
+
+// One module for every pass; each entry point uses only its own bindings.
+// The depth texture type follows the sample count.
+function postWGSL(multisampled) {
+  return `
+struct Params {
+  projection : mat4x4<f32>,
+  inverseProjection : mat4x4<f32>,
+  effects : vec4<f32>,  // x: SSAO, y: bloom, z: tone mapping, w: exposure
+  ssao : vec4<f32>,     // x: radius, y: intensity
+  bloom : vec4<f32>,    // x: strength, y: threshold
+  texel : vec4<f32>,    // xy: 1 / target size
+};
+@group(0) @binding(0) var<uniform> params : Params;
+@group(0) @binding(1) var hdrTexture : texture_2d<f32>;
+@group(0) @binding(2) var depthTexture : ${multisampled ? 'texture_depth_multisampled_2d' : 'texture_depth_2d'};
+@group(0) @binding(3) var aoTexture : texture_2d<f32>;
+@group(0) @binding(4) var bloomTexture : texture_2d<f32>;
+@group(0) @binding(5) var linearSampler : sampler;
+@group(0) @binding(6) var ldrTexture : texture_2d<f32>;
+
+struct VertexOut {
+  @builtin(position) position : vec4<f32>,
+  @location(0) uv : vec2<f32>,
+};
+
+// One triangle covering the whole target
+@vertex
+fn vs_main(@builtin(vertex_index) index : u32) -> VertexOut {
+  let uv = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+  var output : VertexOut;
+  output.position = vec4<f32>(uv * vec2<f32>(2.0, -2.0) + vec2<f32>(-1.0, 1.0), 0.0, 1.0);
+  output.uv = uv;
+  return output;
+}
+
+// View-space position of a pixel from its depth; the first sample stands
+// for the pixel under MSAA
+fn viewPosition(coord : vec2<i32>) -> vec3<f32> {
+  let size = vec2<i32>(textureDimensions(depthTexture));
+  let c = clamp(coord, vec2<i32>(0), size - 1);
+  let depth = textureLoad(depthTexture, c, 0);
+  let uv = (vec2<f32>(c) + 0.5) * params.texel.xy;
+  let view = params.inverseProjection * vec4<f32>(uv.x * 2.0 - 1.0, 1.0 - uv.y * 2.0, depth, 1.0);
+  return view.xyz / view.w;
+}
+
+// Hemisphere samples around the surface normal, which is rebuilt from the
+// neighbouring depths (the side with the smaller step, so edges stay sharp).
+// A per-pixel rotation trades banding for noise that the composite pass
+// blurs away over 4 x 4 pixels.
+@fragment
+fn fs_ssao(input : VertexOut) -> @location(0) vec4<f32> {
+  let coord = vec2<i32>(input.position.xy);
+  if (textureLoad(depthTexture, coord, 0) >= 1.0) {
+    return vec4<f32>(1.0);
+  }
+  let p = viewPosition(coord);
+  let right = viewPosition(coord + vec2<i32>(1, 0)) - p;
+  let left = p - viewPosition(coord - vec2<i32>(1, 0));
+  let down = viewPosition(coord + vec2<i32>(0, 1)) - p;
+  let up = p - viewPosition(coord - vec2<i32>(0, 1));
+  let dx = select(left, right, abs(right.z) < abs(left.z));
+  let dy = select(up, down, abs(down.z) < abs(up.z));
+  var n = normalize(cross(dy, dx));
+  if (dot(n, p) > 0.0) {
+    n = -n;
+  }
+  let noise = fract(52.9829189 * fract(dot(input.position.xy, vec2<f32>(0.06711056, 0.00583715))));
+  let helper = select(vec3<f32>(1.0, 0.0, 0.0), vec3<f32>(0.0, 1.0, 0.0), abs(n.x) > 0.9);
+  let tangent = normalize(cross(helper, n));
+  let bitangent = cross(n, tangent);
+  let radius = params.ssao.x;
+  var occlusion = 0.0;
+  for (var i = 0u; i < ${SSAO_SAMPLES}u; i++) {
+    let t = (f32(i) + 0.5) / ${SSAO_SAMPLES}.0;
+    let phi = f32(i) * 2.39996 + noise * 6.28318;
+    let sinTheta = sqrt(t);
+    // Denser near the point, where occluders matter most
+    let scale = mix(0.1, 1.0, t * t) * radius;
+    let offset = (tangent * cos(phi) + bitangent * sin(phi)) * sinTheta + n * sqrt(1.0 - t);
+    let s = p + offset * scale;
+    let clip = params.projection * vec4<f32>(s, 1.0);
+    let uv = clip.xy / clip.w * vec2<f32>(0.5, -0.5) + vec2<f32>(0.5);
+    let sceneZ = viewPosition(vec2<i32>(uv / params.texel.xy)).z;
+    // Occluders far in front of the point (another object) fade out
+    let range = smoothstep(0.0, 1.0, radius / max(abs(p.z - sceneZ), 1e-4));
+    occlusion += select(0.0, range, sceneZ >= s.z + radius * 0.02);
+  }
+  return vec4<f32>(1.0 - occlusion / ${SSAO_SAMPLES}.0 * params.ssao.y);
+}
+
+// Half-size copy of what is brighter than the threshold, with a soft knee
+@fragment
+fn fs_bloom_prefilter(input : VertexOut) -> @location(0) vec4<f32> {
+  let color = textureSampleLevel(hdrTexture, linearSampler, input.uv, 0.0).rgb;
+  let brightness = max(color.r, max(color.g, color.b));
+  let threshold = params.bloom.y;
+  let knee = threshold * 0.5;
+  var soft = clamp(brightness - threshold + knee, 0.0, 2.0 * knee);
+  soft = soft * soft / (4.0 * knee + 1e-4);
+  let weight = max(soft, brightness - threshold) / max(brightness, 1e-4);
+  return vec4<f32>(color * weight, 1.0);
+}
+
+// Four bilinear taps, a 4 x 4 box of the level above
+@fragment
+fn fs_bloom_down(input : VertexOut) -> @location(0) vec4<f32> {
+  let texel = 1.0 / vec2<f32>(textureDimensions(bloomTexture));
+  var color = textureSampleLevel(bloomTexture, linearSampler, input.uv + texel * vec2<f32>(-1.0, -1.0), 0.0);
+  color += textureSampleLevel(bloomTexture, linearSampler, input.uv + texel * vec2<f32>(1.0, -1.0), 0.0);
+  color += textureSampleLevel(bloomTexture, linearSampler, input.uv + texel * vec2<f32>(-1.0, 1.0), 0.0);
+  color += textureSampleLevel(bloomTexture, linearSampler, input.uv + texel * vec2<f32>(1.0, 1.0), 0.0);
+  return color * 0.25;
+}
+
+// 3 x 3 tent of the level below, added onto the level above
+@fragment
+fn fs_bloom_up(input : VertexOut) -> @location(0) vec4<f32> {
+  let texel = 1.0 / vec2<f32>(textureDimensions(bloomTexture));
+  var color = vec4<f32>(0.0);
+  for (var y = -1; y <= 1; y++) {
+    for (var x = -1; x <= 1; x++) {
+      let weight = f32((2 - abs(x)) * (2 - abs(y))) / 16.0;
+      color += textureSampleLevel(bloomTexture, linearSampler, input.uv + texel * vec2<f32>(f32(x), f32(y)), 0.0) * weight;
+    }
+  }
+  return color;
+}
+
+// Krzysztof Narkowicz's fit of the ACES filmic curve
+fn aces(x : vec3<f32>) -> vec3<f32> {
+  return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), vec3<f32>(0.0), vec3<f32>(1.0));
+}
+
+@fragment
+fn fs_composite(input : VertexOut) -> @location(0) vec4<f32> {
+  var color = textureSampleLevel(hdrTexture, linearSampler, input.uv, 0.0).rgb;
+  if (params.effects.x > 0.5) {
+    let size = vec2<i32>(textureDimensions(aoTexture));
+    let base = vec2<i32>(input.position.xy) - 2;
+    var ao = 0.0;
+    for (var y = 0; y < 4; y++) {
+      for (var x = 0; x < 4; x++) {
+        ao += textureLoad(aoTexture, clamp(base + vec2<i32>(x, y), vec2<i32>(0), size - 1), 0).r;
+      }
+    }
+    color *= ao / 16.0;
+  }
+  if (params.effects.y > 0.5) {
+    color += textureSampleLevel(bloomTexture, linearSampler, input.uv, 0.0).rgb * params.bloom.x;
+  }
+  color *= params.effects.w;
+  if (params.effects.z > 0.5) {
+    color = aces(color);
+  }
+  return vec4<f32>(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)), 1.0);
+}
+
+fn luma(color : vec3<f32>) -> f32 {
+  return dot(color, vec3<f32>(0.299, 0.587, 0.114));
+}
+
+// FXAA: blur along the local edge direction, found from the luma of the
+// four diagonal neighbours, unless that overshoots the neighbourhood
+@fragment
+fn fs_fxaa(input : VertexOut) -> @location(0) vec4<f32> {
+  let texel = 1.0 / vec2<f32>(textureDimensions(ldrTexture));
+  let uv = input.uv;
+  let rgbM = textureSampleLevel(ldrTexture, linearSampler, uv, 0.0).rgb;
+  let lumaNW = luma(textureSampleLevel(ldrTexture, linearSampler, uv + vec2<f32>(-1.0, -1.0) * texel, 0.0).rgb);
+  let lumaNE = luma(textureSampleLevel(ldrTexture, linearSampler, uv + vec2<f32>(1.0, -1.0) * texel, 0.0).rgb);
+  let lumaSW = luma(textureSampleLevel(ldrTexture, linearSampler, uv + vec2<f32>(-1.0, 1.0) * texel, 0.0).rgb);
+  let lumaSE = luma(textureSampleLevel(ldrTexture, linearSampler, uv + vec2<f32>(1.0, 1.0) * texel, 0.0).rgb);
+  let lumaM = luma(rgbM);
+  let lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+  let lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+  var dir = vec2<f32>(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+  let reduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * (1.0 / 8.0), 1.0 / 128.0);
+  let scale = 1.0 / (min(abs(dir.x), abs(dir.y)) + reduce);
+  dir = clamp(dir * scale, vec2<f32>(-8.0), vec2<f32>(8.0)) * texel;
+  let rgbA = 0.5 * (textureSampleLevel(ldrTexture, linearSampler, uv + dir * (1.0 / 3.0 - 0.5), 0.0).rgb +
+                    textureSampleLevel(ldrTexture, linearSampler, uv + dir * (2.0 / 3.0 - 0.5), 0.0).rgb);
+  let rgbB = rgbA * 0.5 + 0.25 * (textureSampleLevel(ldrTexture, linearSampler, uv - dir * 0.5, 0.0).rgb +
+                                  textureSampleLevel(ldrTexture, linearSampler, uv + dir * 0.5, 0.0).rgb);
+  let lumaB = luma(rgbB);
+  if (lumaB < lumaMin || lumaB > lumaMax) {
+    return vec4<f32>(rgbA, 1.0);
+  }
+  return vec4<f32>(rgbB, 1.0);
+}
+`;
+}
+
+export function createPostProcessor(renderer) {
+  let device = null;
+  let module = null;
+  let uniformBuffer = null;
+  let sampler = null;
+  // entry point + target format -> pipeline
+  let pipelines = new Map();
+  // Size-dependent textures and the bind groups that read them, one set per
+  // output size ("width x height"), least recently used first
+  const targetSets = new Map();
+  const effects = { ssao: false, bloom: false, toneMapping: false, fxaa: false, exposure: 1 };
+  let enabled = false;
+
+  // The bloom upsamples add onto what the downsamples left
+  const additive = (entryPoint) => entryPoint === 'fs_bloom_up';
+
+  function pipeline(entryPoint, format) {
+    const key = `${entryPoint} ${format}`;
+    if (!pipelines.has(key)) {
+      const blend = additive(entryPoint)
+        ? { color: { srcFactor: 'one', dstFactor: 'one' }, alpha: { srcFactor: 'one', dstFactor: 'one' } }
+        : undefined;
+      pipelines.set(key, withErrorScope(device, 'Post-processing pipeline', () => device.createRenderPipeline({
+        label: `Post ${entryPoint}`,
+        layout: 'auto',
+        vertex: { module, entryPoint: 'vs_main' },
+        fragment: { module, entryPoint, targets: [{ format, blend }] },
+        primitive: { topology: 'triangle-list' }
+      }), renderer.reportError));
+    }
+    return pipelines.get(key);
+  }
+
+  function bindGroup(entryPoint, format, resources) {
+    return device.createBindGroup({
+      layout: pipeline(entryPoint, format).getBindGroupLayout(0),
+      entries: Object.entries(resources).map(([binding, resource]) => ({ binding: Number(binding), resource }))
+    });
+  }
+
+  function releaseTargets() {
+    targetSets.forEach((targets) => targets.textures.forEach((texture) => texture.destroy()));
+    targetSets.clear();
+  }
+
+  function createTexture(size, format, extra = {}) {
+    return device.createTexture({
+      size,
+      format,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+      ...extra
+    });
+  }
+
+  function allocate(width, height) {
+    const { sampleCount } = renderer;
+    const hdr = createTexture([width, height], HDR_FORMAT);
+    const multisample = sampleCount > 1
+      ? createTexture([width, height], HDR_FORMAT, { sampleCount, usage: GPUTextureUsage.RENDER_ATTACHMENT })
+      : null;
+    const ao = createTexture([width, height], 'r8unorm');
+    const ldr = createTexture([width, height], LDR_FORMAT);
+    const bloomSize = [Math.max(width >> 1, 1), Math.max(height >> 1, 1)];
+    const bloom = createTexture(bloomSize, HDR_FORMAT, {
+      mipLevelCount: Math.min(BLOOM_LEVELS, mipLevelCount(...bloomSize))
+    });
+    const hdrView = hdr.createView();
+    const levels = [];
+    for (let level = 0; level < bloom.mipLevelCount; level++) {
+      levels.push(bloom.createView({ baseMipLevel: level, mipLevelCount: 1 }));
+    }
+    const uniforms = { buffer: uniformBuffer };
+    return {
+      width,
+      height,
+      textures: [hdr, multisample, ao, ldr, bloom].filter(Boolean),
+      sceneTarget: multisample
+        ? { view: multisample.createView(), resolveTarget: hdrView, width, height }
+        : { view: hdrView, resolveTarget: undefined, width, height },
+      aoView: ao.createView(),
+      ldrView: ldr.createView(),
+      levels,
+      prefilterGroup: bindGroup('fs_bloom_prefilter', HDR_FORMAT, { 0: uniforms, 1: hdrView, 5: sampler }),
+      // Reading level i, for the pass that writes level i + 1 (down) or i - 1 (up)
+      downGroups: levels.map((view) => bindGroup('fs_bloom_down', HDR_FORMAT, { 4: view, 5: sampler })),
+      upGroups: levels.map((view) => bindGroup('fs_bloom_up', HDR_FORMAT, { 4: view, 5: sampler })),
+      composite: { 0: uniforms, 1: hdrView, 3: ao.createView(), 4: levels[0], 5: sampler },
+      compositeGroups: new Map(), // output format -> bind group
+      fxaaGroups: new Map()
+    };
+  }
+
+  // The set for `output`, made the most recently used
+  function targetsFor(output) {
+    const key = `${output.width}x${output.height}`;
+    let targets = targetSets.get(key);
+    if (targets) {
+      targetSets.delete(key);
+    } else {
+      if (targetSets.size >= TARGET_SETS) {
+        const [oldest, old] = targetSets.entries().next().value;
+        old.textures.forEach((texture) => texture.destroy());
+        targetSets.delete(oldest);
+      }
+      targets = allocate(output.width, output.height);
+    }
+    targetSets.set(key, targets);
+    return targets;
+  }
+
+  function fullscreenPass(encoder, view, entryPoint, format, group) {
+    const pass = countDraws(encoder.beginRenderPass({
+      colorAttachments: [{
+        view,
+        loadOp: additive(entryPoint) ? 'load' : 'clear',
+        storeOp: 'store',
+        clearValue: { r: 0, g: 0, b: 0, a: 1 }
+      }]
+    }), renderer.stats);
+    pass.setPipeline(pipeline(entryPoint, format));
+    pass.setBindGroup(0, group);
+    pass.draw(3);
+    pass.end();
+  }
+
+  return {
+    // (Re)create GPU resources for the renderer's current device and sample
+    // count; call it from the page's device-restored listener
+    async init() {
+      // Left over from before a sample count change (or a lost device)
+      releaseTargets();
+      if (uniformBuffer) uniformBuffer.destroy();
+      device = renderer.device;
+      const code = postWGSL(renderer.sampleCount > 1);
+      module = device.createShaderModule({ label: 'Post-processing', code });
+      await checkShaderModule(module, 'Post-processing', code);
+      uniformBuffer = device.createBuffer({
+        size: UNIFORM_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+      sampler = device.createSampler({ minFilter: 'linear', magFilter: 'linear' });
+      pipelines = new Map();
+    },
+
+    get enabled() {
+      return enabled;
+    },
+    // Color format the page's scene pipelines must target
+    get format() {
+      return enabled ? HDR_FORMAT : renderer.format;
+    },
+
+    // Apply { postSsao, postBloom, postToneMapping, postFxaa, exposure } from
+    // the settings.  Returns true when the chain was turned on or off, so
+    // the scene pipelines need to be rebuilt for the new format.
+    configure(settings) {
+      effects.ssao = settings.postSsao;
+      effects.bloom = settings.postBloom;
+      effects.toneMapping = settings.postToneMapping;
+      effects.fxaa = settings.postFxaa;
+      effects.exposure = settings.exposure;
+      const next = effects.ssao || effects.bloom || effects.toneMapping || effects.fxaa;
+      if (next === enabled) return false;
+      enabled = next;
+      if (!enabled) releaseTargets();
+      return true;
+    },
+
+    // Where the scene goes instead of `output` (a renderer.colorTarget() or
+    // capture target) while the chain is on
+    sceneTarget(output) {
+      return targetsFor(output).sceneTarget;
+    },
+
+    // Run the enabled effects on the scene drawn into sceneTarget(output)
+    // and write the result to `output`.  `depthView` is the scene's depth
+    // attachment, `projection` its projection matrix and `aoRadius` the
+    // SSAO sample radius in world units.
+    apply(output, depthView, { projection, aoRadius }) {
+      const targets = targetsFor(output);
+      const { width, height } = targets;
+      const data = new Float32Array(UNIFORM_SIZE / 4);
+      data.set(projection, 0);
+      data.set(mat4.invert(projection), 16);
+      data.set([effects.ssao ? 1 : 0, effects.bloom ? 1 : 0, effects.toneMapping ? 1 : 0, effects.exposure], 32);
+      data.set([aoRadius, SSAO_INTENSITY, 0, 0], 36);
+      data.set([BLOOM_STRENGTH, BLOOM_THRESHOLD, 0, 0], 40);
+      data.set([1 / width, 1 / height, 0, 0], 44);
+      device.queue.writeBuffer(uniformBuffer, 0, data);
+
+      const encoder = device.createCommandEncoder({ label: 'Post-processing' });
+      if (effects.ssao) {
+        // The depth view changes with every frame and export
+        const group = bindGroup('fs_ssao', 'r8unorm', { 0: { buffer: uniformBuffer }, 2: depthView });
+        fullscreenPass(encoder, targets.aoView, 'fs_ssao', 'r8unorm', group);
+      }
+      if (effects.bloom) {
+        const { levels } = targets;
+        fullscreenPass(encoder, levels[0], 'fs_bloom_prefilter', HDR_FORMAT, targets.prefilterGroup);
+        for (let level = 1; level < levels.length; level++) {
+          fullscreenPass(encoder, levels[level], 'fs_bloom_down', HDR_FORMAT, targets.downGroups[level - 1]);
+        }
+        for (let level = levels.length - 1; level > 0; level--) {
+          fullscreenPass(encoder, levels[level - 1], 'fs_bloom_up', HDR_FORMAT, targets.upGroups[level]);
+        }
+      }
+      const outputView = output.resolveTarget || output.view;
+      const compositeFormat = effects.fxaa ? LDR_FORMAT : renderer.format;
+      if (!targets.compositeGroups.has(compositeFormat)) {
+        targets.compositeGroups.set(compositeFormat, bindGroup('fs_composite', compositeFormat, targets.composite));
+      }
+      const compositeGroup = targets.compositeGroups.get(compositeFormat);
+      if (effects.fxaa) {
+        fullscreenPass(encoder, targets.ldrView, 'fs_composite', LDR_FORMAT, compositeGroup);
+        if (!targets.fxaaGroups.has(renderer.format)) {
+          targets.fxaaGroups.set(renderer.format, bindGroup('fs_fxaa', renderer.format, { 5: sampler, 6: targets.ldrView }));
+        }
+        fullscreenPass(encoder, outputView, 'fs_fxaa', renderer.format, targets.fxaaGroups.get(renderer.format));
+      } else {
+        fullscreenPass(encoder, outputView, 'fs_composite', renderer.format, compositeGroup);
+      }
+      device.queue.submit([encoder.finish()]);
+    },
+
+    destroy() {
+      releaseTargets();
+      if (uniformBuffer) uniformBuffer.destroy();
+    }
+  };
+}
+
+const PANEL_KEYS = ['msaa', 'postFxaa', 'postSsao', 'postBloom', 'postToneMapping', 'exposure'];
+
+// Antialiasing and effect controls for a page panel, bound to the user's
+// settings like the shadow panel (shadows.js).  Call update() when the
+// settings change elsewhere.
+export function createPostPanel(container, settings, onChange = () => {}) {
+  return createSettingsControls(container, settings, PANEL_KEYS, onChange);
+}
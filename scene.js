@@ -0,0 +1,493 @@
+// scene.js
+// Versioned JSON scene format for the viewer.  A scene file is self-contained
+// so it can be shared as one file:
+//   {
+//     "format": "webgpu-viewer-scene", "version": 4,
+//     "background": [r, g, b],
+//     "backgroundStyle"?: "solid" | "gradient",
+//     "gradient"?: [r, g, b],  bottom color of the gradient, "background" is the top
+//     "camera": { "target": [x, y, z], "distance": d, "yaw": rad, "pitch": rad },
+//     "meshes": [{ "positions": <array>, "normals"?, "colors"?, "uvs"?, "indices"?,
+//                  "topology"?: "triangle-list" | "point-list" }],
+//     "textures"?: [{ "mimeType": "image/png" | "image/jpeg", "base64": "..." }],
+//     "objects": [{
+//       "name"?: "...",
+//       "mesh": "cube" | "sphere" | "plane" | <index into meshes>,
+//       "translation"?: [x, y, z], "rotation"?: [x, y, z, w], "scale"?: [x, y, z],
+//       "matrix"?: [16 numbers, column-major; replaces translation/rotation/scale],
+//       "material"?: { "baseColorFactor", "metallicFactor", "roughnessFactor", "emissiveFactor",
+//                      "baseColorTexture"?: <index into textures> },
+//       "visible"?: true | false,
+//       "children"?: [objects, with transforms relative to this one]
+//     }]
+//   }
+// "mesh" may be omitted for pure grouping objects.  Point lists (scanned
+// point clouds) have no indices and keep normals only when they came with
+// them.  Version 1 to 3 files (no visible/children, no textures or background
+// style, no point lists) are read unchanged.
+// In a validated scene a texture is { mimeType, data: Uint8Array } held by
+// the material itself; only files use the index.  HDR environments are
+// large and stay out of scenes (see environment.js).
+// Binary arrays are { "type": "float32" | "uint16" | "uint32", "base64": "..." }
+// (plain number arrays are accepted too).  validateScene() reports the path of
+// the first problem, e.g. "objects[2].scale must be an array of 3 numbers".
+
+import { computeNormals } from './loaders.js';
+import { defaultMaterial } from './materials.js';
+
+export const SCENE_FORMAT = 'webgpu-viewer-scene';
+export const SCENE_VERSION = 4;
+export const DEFAULT_BACKGROUND = [0.04, 0.09, 0.2];
+export const DEFAULT_GRADIENT = [0.01, 0.02, 0.05];
+export const BACKGROUND_STYLES = ['solid', 'gradient'];
+export const TEXTURE_TYPES = ['image/png', 'image/jpeg'];
+export const TOPOLOGIES = ['triangle-list', 'point-list'];
+
+const ARRAY_TYPES = { float32: Float32Array, uint16: Uint16Array, uint32: Uint32Array };
+
+function bytesToBase64(bytes) {
+  // Build the binary string in chunks; apply() has an argument-count limit
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function encodeArray(array) {
+  const type = Object.keys(ARRAY_TYPES).find((key) => array instanceof ARRAY_TYPES[key]);
+  if (!type) throw new Error('Only Float32Array, Uint16Array and Uint32Array can be stored in a scene.');
+  return { type, base64: bytesToBase64(new Uint8Array(array.buffer, array.byteOffset, array.byteLength)) };
+}
+
+function sceneError(path, problem) {
+  return new Error(`Invalid scene: ${path} ${problem}.`);
+}
+
+function decodeArray(value, path, defaultType) {
+  if (Array.isArray(value)) {
+    if (!value.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+      throw sceneError(path, 'must contain only numbers');
+    }
+    return new ARRAY_TYPES[defaultType](value);
+  }
+  if (!value || typeof value !== 'object' || !ARRAY_TYPES[value.type] || typeof value.base64 !== 'string') {
+    throw sceneError(path, 'must be an array of numbers or { "type": "float32" | "uint16" | "uint32", "base64": "..." }');
+  }
+  const bytes = decodeBase64(value.base64, path);
+  const Type = ARRAY_TYPES[value.type];
+  if (bytes.length % Type.BYTES_PER_ELEMENT !== 0) {
+    throw sceneError(path, `has ${bytes.length} bytes, which is not a whole number of ${value.type} values`);
+  }
+  return new Type(bytes.buffer);
+}
+
+function decodeBase64(base64, path) {
+  let binary;
+  try {
+    binary = atob(base64);
+  } catch (e) {
+    throw sceneError(path, 'is not valid base64');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function validateTexture(texture, path) {
+  if (!texture || typeof texture !== 'object') throw sceneError(path, 'must be an object');
+  if (!TEXTURE_TYPES.includes(texture.mimeType)) {
+    throw sceneError(`${path}.mimeType`, `must be ${TEXTURE_TYPES.map((t) => `"${t}"`).join(' or ')}`);
+  }
+  if (typeof texture.base64 !== 'string') throw sceneError(`${path}.base64`, 'must be a base64 string');
+  return { mimeType: texture.mimeType, data: decodeBase64(texture.base64, `${path}.base64`) };
+}
+
+function checkNumbers(value, count, path) {
+  if (!Array.isArray(value) || value.length !== count || !value.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+    throw sceneError(path, `must be an array of ${count} numbers`);
+  }
+  return value;
+}
+
+function checkNumber(value, path, min = -Infinity, max = Infinity) {
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    throw sceneError(path, max < Infinity ? `must be a number from ${min} to ${max}` : `must be a number ≥ ${min}`);
+  }
+  return value;
+}
+
+// Built-in meshes objects can refer to by name
+export const PRIMITIVES = {
+  // The viewer's original cube: 2 units wide, one color per corner
+  cube() {
+    const corners = [
+      // positions     // colors
+      [-1, -1,  1,     1, 0, 0],
+      [ 1, -1,  1,     0, 1, 0],
+      [ 1,  1,  1,     0, 0, 1],
+      [-1,  1,  1,     1, 1, 0],
+      [-1, -1, -1,     1, 0, 1],
+      [ 1, -1, -1,     0, 1, 1],
+      [ 1,  1, -1,     1, 1, 1],
+      [-1,  1, -1,     0.5, 0.5, 0.5]
+    ];
+    const faces = [
+      // corners (counter-clockwise)  // normal
+      [[0, 1, 2, 3], [0, 0, 1]],   // front
+      [[1, 5, 6, 2], [1, 0, 0]],   // right
+      [[5, 4, 7, 6], [0, 0, -1]],  // back
+      [[4, 0, 3, 7], [-1, 0, 0]],  // left
+      [[3, 2, 6, 7], [0, 1, 0]],   // top
+      [[4, 5, 1, 0], [0, -1, 0]]   // bottom
+    ];
+    const positions = new Float32Array(faces.length * 12);
+    const normals = new Float32Array(faces.length * 12);
+    const colors = new Float32Array(faces.length * 12);
+    const uvs = new Float32Array(faces.length * 8);
+    const indices = new Uint16Array(faces.length * 6);
+    faces.forEach(([face, normal], f) => {
+      face.forEach((c, k) => {
+        const [x, y, z, r, g, b] = corners[c];
+        positions.set([x, y, z], (f * 4 + k) * 3);
+        normals.set(normal, (f * 4 + k) * 3);
+        colors.set([r, g, b], (f * 4 + k) * 3);
+      });
+      // Each face shows the whole texture
+      uvs.set([0, 1, 1, 1, 1, 0, 0, 0], f * 8);
+      indices.set([0, 1, 2, 0, 2, 3].map((i) => f * 4 + i), f * 6);
+    });
+    return { positions, normals, colors, uvs, indices };
+  },
+
+  // Unit-radius UV sphere
+  sphere(bands = 24, segments = 32) {
+    const positions = new Float32Array((bands + 1) * (segments + 1) * 3);
+    const uvs = new Float32Array((bands + 1) * (segments + 1) * 2);
+    for (let b = 0; b <= bands; b++) {
+      const theta = (b / bands) * Math.PI;
+      for (let s = 0; s <= segments; s++) {
+        const phi = (s / segments) * Math.PI * 2;
+        positions.set([Math.sin(theta) * Math.sin(phi), Math.cos(theta), Math.sin(theta) * Math.cos(phi)],
+          (b * (segments + 1) + s) * 3);
+        uvs.set([s / segments, b / bands], (b * (segments + 1) + s) * 2);
+      }
+    }
+    const indices = new Uint16Array(bands * segments * 6);
+    let k = 0;
+    for (let b = 0; b < bands; b++) {
+      for (let s = 0; s < segments; s++) {
+        const a = b * (segments + 1) + s;
+        const c = a + segments + 1;
+        indices.set([a, c, a + 1, a + 1, c, c + 1], k);
+        k += 6;
+      }
+    }
+    return { positions, normals: positions.slice(), colors: null, uvs, indices };
+  },
+
+  // 2 x 2 square in the XZ plane facing +Y
+  plane() {
+    return {
+      positions: new Float32Array([-1, 0, 1, 1, 0, 1, 1, 0, -1, -1, 0, -1]),
+      normals: new Float32Array([0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0]),
+      colors: null,
+      uvs: new Float32Array([0, 1, 1, 1, 1, 0, 0, 0]),
+      indices: new Uint16Array([0, 1, 2, 0, 2, 3])
+    };
+  }
+};
+
+// The scene the viewer starts with: the original cube, seen from (3, 3, 4)
+export function defaultScene({ background = DEFAULT_BACKGROUND } = {}) {
+  const distance = Math.hypot(3, 3, 4);
+  return validateScene({
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    background: [...background],
+    camera: { target: [0, 0, 0], distance, yaw: Math.atan2(3, 4), pitch: Math.asin(3 / distance) },
+    meshes: [],
+    objects: [{ name: 'Cube', mesh: 'cube' }]
+  });
+}
+
+function validateMaterial(material, path, textures) {
+  if (material === undefined) return defaultMaterial();
+  if (!material || typeof material !== 'object') throw sceneError(path, 'must be an object');
+  const out = defaultMaterial();
+  if (material.baseColorFactor !== undefined) out.baseColorFactor = checkNumbers(material.baseColorFactor, 4, `${path}.baseColorFactor`);
+  if (material.emissiveFactor !== undefined) out.emissiveFactor = checkNumbers(material.emissiveFactor, 3, `${path}.emissiveFactor`);
+  if (material.metallicFactor !== undefined) out.metallicFactor = checkNumber(material.metallicFactor, `${path}.metallicFactor`, 0, 1);
+  if (material.roughnessFactor !== undefined) out.roughnessFactor = checkNumber(material.roughnessFactor, `${path}.roughnessFactor`, 0, 1);
+  if (material.name !== undefined) out.name = String(material.name);
+  if (material.baseColorTexture !== undefined && material.baseColorTexture !== null) {
+    const index = material.baseColorTexture;
+    if (!Number.isInteger(index) || index < 0 || index >= textures.length) {
+      throw sceneError(`${path}.baseColorTexture`, `must be a texture index from 0 to ${textures.length - 1}`);
+    }
+    out.baseColorTexture = textures[index];
+  }
+  return out;
+}
+
+function validateMesh(mesh, path) {
+  if (!mesh || typeof mesh !== 'object') throw sceneError(path, 'must be an object');
+  const positions = decodeArray(mesh.positions, `${path}.positions`, 'float32');
+  if (!(positions instanceof Float32Array) || positions.length === 0 || positions.length % 3 !== 0) {
+    throw sceneError(`${path}.positions`, 'must be float32 with a multiple of 3 values');
+  }
+  const count = positions.length / 3;
+  const topology = mesh.topology === undefined ? 'triangle-list' : mesh.topology;
+  if (!TOPOLOGIES.includes(topology)) {
+    throw sceneError(`${path}.topology`, `must be ${TOPOLOGIES.map((t) => `"${t}"`).join(' or ')}`);
+  }
+  const points = topology === 'point-list';
+  const optional = (key, size, type) => {
+    if (mesh[key] === undefined || mesh[key] === null) return null;
+    const array = decodeArray(mesh[key], `${path}.${key}`, type);
+    if (!(array instanceof Float32Array) || array.length !== count * size) {
+      throw sceneError(`${path}.${key}`, `must be float32 with ${size} values per vertex (${count * size})`);
+    }
+    return array;
+  };
+  const normals = optional('normals', 3, 'float32');
+  const colors = optional('colors', 3, 'float32');
+  const uvs = optional('uvs', 2, 'float32');
+  let indices = null;
+  if (mesh.indices !== undefined && mesh.indices !== null) {
+    if (points) throw sceneError(`${path}.indices`, 'must be left out for a point list');
+    indices = decodeArray(mesh.indices, `${path}.indices`, count > 65535 ? 'uint32' : 'uint16');
+    if (indices instanceof Float32Array || indices.length % 3 !== 0) {
+      throw sceneError(`${path}.indices`, 'must be uint16 or uint32 with a multiple of 3 values');
+    }
+    for (let i = 0; i < indices.length; i++) {
+      if (indices[i] >= count) throw sceneError(`${path}.indices`, `refers to vertex ${indices[i]} but there are only ${count}`);
+    }
+  } else if (!points && count % 3 !== 0) {
+    throw sceneError(`${path}.positions`, 'must describe whole triangles when there are no indices');
+  }
+  return {
+    positions,
+    normals: normals || (points ? null : computeNormals(positions, indices)),
+    colors,
+    uvs,
+    indices,
+    topology
+  };
+}
+
+function validateObject(object, path, meshCount, textures) {
+  if (!object || typeof object !== 'object') throw sceneError(path, 'must be an object');
+  const mesh = object.mesh === undefined ? null : object.mesh;
+  if (mesh === null) {
+    // grouping object
+  } else if (typeof mesh === 'string') {
+    if (!PRIMITIVES[mesh]) {
+      throw sceneError(`${path}.mesh`, `must be ${Object.keys(PRIMITIVES).map((p) => `"${p}"`).join(', ')} or a mesh index`);
+    }
+  } else if (!Number.isInteger(mesh) || mesh < 0 || mesh >= meshCount) {
+    throw sceneError(`${path}.mesh`, `must be a primitive name or a mesh index from 0 to ${meshCount - 1}`);
+  }
+  const out = { name: object.name === undefined ? '' : String(object.name), mesh };
+  if (object.matrix !== undefined) {
+    out.matrix = checkNumbers(object.matrix, 16, `${path}.matrix`);
+  } else {
+    out.translation = object.translation === undefined ? [0, 0, 0] : checkNumbers(object.translation, 3, `${path}.translation`);
+    out.rotation = object.rotation === undefined ? [0, 0, 0, 1] : checkNumbers(object.rotation, 4, `${path}.rotation`);
+    out.scale = object.scale === undefined ? [1, 1, 1] : checkNumbers(object.scale, 3, `${path}.scale`);
+  }
+  out.material = validateMaterial(object.material, `${path}.material`, textures);
+  if (object.visible !== undefined && typeof object.visible !== 'boolean') {
+    throw sceneError(`${path}.visible`, 'must be true or false');
+  }
+  out.visible = object.visible !== false;
+  const children = object.children === undefined ? [] : object.children;
+  if (!Array.isArray(children)) throw sceneError(`${path}.children`, 'must be an array');
+  out.children = children.map((child, i) => validateObject(child, `${path}.children[${i}]`, meshCount, textures));
+  return out;
+}
+
+// Check a parsed scene and return a normalized copy (defaults filled in,
+// mesh arrays decoded to typed arrays).  Throws with a descriptive message.
+export function validateScene(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Invalid scene: the file must contain a JSON object.');
+  }
+  if (json.format !== SCENE_FORMAT) {
+    throw new Error(`Invalid scene: "format" must be "${SCENE_FORMAT}"; this does not look like a scene file.`);
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    throw sceneError('version', 'must be a positive integer');
+  }
+  if (json.version > SCENE_VERSION) {
+    throw new Error(`This scene uses format version ${json.version}; this viewer reads up to version ${SCENE_VERSION}.`);
+  }
+  const background = json.background === undefined ? [...DEFAULT_BACKGROUND] : checkNumbers(json.background, 3, 'background');
+  const gradient = json.gradient === undefined ? [...DEFAULT_GRADIENT] : checkNumbers(json.gradient, 3, 'gradient');
+  const backgroundStyle = json.backgroundStyle === undefined ? 'solid' : json.backgroundStyle;
+  if (!BACKGROUND_STYLES.includes(backgroundStyle)) {
+    throw sceneError('backgroundStyle', `must be ${BACKGROUND_STYLES.map((s) => `"${s}"`).join(' or ')}`);
+  }
+  let camera = null;
+  if (json.camera !== undefined && json.camera !== null) {
+    if (typeof json.camera !== 'object') throw sceneError('camera', 'must be an object');
+    camera = {
+      target: checkNumbers(json.camera.target, 3, 'camera.target'),
+      distance: checkNumber(json.camera.distance, 'camera.distance', 1e-6),
+      yaw: checkNumber(json.camera.yaw, 'camera.yaw'),
+      pitch: checkNumber(json.camera.pitch, 'camera.pitch', -Math.PI / 2, Math.PI / 2)
+    };
+  }
+  const meshes = json.meshes === undefined ? [] : json.meshes;
+  if (!Array.isArray(meshes)) throw sceneError('meshes', 'must be an array');
+  if (!Array.isArray(json.objects)) throw sceneError('objects', 'must be an array');
+  const textures = json.textures === undefined ? [] : json.textures;
+  if (!Array.isArray(textures)) throw sceneError('textures', 'must be an array');
+  const decodedTextures = textures.map((texture, i) => validateTexture(texture, `textures[${i}]`));
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    background,
+    backgroundStyle,
+    gradient,
+    camera,
+    meshes: meshes.map((mesh, i) => validateMesh(mesh, `meshes[${i}]`)),
+    objects: json.objects.map((object, i) => validateObject(object, `objects[${i}]`, meshes.length, decodedTextures))
+  };
+}
+
+// Parse scene file text; JSON syntax errors get the same "Invalid scene" prefix
+export function parseScene(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid scene: ${e.message}`);
+  }
+  return validateScene(json);
+}
+
+// Build a scene from a loaded model.  Meshes shared between objects are
+// stored once.
+export function modelToScene(model, {
+  background = DEFAULT_BACKGROUND,
+  backgroundStyle = 'solid',
+  gradient = DEFAULT_GRADIENT,
+  camera = null
+} = {}) {
+  const meshIndex = new Map();
+  const meshes = [];
+  const objects = model.meshes.map((mesh) => {
+    let index = meshIndex.get(mesh.positions);
+    if (index === undefined) {
+      index = meshes.length;
+      meshIndex.set(mesh.positions, index);
+      meshes.push({
+        positions: mesh.positions,
+        normals: mesh.normals,
+        colors: mesh.colors || null,
+        uvs: mesh.uvs || null,
+        indices: mesh.indices || null,
+        topology: mesh.topology || 'triangle-list'
+      });
+    }
+    const { baseColorFactor, metallicFactor, roughnessFactor, emissiveFactor, baseColorTexture, name } = mesh.material;
+    return {
+      name: mesh.name || '',
+      mesh: index,
+      matrix: Array.from(mesh.matrix),
+      material: { name, baseColorFactor, metallicFactor, roughnessFactor, emissiveFactor, baseColorTexture: baseColorTexture || null },
+      visible: true,
+      children: []
+    };
+  });
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    background: [...background],
+    backgroundStyle,
+    gradient: [...gradient],
+    camera,
+    meshes,
+    objects
+  };
+}
+
+// Serialize a normalized scene (typed arrays become base64).  Textures
+// shared between materials are stored once.
+export function serializeScene(scene) {
+  const encode = (array) => (array ? encodeArray(array) : undefined);
+  const textures = [];
+  const textureIndex = new Map();
+  const indexOf = (texture) => {
+    if (!textureIndex.has(texture)) {
+      textureIndex.set(texture, textures.length);
+      textures.push({ mimeType: texture.mimeType, base64: bytesToBase64(texture.data) });
+    }
+    return textureIndex.get(texture);
+  };
+  const objects = scene.objects.map((object) => serializeObject(object, indexOf));
+  return JSON.stringify({
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    background: scene.background,
+    backgroundStyle: scene.backgroundStyle && scene.backgroundStyle !== 'solid' ? scene.backgroundStyle : undefined,
+    gradient: scene.gradient || undefined,
+    camera: scene.camera || undefined,
+    meshes: scene.meshes.map((mesh) => ({
+      positions: encode(mesh.positions),
+      normals: encode(mesh.normals),
+      colors: encode(mesh.colors),
+      uvs: encode(mesh.uvs),
+      indices: encode(mesh.indices),
+      topology: mesh.topology === 'point-list' ? mesh.topology : undefined
+    })),
+    textures: textures.length ? textures : undefined,
+    objects
+  });
+}
+
+function serializeObject(object, indexOf) {
+  const out = { name: object.name || undefined };
+  if (object.mesh !== null) out.mesh = object.mesh;
+  if (object.matrix) {
+    out.matrix = Array.from(object.matrix);
+  } else {
+    out.translation = Array.from(object.translation);
+    out.rotation = Array.from(object.rotation);
+    out.scale = Array.from(object.scale);
+  }
+  out.material = {
+    baseColorFactor: object.material.baseColorFactor,
+    metallicFactor: object.material.metallicFactor,
+    roughnessFactor: object.material.roughnessFactor,
+    emissiveFactor: object.material.emissiveFactor
+  };
+  if (object.material.name) out.material.name = object.material.name;
+  if (object.material.baseColorTexture) out.material.baseColorTexture = indexOf(object.material.baseColorTexture);
+  if (object.visible === false) out.visible = false;
+  if (object.children && object.children.length) out.children = object.children.map((child) => serializeObject(child, indexOf));
+  return out;
+}
+
+// The last scene is kept in chrome.storage.local so the viewer reopens it.
+// Outside the extension (no chrome.storage) these quietly do nothing.
+const STORAGE_KEY = 'lastScene';
+
+function storage() {
+  return window.chrome && chrome.storage && chrome.storage.local;
+}
+
+export async function saveLastScene(scene) {
+  const local = storage();
+  if (!local) return;
+  await local.set({ [STORAGE_KEY]: serializeScene(scene) });
+}
+
+// Resolves to a validated scene, or null when nothing was stored
+export async function loadLastScene() {
+  const local = storage();
+  if (!local) return null;
+  const stored = await local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] ? parseScene(stored[STORAGE_KEY]) : null;
+}
@@ -0,0 +1,293 @@
+// scenegraph.js
+// Runtime scene graph for the viewer.  A validated scene (see scene.js)
+// becomes a tree of nodes with local translation / rotation / scale; world
+// matrices are derived from the parents.  Meshes live in one table shared by
+// all nodes, so a mesh used by many nodes (every "cube", or a glTF mesh
+// referenced by several nodes) can be drawn with a single instanced call.
+// Also builds the outline panel used to select, hide, move and texture nodes.
+
+import { mat4, quat, vec3 } from './core.js';
+import { PRIMITIVES, SCENE_FORMAT, SCENE_VERSION } from './scene.js';
+import { computeBounds, readImageFile, IMAGE_TYPES } from './loaders.js';
+
+let nextNodeId = 1;
+
+// Mesh data plus its local-space bounds.  `key` is the primitive name for
+// built-in meshes and null for meshes stored in the scene file.
+function createMesh(key, data) {
+  const identity = mat4.identity();
+  return { key, data, bounds: computeBounds({ meshes: [{ positions: data.positions, matrix: identity }] }) };
+}
+
+export function createSceneGraph(scene) {
+  const meshes = scene.meshes.map((data) => createMesh(null, data));
+  const primitives = {};
+  const meshFor = (ref) => {
+    if (ref === null) return null;
+    if (typeof ref === 'number') return meshes[ref];
+    if (!primitives[ref]) {
+      primitives[ref] = createMesh(ref, PRIMITIVES[ref]());
+      meshes.push(primitives[ref]);
+    }
+    return primitives[ref];
+  };
+
+  function createNode(object, parent) {
+    // Nodes always keep TRS so they can be edited; matrices are decomposed
+    const trs = object.matrix
+      ? mat4.decompose(object.matrix)
+      : { translation: object.translation, rotation: object.rotation, scale: object.scale };
+    const node = {
+      id: nextNodeId++,
+      name: object.name,
+      mesh: meshFor(object.mesh),
+      material: object.material,
+      translation: [...trs.translation],
+      rotation: [...trs.rotation],
+      scale: [...trs.scale],
+      visible: object.visible,
+      parent,
+      children: [],
+      worldMatrix: mat4.identity()
+    };
+    node.children = object.children.map((child) => createNode(child, node));
+    return node;
+  }
+
+  const roots = scene.objects.map((object) => createNode(object, null));
+
+  // Depth-first walk; `fn(node)` returning false skips the node's children
+  function forEach(fn, nodes = roots) {
+    for (const node of nodes) {
+      if (fn(node) !== false) forEach(fn, node.children);
+    }
+  }
+
+  // Visible nodes with a mesh; hiding a node hides its whole subtree
+  function visibleMeshNodes() {
+    const out = [];
+    forEach((node) => {
+      if (!node.visible) return false;
+      if (node.mesh) out.push(node);
+    });
+    return out;
+  }
+
+  const graph = {
+    roots,
+    meshes,
+
+    forEach,
+
+    // Recompute every node's world matrix from its parents
+    updateWorldMatrices() {
+      const visit = (node, parentMatrix) => {
+        const local = mat4.fromTRS(node.translation, node.rotation, node.scale);
+        node.worldMatrix = parentMatrix ? mat4.multiply(parentMatrix, local) : local;
+        node.children.forEach((child) => visit(child, node.worldMatrix));
+      };
+      roots.forEach((node) => visit(node, null));
+    },
+
+    // Visible nodes grouped by mesh, one group per instanced draw
+    batches() {
+      const byMesh = new Map();
+      for (const node of visibleMeshNodes()) {
+        if (!byMesh.has(node.mesh)) byMesh.set(node.mesh, []);
+        byMesh.get(node.mesh).push(node);
+      }
+      return [...byMesh].map(([mesh, nodes]) => ({ mesh, nodes }));
+    },
+
+    // World-space bounds of the visible nodes (call updateWorldMatrices first)
+    bounds() {
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (const node of visibleMeshNodes()) {
+        const { min: a, max: b } = node.mesh.bounds;
+        for (let i = 0; i < 8; i++) {
+          const corner = [i & 1 ? b[0] : a[0], i & 2 ? b[1] : a[1], i & 4 ? b[2] : a[2]];
+          const p = vec3.transformMat4(corner, node.worldMatrix);
+          for (let k = 0; k < 3; k++) {
+            if (p[k] < min[k]) min[k] = p[k];
+            if (p[k] > max[k]) max[k] = p[k];
+          }
+        }
+      }
+      return min[0] <= max[0] ? { min, max } : { min: [-1, -1, -1], max: [1, 1, 1] };
+    },
+
+    // Back to the scene format for saving
+    toScene({ background, backgroundStyle = 'solid', gradient, camera }) {
+      const stored = meshes.filter((mesh) => mesh.key === null);
+      const toObject = (node) => ({
+        name: node.name,
+        mesh: node.mesh ? (node.mesh.key ?? stored.indexOf(node.mesh)) : null,
+        translation: [...node.translation],
+        rotation: [...node.rotation],
+        scale: [...node.scale],
+        material: node.material,
+        visible: node.visible,
+        children: node.children.map(toObject)
+      });
+      return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        background: [...background],
+        backgroundStyle,
+        gradient: [...gradient],
+        camera,
+        meshes: stored.map((mesh) => mesh.data),
+        objects: roots.map(toObject)
+      };
+    }
+  };
+  graph.updateWorldMatrices();
+  return graph;
+}
+
+// Outline panel: a collapsible node tree with visibility checkboxes, and a
+// transform and texture editor for the selected node.  `onChange()` is called
+// after any edit so the caller can re-upload instance data.
+export function createOutlinePanel(container, onChange) {
+  const tree = document.createElement('ul');
+  tree.className = 'outline';
+  const editor = document.createElement('div');
+  editor.className = 'transform';
+  container.append(tree, editor);
+
+  let selected = null;
+  const rows = new Map(); // node -> name element
+
+  function select(node) {
+    if (selected && rows.has(selected)) rows.get(selected).classList.remove('selected');
+    selected = node;
+    if (node) rows.get(node).classList.add('selected');
+    renderEditor();
+  }
+
+  function nodeItem(node) {
+    const item = document.createElement('li');
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = node.visible;
+    visible.title = 'Visible';
+    visible.addEventListener('change', () => {
+      node.visible = visible.checked;
+      onChange();
+    });
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = node.name || (node.mesh ? node.mesh.key || 'Mesh' : 'Group');
+    name.addEventListener('click', (e) => {
+      e.preventDefault(); // don't toggle the surrounding <details>
+      select(node);
+    });
+    rows.set(node, name);
+    if (node.children.length === 0) {
+      item.append(visible, name);
+      return item;
+    }
+    const details = document.createElement('details');
+    details.open = true;
+    const summary = document.createElement('summary');
+    summary.append(visible, name);
+    const children = document.createElement('ul');
+    node.children.forEach((child) => children.appendChild(nodeItem(child)));
+    details.append(summary, children);
+    item.appendChild(details);
+    return item;
+  }
+
+  function vectorRow(label, values, step, apply) {
+    const row = document.createElement('label');
+    row.textContent = label + ' ';
+    const inputs = values.map((value) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = step;
+      input.value = +value.toFixed(4);
+      input.style.width = '4.5em';
+      row.appendChild(input);
+      return input;
+    });
+    inputs.forEach((input) => input.addEventListener('input', () => {
+      const numbers = inputs.map((i) => parseFloat(i.value));
+      if (numbers.every(Number.isFinite)) {
+        apply(numbers);
+        onChange();
+      }
+    }));
+    editor.appendChild(row);
+  }
+
+  function renderEditor() {
+    editor.replaceChildren();
+    if (!selected) return;
+    const node = selected;
+    const toDegrees = (r) => (r * 180) / Math.PI;
+    vectorRow('Position', node.translation, 0.1, (v) => {
+      node.translation = v;
+    });
+    vectorRow('Rotation°', quat.toEuler(node.rotation).map(toDegrees), 5, (v) => {
+      node.rotation = quat.fromEuler(...v.map((d) => (d * Math.PI) / 180));
+    });
+    vectorRow('Scale', node.scale, 0.1, (v) => {
+      node.scale = v;
+    });
+    if (node.mesh) textureRow(node);
+  }
+
+  // Materials can be shared with other nodes, so the node gets its own copy
+  function textureRow(node) {
+    const row = document.createElement('div');
+    row.textContent = 'Texture ';
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = Object.keys(IMAGE_TYPES).join(',');
+    input.hidden = true;
+    const choose = document.createElement('button');
+    choose.type = 'button';
+    choose.textContent = node.material.baseColorTexture ? 'Replace…' : 'Choose…';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.hidden = !node.material.baseColorTexture;
+    const status = document.createElement('span');
+    status.className = 'status';
+    if (!node.mesh.data.uvs) {
+      choose.disabled = true;
+      status.textContent = 'no texture coordinates';
+    }
+    choose.addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+      try {
+        const texture = await readImageFile(file);
+        node.material = { ...node.material, baseColorTexture: texture };
+        onChange();
+        renderEditor();
+      } catch (err) {
+        status.textContent = err.message;
+      }
+    });
+    remove.addEventListener('click', () => {
+      node.material = { ...node.material, baseColorTexture: null };
+      onChange();
+      renderEditor();
+    });
+    row.append(input, choose, ' ', remove, ' ', status);
+    editor.appendChild(row);
+  }
+
+  return {
+    setGraph(graph) {
+      rows.clear();
+      selected = null;
+      tree.replaceChildren(...graph.roots.map(nodeItem));
+      renderEditor();
+    }
+  };
+}
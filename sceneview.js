@@ -0,0 +1,1531 @@
+// sceneview.js
+// Draws a scene graph (scenegraph.js) for the viewer, with one
+// implementation per rendering backend:
+//   WebGPU  per-object data in a storage buffer indexed by instance_index
+//   WebGL2  the same per-object data fed as per-instance vertex attributes
+// Either way every mesh is uploaded once and all visible nodes sharing it
+// (and the same base color texture) are drawn with a single instanced call.
+// Textures are decoded in the background; until one is ready its nodes are
+// drawn untextured.  Both views expose
+//   init(format)      create (or, after device loss, recreate) GPU resources
+//                     for drawing into `format` (WebGPU; the swap chain's, or
+//                     the HDR target of postprocess.js)
+//   setGraph(g)       upload the meshes of a new graph
+//   invalidate()      node transforms, visibility or materials changed
+//   setEnvironment(h) use a parsed HDR image (environment.js), or null;
+//                     WebGPU only
+//   setGround(on)     show a ground plane under the visible nodes
+//   configureShadows(settings)
+//                     apply the shadow settings (shadows.js); WebGPU only
+//   setInspection(i)  { wireframe, normals, backfaces, clipPlane, overlay }:
+//                     inspection drawing (inspect.js); `overlay` holds
+//                     world-space lines drawn over the scene
+//   configurePoints(settings)
+//                     apply { pointSize, pointColorByHeight, pointDensity }
+//                     to point clouds, which are drawn as round splats
+//   draw(frame)       { colorTarget, depthView, viewProjection, lighting,
+//                       lightDirection, background, gradient, environment }
+// The targets are WebGPU-only, WebGL2 draws to its canvas.  `background` is
+// the clear color and the top of the gradient; `gradient` is its bottom
+// color, or null for a solid background; `environment` is { intensity } to
+// show the loaded environment as skybox and reflections, otherwise null.
+// `lightDirection` is the directional light's, which casts the shadows.
+
+import { mat4, vec3, colorAttachment, countDraws } from './core.js';
+import { lightingWGSL, LIGHTING_GLSL, LIGHTING_UNIFORM_SIZE } from './lighting.js';
+import { checkShaderModule, withErrorScope } from './gpuerrors.js';
+import { GL_CLIP_DEPTH } from './webgl.js';
+import { decodeImage, createImageTexture, createSolidTexture } from './textures.js';
+import { PRIMITIVES } from './scene.js';
+import { COLORMAPS } from './colormaps.js';
+import { edgeIndices, normalLines } from './inspect.js';
+import { createShadowMap, SHADOW_DEPTH_STENCIL, GROUND_COLOR, GROUND_ROUGHNESS } from './shadows.js';
+import {
+  environmentWGSL, createEnvironmentTexture, createEnvironmentSampler, packBackground,
+  BACKGROUND_UNIFORM_SIZE, BACKGROUND_WGSL, BACKGROUND_GLSL_VERTEX, BACKGROUND_GLSL_FRAGMENT
+} from './environment.js';
+
+// Vertex layout: position.xyz, normal.xyz, color.rgb, uv.  The uv sits at
+// location 13, after the WebGL2 instance attributes, so both backends share
+// the layout.
+const VERTEX_STRIDE = 11;
+const VERTEX_LAYOUT = {
+  arrayStride: VERTEX_STRIDE * 4,
+  attributes: [
+    { shaderLocation: 0, offset: 0, format: 'float32x3' },
+    { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' },
+    { shaderLocation: 2, offset: 6 * 4, format: 'float32x3' },
+    { shaderLocation: 13, offset: 9 * 4, format: 'float32x2' }
+  ]
+};
+
+// Point clouds are drawn one instance per point, the quad's six corners
+// generated from the vertex index
+const POINT_LAYOUT = { ...VERTEX_LAYOUT, stepMode: 'instance' };
+
+// viewProjection, environment (x: intensity, 0 when off, y: mip levels),
+// the section plane, the inspection flags, the point settings and the
+// target size (see VIEWER_WGSL)
+const FRAME_UNIFORM_SIZE = (16 + 4 + 4 + 4 + 4 + 4) * 4;
+
+// Per-object data: model and normal matrices, base color, emissive and
+// metallic / roughness / ground flag
+const OBJECT_STRIDE = 44;
+
+// Normal lines are this fraction of their mesh's bounds diagonal long
+const NORMAL_LENGTH = 0.03;
+
+// position.xyz + color.rgb, for normal lines and the overlay (inspect.js)
+const LINE_VERTEX_LAYOUT = {
+  arrayStride: 6 * 4,
+  attributes: [
+    { shaderLocation: 0, offset: 0, format: 'float32x3' },
+    { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' }
+  ]
+};
+
+// Color-by-height ramp, inlined into the point shaders
+const HEIGHT_STOPS = COLORMAPS.viridis.stops;
+const wgslVec3 = (c) => `vec3<f32>(${c.map((v) => v.toFixed(4)).join(', ')})`;
+const glslVec3 = (c) => `vec3(${c.map((v) => v.toFixed(4)).join(', ')})`;
+
+const VIEWER_WGSL = `
+struct Frame {
+  viewProjection : mat4x4<f32>,
+  environment : vec4<f32>,  // x: intensity (0 without one), y: mip level count
+  clipPlane : vec4<f32>,    // points with dot(xyz, p) > w are cut away; zero when off
+  inspect : vec4<f32>,      // x: tint back faces
+  points : vec4<f32>,       // x: size in pixels, y: color by height, z / w: lowest / highest y
+  viewport : vec4<f32>,     // xy: 1 / target size in pixels
+};
+struct Object {
+  modelMatrix : mat4x4<f32>,
+  normalMatrix : mat4x4<f32>,
+  baseColor : vec4<f32>,
+  emissive : vec4<f32>,
+  material : vec4<f32>,  // x: metallic, y: roughness, z: 1 for the ground plane
+};
+@binding(0) @group(0) var<uniform> frame : Frame;
+${lightingWGSL(0, 1, 5)}
+@binding(2) @group(0) var<storage, read> objects : array<Object>;
+${environmentWGSL(0, 3, 4)}
+@binding(0) @group(1) var baseColorTexture : texture_2d<f32>;
+@binding(1) @group(1) var baseColorSampler : sampler;
+
+const BACKFACE_COLOR = vec3<f32>(1.0, 0.1, 0.45);
+const WIRE_COLOR = vec3<f32>(0.05, 0.05, 0.08);
+// Lines are pulled this far toward the camera (in clip depth) so they win
+// against the surfaces they lie on
+const LINE_DEPTH_OFFSET = 0.00005;
+
+const HEIGHT_STOPS = array<vec3<f32>, ${HEIGHT_STOPS.length}>(${HEIGHT_STOPS.map(wgslVec3).join(', ')});
+const QUAD_CORNERS = array<vec2<f32>, 6>(vec2<f32>(-1.0, -1.0), vec2<f32>(1.0, -1.0), vec2<f32>(1.0, 1.0),
+                                         vec2<f32>(-1.0, -1.0), vec2<f32>(1.0, 1.0), vec2<f32>(-1.0, 1.0));
+
+// The section plane cuts the model but never the ground under it
+fn clipped(worldPos : vec3<f32>, object : Object) -> bool {
+  return object.material.z < 0.5 && dot(frame.clipPlane.xyz, worldPos) > frame.clipPlane.w;
+}
+
+// Viridis from the lowest to the highest point of the scene
+fn heightColor(y : f32) -> vec3<f32> {
+  var stops = HEIGHT_STOPS;
+  let range = max(frame.points.w - frame.points.z, 1e-6);
+  let t = clamp((y - frame.points.z) / range, 0.0, 1.0) * f32(${HEIGHT_STOPS.length - 1});
+  let i = min(u32(t), ${HEIGHT_STOPS.length - 2}u);
+  return mix(stops[i], stops[i + 1u], t - f32(i));
+}
+
+struct VertexOut {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
+  @location(1) vNormal : vec3<f32>,
+  @location(2) vWorldPos : vec3<f32>,
+  @location(3) @interpolate(flat) vObject : u32,
+  @location(4) vUV : vec2<f32>,
+};
+
+@vertex
+fn vs_main(@location(0) position : vec3<f32>, @location(1) normal : vec3<f32>,
+           @location(2) color : vec3<f32>, @location(13) uv : vec2<f32>,
+           @builtin(instance_index) instance : u32) -> VertexOut {
+  let object = objects[instance];
+  let worldPos = object.modelMatrix * vec4<f32>(position, 1.0);
+  var output : VertexOut;
+  output.Position = frame.viewProjection * worldPos;
+  output.vColor = color;
+  output.vNormal = (object.normalMatrix * vec4<f32>(normal, 0.0)).xyz;
+  output.vWorldPos = worldPos.xyz;
+  output.vObject = instance;
+  output.vUV = uv;
+  return output;
+}
+
+// Back faces only arrive here from the double-sided pipeline (section plane
+// or back-face highlighting on); they are lit from their own side
+@fragment
+fn fs_main(input : VertexOut, @builtin(front_facing) frontFacing : bool) -> @location(0) vec4<f32> {
+  let object = objects[input.vObject];
+  let texel = textureSample(baseColorTexture, baseColorSampler, input.vUV);
+  if (clipped(input.vWorldPos, object)) {
+    discard;
+  }
+  let albedo = input.vColor * object.baseColor.rgb * texel.rgb;
+  let normal = select(-input.vNormal, input.vNormal, frontFacing);
+  var lit = shade(albedo, normal, input.vWorldPos, object.material.x, object.material.y);
+  if (frame.environment.x > 0.0) {
+    let V = normalize(lighting.cameraPosition.xyz - input.vWorldPos);
+    let roughness = clamp(object.material.y, 0.04, 1.0);
+    lit += environmentLight(normalize(normal), V, albedo, object.material.x, roughness, frame.environment);
+  }
+  var color = lit + object.emissive.rgb;
+  if (!frontFacing && frame.inspect.x > 0.5) {
+    color = mix(color, BACKFACE_COLOR, 0.75);
+  }
+  return vec4<f32>(color, 1.0);
+}
+
+// Point clouds: every point (an instance) is a round splat of
+// frame.points.x pixels.  The first vertex is six times the object index,
+// so vertex_index carries both the object and the corner.
+struct PointOut {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
+  @location(1) vNormal : vec3<f32>,
+  @location(2) vWorldPos : vec3<f32>,
+  @location(3) @interpolate(flat) vObject : u32,
+  @location(4) vCorner : vec2<f32>,
+};
+
+@vertex
+fn vs_point(@location(0) position : vec3<f32>, @location(1) normal : vec3<f32>,
+            @location(2) color : vec3<f32>, @builtin(vertex_index) index : u32) -> PointOut {
+  let instance = index / 6u;
+  let object = objects[instance];
+  var corners = QUAD_CORNERS;
+  let corner = corners[index % 6u];
+  let worldPos = object.modelMatrix * vec4<f32>(position, 1.0);
+  let clip = frame.viewProjection * worldPos;
+  var output : PointOut;
+  output.Position = vec4<f32>(clip.xy + corner * frame.points.x * frame.viewport.xy * clip.w, clip.zw);
+  output.vColor = color;
+  output.vNormal = (object.normalMatrix * vec4<f32>(normal, 0.0)).xyz;
+  output.vWorldPos = worldPos.xyz;
+  output.vObject = instance;
+  output.vCorner = corner;
+  return output;
+}
+
+// Points without normals are unlit; scanned normals often point either way,
+// so they are turned toward the camera
+@fragment
+fn fs_point(input : PointOut) -> @location(0) vec4<f32> {
+  let object = objects[input.vObject];
+  if (dot(input.vCorner, input.vCorner) > 1.0 || clipped(input.vWorldPos, object)) {
+    discard;
+  }
+  var albedo = input.vColor * object.baseColor.rgb;
+  if (frame.points.y > 0.5) {
+    albedo = heightColor(input.vWorldPos.y);
+  }
+  if (dot(input.vNormal, input.vNormal) < 1e-8) {
+    return vec4<f32>(albedo + object.emissive.rgb, 1.0);
+  }
+  let V = lighting.cameraPosition.xyz - input.vWorldPos;
+  let normal = select(-input.vNormal, input.vNormal, dot(input.vNormal, V) >= 0.0);
+  let lit = shade(albedo, normal, input.vWorldPos, object.material.x, object.material.y);
+  return vec4<f32>(lit + object.emissive.rgb, 1.0);
+}
+
+// Shadow casters, seen from the light; cut-away parts cast no shadow
+struct ShadowOut {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vWorldPos : vec3<f32>,
+  @location(1) @interpolate(flat) vObject : u32,
+};
+
+@vertex
+fn vs_shadow(@location(0) position : vec3<f32>, @builtin(instance_index) instance : u32) -> ShadowOut {
+  let worldPos = objects[instance].modelMatrix * vec4<f32>(position, 1.0);
+  var output : ShadowOut;
+  output.Position = shadow.viewProjection * worldPos;
+  output.vWorldPos = worldPos.xyz;
+  output.vObject = instance;
+  return output;
+}
+
+@fragment
+fn fs_shadow(input : ShadowOut) {
+  if (clipped(input.vWorldPos, objects[input.vObject])) {
+    discard;
+  }
+}
+
+// Wireframe edges and normal lines, placed like the instances they belong to
+struct LineOut {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
+  @location(1) vWorldPos : vec3<f32>,
+  @location(2) @interpolate(flat) vObject : u32,
+};
+
+fn instanceLine(position : vec3<f32>, color : vec3<f32>, instance : u32) -> LineOut {
+  let worldPos = objects[instance].modelMatrix * vec4<f32>(position, 1.0);
+  var output : LineOut;
+  output.Position = frame.viewProjection * worldPos;
+  output.Position.z -= LINE_DEPTH_OFFSET * output.Position.w;
+  output.vColor = color;
+  output.vWorldPos = worldPos.xyz;
+  output.vObject = instance;
+  return output;
+}
+
+@vertex
+fn vs_wire(@location(0) position : vec3<f32>, @builtin(instance_index) instance : u32) -> LineOut {
+  return instanceLine(position, WIRE_COLOR, instance);
+}
+
+@vertex
+fn vs_normal(@location(0) position : vec3<f32>, @location(1) color : vec3<f32>,
+             @builtin(instance_index) instance : u32) -> LineOut {
+  return instanceLine(position, color, instance);
+}
+
+@fragment
+fn fs_line(input : LineOut) -> @location(0) vec4<f32> {
+  if (clipped(input.vWorldPos, objects[input.vObject])) {
+    discard;
+  }
+  return vec4<f32>(input.vColor, 1.0);
+}
+
+// World-space overlay lines (bounding box, section outline, measurements),
+// drawn over everything
+struct OverlayOut {
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
+};
+
+@vertex
+fn vs_overlay(@location(0) position : vec3<f32>, @location(1) color : vec3<f32>) -> OverlayOut {
+  var output : OverlayOut;
+  output.Position = frame.viewProjection * vec4<f32>(position, 1.0);
+  output.vColor = color;
+  return output;
+}
+
+@fragment
+fn fs_overlay(input : OverlayOut) -> @location(0) vec4<f32> {
+  return vec4<f32>(input.vColor, 1.0);
+}
+`;
+
+// The Frame block of VIEWER_WGSL, shared by the WebGL2 shaders
+const FRAME_GLSL = `
+layout(std140) uniform Frame {
+  mat4 viewProjection;
+  vec4 environment;  // unused, environments are WebGPU-only
+  vec4 clipPlane;
+  vec4 inspect;
+  vec4 points;
+  vec4 viewport;
+} frame;
+
+// The section plane cuts the model but never the ground under it
+bool clipped(vec3 worldPos, float ground) {
+  return ground < 0.5 && dot(frame.clipPlane.xyz, worldPos) > frame.clipPlane.w;
+}
+`;
+
+const VIEWER_GLSL_VERTEX = `#version 300 es
+${FRAME_GLSL}
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 normal;
+layout(location = 2) in vec3 color;
+layout(location = 3) in mat4 modelMatrix;   // locations 3-6
+layout(location = 7) in mat3 normalMatrix;  // locations 7-9
+layout(location = 10) in vec4 baseColor;
+layout(location = 11) in vec3 emissive;
+layout(location = 12) in vec3 material;     // x: metallic, y: roughness, z: ground
+layout(location = 13) in vec2 uv;
+
+out vec3 vColor;
+out vec2 vUV;
+out vec3 vNormal;
+out vec3 vWorldPos;
+flat out vec4 vBaseColor;
+flat out vec3 vEmissive;
+flat out vec3 vMaterial;
+
+void main() {
+  vec4 worldPos = modelMatrix * vec4(position, 1.0);
+  gl_Position = glClipDepth(frame.viewProjection * worldPos);
+  vColor = color;
+  vUV = uv;
+  vNormal = normalMatrix * normal;
+  vWorldPos = worldPos.xyz;
+  vBaseColor = baseColor;
+  vEmissive = emissive;
+  vMaterial = material;
+}
+`;
+
+const VIEWER_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+${FRAME_GLSL}
+${LIGHTING_GLSL}
+uniform sampler2D baseColorTexture;
+in vec3 vColor;
+in vec2 vUV;
+in vec3 vNormal;
+in vec3 vWorldPos;
+flat in vec4 vBaseColor;
+flat in vec3 vEmissive;
+flat in vec3 vMaterial;
+out vec4 fragColor;
+
+const vec3 BACKFACE_COLOR = vec3(1.0, 0.1, 0.45);
+
+void main() {
+  if (clipped(vWorldPos, vMaterial.z)) discard;
+  vec3 albedo = vColor * vBaseColor.rgb * texture(baseColorTexture, vUV).rgb;
+  vec3 normal = gl_FrontFacing ? vNormal : -vNormal;
+  vec3 color = shade(albedo, normal, vWorldPos, vMaterial.x, vMaterial.y) + vEmissive;
+  if (!gl_FrontFacing && frame.inspect.x > 0.5) color = mix(color, BACKFACE_COLOR, 0.75);
+  fragColor = vec4(color, 1.0);
+}
+`;
+
+// Wireframe edges (over the mesh's own vertices, with a fixed color) and
+// normal lines (position + color) for WebGL2, placed per instance
+function instanceLineGLSL(wire) {
+  return `#version 300 es
+${FRAME_GLSL}
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+${wire ? '' : 'layout(location = 1) in vec3 color;'}
+layout(location = 3) in mat4 modelMatrix;  // locations 3-6
+layout(location = 12) in vec3 material;
+out vec3 vColor;
+out vec3 vWorldPos;
+flat out float vGround;
+
+void main() {
+  vec4 worldPos = modelMatrix * vec4(position, 1.0);
+  vec4 clip = frame.viewProjection * worldPos;
+  clip.z -= 0.00005 * clip.w;  // toward the camera, over the surface
+  gl_Position = glClipDepth(clip);
+  vColor = ${wire ? 'vec3(0.05, 0.05, 0.08)' : 'color'};
+  vWorldPos = worldPos.xyz;
+  vGround = material.z;
+}
+`;
+}
+
+const LINE_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+${FRAME_GLSL}
+in vec3 vColor;
+in vec3 vWorldPos;
+flat in float vGround;
+out vec4 fragColor;
+
+void main() {
+  if (clipped(vWorldPos, vGround)) discard;
+  fragColor = vec4(vColor, 1.0);
+}
+`;
+
+const OVERLAY_GLSL_VERTEX = `#version 300 es
+${FRAME_GLSL}
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 color;
+out vec3 vColor;
+
+void main() {
+  gl_Position = glClipDepth(frame.viewProjection * vec4(position, 1.0));
+  vColor = color;
+}
+`;
+
+const OVERLAY_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+in vec3 vColor;
+out vec4 fragColor;
+
+void main() {
+  fragColor = vec4(vColor, 1.0);
+}
+`;
+
+// Point splats for WebGL2.  The point attributes are the instances, so the
+// object comes from a uniform block written before each node's draw.
+const POINT_OBJECT_GLSL = `
+layout(std140) uniform PointObject {
+  mat4 modelMatrix;
+  mat4 normalMatrix;
+  vec4 baseColor;
+  vec4 emissive;
+  vec4 material;
+} object;
+`;
+
+const POINT_GLSL_VERTEX = `#version 300 es
+${FRAME_GLSL}
+${POINT_OBJECT_GLSL}
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 normal;
+layout(location = 2) in vec3 color;
+out vec3 vColor;
+out vec3 vNormal;
+out vec3 vWorldPos;
+out vec2 vCorner;
+
+const vec2 QUAD_CORNERS[6] = vec2[6](vec2(-1.0, -1.0), vec2(1.0, -1.0), vec2(1.0, 1.0),
+                                     vec2(-1.0, -1.0), vec2(1.0, 1.0), vec2(-1.0, 1.0));
+
+void main() {
+  vec2 corner = QUAD_CORNERS[gl_VertexID % 6];
+  vec4 worldPos = object.modelMatrix * vec4(position, 1.0);
+  vec4 clip = frame.viewProjection * worldPos;
+  clip.xy += corner * frame.points.x * frame.viewport.xy * clip.w;
+  gl_Position = glClipDepth(clip);
+  vColor = color;
+  vNormal = mat3(object.normalMatrix) * normal;
+  vWorldPos = worldPos.xyz;
+  vCorner = corner;
+}
+`;
+
+const POINT_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+${FRAME_GLSL}
+${LIGHTING_GLSL}
+${POINT_OBJECT_GLSL}
+in vec3 vColor;
+in vec3 vNormal;
+in vec3 vWorldPos;
+in vec2 vCorner;
+out vec4 fragColor;
+
+const vec3 HEIGHT_STOPS[${HEIGHT_STOPS.length}] = vec3[${HEIGHT_STOPS.length}](${HEIGHT_STOPS.map(glslVec3).join(', ')});
+
+vec3 heightColor(float y) {
+  float range = max(frame.points.w - frame.points.z, 1e-6);
+  float t = clamp((y - frame.points.z) / range, 0.0, 1.0) * ${HEIGHT_STOPS.length - 1}.0;
+  int i = min(int(t), ${HEIGHT_STOPS.length - 2});
+  return mix(HEIGHT_STOPS[i], HEIGHT_STOPS[i + 1], t - float(i));
+}
+
+void main() {
+  if (dot(vCorner, vCorner) > 1.0 || clipped(vWorldPos, object.material.z)) discard;
+  vec3 albedo = frame.points.y > 0.5 ? heightColor(vWorldPos.y) : vColor * object.baseColor.rgb;
+  if (dot(vNormal, vNormal) < 1e-8) {
+    fragColor = vec4(albedo + object.emissive.rgb, 1.0);
+    return;
+  }
+  vec3 normal = dot(vNormal, lighting.cameraPosition.xyz - vWorldPos) >= 0.0 ? vNormal : -vNormal;
+  fragColor = vec4(shade(albedo, normal, vWorldPos, object.material.x, object.material.y) + object.emissive.rgb, 1.0);
+}
+`;
+
+// The object buffer read as instance attributes (see VIEWER_GLSL_VERTEX)
+const OBJECT_LAYOUT = {
+  arrayStride: OBJECT_STRIDE * 4,
+  stepMode: 'instance',
+  attributes: [
+    ...[0, 1, 2, 3].map((i) => ({ shaderLocation: 3 + i, offset: i * 16, format: 'float32x4' })),
+    ...[0, 1, 2].map((i) => ({ shaderLocation: 7 + i, offset: 64 + i * 16, format: 'float32x3' })),
+    { shaderLocation: 10, offset: 32 * 4, format: 'float32x4' },
+    { shaderLocation: 11, offset: 36 * 4, format: 'float32x3' },
+    { shaderLocation: 12, offset: 40 * 4, format: 'float32x3' }
+  ]
+};
+
+// Point clouds are uploaded in a fixed random order, so drawing only the
+// first n points shows an even sample of the whole cloud
+function shuffledOrder(count) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  // xorshift32 with a fixed seed: the same file always looks the same
+  let seed = 0x9e3779b9;
+  for (let i = count - 1; i > 0; i--) {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    const j = (seed >>> 0) % (i + 1);
+    const swap = order[i];
+    order[i] = order[j];
+    order[j] = swap;
+  }
+  return order;
+}
+
+// Interleave a parsed mesh into the position + normal + color + uv layout
+// used by the pipeline.  Meshes without vertex colors get white, meshes
+// without texture coordinates (0, 0) and points without normals a zero
+// normal, which the point shaders draw unlit; the material's base color and
+// texture are applied in the shader.
+function meshToVertices(mesh) {
+  const count = mesh.positions.length / 3;
+  const order = mesh.topology === 'point-list' ? shuffledOrder(count) : null;
+  const out = new Float32Array(count * VERTEX_STRIDE);
+  for (let k = 0; k < count; k++) {
+    const i = order ? order[k] : k;
+    const o = k * VERTEX_STRIDE;
+    out[o + 0] = mesh.positions[i * 3 + 0];
+    out[o + 1] = mesh.positions[i * 3 + 1];
+    out[o + 2] = mesh.positions[i * 3 + 2];
+    out[o + 3] = mesh.normals ? mesh.normals[i * 3 + 0] : 0;
+    out[o + 4] = mesh.normals ? mesh.normals[i * 3 + 1] : 0;
+    out[o + 5] = mesh.normals ? mesh.normals[i * 3 + 2] : 0;
+    out[o + 6] = mesh.colors ? mesh.colors[i * 3 + 0] : 1;
+    out[o + 7] = mesh.colors ? mesh.colors[i * 3 + 1] : 1;
+    out[o + 8] = mesh.colors ? mesh.colors[i * 3 + 2] : 1;
+    out[o + 9] = mesh.uvs ? mesh.uvs[i * 2 + 0] : 0;
+    out[o + 10] = mesh.uvs ? mesh.uvs[i * 2 + 1] : 0;
+  }
+  return out;
+}
+
+// The ground plane is the unit plane primitive, scaled and placed by
+// packObjects() like any other instance
+const GROUND_MESH = { data: PRIMITIVES.plane() };
+
+function writeObject(data, o, worldMatrix, material, ground = false) {
+  data.set(worldMatrix, o);
+  data.set(mat4.normalMatrix(worldMatrix), o + 16);
+  data.set(material.baseColorFactor, o + 32);
+  data.set([...material.emissiveFactor, 0], o + 36);
+  data.set([material.metallicFactor, material.roughnessFactor, ground ? 1 : 0, 0], o + 40);
+}
+
+// Per-object data for every visible mesh node, one run of instances per mesh
+// and base color texture (`points` marks point clouds).  With `ground` a last run holds the ground plane,
+// centered under the nodes' bounds (also returned, for fitting the shadow
+// map) and reaching past them by their size.
+function packObjects(graph, ground) {
+  const batches = graph.batches();
+  const count = batches.reduce((n, batch) => n + batch.nodes.length, 0) + (ground ? 1 : 0);
+  const data = new Float32Array(count * OBJECT_STRIDE);
+  const runs = [];
+  let instance = 0;
+  for (const { mesh, nodes: meshNodes } of batches) {
+    const byTexture = new Map();
+    for (const node of meshNodes) {
+      const texture = node.material.baseColorTexture || null;
+      if (!byTexture.has(texture)) byTexture.set(texture, []);
+      byTexture.get(texture).push(node);
+    }
+    for (const [texture, nodes] of byTexture) {
+      runs.push({
+        mesh,
+        texture,
+        firstInstance: instance,
+        instanceCount: nodes.length,
+        points: mesh.data.topology === 'point-list'
+      });
+      for (const node of nodes) {
+        writeObject(data, instance++ * OBJECT_STRIDE, node.worldMatrix, node.material);
+      }
+    }
+  }
+  const bounds = graph.bounds();
+  if (ground) {
+    const { min, max } = bounds;
+    const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    // A hair below the lowest point so flat bottoms do not flicker into it
+    const matrix = mat4.multiply(
+      mat4.translation((min[0] + max[0]) / 2, min[1] - size * 0.002, (min[2] + max[2]) / 2),
+      mat4.scaling(size, 1, size)
+    );
+    writeObject(data, instance * OBJECT_STRIDE, matrix, {
+      baseColorFactor: [...GROUND_COLOR, 1],
+      emissiveFactor: [0, 0, 0],
+      metallicFactor: 0,
+      roughnessFactor: GROUND_ROUGHNESS
+    }, true);
+    runs.push({ mesh: GROUND_MESH, texture: null, firstInstance: instance, instanceCount: 1, ground: true });
+  }
+  return { data, count, runs, bounds };
+}
+
+function meshDrawInfo(mesh) {
+  const { indices } = mesh.data;
+  return {
+    indexFormat: indices instanceof Uint32Array ? 'uint32' : 'uint16',
+    count: indices ? indices.length : mesh.data.positions.length / 3
+  };
+}
+
+// What setInspection() last received; nothing is inspected at first
+const NO_INSPECTION = {
+  wireframe: false,
+  normals: false,
+  backfaces: false,
+  clipPlane: [0, 0, 0, 0],
+  overlay: new Float32Array(0)
+};
+
+// Back faces are drawn while they are highlighted or the section plane
+// opens the model up
+function doubleSided(inspection) {
+  return inspection.backfaces || inspection.clipPlane.some((v) => v !== 0);
+}
+
+// How configurePoints() leaves point clouds until the settings arrive
+const DEFAULT_POINTS = { pointSize: 3, pointColorByHeight: false, pointDensity: 100 };
+
+// Points drawn of a cloud of `count` at the density setting (in percent)
+function visiblePoints(count, settings) {
+  return Math.max(1, Math.round((count * settings.pointDensity) / 100));
+}
+
+// `heights` are the lowest and highest y of the scene, the ends of the
+// color-by-height ramp; `viewport` the target size in pixels
+function packFrame(viewProjection, environment, inspection, points, heights, viewport) {
+  const frame = new Float32Array(FRAME_UNIFORM_SIZE / 4);
+  frame.set(viewProjection, 0);
+  frame.set(environment, 16);
+  frame.set(inspection.clipPlane, 20);
+  frame.set([inspection.backfaces ? 1 : 0, 0, 0, 0], 24);
+  frame.set([points.pointSize, points.pointColorByHeight ? 1 : 0, heights[0], heights[1]], 28);
+  frame.set([1 / viewport[0], 1 / viewport[1], 0, 0], 32);
+  return frame;
+}
+
+// Normal lines for a scene-graph mesh, scaled to its size
+function meshNormalLines(mesh) {
+  return normalLines(mesh.data, vec3.distance(mesh.bounds.min, mesh.bounds.max) * NORMAL_LENGTH);
+}
+
+export function createSceneView(renderer, onError) {
+  return renderer.backend === 'WebGL2' ? createWebGLSceneView(renderer, onError) : createWebGPUSceneView(renderer, onError);
+}
+
+// Uploaded base color textures by material texture ({ mimeType, data }).
+// `upload(image)` turns a decoded image into whatever the backend binds;
+// `onReady()` runs when one arrives so the caller can redraw.
+function createTextureCache(upload, onReady, onError) {
+  const entries = new Map(); // material texture -> { gpu }, gpu null while decoding
+
+  async function load(source, entry) {
+    try {
+      const image = await decodeImage(source);
+      if (entries.get(source) !== entry) {
+        image.close();
+        return;
+      }
+      const gpu = await upload(image);
+      image.close();
+      // Dropped (or the device restored) while uploading
+      if (entries.get(source) !== entry) {
+        gpu.destroy();
+        return;
+      }
+      entry.gpu = gpu;
+      onReady();
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  return {
+    // The uploaded texture, or null while it is (or could not be) decoded
+    get(source) {
+      let entry = entries.get(source);
+      if (!entry) {
+        entry = { gpu: null };
+        entries.set(source, entry);
+        load(source, entry);
+      }
+      return entry.gpu;
+    },
+    // Free the textures no run uses any more
+    retain(runs) {
+      const used = new Set(runs.map((run) => run.texture));
+      for (const [source, entry] of entries) {
+        if (used.has(source)) continue;
+        if (entry.gpu) entry.gpu.destroy();
+        entries.delete(source);
+      }
+    },
+    clear() {
+      entries.forEach((entry) => entry.gpu && entry.gpu.destroy());
+      entries.clear();
+    }
+  };
+}
+
+function createWebGPUSceneView(renderer, onError) {
+  let device = null;
+  let frameBuffer = null;
+  let lightingBuffer = null;
+  let backgroundBuffer = null;
+  let pipeline = null;
+  let doubleSidedPipeline = null;
+  let backgroundPipeline = null;
+  let shadowPipeline = null;
+  let wirePipeline = null;
+  let normalPipeline = null;
+  let overlayPipeline = null;
+  let pointPipeline = null;
+  let objectBuffer = null;
+  let overlayBuffer = null;
+  let bindGroup = null;
+  let backgroundBindGroup = null;
+  let shadowBindGroup = null;
+  let shadowMap = null;
+  // The page's settings, kept to configure the shadow map after device loss
+  let shadowSettings = null;
+  let sampler = null;
+  let environmentSampler = null;
+  let whiteTexture = null;
+  let untexturedGroup = null;
+  let graph = null;
+  const meshes = new Map(); // scene-graph mesh -> GPU buffers
+  const textures = createTextureCache(async (image) => {
+    const texture = await createImageTexture(device, image);
+    return {
+      bindGroup: textureBindGroup(texture),
+      destroy() {
+        texture.destroy();
+      }
+    };
+  }, () => renderer.requestFrame(), onError);
+  // Parsed HDR image, kept to rebuild the texture after device loss
+  let environmentSource = null;
+  let environmentTexture = null;
+  // Instanced draws in object-buffer order
+  let runs = [];
+  let ground = false;
+  let inspection = NO_INSPECTION;
+  let pointSettings = DEFAULT_POINTS;
+  // Bounds of the visible nodes, which cast the shadows
+  let casterBounds = null;
+  let dirty = true;
+
+  // writeBuffer needs a multiple of 4 bytes, so odd uint16 counts are padded
+  function createFilledBuffer(data, usage) {
+    const buffer = device.createBuffer({
+      size: Math.ceil(data.byteLength / 4) * 4,
+      usage: usage | GPUBufferUsage.COPY_DST
+    });
+    const padded = new Uint8Array(buffer.size);
+    padded.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+    device.queue.writeBuffer(buffer, 0, padded);
+    return buffer;
+  }
+
+  // Upload a scene-graph mesh once; every node using it shares the buffers.
+  // Its wireframe edges and normal lines are uploaded the first time they
+  // are shown.
+  function createMesh(mesh) {
+    const vertexBuffer = createFilledBuffer(meshToVertices(mesh.data), GPUBufferUsage.VERTEX);
+    const { indices } = mesh.data;
+    const indexBuffer = indices ? createFilledBuffer(indices, GPUBufferUsage.INDEX) : null;
+    let edges = null;
+    let normals = null;
+
+    return {
+      vertexBuffer,
+      indexBuffer,
+      ...meshDrawInfo(mesh),
+      get edges() {
+        if (!edges) {
+          const data = edgeIndices(mesh.data);
+          edges = { buffer: createFilledBuffer(data, GPUBufferUsage.INDEX), count: data.length };
+        }
+        return edges;
+      },
+      get normals() {
+        if (!normals) {
+          const data = meshNormalLines(mesh);
+          normals = { buffer: createFilledBuffer(data, GPUBufferUsage.VERTEX), count: data.length / 6 };
+        }
+        return normals;
+      },
+      destroy() {
+        vertexBuffer.destroy();
+        indexBuffer && indexBuffer.destroy();
+        edges && edges.buffer.destroy();
+        normals && normals.buffer.destroy();
+      }
+    };
+  }
+
+  function uploadMeshes() {
+    meshes.forEach((gpu) => gpu.destroy());
+    meshes.clear();
+    meshes.set(GROUND_MESH, createMesh(GROUND_MESH));
+    if (graph) graph.meshes.forEach((mesh) => meshes.set(mesh, createMesh(mesh)));
+    dirty = true;
+  }
+
+  function textureBindGroup(texture) {
+    return device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(1),
+      entries: [
+        { binding: 0, resource: texture.createView() },
+        { binding: 1, resource: sampler }
+      ]
+    });
+  }
+
+  // Group 0 of the pipelines; without an environment a white texture
+  // stands in, which the shaders then ignore
+  function createBindGroups() {
+    const environmentView = (environmentTexture || whiteTexture).createView();
+    bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: frameBuffer } },
+        { binding: 1, resource: { buffer: lightingBuffer } },
+        { binding: 2, resource: { buffer: objectBuffer } },
+        { binding: 3, resource: environmentView },
+        { binding: 4, resource: environmentSampler },
+        { binding: 5, resource: { buffer: shadowMap.uniformBuffer } },
+        { binding: 6, resource: shadowMap.view },
+        { binding: 7, resource: shadowMap.sampler }
+      ]
+    });
+    shadowBindGroup = device.createBindGroup({
+      layout: shadowPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: frameBuffer } },
+        { binding: 2, resource: { buffer: objectBuffer } },
+        { binding: 5, resource: { buffer: shadowMap.uniformBuffer } }
+      ]
+    });
+    backgroundBindGroup = device.createBindGroup({
+      layout: backgroundPipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: backgroundBuffer } },
+        { binding: 1, resource: environmentView },
+        { binding: 2, resource: environmentSampler }
+      ]
+    });
+  }
+
+  // Rewrite the per-object storage buffer
+  function uploadObjects() {
+    const packed = packObjects(graph, ground);
+    const size = Math.max(packed.count, 1) * OBJECT_STRIDE * 4;
+    if (!objectBuffer || objectBuffer.size < size) {
+      if (objectBuffer) objectBuffer.destroy();
+      objectBuffer = device.createBuffer({
+        size,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+      createBindGroups();
+    }
+    if (packed.count > 0) device.queue.writeBuffer(objectBuffer, 0, packed.data);
+    runs = packed.runs;
+    casterBounds = packed.bounds;
+    textures.retain(runs);
+    dirty = false;
+  }
+
+  // Record the instanced draws; the shadow pass leaves out the ground, which
+  // only receives shadows, and binds no textures.  Point clouds are drawn
+  // by drawPoints() and cast no shadows.
+  function drawRuns(pass, shadow) {
+    for (const { mesh, texture, firstInstance, instanceCount, ground: isGround, points } of runs) {
+      if ((shadow && isGround) || points) continue;
+      const gpu = meshes.get(mesh);
+      if (!shadow) {
+        const uploaded = texture && textures.get(texture);
+        pass.setBindGroup(1, uploaded ? uploaded.bindGroup : untexturedGroup);
+      }
+      pass.setVertexBuffer(0, gpu.vertexBuffer);
+      if (gpu.indexBuffer) {
+        pass.setIndexBuffer(gpu.indexBuffer, gpu.indexFormat);
+        pass.drawIndexed(gpu.count, instanceCount, 0, 0, firstInstance);
+      } else {
+        pass.draw(gpu.count, instanceCount, 0, firstInstance);
+      }
+    }
+  }
+
+  // One instanced draw per point-cloud node: the first vertex selects the
+  // object (see vs_point), the instances are its first visiblePoints()
+  function drawPoints(pass) {
+    const pointRuns = runs.filter((run) => run.points);
+    if (pointRuns.length === 0) return;
+    pass.setPipeline(pointPipeline);
+    pass.setBindGroup(1, untexturedGroup);
+    for (const { mesh, firstInstance, instanceCount } of pointRuns) {
+      const gpu = meshes.get(mesh);
+      pass.setVertexBuffer(0, gpu.vertexBuffer);
+      for (let i = 0; i < instanceCount; i++) {
+        pass.draw(6, visiblePoints(gpu.count, pointSettings), (firstInstance + i) * 6, 0);
+      }
+    }
+  }
+
+  // Wireframe and normal lines over the visible nodes (not the ground), then
+  // the overlay.  Lines are counted as draws only.
+  function drawInspection(pass, stats) {
+    const lineRuns = runs.filter((run) => !run.ground);
+    pass.setBindGroup(1, untexturedGroup);
+    if (inspection.wireframe) {
+      pass.setPipeline(wirePipeline);
+      for (const { mesh, firstInstance, instanceCount } of lineRuns) {
+        const gpu = meshes.get(mesh);
+        if (gpu.edges.count === 0) continue;
+        pass.setVertexBuffer(0, gpu.vertexBuffer);
+        pass.setIndexBuffer(gpu.edges.buffer, 'uint32');
+        pass.drawIndexed(gpu.edges.count, instanceCount, 0, 0, firstInstance);
+        stats.drawCalls++;
+      }
+    }
+    if (inspection.normals) {
+      pass.setPipeline(normalPipeline);
+      for (const { mesh, firstInstance, instanceCount } of lineRuns) {
+        const { normals } = meshes.get(mesh);
+        if (normals.count === 0) continue;
+        pass.setVertexBuffer(0, normals.buffer);
+        pass.draw(normals.count, instanceCount, 0, firstInstance);
+        stats.drawCalls++;
+      }
+    }
+    if (inspection.overlay.length > 0) {
+      pass.setPipeline(overlayPipeline);
+      pass.setVertexBuffer(0, overlayBuffer);
+      pass.draw(inspection.overlay.length / 6);
+      stats.drawCalls++;
+    }
+  }
+
+  function uploadOverlay() {
+    const { overlay } = inspection;
+    if (overlay.length === 0) return;
+    if (!overlayBuffer || overlayBuffer.size < overlay.byteLength) {
+      if (overlayBuffer) overlayBuffer.destroy();
+      overlayBuffer = device.createBuffer({
+        size: overlay.byteLength,
+        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+      });
+    }
+    device.queue.writeBuffer(overlayBuffer, 0, overlay);
+  }
+
+  async function uploadEnvironment() {
+    const source = environmentSource;
+    const texture = source ? await createEnvironmentTexture(device, source) : null;
+    // Replaced by another image while this one uploaded
+    if (source !== environmentSource) {
+      if (texture) texture.destroy();
+      return;
+    }
+    if (environmentTexture) environmentTexture.destroy();
+    environmentTexture = texture;
+    if (objectBuffer) createBindGroups();
+    renderer.requestFrame();
+  }
+
+  // The buffers and textures init() creates, which a rebuild on the same
+  // device (a sample count or color format change) has to free first.  The
+  // environment is uploaded again from its kept image.
+  function releaseDeviceResources() {
+    [frameBuffer, lightingBuffer, backgroundBuffer, objectBuffer, whiteTexture, environmentTexture]
+      .forEach((resource) => resource && resource.destroy());
+    environmentTexture = null;
+  }
+
+  return {
+    async init(format = renderer.format) {
+      // After a loss everything went with the old device
+      if (device === renderer.device) releaseDeviceResources();
+      device = renderer.device;
+      frameBuffer = device.createBuffer({
+        size: FRAME_UNIFORM_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+      lightingBuffer = device.createBuffer({
+        size: LIGHTING_UNIFORM_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+      backgroundBuffer = device.createBuffer({
+        size: BACKGROUND_UNIFORM_SIZE,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+      });
+      const shaderModule = device.createShaderModule({ label: 'Viewer', code: VIEWER_WGSL });
+      const backgroundModule = device.createShaderModule({ label: 'Background', code: BACKGROUND_WGSL });
+      await checkShaderModule(shaderModule, 'Viewer', VIEWER_WGSL);
+      await checkShaderModule(backgroundModule, 'Background', BACKGROUND_WGSL);
+      withErrorScope(device, 'Viewer pipeline', () => {
+        const multisample = { count: renderer.sampleCount };
+        const scenePipeline = (cullMode) => ({
+          vertex: {
+            module: shaderModule,
+            entryPoint: 'vs_main',
+            buffers: [VERTEX_LAYOUT]
+          },
+          fragment: {
+            module: shaderModule,
+            entryPoint: 'fs_main',
+            targets: [
+              { format }
+            ]
+          },
+          primitive: {
+            topology: 'triangle-list',
+            cullMode
+          },
+          depthStencil: {
+            depthWriteEnabled: true,
+            depthCompare: 'less',
+            format: renderer.depthFormat
+          },
+          multisample
+        });
+        pipeline = device.createRenderPipeline({ layout: 'auto', ...scenePipeline('back') });
+        // The other viewer pipelines use a subset of its bindings, so they
+        // share its layout and bind groups
+        const layout = device.createPipelineLayout({
+          bindGroupLayouts: [0, 1].map((i) => pipeline.getBindGroupLayout(i))
+        });
+        doubleSidedPipeline = device.createRenderPipeline({ layout, ...scenePipeline('none') });
+        // Inspection lines test depth but leave it alone; the overlay is
+        // drawn over everything
+        const linePipeline = (vertexEntry, fragmentEntry, buffer, depthCompare) => device.createRenderPipeline({
+          layout,
+          vertex: { module: shaderModule, entryPoint: vertexEntry, buffers: [buffer] },
+          fragment: { module: shaderModule, entryPoint: fragmentEntry, targets: [{ format }] },
+          primitive: { topology: 'line-list' },
+          depthStencil: {
+            depthWriteEnabled: false,
+            depthCompare,
+            format: renderer.depthFormat
+          },
+          multisample
+        });
+        wirePipeline = linePipeline('vs_wire', 'fs_line', VERTEX_LAYOUT, 'less-equal');
+        normalPipeline = linePipeline('vs_normal', 'fs_line', LINE_VERTEX_LAYOUT, 'less-equal');
+        overlayPipeline = linePipeline('vs_overlay', 'fs_overlay', LINE_VERTEX_LAYOUT, 'always');
+        // Splats face the camera, so nothing is culled
+        pointPipeline = device.createRenderPipeline({
+          layout,
+          vertex: { module: shaderModule, entryPoint: 'vs_point', buffers: [POINT_LAYOUT] },
+          fragment: { module: shaderModule, entryPoint: 'fs_point', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+          depthStencil: {
+            depthWriteEnabled: true,
+            depthCompare: 'less',
+            format: renderer.depthFormat
+          },
+          multisample
+        });
+        // Depth only, from the light
+        shadowPipeline = device.createRenderPipeline({
+          layout: 'auto',
+          vertex: {
+            module: shaderModule,
+            entryPoint: 'vs_shadow',
+            buffers: [VERTEX_LAYOUT]
+          },
+          fragment: {
+            module: shaderModule,
+            entryPoint: 'fs_shadow',
+            targets: []
+          },
+          primitive: {
+            topology: 'triangle-list',
+            cullMode: 'back'
+          },
+          depthStencil: SHADOW_DEPTH_STENCIL
+        });
+        // Drawn first and behind everything, so it neither tests nor writes depth
+        backgroundPipeline = device.createRenderPipeline({
+          layout: 'auto',
+          vertex: { module: backgroundModule, entryPoint: 'vs_main' },
+          fragment: { module: backgroundModule, entryPoint: 'fs_main', targets: [{ format }] },
+          primitive: { topology: 'triangle-list' },
+          depthStencil: {
+            depthWriteEnabled: false,
+            depthCompare: 'always',
+            format: renderer.depthFormat
+          },
+          multisample: { count: renderer.sampleCount }
+        });
+      }, onError);
+      sampler = device.createSampler({
+        addressModeU: 'repeat',
+        addressModeV: 'repeat',
+        minFilter: 'linear',
+        magFilter: 'linear',
+        mipmapFilter: 'linear'
+      });
+      environmentSampler = createEnvironmentSampler(device);
+      if (shadowMap) shadowMap.destroy();
+      shadowMap = createShadowMap(device);
+      if (shadowSettings) shadowMap.configure(shadowSettings);
+      whiteTexture = createSolidTexture(device);
+      untexturedGroup = textureBindGroup(whiteTexture);
+      // Rebuild the meshes, textures and environment from the graph and the
+      // kept environment image
+      objectBuffer = null;
+      if (overlayBuffer) overlayBuffer.destroy();
+      overlayBuffer = null;
+      uploadOverlay();
+      textures.clear();
+      environmentTexture = null;
+      uploadMeshes();
+      if (environmentSource) await uploadEnvironment();
+    },
+
+    setGraph(next) {
+      graph = next;
+      uploadMeshes();
+    },
+
+    invalidate() {
+      dirty = true;
+    },
+
+    // Resolves once the environment is uploaded
+    setEnvironment(hdr) {
+      environmentSource = hdr;
+      return uploadEnvironment();
+    },
+
+    setGround(on) {
+      ground = on;
+      dirty = true;
+    },
+
+    configureShadows(settings) {
+      shadowSettings = settings;
+      if (shadowMap && shadowMap.configure(settings) && objectBuffer) createBindGroups();
+    },
+
+    setInspection(next) {
+      inspection = next;
+      if (device) uploadOverlay();
+    },
+
+    configurePoints(settings) {
+      pointSettings = settings;
+    },
+
+    // Encode and submit one frame into the given attachments
+    draw({ colorTarget, depthView, viewProjection, lighting, lightDirection, background, gradient = null, environment = null }) {
+      if (dirty) uploadObjects();
+      shadowMap.update(lightDirection, casterBounds);
+      const skybox = !!(environment && environmentTexture);
+      const environmentParams = skybox ? [environment.intensity, environmentTexture.mipLevelCount, 0, 0] : [0, 0, 0, 0];
+      device.queue.writeBuffer(frameBuffer, 0, packFrame(viewProjection, environmentParams, inspection, pointSettings,
+        [casterBounds.min[1], casterBounds.max[1]], [colorTarget.width, colorTarget.height]));
+      device.queue.writeBuffer(lightingBuffer, 0, lighting);
+      if (skybox || gradient) {
+        device.queue.writeBuffer(backgroundBuffer, 0, packBackground({
+          inverseViewProjection: mat4.invert(viewProjection),
+          top: background,
+          bottom: gradient || background,
+          environment: skybox,
+          intensity: skybox ? environment.intensity : 1
+        }));
+      }
+
+      const commandEncoder = device.createCommandEncoder();
+      const shadowPass = shadowMap.beginPass(commandEncoder);
+      if (shadowPass) {
+        const counted = countDraws(shadowPass, renderer.stats);
+        counted.setPipeline(shadowPipeline);
+        counted.setBindGroup(0, shadowBindGroup);
+        drawRuns(counted, true);
+        shadowPass.end();
+      }
+      const scenePass = commandEncoder.beginRenderPass({
+        colorAttachments: [colorAttachment(colorTarget, background)],
+        depthStencilAttachment: {
+          view: depthView,
+          depthClearValue: 1.0,
+          depthLoadOp: 'clear',
+          depthStoreOp: 'store'
+        },
+        timestampWrites: renderer.timestampWrites()
+      });
+      const renderPass = countDraws(scenePass, renderer.stats);
+      if (skybox || gradient) {
+        renderPass.setPipeline(backgroundPipeline);
+        renderPass.setBindGroup(0, backgroundBindGroup);
+        renderPass.draw(3);
+      }
+      renderPass.setPipeline(doubleSided(inspection) ? doubleSidedPipeline : pipeline);
+      renderPass.setBindGroup(0, bindGroup);
+      drawRuns(renderPass, false);
+      drawPoints(renderPass);
+      drawInspection(scenePass, renderer.stats);
+      renderPass.end();
+      renderer.resolveTimestamps(commandEncoder);
+      device.queue.submit([commandEncoder.finish()]);
+    }
+  };
+}
+
+function createWebGLSceneView(renderer, onError) {
+  let frameBuffer = null;
+  let lightingBuffer = null;
+  let backgroundBuffer = null;
+  let objectBuffer = null;
+  let overlayBuffer = null;
+  let pipeline = null;
+  let doubleSidedPipeline = null;
+  let backgroundPipeline = null;
+  let wirePipeline = null;
+  let normalPipeline = null;
+  let overlayPipeline = null;
+  let pointPipeline = null;
+  let pointObjectBuffer = null;
+  let whiteTexture = null;
+  let graph = null;
+  const meshes = new Map(); // scene-graph mesh -> GL buffers
+  const textures = createTextureCache((image) => renderer.createTexture(image), () => renderer.requestFrame(), onError);
+  let runs = [];
+  // The packed per-object data, which the point draws read node by node
+  let objectData = null;
+  let heights = [0, 0];
+  let ground = false;
+  let inspection = NO_INSPECTION;
+  let pointSettings = DEFAULT_POINTS;
+  let dirty = true;
+
+  // Wireframe edges and normal lines are uploaded the first time they are shown
+  function createMesh(mesh) {
+    const { indices } = mesh.data;
+    const vertexBuffer = renderer.createBuffer('vertex', meshToVertices(mesh.data));
+    const indexBuffer = indices ? renderer.createBuffer('index', indices) : null;
+    let edges = null;
+    let normals = null;
+    return {
+      vertexBuffer,
+      indexBuffer,
+      ...meshDrawInfo(mesh),
+      get edges() {
+        if (!edges) {
+          const data = edgeIndices(mesh.data);
+          edges = { buffer: renderer.createBuffer('index', data), count: data.length };
+        }
+        return edges;
+      },
+      get normals() {
+        if (!normals) {
+          const data = meshNormalLines(mesh);
+          normals = { buffer: renderer.createBuffer('vertex', data), count: data.length / 6 };
+        }
+        return normals;
+      },
+      destroy() {
+        vertexBuffer.destroy();
+        indexBuffer && indexBuffer.destroy();
+        edges && edges.buffer.destroy();
+        normals && normals.buffer.destroy();
+      }
+    };
+  }
+
+  function uploadMeshes() {
+    meshes.forEach((gl) => gl.destroy());
+    meshes.clear();
+    meshes.set(GROUND_MESH, createMesh(GROUND_MESH));
+    if (graph) graph.meshes.forEach((mesh) => meshes.set(mesh, createMesh(mesh)));
+    dirty = true;
+  }
+
+  function uploadOverlay() {
+    if (inspection.overlay.length > 0) renderer.writeBuffer(overlayBuffer, inspection.overlay);
+  }
+
+  // One draw per point-cloud node, its object data in the PointObject block
+  function drawPoints(pass) {
+    const pointRuns = runs.filter((run) => run.points);
+    if (pointRuns.length === 0) return;
+    pass.setPipeline(pointPipeline);
+    pass.setUniformBuffer(0, frameBuffer);
+    pass.setUniformBuffer(1, lightingBuffer);
+    pass.setUniformBuffer(3, pointObjectBuffer);
+    for (const { mesh, firstInstance, instanceCount } of pointRuns) {
+      const gl = meshes.get(mesh);
+      pass.setVertexBuffer(0, gl.vertexBuffer);
+      for (let i = firstInstance; i < firstInstance + instanceCount; i++) {
+        renderer.writeBuffer(pointObjectBuffer, objectData.subarray(i * OBJECT_STRIDE, (i + 1) * OBJECT_STRIDE));
+        pass.draw(6, visiblePoints(gl.count, pointSettings));
+      }
+    }
+  }
+
+  // Same order as the WebGPU view: wireframe, normals, then the overlay
+  function drawInspection(pass) {
+    const lineRuns = runs.filter((run) => !run.ground);
+    if (inspection.wireframe) {
+      pass.setPipeline(wirePipeline);
+      pass.setUniformBuffer(0, frameBuffer);
+      pass.setVertexBuffer(1, objectBuffer);
+      for (const { mesh, firstInstance, instanceCount } of lineRuns) {
+        const gl = meshes.get(mesh);
+        if (gl.edges.count === 0) continue;
+        pass.setVertexBuffer(0, gl.vertexBuffer);
+        pass.setIndexBuffer(gl.edges.buffer, 'uint32');
+        pass.drawIndexed(gl.edges.count, instanceCount, 0, 0, firstInstance);
+      }
+    }
+    if (inspection.normals) {
+      pass.setPipeline(normalPipeline);
+      pass.setUniformBuffer(0, frameBuffer);
+      pass.setVertexBuffer(1, objectBuffer);
+      for (const { mesh, firstInstance, instanceCount } of lineRuns) {
+        const { normals } = meshes.get(mesh);
+        if (normals.count === 0) continue;
+        pass.setVertexBuffer(0, normals.buffer);
+        pass.draw(normals.count, instanceCount, 0, firstInstance);
+      }
+    }
+    if (inspection.overlay.length > 0) {
+      pass.setPipeline(overlayPipeline);
+      pass.setUniformBuffer(0, frameBuffer);
+      pass.setVertexBuffer(0, overlayBuffer);
+      pass.draw(inspection.overlay.length / 6);
+    }
+  }
+
+  return {
+    async init() {
+      frameBuffer = renderer.createBuffer('uniform', FRAME_UNIFORM_SIZE);
+      lightingBuffer = renderer.createBuffer('uniform', LIGHTING_UNIFORM_SIZE);
+      backgroundBuffer = renderer.createBuffer('uniform', BACKGROUND_UNIFORM_SIZE);
+      objectBuffer = renderer.createBuffer('vertex', OBJECT_STRIDE * 4);
+      overlayBuffer = renderer.createBuffer('vertex', 6 * 4);
+      pointObjectBuffer = renderer.createBuffer('uniform', OBJECT_STRIDE * 4);
+      const viewer = (cullMode) => renderer.createPipeline({
+        label: 'Viewer',
+        vertex: VIEWER_GLSL_VERTEX,
+        fragment: VIEWER_GLSL_FRAGMENT,
+        buffers: [VERTEX_LAYOUT, OBJECT_LAYOUT],
+        uniformBlocks: { Frame: 0, Lighting: 1 },
+        textures: { baseColorTexture: 0 },
+        cullMode
+      });
+      pipeline = viewer('back');
+      doubleSidedPipeline = viewer('none');
+      backgroundPipeline = renderer.createPipeline({
+        label: 'Background',
+        vertex: BACKGROUND_GLSL_VERTEX,
+        fragment: BACKGROUND_GLSL_FRAGMENT,
+        buffers: [],
+        uniformBlocks: { Background: 2 },
+        depthWrite: false
+      });
+      const lines = (label, vertex, fragment, buffers, depthCompare) => renderer.createPipeline({
+        label,
+        vertex,
+        fragment,
+        buffers,
+        uniformBlocks: { Frame: 0 },
+        topology: 'line-list',
+        depthWrite: false,
+        depthCompare
+      });
+      wirePipeline = lines('Wireframe', instanceLineGLSL(true), LINE_GLSL_FRAGMENT, [VERTEX_LAYOUT, OBJECT_LAYOUT], 'less-equal');
+      normalPipeline = lines('Normals', instanceLineGLSL(false), LINE_GLSL_FRAGMENT, [LINE_VERTEX_LAYOUT, OBJECT_LAYOUT], 'less-equal');
+      overlayPipeline = lines('Overlay', OVERLAY_GLSL_VERTEX, OVERLAY_GLSL_FRAGMENT, [LINE_VERTEX_LAYOUT], 'always');
+      pointPipeline = renderer.createPipeline({
+        label: 'Points',
+        vertex: POINT_GLSL_VERTEX,
+        fragment: POINT_GLSL_FRAGMENT,
+        buffers: [POINT_LAYOUT],
+        uniformBlocks: { Frame: 0, Lighting: 1, PointObject: 3 }
+      });
+      whiteTexture = renderer.createTexture({ width: 1, height: 1, data: new Uint8Array([255, 255, 255, 255]) });
+      textures.clear();
+      uploadMeshes();
+      uploadOverlay();
+    },
+
+    setGraph(next) {
+      graph = next;
+      uploadMeshes();
+    },
+
+    invalidate() {
+      dirty = true;
+    },
+
+    setEnvironment() {
+      return Promise.reject(new Error('HDR environments need WebGPU; this browser is using WebGL2.'));
+    },
+
+    setGround(on) {
+      ground = on;
+      dirty = true;
+    },
+
+    // Shadow maps are WebGPU-only
+    configureShadows() {},
+
+    setInspection(next) {
+      inspection = next;
+      if (overlayBuffer) uploadOverlay();
+    },
+
+    configurePoints(settings) {
+      pointSettings = settings;
+    },
+
+    // Environments and shadows are WebGPU-only, so `environment` and
+    // `lightDirection` are ignored
+    draw({ viewProjection, lighting, background, gradient = null }) {
+      if (dirty) {
+        const packed = packObjects(graph, ground);
+        if (packed.count > 0) renderer.writeBuffer(objectBuffer, packed.data);
+        runs = packed.runs;
+        objectData = packed.data;
+        heights = [packed.bounds.min[1], packed.bounds.max[1]];
+        textures.retain(runs);
+        dirty = false;
+      }
+      renderer.writeBuffer(frameBuffer, packFrame(viewProjection, [0, 0, 0, 0], inspection, pointSettings, heights,
+        [renderer.width, renderer.height]));
+      renderer.writeBuffer(lightingBuffer, lighting);
+      if (gradient) {
+        renderer.writeBuffer(backgroundBuffer, packBackground({
+          inverseViewProjection: mat4.invert(viewProjection),
+          top: background,
+          bottom: gradient,
+          environment: false,
+          intensity: 1
+        }));
+      }
+
+      const pass = renderer.beginPass(background);
+      if (gradient) {
+        pass.setPipeline(backgroundPipeline);
+        pass.setUniformBuffer(2, backgroundBuffer);
+        pass.draw(3);
+      }
+      pass.setPipeline(doubleSided(inspection) ? doubleSidedPipeline : pipeline);
+      pass.setUniformBuffer(0, frameBuffer);
+      pass.setUniformBuffer(1, lightingBuffer);
+      pass.setVertexBuffer(1, objectBuffer);
+      for (const { mesh, texture, firstInstance, instanceCount, points } of runs) {
+        if (points) continue;
+        const gl = meshes.get(mesh);
+        pass.setTexture(0, (texture && textures.get(texture)) || whiteTexture);
+        pass.setVertexBuffer(0, gl.vertexBuffer);
+        if (gl.indexBuffer) {
+          pass.setIndexBuffer(gl.indexBuffer, gl.indexFormat);
+          pass.drawIndexed(gl.count, instanceCount, 0, 0, firstInstance);
+        } else {
+          pass.draw(gl.count, instanceCount, 0, firstInstance);
+        }
+      }
+      drawPoints(pass);
+      drawInspection(pass);
+      pass.end();
+    }
+  };
+}
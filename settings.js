@@ -0,0 +1,300 @@
+// settings.js
+// User settings for the viewer and the visualization, edited on the options
+// page (options.html) and in the popup.  They are kept in chrome.storage.sync
+// so they follow the user's browser profile; open pages pick up changes
+// through watchSettings() and apply them live.  Outside the extension (no
+// chrome.storage) the defaults are used.
+//
+// Every entry describes one form field:
+//   { section, label, type, default, ... }  type: 'url', 'number', 'color',
+//                                           'checkbox' or 'select'
+// Numbers may have min / max / step, selects list [value, label] options.
+
+import { hasHostPermission, requestHostPermission } from './permissions.js';
+
+export const SETTINGS = {
+  dataUrl: {
+    section: 'Visualization',
+    label: 'Data URL',
+    type: 'url',
+    default: 'https://api.coindesk.com/v1/bpi/currentprice.json',
+    hostPermission: true
+  },
+  refreshInterval: { section: 'Visualization', label: 'Refresh interval (s)', type: 'number', default: 15, min: 1, max: 3600 },
+  barCount: { section: 'Visualization', label: 'Bars (random demo)', type: 'number', default: 10, min: 1, max: 1000000 },
+  barSpacing: { section: 'Visualization', label: 'Bar spacing', type: 'number', default: 0.12, min: 0.02, max: 1, step: 0.01 },
+  chartBackground: { section: 'Visualization', label: 'Background', type: 'color', default: '#050a14' },
+  chartPitch: { section: 'Visualization', label: 'Camera pitch (°)', type: 'number', default: 34, min: -85, max: 85 },
+  chartRotateSpeed: { section: 'Visualization', label: 'Auto-rotate speed (°/s)', type: 'number', default: 10, min: 0, max: 360 },
+  chartHighContrast: { section: 'Visualization', label: 'High-contrast colors', type: 'checkbox', default: false },
+  viewerBackground: { section: 'Viewer', label: 'Background', type: 'color', default: '#0a1733' },
+  viewerRotateSpeed: { section: 'Viewer', label: 'Auto-rotate speed (°/s)', type: 'number', default: 57, min: 0, max: 360 },
+  // Read by the background service worker (background.js)
+  openModelDownloads: { section: 'Viewer', label: 'Open downloaded model files in the viewer', type: 'checkbox', default: false },
+  theme: { section: 'Both pages', label: 'Theme', type: 'select', default: 'dark', options: [['dark', 'Dark'], ['light', 'Light']] },
+  autoRotate: { section: 'Both pages', label: 'Auto-rotate', type: 'checkbox', default: true },
+  fov: { section: 'Both pages', label: 'Field of view (°)', type: 'number', default: 45, min: 10, max: 120 },
+  msaa: { section: 'Both pages', label: 'Antialiasing', type: 'select', default: 4, options: [[1, 'Off'], [4, 'MSAA 4×']] },
+  renderOnDemand: { section: 'Both pages', label: 'Draw only when something changes', type: 'checkbox', default: true },
+  showHud: { section: 'Both pages', label: 'Performance HUD', type: 'checkbox', default: false },
+  groundPlane: { section: 'Ground and shadows', label: 'Ground plane', type: 'checkbox', default: false },
+  shadows: { section: 'Ground and shadows', label: 'Shadows (WebGPU)', type: 'checkbox', default: false },
+  shadowResolution: {
+    section: 'Ground and shadows',
+    label: 'Shadow resolution',
+    type: 'select',
+    default: 2048,
+    options: [[1024, '1024²'], [2048, '2048²'], [4096, '4096²']]
+  },
+  shadowSoftness: { section: 'Ground and shadows', label: 'Shadow softness', type: 'number', default: 1.5, min: 0, max: 4, step: 0.5 },
+  postFxaa: { section: 'Post-processing (WebGPU)', label: 'FXAA', type: 'checkbox', default: false },
+  postSsao: { section: 'Post-processing (WebGPU)', label: 'Ambient occlusion (SSAO)', type: 'checkbox', default: false },
+  postBloom: { section: 'Post-processing (WebGPU)', label: 'Bloom', type: 'checkbox', default: false },
+  postToneMapping: { section: 'Post-processing (WebGPU)', label: 'ACES tone mapping', type: 'checkbox', default: false },
+  exposure: { section: 'Post-processing (WebGPU)', label: 'Exposure', type: 'number', default: 1, min: 0.1, max: 4, step: 0.05 },
+  pointSize: { section: 'Point clouds', label: 'Point size (px)', type: 'number', default: 3, min: 1, max: 20, step: 0.5 },
+  pointColorByHeight: { section: 'Point clouds', label: 'Color by height', type: 'checkbox', default: false },
+  pointDensity: { section: 'Point clouds', label: 'Points shown (%)', type: 'number', default: 100, min: 1, max: 100 }
+};
+
+// A stored value checked against its entry; anything unusable falls back to
+// the default so a bad sync value never breaks a page
+export function normalizeSetting(key, value) {
+  const spec = SETTINGS[key];
+  switch (spec.type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || !Number.isFinite(number)) return spec.default;
+      return Math.min(Math.max(number, spec.min ?? -Infinity), spec.max ?? Infinity);
+    }
+    case 'checkbox':
+      return typeof value === 'boolean' ? value : spec.default;
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : spec.default;
+    case 'url': {
+      try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : spec.default;
+      } catch (e) {
+        return spec.default;
+      }
+    }
+    case 'select': {
+      const option = spec.options.find(([optionValue]) => String(optionValue) === String(value));
+      return option ? option[0] : spec.default;
+    }
+  }
+  return spec.default;
+}
+
+export function defaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, spec]) => [key, spec.default]));
+}
+
+// '#rrggbb' to [r, g, b] in 0..1, the form the renderers use
+export function colorFromHex(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+export function applyTheme(theme) {
+  document.documentElement.dataset.theme = theme;
+}
+
+// High contrast goes over either theme (see the visualization's CSS)
+export function applyContrast(high) {
+  document.documentElement.dataset.contrast = high ? 'high' : 'normal';
+}
+
+// globalThis rather than window: the service worker loads settings too
+function storage() {
+  return globalThis.chrome && chrome.storage && chrome.storage.sync;
+}
+
+export async function loadSettings() {
+  const settings = defaultSettings();
+  const sync = storage();
+  if (!sync) return settings;
+  const stored = await sync.get(Object.keys(SETTINGS));
+  for (const [key, value] of Object.entries(stored)) {
+    if (key in SETTINGS) settings[key] = normalizeSetting(key, value);
+  }
+  return settings;
+}
+
+export async function saveSettings(values) {
+  const sync = storage();
+  if (!sync) return;
+  const normalized = {};
+  for (const [key, value] of Object.entries(values)) normalized[key] = normalizeSetting(key, value);
+  await sync.set(normalized);
+}
+
+export async function resetSettings() {
+  const sync = storage();
+  if (sync) await sync.remove(Object.keys(SETTINGS));
+}
+
+// Keep `settings` (from loadSettings) up to date and call
+// `listener(changedKeys)` after every change, whichever page made it
+export function watchSettings(settings, listener) {
+  if (!(window.chrome && chrome.storage && chrome.storage.onChanged)) return;
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    const changed = Object.keys(changes).filter((key) => key in SETTINGS);
+    if (changed.length === 0) return;
+    for (const key of changed) {
+      const { newValue } = changes[key];
+      settings[key] = newValue === undefined ? SETTINGS[key].default : normalizeSetting(key, newValue);
+    }
+    listener(changed);
+  });
+}
+
+// Live controls for `keys` on a page panel, bound to `settings` (from
+// loadSettings).  Edits apply to `settings` at once and call `onChange()`;
+// sliders stand in for numbers and are saved once released.  Call update()
+// after the settings change elsewhere.  Returns { update, fields } with
+// fields[key] = { input, label }.
+export function createSettingsControls(container, settings, keys, onChange = () => {}) {
+  const fields = {};
+  for (const key of keys) {
+    const spec = SETTINGS[key];
+    const label = document.createElement('label');
+    let input;
+    if (spec.type === 'select') {
+      input = document.createElement('select');
+      for (const [value, text] of spec.options) input.add(new Option(text, value));
+      label.append(spec.label + ' ', input);
+    } else if (spec.type === 'checkbox') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      label.append(input, ' ' + spec.label);
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type === 'number' ? 'range' : spec.type;
+      if (spec.min !== undefined) input.min = spec.min;
+      if (spec.max !== undefined) input.max = spec.max;
+      if (spec.step !== undefined) input.step = spec.step;
+      label.append(spec.label + ' ', input);
+    }
+    const read = () => normalizeSetting(key, spec.type === 'checkbox' ? input.checked : input.value);
+    input.addEventListener('input', () => {
+      settings[key] = read();
+      onChange();
+    });
+    input.addEventListener('change', () => {
+      saveSettings({ [key]: read() }).catch((err) => console.warn(`Could not save the ${spec.label} setting:`, err));
+    });
+    fields[key] = { input, label };
+    container.appendChild(label);
+  }
+
+  function update() {
+    for (const key of keys) {
+      const { input } = fields[key];
+      if (SETTINGS[key].type === 'checkbox') {
+        input.checked = settings[key];
+      } else {
+        input.value = settings[key];
+      }
+    }
+  }
+  update();
+  return { update, fields };
+}
+
+// Build a form for `keys` inside `container`, grouped by section.  Every
+// change is saved at once; changes made elsewhere are shown as they arrive.
+// URLs the pages fetch from get an "Allow access" button while the extension
+// lacks host permission for them.
+export async function createSettingsForm(container, keys = Object.keys(SETTINGS)) {
+  const settings = await loadSettings();
+  const status = document.createElement('div');
+  status.className = 'status';
+  const fields = {};
+  let fieldset = null;
+
+  const permissions = window.chrome && chrome.permissions;
+  async function updatePermissionButton(key) {
+    const { button } = fields[key];
+    if (!button) return;
+    button.hidden = await hasHostPermission(settings[key]);
+  }
+
+  function show(key) {
+    const { input } = fields[key];
+    if (SETTINGS[key].type === 'checkbox') {
+      input.checked = settings[key];
+    } else {
+      input.value = settings[key];
+    }
+  }
+
+  for (const key of keys) {
+    const spec = SETTINGS[key];
+    if (!fieldset || fieldset.dataset.section !== spec.section) {
+      fieldset = document.createElement('fieldset');
+      fieldset.dataset.section = spec.section;
+      const legend = document.createElement('legend');
+      legend.textContent = spec.section;
+      fieldset.appendChild(legend);
+      container.appendChild(fieldset);
+    }
+    const label = document.createElement('label');
+    let input;
+    if (spec.type === 'select') {
+      input = document.createElement('select');
+      for (const [value, text] of spec.options) input.add(new Option(text, value));
+    } else {
+      input = document.createElement('input');
+      input.type = spec.type;
+      if (spec.min !== undefined) input.min = spec.min;
+      if (spec.max !== undefined) input.max = spec.max;
+      if (spec.step !== undefined) input.step = spec.step;
+    }
+    if (spec.type === 'checkbox') {
+      label.append(input, ' ' + spec.label);
+    } else {
+      label.append(spec.label + ' ', input);
+    }
+    fields[key] = { input };
+    if (spec.hostPermission && permissions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = 'Allow access';
+      button.hidden = true;
+      // Must run inside the click handler so Chrome can show the prompt
+      button.addEventListener('click', () => {
+        requestHostPermission(settings[key]).then(() => updatePermissionButton(key), (err) => {
+          status.textContent = err.message;
+        });
+      });
+      label.append(' ', button);
+      fields[key].button = button;
+    }
+    fieldset.appendChild(label);
+    show(key);
+    updatePermissionButton(key);
+
+    input.addEventListener('change', () => {
+      const value = normalizeSetting(key, spec.type === 'checkbox' ? input.checked : input.value);
+      settings[key] = value;
+      show(key);
+      updatePermissionButton(key);
+      saveSettings({ [key]: value }).then(() => {
+        status.textContent = 'Saved.';
+      }, (err) => {
+        status.textContent = `Could not save: ${err.message}`;
+      });
+    });
+  }
+  container.appendChild(status);
+
+  watchSettings(settings, (changed) => {
+    for (const key of changed) {
+      if (!fields[key]) continue;
+      show(key);
+      updatePermissionButton(key);
+    }
+  });
+}
@@ -0,0 +1,208 @@
+// shadows.js
+// Ground plane and directional-light shadows for the viewer and the
+// visualization.  With shadows on, every frame starts with a depth-only pass
+// that renders the shadow casters as seen from the directional light into a
+// shadow map; the lit passes then look each point up in it with
+// percentage-closer filtering (PCF), which lighting.js applies to the
+// directional light.  The light's orthographic frustum is fitted around the
+// casters' bounds every frame, so the map's resolution is spent on the model
+// or the chart rather than on empty space.
+//
+// Casters are drawn with their usual vertex shader: the shadow uniform
+// buffer starts with the light's view-projection where the lit passes have
+// the camera's, so it can be bound in place of their camera uniforms.
+// Shadow maps are WebGPU-only; WebGL2 draws the ground plane without them.
+
+import { mat4, vec3 } from './core.js';
+import { createSettingsControls } from './settings.js';
+
+export const SHADOW_DEPTH_FORMAT = 'depth32float';
+
+// Light view-projection, then params (x: 1 when on, y: PCF radius in texels,
+// z: 1 / map size, w: normal offset in world units)
+export const SHADOW_UNIFORM_SIZE = (16 + 4) * 4;
+
+// Depth state of the caster pipelines.  The slope-scaled bias keeps lit
+// surfaces from shadowing themselves (shadow acne).
+export const SHADOW_DEPTH_STENCIL = {
+  format: SHADOW_DEPTH_FORMAT,
+  depthWriteEnabled: true,
+  depthCompare: 'less',
+  depthBias: 2,
+  depthBiasSlopeScale: 2
+};
+
+// Matte grey that reads on dark and light backgrounds alike
+export const GROUND_COLOR = [0.42, 0.44, 0.47];
+export const GROUND_ROUGHNESS = 0.9;
+
+// WGSL declarations for the shadow uniform, map and sampler at bindings
+// `binding` .. `binding + 2`, plus `shadowFactor(...)`: 1 where the
+// directional light reaches a point, 0 in full shadow
+export function shadowWGSL(group, binding) {
+  return `
+struct Shadow {
+  viewProjection : mat4x4<f32>,
+  params : vec4<f32>,  // x: on, y: PCF radius in texels, z: 1 / map size, w: normal offset
+};
+@binding(${binding}) @group(${group}) var<uniform> shadow : Shadow;
+@binding(${binding + 1}) @group(${group}) var shadowMap : texture_depth_2d;
+@binding(${binding + 2}) @group(${group}) var shadowSampler : sampler_comparison;
+
+fn shadowFactor(worldPos : vec3<f32>, normal : vec3<f32>) -> f32 {
+  if (shadow.params.x < 0.5) {
+    return 1.0;
+  }
+  // Looking up a point pushed out along the normal hides the acne the
+  // depth bias leaves on surfaces almost parallel to the light
+  let clip = shadow.viewProjection * vec4<f32>(worldPos + normal * shadow.params.w, 1.0);
+  let ndc = clip.xyz / clip.w;
+  let uv = ndc.xy * vec2<f32>(0.5, -0.5) + vec2<f32>(0.5);
+  if (any(uv < vec2<f32>(0.0)) || any(uv > vec2<f32>(1.0)) || ndc.z > 1.0) {
+    return 1.0;
+  }
+  // 4 x 4 taps spread over the softness radius, each one a bilinear 2 x 2
+  // comparison; radius 0 gives hard (but still bilinear) edges
+  let spacing = shadow.params.y * shadow.params.z / 1.5;
+  var lit = 0.0;
+  for (var y = -1.5; y <= 1.5; y += 1.0) {
+    for (var x = -1.5; x <= 1.5; x += 1.0) {
+      lit += textureSampleCompareLevel(shadowMap, shadowSampler, uv + vec2<f32>(x, y) * spacing, ndc.z);
+    }
+  }
+  return lit / 16.0;
+}
+`;
+}
+
+// Orthographic view-projection of a light travelling along `direction` that
+// just covers the bounding sphere of `bounds` ({ min, max }).  Also returns
+// the sphere's radius, which sets the size of one shadow map texel.
+export function fitLight(direction, { min, max }) {
+  const center = vec3.lerp(min, max, 0.5);
+  const radius = Math.max(vec3.distance(min, max) / 2, 1e-3);
+  const d = vec3.normalize(direction);
+  const eye = vec3.subtract(center, vec3.scale(d, radius * 2));
+  const view = mat4.lookAt(eye, center, Math.abs(d[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0]);
+  // The far plane reaches well past the casters so long shadows across the
+  // ground still land inside the map's depth range
+  const projection = mat4.orthographic(-radius, radius, -radius, radius, radius * 0.5, radius * 12);
+  return { viewProjection: mat4.multiply(projection, view), radius };
+}
+
+export function createShadowMap(device) {
+  const uniformBuffer = device.createBuffer({
+    label: 'Shadow uniforms',
+    size: SHADOW_UNIFORM_SIZE,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+  });
+  const sampler = device.createSampler({
+    compare: 'less-equal',
+    minFilter: 'linear',
+    magFilter: 'linear'
+  });
+  let texture = null;
+  let view = null;
+  let enabled = false;
+  let softness = 1;
+
+  function allocate(size) {
+    if (texture) texture.destroy();
+    texture = device.createTexture({
+      label: 'Shadow map',
+      size: [size, size],
+      format: SHADOW_DEPTH_FORMAT,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    });
+    view = texture.createView();
+  }
+  // A 1 x 1 map stays bound while shadows are off
+  allocate(1);
+  device.queue.writeBuffer(uniformBuffer, 0, new Float32Array(SHADOW_UNIFORM_SIZE / 4));
+
+  return {
+    uniformBuffer,
+    sampler,
+    get view() {
+      return view;
+    },
+    get enabled() {
+      return enabled;
+    },
+
+    // Apply { shadows, shadowResolution, shadowSoftness } from the settings.
+    // Returns true when the map was replaced: bind groups holding the old
+    // view must then be rebuilt.
+    configure(settings) {
+      enabled = settings.shadows;
+      softness = settings.shadowSoftness;
+      const size = enabled ? settings.shadowResolution : 1;
+      if (size === texture.width) return false;
+      allocate(size);
+      return true;
+    },
+
+    // Fit the light to `bounds` (every caster inside) for this frame
+    update(direction, bounds) {
+      const data = new Float32Array(SHADOW_UNIFORM_SIZE / 4);
+      if (enabled) {
+        const { viewProjection, radius } = fitLight(direction, bounds);
+        const texel = (2 * radius) / texture.width;
+        data.set(viewProjection, 0);
+        data.set([1, softness, 1 / texture.width, texel * 1.5], 16);
+      }
+      device.queue.writeBuffer(uniformBuffer, 0, data);
+    },
+
+    // The depth-only caster pass, or null while shadows are off
+    beginPass(encoder) {
+      if (!enabled) return null;
+      return encoder.beginRenderPass({
+        colorAttachments: [],
+        depthStencilAttachment: {
+          view,
+          depthClearValue: 1.0,
+          depthLoadOp: 'clear',
+          depthStoreOp: 'store'
+        }
+      });
+    },
+
+    destroy() {
+      texture.destroy();
+      uniformBuffer.destroy();
+    }
+  };
+}
+
+const PANEL_KEYS = ['groundPlane', 'shadows', 'shadowResolution', 'shadowSoftness'];
+
+// Ground and shadow controls for a page panel, bound to the user's settings
+// (settings.js) so both pages and the options page stay in step.
+// `onChange()` runs after every edit; call update() when the settings change
+// elsewhere.
+export function createShadowPanel(container, settings, onChange = () => {}) {
+  const controls = createSettingsControls(container, settings, PANEL_KEYS, () => {
+    update();
+    onChange();
+  });
+  let available = true;
+
+  function update() {
+    controls.update();
+    const { fields } = controls;
+    fields.shadows.input.disabled = !available;
+    fields.shadowResolution.label.hidden = !available || !settings.shadows;
+    fields.shadowSoftness.label.hidden = !available || !settings.shadows;
+  }
+  update();
+
+  return {
+    update,
+    // Shadow maps need WebGPU; the ground plane works everywhere
+    setShadowsAvailable(value) {
+      available = value;
+      update();
+    }
+  };
+}
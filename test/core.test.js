@@ -0,0 +1,140 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mat4, quat, vec3, ray, projectToScreen, createFrameLoop } from '../core.js';
+
+// Float32 matrices are compared with a tolerance
+function assertClose(actual, expected, epsilon = 1e-5) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon, `element ${i}: ${actual[i]} is not ${expected[i]}`);
+  }
+}
+
+// The same rotation up to the sign of the quaternion
+function assertSameRotation(a, b) {
+  const sign = Math.sign(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]) || 1;
+  assertClose(a, b.map((c) => c * sign));
+}
+
+test('mat4.multiply applies the right-hand matrix first', () => {
+  const m = mat4.multiply(mat4.translation(1, 2, 3), mat4.scaling(2, 2, 2));
+  assertClose(vec3.transformMat4([1, 1, 1], m), [3, 4, 5]);
+  assertClose(mat4.multiply(m, mat4.identity()), m);
+});
+
+test('mat4.invert undoes a transform and rejects singular matrices', () => {
+  const m = mat4.fromTRS([1, -2, 3], quat.fromAxisAngle([1, 1, 0], 0.7), [2, 0.5, 3]);
+  assertClose(mat4.multiply(m, mat4.invert(m)), mat4.identity());
+  assert.equal(mat4.invert(mat4.scaling(1, 0, 1)), null);
+});
+
+test('mat4.lookAt puts the target straight ahead on -z', () => {
+  const view = mat4.lookAt([0, 0, 5], [0, 0, 0], [0, 1, 0]);
+  assertClose(vec3.transformMat4([0, 0, 0], view), [0, 0, -5]);
+  assertClose(vec3.transformMat4([0, 1, 0], view), [0, 1, -5]);
+  // Looking along `up` still gives an orthonormal basis
+  const down = mat4.lookAt([0, 5, 0], [0, 0, 0], [0, 1, 0]);
+  assertClose(vec3.transformMat4([0, 0, 0], down), [0, 0, -5]);
+});
+
+test('mat4.perspective maps near and far to depth 0 and 1', () => {
+  const projection = mat4.perspective(Math.PI / 2, 2, 0.5, 100);
+  assertClose(vec3.transformMat4([0, 0, -0.5], projection), [0, 0, 0]);
+  assertClose(vec3.transformMat4([0, 0, -100], projection), [0, 0, 1]);
+  // 90 degrees vertically: y = -z lands on the top edge
+  assertClose(vec3.transformMat4([0, 10, -10], projection), [0, 1, vec3.transformMat4([0, 0, -10], projection)[2]]);
+});
+
+test('mat4.fromTRS and mat4.decompose round-trip', () => {
+  const translation = [4, 5, -6];
+  const rotation = quat.normalize(quat.fromEuler(0.3, -1.1, 2));
+  const scale = [1.5, 2, 0.25];
+  const parts = mat4.decompose(mat4.fromTRS(translation, rotation, scale));
+  assertClose(parts.translation, translation);
+  assertSameRotation(parts.rotation, rotation);
+  assertClose(parts.scale, scale);
+  // A mirror comes back as a negative x scale
+  const mirrored = mat4.decompose(mat4.scaling(1, -1, 1));
+  assertClose(vec3.transformMat4([1, 2, 3], mat4.fromTRS(mirrored.translation, mirrored.rotation, mirrored.scale)), [1, -2, 3]);
+});
+
+test('quat.fromAxisAngle and vec3.transformQuat rotate counterclockwise', () => {
+  const q = quat.fromAxisAngle([0, 0, 2], Math.PI / 2);
+  assertClose(vec3.transformQuat([1, 0, 0], q), [0, 1, 0]);
+  assertClose(vec3.transformMat4([1, 0, 0], mat4.fromTRS(undefined, q)), [0, 1, 0]);
+});
+
+test('quat.multiply composes rotations, right-hand first', () => {
+  const x = quat.fromAxisAngle([1, 0, 0], Math.PI / 2);
+  const z = quat.fromAxisAngle([0, 0, 1], Math.PI / 2);
+  const point = [1, 0, 0];
+  assertClose(vec3.transformQuat(point, quat.multiply(x, z)), vec3.transformQuat(vec3.transformQuat(point, z), x));
+});
+
+test('quat.fromEuler and quat.toEuler round-trip, including gimbal lock', () => {
+  assertClose(quat.toEuler(quat.fromEuler(0.4, -0.2, 1.3)), [0.4, -0.2, 1.3]);
+  const locked = quat.fromEuler(0.5, Math.PI / 2, 0);
+  assertSameRotation(quat.fromEuler(...quat.toEuler(locked)), locked);
+});
+
+test('quat.slerp interpolates along the short arc', () => {
+  const a = quat.identity();
+  const b = quat.fromAxisAngle([0, 1, 0], Math.PI / 2);
+  assertSameRotation(quat.slerp(a, b, 0.5), quat.fromAxisAngle([0, 1, 0], Math.PI / 4));
+  // -b is the same rotation; the result must not go the long way round
+  assertSameRotation(quat.slerp(a, b.map((c) => -c), 0.5), quat.fromAxisAngle([0, 1, 0], Math.PI / 4));
+  assertClose(quat.slerp(a, a, 0.3), a);
+});
+
+test('ray.fromScreen and projectToScreen agree', () => {
+  const viewProjection = mat4.multiply(mat4.perspective(1, 1.5, 0.1, 50), mat4.lookAt([3, 2, 4], [0, 0, 0], [0, 1, 0]));
+  const pixel = projectToScreen([0.5, 0.25, -0.5], viewProjection, 300, 200);
+  const r = ray.fromScreen(pixel[0], pixel[1], 300, 200, viewProjection);
+  const t = ray.intersectBox(r, [-1, -1, -1], [1, 1, 1]);
+  assert.ok(t > 0);
+  assertClose(projectToScreen(vec3.add(r.origin, vec3.scale(r.direction, t)), viewProjection, 300, 200), pixel, 1e-2);
+  assert.equal(projectToScreen([3, 2, 10], viewProjection, 300, 200), null);
+});
+
+test('ray.intersectBox misses boxes behind or beside the ray', () => {
+  const r = { origin: [0, 0, 5], direction: [0, 0, -1] };
+  assert.equal(ray.intersectBox(r, [-1, -1, -1], [1, 1, 1]), 4);
+  assert.equal(ray.intersectBox(r, [2, -1, -1], [3, 1, 1]), null);
+  assert.equal(ray.intersectBox({ origin: [0, 0, 5], direction: [0, 0, 1] }, [-1, -1, -1], [1, 1, 1]), null);
+});
+
+test('createFrameLoop reports a frame that throws and keeps running', (t) => {
+  // Just enough of the page for the loop; frames run when flush() says so
+  let callbacks = [];
+  globalThis.document = { hidden: false, addEventListener() {}, removeEventListener() {} };
+  globalThis.requestAnimationFrame = (callback) => callbacks.push(callback);
+  globalThis.cancelAnimationFrame = () => {};
+  t.after(() => {
+    delete globalThis.document;
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+  const flush = (time) => {
+    const pending = callbacks;
+    callbacks = [];
+    pending.forEach((callback) => callback(time));
+  };
+
+  const errors = [];
+  const loop = createFrameLoop(() => true, (err) => errors.push(err.message));
+  let frames = 0;
+  let listened = 0;
+  loop.onFrame(() => listened++);
+  loop.start(() => {
+    frames++;
+    if (frames === 1) throw new Error('bad frame');
+  });
+  flush(16);
+  flush(32);
+  assert.deepEqual(errors, ['bad frame']);
+  assert.equal(frames, 2);
+  assert.equal(listened, 2);
+  assert.equal(callbacks.length, 1);
+  loop.destroy();
+});
@@ -0,0 +1,45 @@
+// Run with: node --test test/
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRestSource, sampleFromCSV, sampleFromJSON, selectPath } from '../datasources.js';
+
+test('selectPath picks keys, indices and wildcards', () => {
+  const data = { bpi: { USD: { rate: 1 }, EUR: { rate: 2 } }, list: [10, 20, 30] };
+  assert.deepEqual(selectPath(data, 'bpi.*.rate'), [1, 2]);
+  assert.deepEqual(selectPath(data, '$.list[-1]'), [30]);
+  assert.deepEqual(selectPath(data, "['list'][*]"), [10, 20, 30]);
+  assert.deepEqual(selectPath(data, 'missing.key'), []);
+});
+
+test('sampleFromJSON labels values and rejects non-numbers', () => {
+  assert.deepEqual(sampleFromJSON({ v: ['1,000.5', 2] }, 'v[*]'), { values: [1000.5, 2], labels: ['1', '2'] });
+  assert.throws(() => sampleFromJSON({ v: ['x'] }, 'v[*]'), /not numbers/);
+});
+
+test('sampleFromCSV skips the header and reports bad rows', () => {
+  const text = 'name,value\n"a, b",1\nc,"2"\n';
+  assert.deepEqual(sampleFromCSV(text), { values: [1, 2], labels: ['a, b', 'c'] });
+  assert.throws(() => sampleFromCSV('name,value\na,1\nb,x'), /row 3: "x" is not a number/);
+});
+
+test('the REST source does not poll again while a request is pending', async () => {
+  mock.timers.enable({ apis: ['setInterval'] });
+  const pending = [];
+  const fetch = mock.method(globalThis, 'fetch', () => new Promise((resolve) => pending.push(resolve)));
+  const samples = [];
+  const source = createRestSource({ url: 'https://example.com/data', valuePath: 'v', interval: 1 });
+  try {
+    source.start((sample) => samples.push(sample), assert.fail);
+    mock.timers.tick(3000);
+    assert.equal(fetch.mock.callCount(), 1);
+    pending[0]({ ok: true, json: async () => ({ v: 5 }) });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(samples.map((s) => s.values), [[5]]);
+    mock.timers.tick(1000);
+    assert.equal(fetch.mock.callCount(), 2);
+  } finally {
+    source.stop();
+    fetch.mock.restore();
+    mock.timers.reset();
+  }
+});
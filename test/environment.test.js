@@ -0,0 +1,82 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHDR, toHalf } from '../environment.js';
+
+// A Radiance file from its resolution line and pixel bytes.  RGBE pixels
+// with exponent 136 decode to their mantissas, which keeps the numbers small.
+function hdr(resolution, pixels, header = '#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n') {
+  const text = new TextEncoder().encode(`${header}${resolution}\n`);
+  const bytes = new Uint8Array(text.length + pixels.length);
+  bytes.set(text, 0);
+  bytes.set(pixels, text.length);
+  return bytes.buffer;
+}
+
+test('parseHDR decodes flat pixels', () => {
+  const image = parseHDR(hdr('-Y 1 +X 3', [10, 20, 30, 136, 4, 0, 0, 137, 9, 9, 9, 0]));
+  assert.equal(image.width, 3);
+  assert.equal(image.height, 1);
+  assert.deepEqual(Array.from(image.data), [10, 20, 30, 8, 0, 0, 0, 0, 0]);
+});
+
+test('parseHDR turns +Y images so rows run from the top', () => {
+  const image = parseHDR(hdr('+Y 2 +X 1', [3, 3, 3, 136, 2, 2, 2, 136]));
+  assert.deepEqual(Array.from(image.data), [2, 2, 2, 3, 3, 3]);
+});
+
+test('parseHDR decodes run-length encoded scanlines', () => {
+  const image = parseHDR(hdr('-Y 1 +X 8', [
+    2, 2, 0, 8,
+    136, 5, // red: a run of eight 5s
+    8, 0, 1, 2, 3, 4, 5, 6, 7, // green: eight literal values
+    132, 1, 4, 9, 9, 9, 9, // blue: a run of four 1s, then four literals
+    136, 136 // exponent: a run of eight
+  ]));
+  const expected = [];
+  for (let x = 0; x < 8; x++) expected.push(5, x, x < 4 ? 1 : 9);
+  assert.deepEqual(Array.from(image.data), expected);
+});
+
+test('parseHDR decodes old-style runs', () => {
+  const image = parseHDR(hdr('-Y 1 +X 4', [7, 8, 9, 136, 1, 1, 1, 3]));
+  assert.deepEqual(Array.from(image.data), [7, 8, 9, 7, 8, 9, 7, 8, 9, 7, 8, 9]);
+});
+
+test('parseHDR rejects truncated files', () => {
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 2', [5, 5, 5, 136])), /the pixel data is truncated/);
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 8', [2, 2, 0, 8, 136, 5])), /the pixel data is truncated/);
+  assert.throws(() => parseHDR(new TextEncoder().encode('#?RADIANCE\nFORMAT=32-bit_rle_rgbe').buffer),
+    /the header is incomplete/);
+});
+
+test('parseHDR rejects what it cannot read', () => {
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 1', [0, 0, 0, 0], 'P6\n\n')), /not a Radiance .hdr file/);
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 1', [0, 0, 0, 0], '#?RADIANCE\nFORMAT=32-bit_rle_xyze\n\n')),
+    /pixel format "32-bit_rle_xyze" is not supported/);
+  assert.throws(() => parseHDR(hdr('+X 1 -Y 1', [0, 0, 0, 0])), /only images stored in rows/);
+  assert.throws(() => parseHDR(hdr('-Y 0 +X 1', [])), /the image is empty/);
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 8', [2, 2, 0, 9])), /a scanline has the wrong width/);
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 8', [2, 2, 0, 8, 137, 5])), /a run overflows its scanline/);
+  assert.throws(() => parseHDR(hdr('-Y 1 +X 2', [1, 1, 1, 2])), /a run overflows its scanline/);
+});
+
+test('toHalf converts to half-precision bits', () => {
+  assert.equal(toHalf(0), 0);
+  assert.equal(toHalf(-0), 0x8000);
+  assert.equal(toHalf(1), 0x3c00);
+  assert.equal(toHalf(-2), 0xc000);
+  assert.equal(toHalf(65504), 0x7bff);
+});
+
+test('toHalf clamps values beyond the half range', () => {
+  assert.equal(toHalf(65536), 0x7bff);
+  assert.equal(toHalf(1e9), 0x7bff);
+  assert.equal(toHalf(-1e9), 0xfbff);
+});
+
+test('toHalf produces subnormals and flushes smaller values to zero', () => {
+  assert.equal(toHalf(2 ** -15), 0x0200);
+  assert.equal(toHalf(2 ** -24), 0x0001);
+  assert.equal(toHalf(2 ** -30), 0);
+});
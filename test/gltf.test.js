@@ -0,0 +1,52 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGLTF } from '../gltf.js';
+
+const FLOAT = 5126;
+const SHORT = 5122;
+
+// One triangle whose TEXCOORD_0 is stored as int16, normalized or not
+function triangle({ normalized, scene }) {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  const uvs = new Int16Array([0, 0, 32767, -32768, 2, -3]);
+  const buffer = new Uint8Array(positions.byteLength + uvs.byteLength);
+  buffer.set(new Uint8Array(positions.buffer), 0);
+  buffer.set(new Uint8Array(uvs.buffer), positions.byteLength);
+  const json = {
+    asset: { version: '2.0' },
+    buffers: [{ byteLength: buffer.byteLength }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: uvs.byteLength }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: FLOAT, count: 3, type: 'VEC3' },
+      { bufferView: 1, componentType: SHORT, count: 3, type: 'VEC2', normalized }
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, TEXCOORD_0: 1 } }] }],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }]
+  };
+  if (scene !== undefined) json.scene = scene;
+  return parseGLTF(json, [buffer]);
+}
+
+test('normalized integer accessors map to -1..1', () => {
+  const { meshes } = triangle({ normalized: true });
+  assert.deepEqual(Array.from(meshes[0].uvs), [0, 0, 1, -1, 2 / 32767, -3 / 32767].map(Math.fround));
+});
+
+test('integer accessors that are not normalized keep their values', () => {
+  const { meshes } = triangle({ normalized: false });
+  assert.deepEqual(Array.from(meshes[0].uvs), [0, 0, 32767, -32768, 2, -3]);
+});
+
+test('a scene index past the scene list is reported', () => {
+  assert.throws(() => triangle({ normalized: false, scene: 3 }), /Scene 3 does not exist/);
+  assert.equal(triangle({ normalized: false, scene: 0 }).meshes.length, 1);
+});
+
+test('only glTF 2.0 is accepted', () => {
+  assert.throws(() => parseGLTF({ asset: { version: '1.0' } }), /only glTF 2.0/);
+});
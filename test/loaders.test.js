@@ -0,0 +1,70 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMTL, parseOBJ, parseSTL } from '../loaders.js';
+
+test('OBJ relative indices name a new vertex on every face', () => {
+  const text = [
+    'v 0 0 0', 'v 1 0 0', 'v 0 1 0',
+    'f -3 -2 -1',
+    'v 0 0 1', 'v 1 0 1', 'v 0 1 1',
+    'f -3 -2 -1'
+  ].join('\n');
+  const [mesh] = parseOBJ(text).meshes;
+  assert.equal(mesh.positions.length, 18);
+  assert.deepEqual(Array.from(mesh.indices), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual(Array.from(mesh.positions.slice(9, 12)), [0, 0, 1]);
+});
+
+test('OBJ vertices shared between faces are de-duplicated', () => {
+  const text = 'v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nf 1 2 3\nf 1 3 -1';
+  const [mesh] = parseOBJ(text).meshes;
+  assert.equal(mesh.positions.length, 12);
+  assert.deepEqual(Array.from(mesh.indices), [0, 1, 2, 0, 2, 3]);
+});
+
+test('OBJ polygons are fan-triangulated and split by material', () => {
+  const text = 'v 0 0 0\nv 1 0 0\nv 1 1 0\nv 0 1 0\nusemtl a\nf 1 2 3 4\nusemtl b\nf 1 2 3';
+  const materials = parseMTL('newmtl a\nKd 1 0 0\nnewmtl b\nKd 0 0 1 \nd 0.5');
+  const meshes = parseOBJ(text, materials).meshes;
+  assert.deepEqual(meshes.map((m) => m.indices.length), [6, 3]);
+  assert.equal(meshes[0].material.name, 'a');
+  assert.equal(meshes[1].material.alphaMode, 'BLEND');
+});
+
+test('OBJ texture coordinates and normals follow the face tokens', () => {
+  const text = 'v 0 0 0\nv 1 0 0\nv 0 1 0\nvt 0 0\nvt 1 0.25\nvn 0 0 1\nf 1/1/1 2/2/1 3//1';
+  const [mesh] = parseOBJ(text).meshes;
+  assert.deepEqual(Array.from(mesh.normals), [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  // One corner has no texture coordinate, so the mesh has none
+  assert.equal(mesh.uvs, null);
+});
+
+test('OBJ rejects malformed lines and indices', () => {
+  assert.throws(() => parseOBJ('v 0 0 zero'), /line 1: malformed vertex/);
+  assert.throws(() => parseOBJ('vn 0 x 1'), /line 1: malformed normal/);
+  assert.throws(() => parseOBJ('vn 0 1'), /line 1: malformed normal/);
+  assert.throws(() => parseOBJ('vt u'), /line 1: malformed texture coordinate/);
+  assert.throws(() => parseOBJ('v 0 0 0\nf 1 2 3'), /line 2: vertex index 2 is out of range/);
+});
+
+test('ASCII STL facets become one triangle each', () => {
+  const text = [
+    'solid part',
+    'facet normal 0 0 1', 'outer loop', 'vertex 0 0 0', 'vertex 1 0 0', 'vertex 0 1 0', 'endloop', 'endfacet',
+    'endsolid part'
+  ].join('\n');
+  const [mesh] = parseSTL(new TextEncoder().encode(text).buffer).meshes;
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+});
+
+test('binary STL is read by its triangle count', () => {
+  const buffer = new ArrayBuffer(84 + 50);
+  const view = new DataView(buffer);
+  view.setUint32(80, 1, true);
+  [0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 2, 0].forEach((value, i) => view.setFloat32(84 + i * 4, value, true));
+  const [mesh] = parseSTL(buffer).meshes;
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 2, 0, 0, 0, 2, 0]);
+  view.setUint32(80, 2, true);
+  assert.throws(() => parseSTL(buffer.slice(0, 84 + 50 + 10)), /truncated/);
+});
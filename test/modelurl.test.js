@@ -0,0 +1,54 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_URL_PATTERNS, fileNameFromUrl, modelDownloadUrl, modelFormat, modelUrlParam, viewerUrl } from '../modelurl.js';
+
+test('modelFormat looks at the path only', () => {
+  assert.equal(modelFormat('https://example.com/models/Duck.GLB'), 'glb');
+  assert.equal(modelFormat('https://example.com/a/scan.ply?token=1#top'), 'ply');
+  assert.equal(modelFormat('file:///home/me/part.stl'), 'stl');
+  assert.equal(modelFormat('https://example.com/model.obj.zip'), null);
+  assert.equal(modelFormat('https://example.com/view?file=model.obj'), null);
+  assert.equal(modelFormat('https://example.com/models.obj/'), null);
+});
+
+test('modelFormat rejects other schemes and bad URLs', () => {
+  assert.equal(modelFormat('ftp://example.com/model.obj'), null);
+  assert.equal(modelFormat('javascript:alert(1)//.obj'), null);
+  assert.equal(modelFormat('model.obj'), null);
+});
+
+test('context menu patterns cover every format', () => {
+  for (const format of ['gltf', 'glb', 'obj', 'stl', 'ply', 'xyz']) {
+    assert.ok(MODEL_URL_PATTERNS.includes(`*://*/*.${format}`));
+    assert.ok(MODEL_URL_PATTERNS.includes(`*://*/*.${format}?*`));
+  }
+});
+
+test('modelDownloadUrl skips HTML pages about a model', () => {
+  const url = 'https://github.com/owner/repo/blob/main/model.obj';
+  assert.equal(modelDownloadUrl({ url, finalUrl: url, mime: 'text/html; charset=utf-8' }), null);
+  assert.equal(modelDownloadUrl({ url, finalUrl: url, mime: 'text/plain' }), url);
+  assert.equal(modelDownloadUrl({ url, finalUrl: url, mime: '' }), url);
+  assert.equal(modelDownloadUrl({ url: 'https://example.com/report.pdf', mime: 'application/pdf' }), null);
+});
+
+test('modelDownloadUrl follows redirects to either end', () => {
+  const url = 'https://example.com/releases/download/v1/part.glb';
+  const storage = 'https://storage.example.com/abc123?signature=x';
+  assert.equal(modelDownloadUrl({ url, finalUrl: storage, mime: 'application/octet-stream' }), url);
+  assert.equal(modelDownloadUrl({ url: storage, finalUrl: url, mime: 'model/gltf-binary' }), url);
+});
+
+test('viewer links round-trip through the model parameter', () => {
+  const model = 'https://example.com/a b/Duck.gltf?x=1&y=2';
+  const link = viewerUrl('chrome-extension://id/viewer.html', model);
+  assert.equal(modelUrlParam(new URL(link).search), model);
+  assert.equal(modelUrlParam(''), null);
+  assert.throws(() => modelUrlParam('?model=https%3A%2F%2Fexample.com%2Fpage.html'), /is not a link to a/);
+});
+
+test('fileNameFromUrl decodes the last path segment', () => {
+  assert.equal(fileNameFromUrl('https://example.com/a/My%20Model.glb?x=1'), 'My Model.glb');
+  assert.equal(fileNameFromUrl('https://example.com/a/100%.obj'), '100%.obj');
+});
@@ -0,0 +1,144 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePLY, parseXYZ } from '../pointclouds.js';
+
+function assertClose(actual, expected, epsilon = 1e-6) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon, `element ${i}: ${actual[i]} is not ${expected[i]}`);
+  }
+}
+
+const encode = (text) => new TextEncoder().encode(text);
+
+// An ASCII PLY from its header lines (between "ply" and "end_header") and rows
+function asciiPLY(header, rows) {
+  return encode(['ply', 'format ascii 1.0', ...header, 'end_header', ...rows, ''].join('\n')).buffer;
+}
+
+// A binary PLY from its header lines and [type, value] pairs in file order
+const SETTERS = { uchar: ['setUint8', 1], ushort: ['setUint16', 2], int: ['setInt32', 4], float: ['setFloat32', 4] };
+function binaryPLY(little, header, fields) {
+  const format = little ? 'binary_little_endian' : 'binary_big_endian';
+  const head = encode(['ply', `format ${format} 1.0`, ...header, 'end_header', ''].join('\n'));
+  const size = fields.reduce((sum, [type]) => sum + SETTERS[type][1], 0);
+  const bytes = new Uint8Array(head.length + size);
+  bytes.set(head, 0);
+  const view = new DataView(bytes.buffer);
+  let position = head.length;
+  for (const [type, value] of fields) {
+    const [setter, length] = SETTERS[type];
+    view[setter](position, value, little);
+    position += length;
+  }
+  return bytes.buffer;
+}
+
+const XYZ = ['property float x', 'property float y', 'property float z'];
+
+test('parsePLY reads an ASCII point cloud with 8-bit colors', () => {
+  const { meshes } = parsePLY(asciiPLY(
+    ['comment two points', 'element vertex 2', ...XYZ,
+      'property uchar red', 'property uchar green', 'property uchar blue'],
+    ['0 0 0 255 0 0', '', '1 2 3 0 51 255']
+  ));
+  assert.equal(meshes.length, 1);
+  const [mesh] = meshes;
+  assert.equal(mesh.topology, 'point-list');
+  assert.equal(mesh.indices, null);
+  assert.equal(mesh.normals, null);
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 1, 2, 3]);
+  assertClose(mesh.colors, [1, 0, 0, 0, 0.2, 1]);
+  assert.equal(mesh.material.roughnessFactor, 1);
+});
+
+test('parsePLY fans ASCII polygons into triangles', () => {
+  const { meshes: [mesh] } = parsePLY(asciiPLY(
+    ['element vertex 4', ...XYZ, 'element face 1', 'property list uchar int vertex_indices'],
+    ['0 0 0', '1 0 0', '1 1 0', '0 1 0', '4 0 1 2 3']
+  ));
+  assert.equal(mesh.topology, undefined);
+  assert.ok(mesh.indices instanceof Uint16Array);
+  assert.deepEqual(Array.from(mesh.indices), [0, 1, 2, 0, 2, 3]);
+  assert.equal(mesh.colors, null);
+  assert.equal(mesh.material.roughnessFactor, 0.6);
+});
+
+test('parsePLY reads little-endian normals and float colors', () => {
+  const { meshes: [mesh] } = parsePLY(binaryPLY(true,
+    ['element vertex 1', ...XYZ, 'property float nx', 'property float ny', 'property float nz',
+      'property float red', 'property float green', 'property float blue'],
+    [['float', 1.5], ['float', -2], ['float', 3], ['float', 0], ['float', 1], ['float', 0],
+      ['float', 0.25], ['float', 0.5], ['float', 1]]
+  ));
+  assert.deepEqual(Array.from(mesh.positions), [1.5, -2, 3]);
+  assert.deepEqual(Array.from(mesh.normals), [0, 1, 0]);
+  assert.deepEqual(Array.from(mesh.colors), [0.25, 0.5, 1]);
+});
+
+test('parsePLY reads big-endian faces and 16-bit colors', () => {
+  const vertex = (x, y, red) => [['float', x], ['float', y], ['float', 0], ['ushort', red], ['ushort', 0], ['ushort', 65535]];
+  const { meshes: [mesh] } = parsePLY(binaryPLY(false,
+    ['element vertex 3', ...XYZ, 'property ushort red', 'property ushort green', 'property ushort blue',
+      'element face 1', 'property list uchar int vertex_index'],
+    [...vertex(0, 0, 65535), ...vertex(1, 0, 0), ...vertex(0, 1, 0),
+      ['uchar', 3], ['int', 0], ['int', 1], ['int', 2]]
+  ));
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  assert.deepEqual(Array.from(mesh.indices), [0, 1, 2]);
+  assertClose(mesh.colors, [1, 0, 1, 0, 0, 1, 0, 0, 1]);
+});
+
+test('parsePLY rejects truncated files', () => {
+  assert.throws(() => parsePLY(binaryPLY(true, ['element vertex 2', ...XYZ],
+    [['float', 0], ['float', 0], ['float', 0], ['float', 1]])), /the binary data is truncated/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 2', ...XYZ], ['0 0 0'])),
+    /the file ends after 1 of 2 "vertex" rows/);
+});
+
+test('parsePLY rejects malformed headers', () => {
+  assert.throws(() => parsePLY(encode('solid cube\nendsolid\n').buffer), /Not a PLY file/);
+  assert.throws(() => parsePLY(encode('ply\nformat ascii 1.0\nelement vertex 1\n').buffer), /Not a PLY file/);
+  assert.throws(() => parsePLY(encode('ply\nformat binary_middle_endian 1.0\nend_header\n').buffer),
+    /unsupported format "binary_middle_endian"/);
+  assert.throws(() => parsePLY(asciiPLY(['property float x'], [])), /comes before any element/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 1', 'property half x'], ['0'])), /unknown property type/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 1', 'property list uchar half vertex_indices'], ['0'])),
+    /unknown property type/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex many', ...XYZ], [])), /element "vertex" has no valid count/);
+});
+
+test('parsePLY rejects files it cannot build a model from', () => {
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 0', ...XYZ], [])), /the file has no vertices/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 1', 'property float x', 'property float y'], ['0 0'])),
+    /vertices need x, y and z properties/);
+  assert.throws(() => parsePLY(asciiPLY(['element vertex 1', ...XYZ], ['0 zero 0'])),
+    /malformed "vertex" row 0: "0 zero 0"/);
+  assert.throws(() => parsePLY(asciiPLY(
+    ['element vertex 3', ...XYZ, 'element face 1', 'property list uchar int vertex_indices'],
+    ['0 0 0', '1 0 0', '0 1 0', '3 0 1 7']
+  )), /a face refers to vertex 7 but there are only 3/);
+});
+
+test('parseXYZ reads points with 8-bit colors, skipping comments and headers', () => {
+  const { meshes: [mesh] } = parseXYZ('# scan\nX Y Z R G B\n0,0,0,255,0,0\n// more\n1\t2\t3\t0\t51\t255\n');
+  assert.equal(mesh.topology, 'point-list');
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 1, 2, 3]);
+  assertClose(mesh.colors, [1, 0, 0, 0, 0.2, 1]);
+});
+
+test('parseXYZ keeps colors already in 0..1', () => {
+  const { meshes: [mesh] } = parseXYZ('0 0 0 0.5 0.25 1\r\n1 1 1 0 0 0\r\n');
+  assert.deepEqual(Array.from(mesh.colors), [0.5, 0.25, 1, 0, 0, 0]);
+});
+
+test('parseXYZ drops colors unless every point has them', () => {
+  const { meshes: [mesh] } = parseXYZ('0 0 0 255 0 0\n1 1 1\n');
+  assert.deepEqual(Array.from(mesh.positions), [0, 0, 0, 1, 1, 1]);
+  assert.equal(mesh.colors, null);
+});
+
+test('parseXYZ rejects text without points', () => {
+  assert.throws(() => parseXYZ('# nothing here\nx y z\n'), /no "x y z" lines were found/);
+});
@@ -0,0 +1,105 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENE_FORMAT, SCENE_VERSION, encodeArray, parseScene, serializeScene, validateScene } from '../scene.js';
+
+// A minimal valid scene file; `overrides` replace top-level keys
+function sceneFile(overrides = {}) {
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    meshes: [{ positions: [0, 0, 0, 1, 0, 0, 0, 1, 0] }],
+    objects: [{ mesh: 0 }],
+    ...overrides
+  };
+}
+
+test('a scene survives serialize and parse', () => {
+  const texture = { mimeType: 'image/png', data: new Uint8Array([137, 80, 78, 71, 0, 255]) };
+  const scene = validateScene(sceneFile({
+    backgroundStyle: 'gradient',
+    gradient: [0.1, 0.2, 0.3],
+    camera: { target: [1, 2, 3], distance: 4, yaw: 0.5, pitch: -0.25 },
+    meshes: [
+      {
+        positions: encodeArray(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0])),
+        uvs: encodeArray(new Float32Array([0, 0, 1, 0, 0, 1, 1, 1])),
+        indices: encodeArray(new Uint16Array([0, 1, 2, 2, 1, 3]))
+      },
+      { positions: [0, 0, 0, 5, 5, 5], colors: [1, 0, 0, 0, 0, 1], topology: 'point-list' }
+    ],
+    objects: [{
+      name: 'Group',
+      translation: [1, 0, 0],
+      children: [
+        { name: 'Quad', mesh: 0, scale: [2, 2, 2], material: { baseColorFactor: [1, 0.5, 0.25, 1] } },
+        { name: 'Points', mesh: 1, visible: false }
+      ]
+    }]
+  }));
+  // The same texture on two materials is stored once
+  scene.objects[0].children[0].material.baseColorTexture = texture;
+  scene.objects[0].children[1].material.baseColorTexture = texture;
+
+  const file = JSON.parse(serializeScene(scene));
+  assert.equal(file.textures.length, 1);
+  assert.equal(file.meshes[0].positions.type, 'float32');
+  assert.equal(file.meshes[0].indices.type, 'uint16');
+
+  const restored = parseScene(JSON.stringify(file));
+  assert.equal(restored.backgroundStyle, 'gradient');
+  assert.deepEqual(restored.camera, scene.camera);
+  assert.deepEqual(restored.meshes[0].positions, scene.meshes[0].positions);
+  assert.deepEqual(restored.meshes[0].uvs, scene.meshes[0].uvs);
+  assert.deepEqual(restored.meshes[0].indices, new Uint16Array([0, 1, 2, 2, 1, 3]));
+  assert.equal(restored.meshes[1].topology, 'point-list');
+  assert.equal(restored.meshes[1].normals, null);
+  assert.deepEqual(restored.meshes[1].colors, new Float32Array([1, 0, 0, 0, 0, 1]));
+  const [quad, points] = restored.objects[0].children;
+  assert.deepEqual(restored.objects[0].translation, [1, 0, 0]);
+  assert.equal(quad.name, 'Quad');
+  assert.deepEqual(quad.scale, [2, 2, 2]);
+  assert.deepEqual(quad.material.baseColorFactor, [1, 0.5, 0.25, 1]);
+  assert.deepEqual(quad.material.baseColorTexture, texture);
+  assert.equal(points.visible, false);
+});
+
+test('older versions are read and missing parts get defaults', () => {
+  const scene = validateScene(sceneFile({ version: 1, objects: [{ mesh: 'cube' }] }));
+  assert.equal(scene.version, SCENE_VERSION);
+  assert.equal(scene.backgroundStyle, 'solid');
+  assert.deepEqual(scene.objects[0].scale, [1, 1, 1]);
+  assert.equal(scene.objects[0].visible, true);
+  // Normals are computed when the file has none
+  assert.equal(validateScene(sceneFile()).meshes[0].normals.length, 9);
+});
+
+test('files that are not scenes are rejected', () => {
+  assert.throws(() => parseScene('{"format":'), /^Error: Invalid scene: /);
+  assert.throws(() => parseScene('[]'), /must contain a JSON object/);
+  assert.throws(() => validateScene(sceneFile({ format: 'something-else' })), /"format" must be "webgpu-viewer-scene"/);
+  assert.throws(() => validateScene(sceneFile({ version: SCENE_VERSION + 1 })),
+    new RegExp(`format version ${SCENE_VERSION + 1}; this viewer reads up to version ${SCENE_VERSION}`));
+  assert.throws(() => validateScene(sceneFile({ version: 0 })), /version must be a positive integer/);
+});
+
+test('errors name the path of the first problem', () => {
+  assert.throws(() => validateScene(sceneFile({ objects: [{ mesh: 0 }, { mesh: 0, scale: [1, 2] }] })),
+    /objects\[1\]\.scale must be an array of 3 numbers/);
+  assert.throws(() => validateScene(sceneFile({ objects: [{ children: [{ mesh: 3 }] }] })),
+    /objects\[0\]\.children\[0\]\.mesh must be a primitive name or a mesh index from 0 to 0/);
+  assert.throws(() => validateScene(sceneFile({ meshes: [{ positions: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 3] }] })),
+    /meshes\[0\]\.indices refers to vertex 3 but there are only 3/);
+  assert.throws(() => validateScene(sceneFile({ meshes: [{ positions: { type: 'float32', base64: '@@@' } }] })),
+    /meshes\[0\]\.positions is not valid base64/);
+  assert.throws(() => validateScene(sceneFile({ meshes: [{ positions: { type: 'float32', base64: 'AAAA' } }] })),
+    /not a whole number of float32 values/);
+  assert.throws(() => validateScene(sceneFile({
+    textures: [{ mimeType: 'image/png', base64: 'AA==' }],
+    objects: [{ mesh: 0, material: { baseColorTexture: 1 } }]
+  })), /objects\[0\]\.material\.baseColorTexture must be a texture index from 0 to 0/);
+  assert.throws(() => validateScene(sceneFile({ textures: [{ mimeType: 'image/gif', base64: '' }] })),
+    /textures\[0\]\.mimeType must be "image\/png" or "image\/jpeg"/);
+  assert.throws(() => validateScene(sceneFile({ meshes: [{ positions: [0, 0, 0], indices: [0, 0, 0], topology: 'point-list' }] })),
+    /meshes\[0\]\.indices must be left out for a point list/);
+});
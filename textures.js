@@ -0,0 +1,138 @@
+// textures.js
+// Image textures for the viewer.  Materials carry their base color texture
+// as the encoded PNG / JPEG bytes, { mimeType, data } (see loaders.js), so
+// scenes can be saved as they were loaded; this module decodes them with
+// createImageBitmap and uploads them with a full mip chain.  WebGPU has no
+// generateMipmap: each level is rendered from the one above with a small
+// blit pipeline, which also serves the HDR environment (environment.js).
+// WebGL2 mipmaps its textures itself (webgl.js).
+//
+// The viewer shades without any sRGB conversion, so color textures are
+// uploaded as plain rgba8unorm and come out as they were authored.
+
+import { checkShaderModule } from './gpuerrors.js';
+
+const BLIT_WGSL = `
+struct VertexOut {
+  @builtin(position) position : vec4<f32>,
+  @location(0) uv : vec2<f32>,
+};
+
+// One triangle covering the whole target
+@vertex
+fn vs_main(@builtin(vertex_index) index : u32) -> VertexOut {
+  let uv = vec2<f32>(f32((index << 1u) & 2u), f32(index & 2u));
+  var output : VertexOut;
+  output.position = vec4<f32>(uv * vec2<f32>(2.0, -2.0) + vec2<f32>(-1.0, 1.0), 0.0, 1.0);
+  output.uv = uv;
+  return output;
+}
+
+@group(0) @binding(0) var source : texture_2d<f32>;
+@group(0) @binding(1) var linearSampler : sampler;
+
+@fragment
+fn fs_main(input : VertexOut) -> @location(0) vec4<f32> {
+  return textureSampleLevel(source, linearSampler, input.uv, 0.0);
+}
+`;
+
+// device -> { module, sampler, pipelines: format -> pipeline }
+const blitters = new WeakMap();
+
+export function mipLevelCount(width, height) {
+  return Math.floor(Math.log2(Math.max(width, height, 1))) + 1;
+}
+
+// Decode a material texture; rejects with a readable message for broken files
+export async function decodeImage({ mimeType, data }) {
+  try {
+    return await createImageBitmap(new Blob([data], { type: mimeType }), {
+      colorSpaceConversion: 'none',
+      premultiplyAlpha: 'none'
+    });
+  } catch (err) {
+    throw new Error(`Could not decode a ${mimeType} texture: ${err.message}`);
+  }
+}
+
+async function blitter(device) {
+  let blit = blitters.get(device);
+  if (!blit) {
+    const module = device.createShaderModule({ label: 'Mipmap', code: BLIT_WGSL });
+    blit = {
+      module,
+      ready: checkShaderModule(module, 'Mipmap', BLIT_WGSL),
+      sampler: device.createSampler({ minFilter: 'linear', magFilter: 'linear' }),
+      pipelines: new Map()
+    };
+    blitters.set(device, blit);
+  }
+  await blit.ready;
+  return blit;
+}
+
+// Fill levels 1.. of `texture` from level 0.  The texture needs
+// TEXTURE_BINDING and RENDER_ATTACHMENT usage.
+export async function generateMipmaps(device, texture) {
+  const blit = await blitter(device);
+  let pipeline = blit.pipelines.get(texture.format);
+  if (!pipeline) {
+    pipeline = device.createRenderPipeline({
+      label: `Mipmap ${texture.format}`,
+      layout: 'auto',
+      vertex: { module: blit.module, entryPoint: 'vs_main' },
+      fragment: { module: blit.module, entryPoint: 'fs_main', targets: [{ format: texture.format }] },
+      primitive: { topology: 'triangle-list' }
+    });
+    blit.pipelines.set(texture.format, pipeline);
+  }
+  const encoder = device.createCommandEncoder();
+  for (let level = 1; level < texture.mipLevelCount; level++) {
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: texture.createView({ baseMipLevel: level - 1, mipLevelCount: 1 }) },
+        { binding: 1, resource: blit.sampler }
+      ]
+    });
+    const pass = encoder.beginRenderPass({
+      colorAttachments: [{
+        view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+        loadOp: 'clear',
+        storeOp: 'store',
+        clearValue: { r: 0, g: 0, b: 0, a: 0 }
+      }]
+    });
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.draw(3);
+    pass.end();
+  }
+  device.queue.submit([encoder.finish()]);
+}
+
+// A mipmapped rgba8unorm texture from a decoded image
+export async function createImageTexture(device, image) {
+  const texture = device.createTexture({
+    label: 'Image texture',
+    size: [image.width, image.height],
+    format: 'rgba8unorm',
+    mipLevelCount: mipLevelCount(image.width, image.height),
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+  });
+  device.queue.copyExternalImageToTexture({ source: image }, { texture }, [image.width, image.height]);
+  await generateMipmaps(device, texture);
+  return texture;
+}
+
+// 1 x 1 texture of one color, bound where a material has no texture
+export function createSolidTexture(device, rgba = [255, 255, 255, 255]) {
+  const texture = device.createTexture({
+    size: [1, 1],
+    format: 'rgba8unorm',
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+  });
+  device.queue.writeTexture({ texture }, new Uint8Array(rgba), { bytesPerRow: 4 }, [1, 1]);
+  return texture;
+}
@@ -0,0 +1,138 @@
+// timeseries.js
+// Rolling history of data samples for the visualization.  Each sample from a
+// data source becomes one time row; series are matched across samples by
+// label, so a series that appears later simply has gaps (NaN) before it.
+// The helpers here are pure data code with no WebGPU dependency.
+
+export function createHistory(windowSize = 20) {
+  let size = Math.max(1, windowSize | 0);
+  const series = []; // labels, in first-seen order
+  const seriesIndex = new Map();
+  let rows = []; // { time, values: Map<seriesIndex, number>, raw: number[] }
+
+  return {
+    get windowSize() {
+      return size;
+    },
+    set windowSize(value) {
+      size = Math.max(1, value | 0);
+      if (rows.length > size) rows = rows.slice(rows.length - size);
+    },
+
+    get length() {
+      return rows.length;
+    },
+
+    // Append a { values, labels } sample as the newest row
+    push(sample, time = Date.now()) {
+      const values = new Map();
+      sample.values.forEach((value, i) => {
+        const label = sample.labels && sample.labels[i] !== undefined ? String(sample.labels[i]) : String(i + 1);
+        let index = seriesIndex.get(label);
+        if (index === undefined) {
+          index = series.length;
+          series.push(label);
+          seriesIndex.set(label, index);
+        }
+        values.set(index, value);
+      });
+      rows.push({ time, values });
+      if (rows.length > size) rows.shift();
+    },
+
+    clear() {
+      rows = [];
+      series.length = 0;
+      seriesIndex.clear();
+    },
+
+    // Snapshot as a dense grid: values[row * columns + column], oldest row
+    // first, NaN where a series had no value at that time.  Series that have
+    // scrolled out of the window entirely are dropped.
+    grid() {
+      // One pass over the stored values, so the cost follows the number of
+      // samples rather than series x rows
+      const used = new Uint8Array(series.length);
+      rows.forEach((row) => row.values.forEach((value, index) => {
+        used[index] = 1;
+      }));
+      const columnOf = new Int32Array(series.length);
+      const live = [];
+      used.forEach((isUsed, index) => {
+        if (!isUsed) return;
+        columnOf[index] = live.length;
+        live.push({ label: series[index], index });
+      });
+      const columns = live.length;
+      const values = new Float32Array(rows.length * columns).fill(NaN);
+      rows.forEach((row, r) => {
+        row.values.forEach((value, index) => {
+          values[r * columns + columnOf[index]] = value;
+        });
+      });
+      return {
+        rows: rows.length,
+        columns,
+        values,
+        labels: live.map(({ label }) => label),
+        times: rows.map((row) => row.time)
+      };
+    }
+  };
+}
+
+// Minimum and maximum of the finite values in an array (no spread, so it is
+// safe for very large arrays)
+export function valueRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isFinite(v)) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return min <= max ? { min, max } : { min: 0, max: 0 };
+}
+
+// Build a height-field mesh over a grid.  `height(row, column)` and
+// `position(row, column)` give the world-space height and x/z of a grid
+// point (missing values should sit at height 0).  Returns interleaved
+// position.xyz + normal.xyz vertices and uint32 triangle indices.
+export function heightFieldMesh(grid, height, position) {
+  const { rows, columns } = grid;
+  const vertices = new Float32Array(rows * columns * 6);
+  if (rows < 2 || columns < 2) {
+    return { vertices, indices: new Uint32Array(0) };
+  }
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      const [x, z] = position(r, c);
+      // Central differences (one-sided at the edges) for the normal
+      const c0 = Math.max(c - 1, 0), c1 = Math.min(c + 1, columns - 1);
+      const r0 = Math.max(r - 1, 0), r1 = Math.min(r + 1, rows - 1);
+      const [xa] = position(r, c0);
+      const [xb] = position(r, c1);
+      const [, za] = position(r0, c);
+      const [, zb] = position(r1, c);
+      const dhdx = (height(r, c1) - height(r, c0)) / (xb - xa || 1);
+      const dhdz = (height(r1, c) - height(r0, c)) / (zb - za || 1);
+      const len = Math.hypot(dhdx, 1, dhdz);
+      vertices.set([x, height(r, c), z, -dhdx / len, 1 / len, -dhdz / len], (r * columns + c) * 6);
+    }
+  }
+  const indices = new Uint32Array((rows - 1) * (columns - 1) * 6);
+  let k = 0;
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < columns - 1; c++) {
+      const a = r * columns + c;
+      const b = a + 1;
+      const d = a + columns;
+      const e = d + 1;
+      indices.set([a, d, b, b, d, e], k);
+      k += 6;
+    }
+  }
+  return { vertices, indices };
+}
@@ -0,0 +1,79 @@
+// transitions.js
+// Eased transitions for chart updates.  Each grid cell is tracked by a key
+// (series label + sample time), so it keeps its identity when rows scroll
+// back or series are added and removed, and its displayed state eases from
+// wherever it currently is towards the new target.  Cells that are new grow
+// in from zero height and size at their target position.
+
+// Floats per cell: x, z, height, scale (0..1, the bar/point size factor)
+export const CELL_STRIDE = 4;
+
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Stable identity of every cell in a history grid, in grid order
+export function cellKeys(grid) {
+  const keys = new Array(grid.rows * grid.columns);
+  for (let r = 0; r < grid.rows; r++) {
+    for (let c = 0; c < grid.columns; c++) {
+      keys[r * grid.columns + c] = `${grid.labels[c]}\u0000${grid.times[r]}`;
+    }
+  }
+  return keys;
+}
+
+// `duration` is in seconds; 0 snaps straight to the targets
+export function createCellAnimator(duration = 0.6, easing = easeInOutCubic) {
+  let keys = [];
+  let from = new Float32Array(0);
+  let to = new Float32Array(0);
+  let current = new Float32Array(0);
+  let start = 0;
+  let progress = 1;
+
+  const animator = {
+    duration,
+
+    get animating() {
+      return progress < 1;
+    },
+
+    // Displayed state, CELL_STRIDE floats per cell in the order of the keys
+    get values() {
+      return current;
+    },
+
+    // Start easing towards `targets` (CELL_STRIDE floats per key)
+    setTargets(nextKeys, targets, time) {
+      const previous = new Map(keys.map((key, i) => [key, i]));
+      from = new Float32Array(targets.length);
+      nextKeys.forEach((key, i) => {
+        const j = previous.get(key);
+        const o = i * CELL_STRIDE;
+        if (j !== undefined) {
+          from.set(current.subarray(j * CELL_STRIDE, (j + 1) * CELL_STRIDE), o);
+        } else {
+          from.set([targets[o], targets[o + 1], 0, 0], o);
+        }
+      });
+      keys = nextKeys;
+      to = targets;
+      current = new Float32Array(targets.length);
+      start = time;
+      progress = 0;
+      animator.update(time);
+    },
+
+    // Advance to `time` (seconds); returns true while still animating
+    update(time) {
+      progress = animator.duration > 0 ? Math.min(Math.max((time - start) / animator.duration, 0), 1) : 1;
+      const t = easing(progress);
+      for (let i = 0; i < to.length; i++) {
+        current[i] = from[i] + (to[i] - from[i]) * t;
+      }
+      return progress < 1;
+    }
+  };
+  return animator;
+}
@@ -1,310 +1,434 @@
 // viewer.js
-// This module sets up a simple WebGPU rendering pipeline and draws a rotating cube.
+// This module sets up a WebGPU rendering pipeline (or the WebGL2 fallback)
+// and draws a rotating cube or the models and point clouds the user opens.
 
-async function initWebGPU() {
+import { mat4, ray } from './core.js';
+import { createRendererWithFallback } from './webgl.js';
+import { loadModelFiles, loadModelUrl } from './loaders.js';
+import { fileNameFromUrl, modelUrlParam } from './modelurl.js';
+import { hasHostPermission, requestHostPermission } from './permissions.js';
+import { createOrbitCamera, bindCameraControls } from './camera.js';
+import { createLighting, createLightingPanel, packLighting, lightDirection } from './lighting.js';
+import { createCapturePanel, downloadBlob } from './capture.js';
+import {
+  defaultScene, modelToScene, parseScene, serializeScene,
+  saveLastScene, loadLastScene, DEFAULT_GRADIENT
+} from './scene.js';
+import { createSceneGraph, createOutlinePanel } from './scenegraph.js';
+import { createSceneView } from './sceneview.js';
+import { describeDeviceLoss, createMessageBox } from './gpuerrors.js';
+import {
+  loadSettings, saveSettings, watchSettings, applyTheme, colorFromHex, createSettingsControls
+} from './settings.js';
+import { createPerformanceHud } from './perfhud.js';
+import { createBackgroundPanel, parseHDR } from './environment.js';
+import { createShadowPanel } from './shadows.js';
+import { createPostProcessor, createPostPanel } from './postprocess.js';
+import { createLabelOverlay } from './axes.js';
+import {
+  createInspection, createInspectPanel, clipPlane, overlayLines, overlayLabels, pickSurface, sceneStats
+} from './inspect.js';
+
+// No adapter, device loss, shader, validation and file errors are shown here
+const messageBox = createMessageBox(document.getElementById('message'));
+
+async function initViewer() {
   const canvas = document.getElementById('webgpuCanvas');
-  if (!navigator.gpu) {
-    document.getElementById('message').style.display = 'block';
-    canvas.style.display = 'none';
-    return;
+  const settings = await loadSettings();
+  applyTheme(settings.theme);
+
+  // WebGPU when available, otherwise the WebGL2 fallback (webgl.js)
+  const renderer = await createRendererWithFallback(canvas, { sampleCount: settings.msaa });
+  renderer.onError(messageBox.error);
+  // By default frames are only drawn when the camera, the scene or a setting changes
+  renderer.onDemand = settings.renderOnDemand;
+  document.getElementById('backend').textContent = renderer.backend;
+  // Anything that changes the picture asks for a frame
+  const redraw = () => renderer.requestFrame();
+
+  const hud = createPerformanceHud(document.getElementById('hud'), renderer);
+  const hudInput = document.getElementById('showHud');
+  hud.visible = settings.showHud;
+  hudInput.checked = settings.showHud;
+  hudInput.addEventListener('change', () => {
+    hud.visible = hudInput.checked;
+    saveSettings({ showHud: hudInput.checked }).catch((err) => console.warn('Could not save the HUD setting:', err));
+  });
+
+  const lighting = createLighting();
+  const lightingPanel = document.getElementById('lightingPanel');
+  createLightingPanel(lightingPanel, lighting, redraw);
+
+  // WebGPU only; while an effect is on the scene is drawn into its HDR target
+  const post = renderer.backend === 'WebGPU' ? createPostProcessor(renderer) : null;
+  if (post) post.configure(settings);
+  const sceneFormat = () => (post ? post.format : renderer.format);
+
+  // Draws the scene graph with whichever backend is active (sceneview.js)
+  const sceneView = createSceneView(renderer, messageBox.error);
+  sceneView.configureShadows(settings);
+  sceneView.setGround(settings.groundPlane);
+  sceneView.configurePoints(settings);
+
+  // Rendering pauses while the device is lost; the scene graph survives and
+  // is uploaded again to the new device.  Listening before anything is
+  // awaited covers a loss while the page is still starting up.
+  renderer.onDeviceLost((info) => {
+    messageBox.notice(`${describeDeviceLoss(info)} Recovering…`);
+  });
+  renderer.onDeviceRestored(async () => {
+    if (post) await post.init();
+    await sceneView.init(sceneFormat());
+    messageBox.hide();
+  });
+
+  if (post) await post.init();
+  await sceneView.init(sceneFormat());
+  let graph = null;
+
+  // Ground and shadow settings from the panel or another page
+  function applyShadowSettings() {
+    sceneView.setGround(settings.groundPlane);
+    sceneView.configureShadows(settings);
+    redraw();
   }
+  const shadowPanel = createShadowPanel(lightingPanel, settings, applyShadowSettings);
+  shadowPanel.setShadowsAvailable(renderer.backend === 'WebGPU');
 
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-  const context = canvas.getContext('webgpu');
-
-  const devicePixelRatio = window.devicePixelRatio || 1;
-  function resizeCanvas() {
-    const width = canvas.clientWidth * devicePixelRatio;
-    const height = canvas.clientHeight * devicePixelRatio;
-    canvas.width = width;
-    canvas.height = height;
-    context.configure({
-      device,
-      format: navigator.gpu.getPreferredCanvasFormat(),
-      alphaMode: 'opaque',
-      size: [width, height]
-    });
+  // Antialiasing and effects from the panel or another page.  Turning the
+  // chain on or off changes the color format the pipelines draw into, and
+  // the sample count changes them too, so either means a rebuild.
+  function applyPostSettings() {
+    const formatChanged = post.configure(settings);
+    if (settings.msaa !== renderer.sampleCount) {
+      renderer.setSampleCount(settings.msaa);
+    } else if (formatChanged) {
+      renderer.rebuild();
+    }
+    redraw();
   }
-  resizeCanvas();
-  window.addEventListener('resize', resizeCanvas);
-
-  // Define cube vertices with positions and colors
-  const vertexData = new Float32Array([
-    // positions         // colors
-    // Front face
-    -1, -1,  1,         1, 0, 0,
-     1, -1,  1,         0, 1, 0,
-     1,  1,  1,         0, 0, 1,
-    -1,  1,  1,         1, 1, 0,
-    // Back face
-    -1, -1, -1,         1, 0, 1,
-     1, -1, -1,         0, 1, 1,
-     1,  1, -1,         1, 1, 1,
-    -1,  1, -1,         0.5, 0.5, 0.5,
-  ]);
-  // Index data defines 12 triangles (two per face)
-  const indexData = new Uint16Array([
-    0, 1, 2, 0, 2, 3, // front
-    1, 5, 6, 1, 6, 2, // right
-    5, 4, 7, 5, 7, 6, // back
-    4, 0, 3, 4, 3, 7, // left
-    3, 2, 6, 3, 6, 7, // top
-    4, 5, 1, 4, 1, 0  // bottom
-  ]);
-
-  // Create GPU buffers
-  const vertexBuffer = device.createBuffer({
-    size: vertexData.byteLength,
-    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+  // Point size, color by height and density, from the panel or another page;
+  // they only change uniforms, so a redraw is enough
+  const POINT_KEYS = ['pointSize', 'pointColorByHeight', 'pointDensity'];
+  const pointPanel = createSettingsControls(document.getElementById('pointPanel'), settings, POINT_KEYS, redraw);
+
+  const postPanelElement = document.getElementById('postPanel');
+  const postPanel = post ? createPostPanel(postPanelElement, settings, applyPostSettings) : null;
+  postPanelElement.hidden = !post;
+
+  // Start from the original fixed viewpoint at (3, 3, 4), orbiting the model
+  const degrees = (d) => (d * Math.PI) / 180;
+  const camera = createOrbitCamera(canvas, {
+    distance: Math.hypot(3, 3, 4),
+    yaw: Math.atan2(3, 4),
+    pitch: Math.asin(3 / Math.hypot(3, 3, 4)),
+    fov: degrees(settings.fov),
+    autoRotate: settings.autoRotate,
+    autoRotateSpeed: degrees(settings.viewerRotateSpeed)
+  });
+  camera.onChange(redraw);
+  let background = colorFromHex(settings.viewerBackground);
+  // Style and gradient are stored with the scene; the environment is not
+  const backdrop = { style: 'solid', gradient: [...DEFAULT_GRADIENT], environment: false, intensity: 1 };
+  const backgroundPanel = createBackgroundPanel(document.getElementById('backgroundPanel'), backdrop, {
+    async loadHDR(file) {
+      await sceneView.setEnvironment(parseHDR(await file.arrayBuffer()));
+    },
+    onChange: redraw
+  });
+  backgroundPanel.setAvailable(renderer.backend === 'WebGPU');
+  const autoRotateInput = document.getElementById('autoRotate');
+  bindCameraControls(camera, {
+    autoRotate: autoRotateInput,
+    reset: document.getElementById('resetView'),
+    frameAll: document.getElementById('frameAll'),
+    getBounds: () => graph.bounds()
   });
-  device.queue.writeBuffer(vertexBuffer, 0, vertexData);
 
-  const indexBuffer = device.createBuffer({
-    size: indexData.byteLength,
-    usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST
+  const outline = createOutlinePanel(document.getElementById('outlinePanel'), () => {
+    graph.updateWorldMatrices();
+    sceneView.invalidate();
+    updateInspection();
   });
-  device.queue.writeBuffer(indexBuffer, 0, indexData);
 
-  // Uniform buffer for MVP matrix
-  const uniformBufferSize = 64; // 4x4 matrix (16 floats) * 4 bytes
-  const uniformBuffer = device.createBuffer({
-    size: uniformBufferSize,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+  // Inspection tools.  `measured` holds the picked points, world space.
+  const inspection = createInspection();
+  let measured = [];
+  const labelOverlay = createLabelOverlay(document.getElementById('labels'));
+  const inspectPanel = createInspectPanel(document.getElementById('inspectPanel'), inspection, {
+    onChange: updateInspection,
+    onClearMeasurement() {
+      measured = [];
+      updateInspection();
+    }
   });
 
-  // Create pipeline
-  const shaderModule = device.createShaderModule({
-    code: `
-struct Uniforms {
-  mvpMatrix : mat4x4<f32>;
-};
-@binding(0) @group(0) var<uniform> uniforms : Uniforms;
-
-struct VertexOut {
-  @builtin(position) Position : vec4<f32>;
-  @location(0) vColor : vec3<f32>;
-};
-
-@vertex
-fn vs_main(@location(0) position : vec3<f32>, @location(1) color : vec3<f32>) -> VertexOut {
-  var output : VertexOut;
-  output.Position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
-  output.vColor = color;
-  return output;
-}
+  // Hand the options, with the section plane and overlay for the current
+  // bounds, to the scene view, and refresh the labels and read-outs.  Runs
+  // after every change to the graph or the options.
+  function updateInspection() {
+    const bounds = graph.bounds();
+    sceneView.setInspection({
+      wireframe: inspection.wireframe,
+      normals: inspection.normals,
+      backfaces: inspection.backfaces,
+      clipPlane: clipPlane(inspection, bounds),
+      overlay: overlayLines(inspection, bounds, measured)
+    });
+    labelOverlay.setLabels(overlayLabels(inspection, bounds, measured));
+    inspectPanel.setMeasurement(measured);
+    inspectPanel.setStats(sceneStats(graph), bounds);
+    redraw();
+  }
 
-@fragment
-fn fs_main(@location(0) vColor : vec3<f32>) -> @location(0) vec4<f32> {
-  return vec4<f32>(vColor, 1.0);
-}
-`
+  // While measuring, a click (a press released without dragging the
+  // camera) picks the surface point under the pointer; a third click starts
+  // a new measurement
+  let press = null;
+  let sceneMatrix = mat4.identity(); // view-projection of the last frame
+  canvas.addEventListener('pointerdown', (e) => {
+    press = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+  });
+  canvas.addEventListener('pointerup', (e) => {
+    const clicked = press && Math.hypot(e.clientX - press.x, e.clientY - press.y) < 4;
+    press = null;
+    if (!clicked || !inspection.measure) return;
+    const r = ray.fromScreen(e.offsetX, e.offsetY, canvas.clientWidth, canvas.clientHeight, sceneMatrix);
+    const point = r && pickSurface(graph, r, clipPlane(inspection, graph.bounds()));
+    if (!point) return;
+    measured = measured.length === 2 ? [point] : [...measured, point];
+    updateInspection();
   });
 
-  const pipeline = device.createRenderPipeline({
-    layout: 'auto',
-    vertex: {
-      module: shaderModule,
-      entryPoint: 'vs_main',
-      buffers: [
-        {
-          arrayStride: 6 * 4,
-          attributes: [
-            { shaderLocation: 0, offset: 0, format: 'float32x3' },
-            { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' }
-          ]
-        }
-      ]
-    },
-    fragment: {
-      module: shaderModule,
-      entryPoint: 'fs_main',
-      targets: [
-        { format: navigator.gpu.getPreferredCanvasFormat() }
-      ]
-    },
-    primitive: {
-      topology: 'triangle-list',
-      cullMode: 'back'
-    },
-    depthStencil: {
-      depthWriteEnabled: true,
-      depthCompare: 'less',
-      format: 'depth24plus'
+  // Show a validated scene: its node tree, background and saved camera.
+  // Scenes without a camera are framed.
+  function applyScene(scene) {
+    graph = createSceneGraph(scene);
+    sceneView.setGraph(graph);
+    outline.setGraph(graph);
+    measured = [];
+    updateInspection();
+    setBackground(scene.background);
+    backdrop.style = scene.backgroundStyle;
+    backdrop.gradient = [...scene.gradient];
+    backgroundPanel.update();
+    redraw();
+    if (scene.camera) {
+      camera.setState(scene.camera);
+    } else {
+      camera.frame(graph.bounds());
     }
-  });
+  }
 
-  // Depth texture
-  let depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: 'depth24plus',
-    usage: GPUTextureUsage.RENDER_ATTACHMENT
+  const backgroundInput = document.getElementById('background');
+  function setBackground(color) {
+    background = [...color];
+    backgroundInput.value = '#' + background.map((c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('');
+  }
+  backgroundInput.addEventListener('input', () => {
+    background = colorFromHex(backgroundInput.value);
+    redraw();
   });
+  backgroundInput.addEventListener('change', persistScene);
 
-  // Helper functions for matrices
-  function perspective(fov, aspect, near, far) {
-    const f = 1.0 / Math.tan(fov / 2);
-    const nf = 1 / (near - far);
-    const out = new Float32Array(16);
-    out[0] = f / aspect;
-    out[1] = 0;
-    out[2] = 0;
-    out[3] = 0;
-    out[4] = 0;
-    out[5] = f;
-    out[6] = 0;
-    out[7] = 0;
-    out[8] = 0;
-    out[9] = 0;
-    out[10] = (far + near) * nf;
-    out[11] = -1;
-    out[12] = 0;
-    out[13] = 0;
-    out[14] = 2 * far * near * nf;
-    out[15] = 0;
-    return out;
+  // Background options for new and saved scenes
+  function backgroundOptions() {
+    return { background, backgroundStyle: backdrop.style, gradient: backdrop.gradient };
   }
-  function lookAt(eye, center, up) {
-    const out = new Float32Array(16);
-    const x0 = eye[0] - center[0];
-    const x1 = eye[1] - center[1];
-    const x2 = eye[2] - center[2];
-    let len = Math.hypot(x0, x1, x2);
-    let zx = x0 / len;
-    let zy = x1 / len;
-    let zz = x2 / len;
-    // compute cross(up, z) to get x axis
-    let xx = up[1] * zz - up[2] * zy;
-    let xy = up[2] * zx - up[0] * zz;
-    let xz = up[0] * zy - up[1] * zx;
-    len = Math.hypot(xx, xy, xz);
-    xx /= len; xy /= len; xz /= len;
-    // compute y axis as cross(z, x)
-    let yx = zy * xz - zz * xy;
-    let yy = zz * xx - zx * xz;
-    let yz = zx * xy - zy * xx;
-    len = Math.hypot(yx, yy, yz);
-    yx /= len; yy /= len; yz /= len;
-    out[0] = xx;
-    out[1] = yx;
-    out[2] = zx;
-    out[3] = 0;
-    out[4] = xy;
-    out[5] = yy;
-    out[6] = zy;
-    out[7] = 0;
-    out[8] = xz;
-    out[9] = yz;
-    out[10] = zz;
-    out[11] = 0;
-    out[12] = -(xx * eye[0] + xy * eye[1] + xz * eye[2]);
-    out[13] = -(yx * eye[0] + yy * eye[1] + yz * eye[2]);
-    out[14] = -(zx * eye[0] + zy * eye[1] + zz * eye[2]);
-    out[15] = 1;
-    return out;
+
+  // The scene as it should be saved right now, including outline edits
+  function snapshotScene() {
+    return graph.toScene({ ...backgroundOptions(), camera: camera.getState() });
+  }
+
+  // Keep the last scene in chrome.storage.local so it is restored next time
+  // (the manifest asks for unlimitedStorage; large models exceed the default quota)
+  function persistScene() {
+    saveLastScene(snapshotScene()).catch((err) => {
+      console.warn('Could not store the scene for next time:', err);
+      messageBox.notice(`This scene could not be kept for next time (${err.message}); use Save scene to keep it.`);
+    });
   }
-  function multiply(a, b) {
-    const out = new Float32Array(16);
-    for (let i = 0; i < 4; ++i) {
-      const ai0 = a[i];
-      const ai1 = a[i + 4];
-      const ai2 = a[i + 8];
-      const ai3 = a[i + 12];
-      out[i] = ai0 * b[0] + ai1 * b[1] + ai2 * b[2] + ai3 * b[3];
-      out[i + 4] = ai0 * b[4] + ai1 * b[5] + ai2 * b[6] + ai3 * b[7];
-      out[i + 8] = ai0 * b[8] + ai1 * b[9] + ai2 * b[10] + ai3 * b[11];
-      out[i + 12] = ai0 * b[12] + ai1 * b[13] + ai2 * b[14] + ai3 * b[15];
+
+  async function openFiles(files) {
+    try {
+      const sceneFile = Array.from(files).find((f) => /\.json$/i.test(f.name));
+      if (sceneFile) {
+        applyScene(parseScene(await sceneFile.text()));
+      } else {
+        applyScene(modelToScene(await loadModelFiles(files), backgroundOptions()));
+      }
+      persistScene();
+      messageBox.hide();
+    } catch (err) {
+      messageBox.error(err);
     }
-    return out;
   }
-  function rotateY(matrix, angle) {
-    const c = Math.cos(angle);
-    const s = Math.sin(angle);
-    const rot = new Float32Array([
-      c, 0, -s, 0,
-      0, 1,  0, 0,
-      s, 0,  c, 0,
-      0, 0,  0, 1
-    ]);
-    return multiply(matrix, rot);
+
+  async function openUrl(url) {
+    messageBox.notice(`Loading ${fileNameFromUrl(url)}…`);
+    try {
+      applyScene(modelToScene(await loadModelUrl(url), backgroundOptions()));
+      persistScene();
+      messageBox.hide();
+    } catch (err) {
+      messageBox.error(err);
+    }
   }
 
-  // Bind group for uniform buffer
-  const bindGroup = device.createBindGroup({
-    layout: pipeline.getBindGroupLayout(0),
-    entries: [
-      {
-        binding: 0,
-        resource: { buffer: uniformBuffer }
-      }
-    ]
+  // Ask for access to the model's site first when it has not been granted
+  async function openModelLink(url) {
+    if (await hasHostPermission(url)) {
+      openUrl(url);
+      return;
+    }
+    const origin = new URL(url).origin;
+    messageBox.ask(`Opening ${fileNameFromUrl(url)} needs access to ${origin}.`, 'Allow', () => {
+      requestHostPermission(url).then((ok) => {
+        if (ok) {
+          openUrl(url);
+        } else {
+          messageBox.error(new Error(`Access to ${origin} was not granted.`));
+        }
+      }, messageBox.error);
+    });
+  }
+
+  document.getElementById('saveScene').addEventListener('click', () => {
+    const blob = new Blob([serializeScene(snapshotScene())], { type: 'application/json' });
+    downloadBlob(blob, 'scene.json');
   });
 
-  // Render loop
-  let then = 0;
-  function frame(time) {
-    const dt = (time - then) / 1000;
-    then = time;
-    // Update rotation angle based on elapsed time
-    const aspect = canvas.width / canvas.height;
-    const projection = perspective(Math.PI / 4, aspect, 0.1, 100.0);
-    const view = lookAt([3, 3, 4], [0, 0, 0], [0, 1, 0]);
-    // Rotate cube over time
-    const angle = time * 0.001;
-    let model = new Float32Array([
-      1, 0, 0, 0,
-      0, 1, 0, 0,
-      0, 0, 1, 0,
-      0, 0, 0, 1
-    ]);
-    model = rotateY(model, angle);
-    // Compute MVP matrix: projection * view * model
-    const pv = multiply(projection, view);
-    const mvp = multiply(pv, model);
-    // Write matrix to uniform buffer
-    device.queue.writeBuffer(uniformBuffer, 0, mvp.buffer);
-
-    // Update depth texture if size changed
-    if (depthTexture.width !== canvas.width || depthTexture.height !== canvas.height) {
-      depthTexture.destroy && depthTexture.destroy();
-      depthTexture = device.createTexture({
-        size: [canvas.width, canvas.height, 1],
-        format: 'depth24plus',
-        usage: GPUTextureUsage.RENDER_ATTACHMENT
-      });
+  const fileInput = document.getElementById('fileInput');
+  document.getElementById('openFile').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    openFiles(fileInput.files);
+    fileInput.value = '';
+  });
+
+  // Drag-and-drop anywhere on the page
+  const dropZone = document.getElementById('dropZone');
+  let dragDepth = 0;
+  window.addEventListener('dragenter', (e) => {
+    e.preventDefault();
+    dragDepth++;
+    dropZone.style.display = 'flex';
+  });
+  window.addEventListener('dragleave', () => {
+    if (--dragDepth === 0) dropZone.style.display = 'none';
+  });
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dragDepth = 0;
+    dropZone.style.display = 'none';
+    if (e.dataTransfer.files.length) {
+      openFiles(e.dataTransfer.files);
     }
+  });
 
-    const commandEncoder = device.createCommandEncoder();
-    const textureView = context.getCurrentTexture().createView();
-    const depthView = depthTexture.createView();
-    const renderPass = commandEncoder.beginRenderPass({
-      colorAttachments: [
-        {
-          view: textureView,
-          clearValue: { r: 0.04, g: 0.09, b: 0.2, a: 1 },
-          loadOp: 'clear',
-          storeOp: 'store'
-        }
-      ],
-      depthStencilAttachment: {
-        view: depthView,
-        depthClearValue: 1.0,
-        depthLoadOp: 'clear',
-        depthStoreOp: 'store'
-      }
+  // Render loop
+  // Draw one frame and return its view-projection.  Under WebGPU the render
+  // loop passes the swap chain and exports pass their own offscreen target;
+  // WebGL2 always draws to the canvas.
+  function drawFrame(colorTarget, depthView, aspect) {
+    const projection = mat4.perspective(camera.fov, aspect, camera.distance * 0.01, camera.distance * 10);
+    const viewProjection = mat4.multiply(projection, camera.getViewMatrix());
+    const postProcessed = post && post.enabled;
+    sceneView.draw({
+      colorTarget: postProcessed ? post.sceneTarget(colorTarget) : colorTarget,
+      depthView,
+      viewProjection,
+      lighting: packLighting(lighting, camera.getEye(), camera.distance),
+      lightDirection: lightDirection(lighting),
+      background,
+      gradient: backdrop.style === 'gradient' ? backdrop.gradient : null,
+      environment: backdrop.environment ? { intensity: backdrop.intensity } : null
     });
-    renderPass.setPipeline(pipeline);
-    renderPass.setVertexBuffer(0, vertexBuffer);
-    renderPass.setIndexBuffer(indexBuffer, 'uint16');
-    renderPass.setBindGroup(0, bindGroup);
-    renderPass.drawIndexed(indexData.length);
-    renderPass.end();
-    device.queue.submit([commandEncoder.finish()]);
-    requestAnimationFrame(frame);
+    if (postProcessed) post.apply(colorTarget, depthView, { projection, aoRadius: camera.distance * 0.05 });
+    return viewProjection;
+  }
+
+  // Exports read back WebGPU textures, so they are not offered under WebGL2
+  const capturePanel = document.getElementById('capturePanel');
+  if (renderer.backend === 'WebGPU') {
+    createCapturePanel(capturePanel, { renderer, draw: drawFrame, name: 'model' });
+  } else {
+    capturePanel.hidden = true;
+  }
+
+  // Returns whether the camera is still moving, which keeps an on-demand
+  // renderer drawing
+  renderer.start((time, dt) => {
+    // Advance the camera (auto-rotation and damping) based on elapsed time
+    const moving = camera.update(dt);
+    sceneMatrix = renderer.backend === 'WebGPU'
+      ? drawFrame(renderer.colorTarget(), renderer.depthTexture.createView(), renderer.aspect)
+      : drawFrame(null, null, renderer.aspect);
+    labelOverlay.update(sceneMatrix, canvas.clientWidth, canvas.clientHeight);
+    return moving;
+  });
+  // Start from the last scene, or the cube when there is none
+  applyScene(defaultScene({ background }));
+  try {
+    const last = await loadLastScene();
+    if (last) applyScene(last);
+  } catch (err) {
+    messageBox.error(new Error(`Could not restore the last scene. ${err.message}`));
+  }
+  camera.snap();
+
+  // Model links opened through the context menu arrive as ?model=<url> (background.js)
+  try {
+    const modelUrl = modelUrlParam(location.search);
+    if (modelUrl) await openModelLink(modelUrl);
+  } catch (err) {
+    messageBox.error(err);
   }
-  requestAnimationFrame(frame);
+
+  // Settings changed on the options page or in the popup.  A new background
+  // applies to the open scene as well.
+  watchSettings(settings, (changed) => {
+    const has = (...keys) => keys.some((key) => changed.includes(key));
+    if (has('theme')) applyTheme(settings.theme);
+    if (has('viewerBackground')) {
+      setBackground(colorFromHex(settings.viewerBackground));
+      persistScene();
+    }
+    if (has('autoRotate')) {
+      camera.autoRotate = settings.autoRotate;
+      autoRotateInput.checked = settings.autoRotate;
+    }
+    if (has('viewerRotateSpeed')) camera.autoRotateSpeed = degrees(settings.viewerRotateSpeed);
+    if (has('fov')) camera.fov = degrees(settings.fov);
+    // WebGL2 fixes antialiasing when the context is created
+    if (post && has('msaa', 'postFxaa', 'postSsao', 'postBloom', 'postToneMapping', 'exposure')) {
+      postPanel.update();
+      applyPostSettings();
+    }
+    if (has('renderOnDemand')) renderer.onDemand = settings.renderOnDemand;
+    if (has('showHud')) {
+      hud.visible = settings.showHud;
+      hudInput.checked = settings.showHud;
+    }
+    if (has(...POINT_KEYS)) pointPanel.update();
+    if (has('groundPlane', 'shadows', 'shadowResolution', 'shadowSoftness')) {
+      shadowPanel.update();
+      applyShadowSettings();
+    }
+    redraw();
+  });
+
+  window.addEventListener('pagehide', () => {
+    persistScene();
+    hud.destroy();
+    labelOverlay.destroy();
+    camera.destroy();
+    renderer.destroy();
+  });
 }
 
-initWebGPU().catch((err) => {
-  console.error(err);
-});
\ No newline at end of file
+initViewer().catch(messageBox.error);
@@ -1,125 +1,47 @@
 // visualization.js
-// This module implements a simple real‑time 3D bar chart using WebGPU.
-// The chart attempts to fetch external data (cryptocurrency prices) from a public
-// API.  If the network request fails, it falls back to random data.  Bars are
-// rendered as instanced cubes with individual heights.
+// This module implements a real‑time 3D chart of live data using WebGPU, or
+// WebGL2 where WebGPU is unavailable.
 
-async function initVisualization() {
-  const canvas = document.getElementById('vizCanvas');
-  if (!navigator.gpu) {
-    document.getElementById('message').style.display = 'block';
-    canvas.style.display = 'none';
-    return;
-  }
-
-  const adapter = await navigator.gpu.requestAdapter();
-  const device = await adapter.requestDevice();
-  const context = canvas.getContext('webgpu');
-
-  const devicePixelRatio = window.devicePixelRatio || 1;
-  function resizeCanvas() {
-    const width = canvas.clientWidth * devicePixelRatio;
-    const height = canvas.clientHeight * devicePixelRatio;
-    canvas.width = width;
-    canvas.height = height;
-    context.configure({
-      device,
-      format: navigator.gpu.getPreferredCanvasFormat(),
-      alphaMode: 'opaque',
-      size: [width, height]
-    });
-  }
-  resizeCanvas();
-  window.addEventListener('resize', resizeCanvas);
-
-  // Define cube geometry (unit cube centered at origin)
-  const cubeVertices = new Float32Array([
-    // positions
-    -0.5, -0.5,  0.5,
-     0.5, -0.5,  0.5,
-     0.5,  0.5,  0.5,
-    -0.5,  0.5,  0.5,
-    -0.5, -0.5, -0.5,
-     0.5, -0.5, -0.5,
-     0.5,  0.5, -0.5,
-    -0.5,  0.5, -0.5,
-  ]);
-  const cubeIndices = new Uint16Array([
-    0, 1, 2, 0, 2, 3,
-    1, 5, 6, 1, 6, 2,
-    5, 4, 7, 5, 7, 6,
-    4, 0, 3, 4, 3, 7,
-    3, 2, 6, 3, 6, 7,
-    4, 5, 1, 4, 1, 0,
-  ]);
-  const vertexBuffer = device.createBuffer({
-    size: cubeVertices.byteLength,
-    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-  });
-  device.queue.writeBuffer(vertexBuffer, 0, cubeVertices);
-  const indexBuffer = device.createBuffer({
-    size: cubeIndices.byteLength,
-    usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST
-  });
-  device.queue.writeBuffer(indexBuffer, 0, cubeIndices);
-
-  // Set number of bars and spacing
-  const barCount = 10;
-  const barSpacing = 0.12;
-  // Initial instance data: offsets and scales (y scale will be updated)
-  let instanceData = new Float32Array(barCount * 6); // offset.xyz + scale.xyz
-  for (let i = 0; i < barCount; i++) {
-    const x = (i - (barCount - 1) / 2) * barSpacing;
-    // offsets: x, y, z
-    instanceData[i * 6 + 0] = x;
-    instanceData[i * 6 + 1] = 0.0;
-    instanceData[i * 6 + 2] = 0.0;
-    // scales: x, y, z (x and z scales remain constant)
-    instanceData[i * 6 + 3] = 0.08;
-    instanceData[i * 6 + 4] = 0.5; // initial height (will be replaced)
-    instanceData[i * 6 + 5] = 0.08;
-  }
-  const instanceBuffer = device.createBuffer({
-    size: instanceData.byteLength,
-    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-  });
-  device.queue.writeBuffer(instanceBuffer, 0, instanceData);
-
-  // Uniform buffer for MVP matrix
-  const uniformBufferSize = 64;
-  const uniformBuffer = device.createBuffer({
-    size: uniformBufferSize,
-    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-  });
+import { mat4, ray, colorAttachment, countDraws, projectToScreen } from './core.js';
+import { createRendererWithFallback, GL_CLIP_DEPTH } from './webgl.js';
+import { createOrbitCamera, bindCameraControls } from './camera.js';
+import { DATA_SOURCES, createDataSourcePanel } from './datasources.js';
+import { requestHostPermission } from './permissions.js';
+import { createHistory, valueRange } from './timeseries.js';
+import { CHART_TYPES, ensureBuffer, createGroundPlane, createWebGLGroundPlane } from './charts.js';
+import { niceTicks, formatTick, formatValue, chartAxesLines, createLabelOverlay } from './axes.js';
+import { COLORMAPS, createColorScale, createLegend } from './colormaps.js';
+import { CELL_STRIDE, cellKeys, createCellAnimator } from './transitions.js';
+import { createCapturePanel } from './capture.js';
+import {
+  createLighting, createLightingPanel, packLighting, lightDirection, LIGHTING_UNIFORM_SIZE
+} from './lighting.js';
+import { createShadowMap, createShadowPanel } from './shadows.js';
+import { createPostProcessor, createPostPanel } from './postprocess.js';
+import { checkShaderModule, withErrorScope, describeDeviceLoss, createMessageBox } from './gpuerrors.js';
+import {
+  loadSettings, saveSettings, watchSettings, applyTheme, applyContrast, colorFromHex, createSettingsControls
+} from './settings.js';
+import { summarizeTrend, createDataTable, createChartNavigation } from './chartaccess.js';
+import { createPerformanceHud } from './perfhud.js';
 
-  // Shader code for instanced bar chart
-  const shaderModule = device.createShaderModule({
-    code: `
+// Unlit lines for the axes, tick marks and grid
+const LINE_WGSL = `
 struct Uniforms {
-  mvpMatrix : mat4x4<f32>;
+  mvpMatrix : mat4x4<f32>,
 };
 @binding(0) @group(0) var<uniform> uniforms : Uniforms;
 
-struct VertexInput {
-  @location(0) position : vec3<f32>;
-  @location(1) offset : vec3<f32>;
-  @location(2) scale : vec3<f32>;
-};
-
 struct VertexOutput {
-  @builtin(position) Position : vec4<f32>;
-  @location(0) vColor : vec3<f32>;
+  @builtin(position) Position : vec4<f32>,
+  @location(0) vColor : vec3<f32>,
 };
 
 @vertex
-fn vs_main(input : VertexInput) -> VertexOutput {
+fn vs_main(@location(0) position : vec3<f32>, @location(1) color : vec3<f32>) -> VertexOutput {
   var out : VertexOutput;
-  // apply scale and offset to cube vertices
-  let worldPos = input.position * input.scale + input.offset;
-  out.Position = uniforms.mvpMatrix * vec4<f32>(worldPos, 1.0);
-  // color based on height (y scale)
-  let intensity = clamp(input.scale.y * 2.0, 0.0, 1.0);
-  out.vColor = vec3<f32>(0.2 + 0.6 * intensity, 0.4, 1.0 - intensity);
+  out.Position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
+  out.vColor = color;
   return out;
 }
 
@@ -127,225 +49,852 @@ fn vs_main(input : VertexInput) -> VertexOutput {
 fn fs_main(input : VertexOutput) -> @location(0) vec4<f32> {
   return vec4<f32>(input.vColor, 1.0);
 }
-`
+`;
+
+const LINE_GLSL_VERTEX = `#version 300 es
+layout(std140) uniform Uniforms {
+  mat4 mvpMatrix;
+} uniforms;
+${GL_CLIP_DEPTH}
+layout(location = 0) in vec3 position;
+layout(location = 1) in vec3 color;
+out vec3 vColor;
+
+void main() {
+  gl_Position = glClipDepth(uniforms.mvpMatrix * vec4(position, 1.0));
+  vColor = color;
+}
+`;
+
+const LINE_GLSL_FRAGMENT = `#version 300 es
+precision highp float;
+in vec3 vColor;
+out vec4 fragColor;
+
+void main() {
+  fragColor = vec4(vColor, 1.0);
+}
+`;
+
+// position.xyz + color.rgb
+const LINE_VERTEX_LAYOUT = {
+  arrayStride: 6 * 4,
+  attributes: [
+    { shaderLocation: 0, offset: 0, format: 'float32x3' },
+    { shaderLocation: 1, offset: 3 * 4, format: 'float32x3' }
+  ]
+};
+
+// From this many cells on, charts with a compute version (charts.js) build
+// their instances on the GPU and updates skip the eased transitions
+const COMPUTE_CELLS = 20000;
+
+// Bar height for a value: HEIGHT_OFFSET + value * heightScale, where
+// heightScale is HEIGHT_SPAN / max(largest value, 1)
+const HEIGHT_OFFSET = 0.05;
+const HEIGHT_SPAN = 0.9;
+
+// The ground plane sits this far below y = 0 so the grid lines stay on top
+const GROUND_DEPTH = 0.002;
+
+// Clear color of the high-contrast mode
+const HIGH_CONTRAST_BACKGROUND = [0, 0, 0];
+
+// No adapter, device loss, shader and validation errors are shown here
+const messageBox = createMessageBox(document.getElementById('message'));
+
+async function initVisualization() {
+  const canvas = document.getElementById('vizCanvas');
+  const settings = await loadSettings();
+  applyTheme(settings.theme);
+  applyContrast(settings.chartHighContrast);
+
+  // The renderer keeps the canvas and depth texture sized to the window.
+  // WebGPU when available, otherwise the WebGL2 fallback.
+  const renderer = await createRendererWithFallback(canvas, { sampleCount: settings.msaa });
+  const webgl = renderer.backend === 'WebGL2';
+  renderer.onError(messageBox.error);
+  // By default frames are only drawn when the camera, the data or the chart changes
+  renderer.onDemand = settings.renderOnDemand;
+  document.getElementById('backend').textContent = renderer.backend;
+  // Anything that changes the picture asks for a frame
+  const redraw = () => renderer.requestFrame();
+
+  // Rendering pauses while the device is lost; the chart and axes are rebuilt
+  // from the history on the new one.  Listening before anything is awaited
+  // covers a loss during start-up too; that rebuild waits until the page is
+  // set up (setUp() below), since it needs everything start-up creates.
+  let setUp;
+  const ready = new Promise((resolve) => {
+    setUp = resolve;
+  });
+  renderer.onDeviceLost((info) => {
+    messageBox.notice(`${describeDeviceLoss(info)} Recovering…`);
+  });
+  renderer.onDeviceRestored(async () => {
+    await ready;
+    if (post) await post.init();
+    await createDeviceResources();
+    useChartType(chartTypeSelect.value);
+    messageBox.hide();
   });
 
-  const pipeline = device.createRenderPipeline({
-    layout: 'auto',
-    vertex: {
-      module: shaderModule,
-      entryPoint: 'vs_main',
-      buffers: [
-        {
-          arrayStride: 3 * 4,
-          attributes: [
-            { shaderLocation: 0, offset: 0, format: 'float32x3' }
-          ]
+  const hud = createPerformanceHud(document.getElementById('hud'), renderer);
+  const hudInput = document.getElementById('showHud');
+  hud.visible = settings.showHud;
+  hudInput.checked = settings.showHud;
+  hudInput.addEventListener('change', () => {
+    hud.visible = hudInput.checked;
+    saveSettings({ showHud: hudInput.checked }).catch((err) => console.warn('Could not save the HUD setting:', err));
+  });
+
+  // Rolling history: series along x, time along z with the newest row in
+  // front at z = 0 and older rows receding into -z
+  const windowSizeInput = document.getElementById('windowSize');
+  const chartTypeSelect = document.getElementById('chartType');
+  const colorMapSelect = document.getElementById('colorMap');
+  const transitionInput = document.getElementById('transitionDuration');
+  const history = createHistory(parseInt(windowSizeInput.value, 10) || 20);
+  let grid = history.grid();
+  let barSpacing = 0.12;
+  let rowSpacing = 0.12;
+  let lineBuffer = null;
+  let lineVertexCount = 0;
+  // Maps a raw value to a bar height; the raw values themselves stay in `grid`
+  let heightScale = 0;
+  const heightOf = (value) => HEIGHT_OFFSET + value * heightScale;
+  // The high-contrast mode overrides the chosen color map
+  const colorMapName = () => (settings.chartHighContrast ? 'highContrast' : colorMapSelect.value);
+  let colorScale = createColorScale(colorMapName(), 0, 0);
+  // Displayed cell positions and heights ease towards their targets; new
+  // rows push older ones back through the same animation
+  const animator = createCellAnimator(parseFloat(transitionInput.value) || 0);
+  const now = () => performance.now() / 1000;
+
+  // WebGPU only; while an effect is on the chart is drawn into its HDR target
+  const post = webgl ? null : createPostProcessor(renderer);
+  if (post) {
+    post.configure(settings);
+    await post.init();
+  }
+  // Antialiasing and effects from the panel or another page.  Turning the
+  // chain on or off changes the color format the pipelines draw into, and
+  // the sample count changes them too, so either means a rebuild.
+  function applyPostSettings() {
+    const formatChanged = post.configure(settings);
+    if (settings.msaa !== renderer.sampleCount) {
+      renderer.setSampleCount(settings.msaa);
+    } else if (formatChanged) {
+      renderer.rebuild();
+    }
+    redraw();
+  }
+  const postPanelElement = document.getElementById('postPanel');
+  const postPanel = post ? createPostPanel(postPanelElement, settings, applyPostSettings) : null;
+  postPanelElement.hidden = !post;
+
+  const lighting = createLighting();
+  const lightingPanel = document.getElementById('lightingPanel');
+  createLightingPanel(lightingPanel, lighting, redraw);
+  const shadowPanel = createShadowPanel(lightingPanel, settings, applyShadowSettings);
+  shadowPanel.setShadowsAvailable(!webgl);
+
+  // Everything below lives on the GPU device (or WebGL2 context) and is
+  // created again, with the active chart, when it is lost and replaced
+  let device = null;
+  let uniformBuffer = null;
+  let lightingBuffer = null;
+  let linePipeline = null;
+  let lineBindGroup = null;
+  // The active chart type (see charts.js); all types share these buffers.
+  // `chartMode` is 'webgl', 'cpu' or 'compute' (large grids).
+  let chartContext = null;
+  let chart = null;
+  let chartType = null;
+  let chartMode = null;
+  // Shadow map (WebGPU only) and the ground plane, null while it is off
+  let shadowMap = null;
+  let ground = null;
+
+  async function createDeviceResources() {
+    // Rebuilt on the same device (a sample count or color format change):
+    // free the previous buffers first.  After a loss they went with the old device.
+    if (!webgl && device === renderer.device) {
+      [uniformBuffer, lightingBuffer, lineBuffer].forEach((buffer) => buffer && buffer.destroy());
+    }
+    lineBuffer = null;
+    if (ground) ground.destroy();
+    ground = null;
+    if (webgl) {
+      uniformBuffer = renderer.createBuffer('uniform', 64);
+      lightingBuffer = renderer.createBuffer('uniform', LIGHTING_UNIFORM_SIZE);
+      chartContext = { renderer, uniformBuffer, lightingBuffer };
+      linePipeline = renderer.createPipeline({
+        label: 'Axes',
+        vertex: LINE_GLSL_VERTEX,
+        fragment: LINE_GLSL_FRAGMENT,
+        buffers: [LINE_VERTEX_LAYOUT],
+        uniformBlocks: { Uniforms: 0 },
+        topology: 'line-list'
+      });
+      return;
+    }
+    device = renderer.device;
+    // Uniform buffer for MVP matrix
+    uniformBuffer = device.createBuffer({
+      size: 64,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    // Lighting shared with the viewer (see lighting.js)
+    lightingBuffer = device.createBuffer({
+      size: LIGHTING_UNIFORM_SIZE,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    if (shadowMap) shadowMap.destroy();
+    shadowMap = createShadowMap(device);
+    shadowMap.configure(settings);
+    chartContext = {
+      device,
+      format: post.format,
+      depthFormat: renderer.depthFormat,
+      sampleCount: renderer.sampleCount,
+      uniformBuffer,
+      lightingBuffer,
+      shadows: shadowMap,
+      reportError: messageBox.error
+    };
+
+    const lineShaderModule = device.createShaderModule({ label: 'Axes', code: LINE_WGSL });
+    await checkShaderModule(lineShaderModule, 'Axes', LINE_WGSL);
+    withErrorScope(device, 'Axes pipeline', () => {
+      linePipeline = device.createRenderPipeline({
+        layout: 'auto',
+        vertex: {
+          module: lineShaderModule,
+          entryPoint: 'vs_main',
+          buffers: [LINE_VERTEX_LAYOUT]
         },
-        {
-          arrayStride: 6 * 4,
-          stepMode: 'instance',
-          attributes: [
-            { shaderLocation: 1, offset: 0, format: 'float32x3' },
-            { shaderLocation: 2, offset: 3 * 4, format: 'float32x3' }
-          ]
-        }
-      ]
+        fragment: {
+          module: lineShaderModule,
+          entryPoint: 'fs_main',
+          targets: [ { format: post.format } ]
+        },
+        primitive: {
+          topology: 'line-list'
+        },
+        depthStencil: {
+          depthWriteEnabled: true,
+          depthCompare: 'less',
+          format: renderer.depthFormat
+        },
+        multisample: { count: renderer.sampleCount }
+      });
+      lineBindGroup = device.createBindGroup({
+        layout: linePipeline.getBindGroupLayout(0),
+        entries: [{ binding: 0, resource: { buffer: uniformBuffer } }]
+      });
+    }, messageBox.error);
+  }
+  await createDeviceResources();
+
+  // Final world-space x/z of a grid cell
+  function targetPosition(row, column) {
+    return [(column - (grid.columns - 1) / 2) * barSpacing, -(grid.rows - 1 - row) * rowSpacing];
+  }
+
+  // What the chart types draw (see charts.js): the animated cell state, or
+  // the final one in compute mode, where the animator is not used
+  const noDataColor = [0.3, 0.3, 0.3];
+  const cellOffset = (row, column) => (row * grid.columns + column) * CELL_STRIDE;
+  const animated = () => chartMode !== 'compute';
+  const hasValue = (row, column) => Number.isFinite(grid.values[row * grid.columns + column]);
+  const layout = {
+    get grid() {
+      return grid;
+    },
+    get barSpacing() {
+      return barSpacing;
+    },
+    get rowSpacing() {
+      return rowSpacing;
     },
-    fragment: {
-      module: shaderModule,
-      entryPoint: 'fs_main',
-      targets: [ { format: navigator.gpu.getPreferredCanvasFormat() } ]
+    get heightScale() {
+      return heightScale;
     },
-    primitive: {
-      topology: 'triangle-list',
-      cullMode: 'back'
+    get colorScale() {
+      return colorScale;
     },
-    depthStencil: {
-      depthWriteEnabled: true,
-      depthCompare: 'less',
-      format: 'depth24plus'
+    heightOffset: HEIGHT_OFFSET,
+    heightSpan: HEIGHT_SPAN,
+    cellPosition(row, column) {
+      if (!animated()) return targetPosition(row, column);
+      const o = cellOffset(row, column);
+      return [animator.values[o], animator.values[o + 1]];
+    },
+    cellHeight(row, column) {
+      if (!animated()) return hasValue(row, column) ? heightOf(grid.values[row * grid.columns + column]) : 0;
+      return animator.values[cellOffset(row, column) + 2];
+    },
+    cellScale(row, column) {
+      if (!animated()) return hasValue(row, column) ? 1 : 0;
+      return animator.values[cellOffset(row, column) + 3];
+    },
+    cellColor(row, column) {
+      const value = grid.values[row * grid.columns + column];
+      return Number.isFinite(value) ? colorScale.color(value, column) : noDataColor;
+    }
+  };
+
+  // The data range behind the heights, the colors, the axes and the legend
+  const legend = createLegend(document.getElementById('legend'));
+  let range = { min: 0, max: 0 };
+  function applyRange(next) {
+    range = next;
+    heightScale = HEIGHT_SPAN / Math.max(range.max, 1);
+    colorScale = createColorScale(colorMapName(), range.min, range.max);
+    updateAxes();
+    legend.update(colorMapName(), range.min, range.max, grid.labels);
+  }
+
+  // Rebuild the chart and its axes from the history
+  function updateChart() {
+    grid = history.grid();
+    // Keep wide datasets within the width and depth of 20 cells
+    barSpacing = settings.barSpacing * Math.min(1, 20 / Math.max(grid.columns, 1));
+    rowSpacing = settings.barSpacing * Math.min(1, 20 / history.windowSize);
+    ensureChart();
+    // Compute charts measure the range on the GPU and report it after their
+    // update (charts.js); until then the last one stands in
+    applyRange(animated() ? valueRange(grid.values) : range);
+
+    if (animated()) {
+      // Missing samples target zero height and size so they are not drawn
+      const targets = new Float32Array(grid.rows * grid.columns * CELL_STRIDE);
+      for (let r = 0; r < grid.rows; r++) {
+        for (let c = 0; c < grid.columns; c++) {
+          const value = grid.values[r * grid.columns + c];
+          const present = Number.isFinite(value);
+          targets.set([...targetPosition(r, c), present ? heightOf(value) : 0, present ? 1 : 0], cellOffset(r, c));
+        }
+      }
+      animator.setTargets(cellKeys(grid), targets, now());
+    }
+    const measured = chart.update(layout);
+    updateGround();
+    redraw();
+    if (measured) {
+      const updated = grid;
+      measured.then((next) => {
+        // Skip ranges a newer update has replaced
+        if (!next || grid !== updated) return;
+        applyRange(next);
+        redraw();
+      });
+    }
+  }
+
+  // Rebuild the axis lines and the labels that go with them
+  const labelOverlay = createLabelOverlay(document.getElementById('labels'));
+  function updateAxes() {
+    const maxValue = Math.max(range.max, 1);
+    const { min, max } = chartBounds();
+    const box = { left: min[0], right: max[0], front: max[2], back: min[2], top: max[1] };
+    const { ticks, step } = niceTicks(0, maxValue, 5);
+    const yTicks = ticks.filter((t) => t <= maxValue).map((t) => ({ value: t, y: heightOf(t) }));
+
+    // Thin the grid and labels so they stay readable on large datasets
+    const columnStride = Math.ceil(grid.columns / 30) || 1;
+    const rowStride = Math.ceil(history.windowSize / 8) || 1;
+    const xLines = [];
+    for (let c = 0; c <= grid.columns; c += columnStride) {
+      xLines.push((c - grid.columns / 2) * barSpacing);
+    }
+    const zLines = [];
+    for (let r = 0; r < history.windowSize; r += rowStride) {
+      zLines.push(-r * rowSpacing);
+    }
+    const lines = chartAxesLines(box, {
+      xLines,
+      zLines,
+      yTicks: yTicks.map((t) => t.y),
+      highContrast: settings.chartHighContrast
+    });
+    if (webgl) {
+      lineBuffer = lineBuffer || renderer.createBuffer('vertex', lines.byteLength);
+      renderer.writeBuffer(lineBuffer, lines);
+    } else {
+      lineBuffer = ensureBuffer(device, lineBuffer, lines.byteLength, GPUBufferUsage.VERTEX);
+      device.queue.writeBuffer(lineBuffer, 0, lines);
+    }
+    lineVertexCount = lines.length / 6;
+
+    const labels = [];
+    const gap = Math.max(barSpacing, rowSpacing) * 0.5;
+    yTicks.forEach(({ value, y }) => {
+      labels.push({ text: formatTick(value, step), position: [box.left - gap, y, box.front], className: 'value' });
+    });
+    for (let c = 0; c < grid.columns; c += columnStride) {
+      const [x] = targetPosition(0, c);
+      labels.push({ text: grid.labels[c], position: [x, 0, box.front + gap], className: 'category' });
+    }
+    const timeStride = Math.ceil(grid.rows / 6) || 1;
+    for (let r = grid.rows - 1; r >= 0; r -= timeStride) {
+      const [, z] = targetPosition(r, 0);
+      labels.push({ text: new Date(grid.times[r]).toLocaleTimeString(), position: [box.left - gap, 0, z], className: 'time' });
+    }
+    labelOverlay.setLabels(labels);
+  }
+
+  // Hover picking: cast a ray through the cursor and find the nearest cell
+  // whose pick box (chosen by the chart type) it passes through
+  const tooltip = document.getElementById('tooltip');
+  let hover = null; // { x, y } in CSS pixels while the pointer is over the canvas
+  let chartMatrix = mat4.identity();
+
+  function pickCell(x, y) {
+    const r = ray.fromScreen(x, y, canvas.clientWidth, canvas.clientHeight, chartMatrix);
+    if (!r) return null;
+    if (!animated()) return pickGridCell(r);
+    let best = null;
+    for (let row = 0; row < grid.rows; row++) {
+      for (let column = 0; column < grid.columns; column++) {
+        const value = grid.values[row * grid.columns + column];
+        if (!Number.isFinite(value)) continue;
+        const box = chart.cellBox(layout, row, column);
+        const t = ray.intersectBox(r, box.min, box.max);
+        if (t !== null && (!best || t < best.t)) best = { t, row, column, value };
+      }
     }
+    return best;
+  }
+
+  // Cells stay in their grid slots in compute mode, so only the cells the
+  // ray crosses need testing, nearest first
+  function pickGridCell(r) {
+    const { min, max } = chartBounds();
+    const t0 = ray.intersectBox(r, min, max);
+    if (t0 === null) return null;
+    const length = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const origin = [-(grid.columns / 2) * barSpacing, (0.5 - grid.rows) * rowSpacing];
+    let hit = null;
+    ray.traverseGrid(r, origin, [barSpacing, rowSpacing], [grid.columns, grid.rows], t0, t0 + length, (column, row) => {
+      if (!hasValue(row, column)) return false;
+      const box = chart.cellBox(layout, row, column);
+      const t = ray.intersectBox(r, box.min, box.max);
+      if (t !== null) hit = { t, row, column, value: grid.values[row * grid.columns + column] };
+      return hit !== null;
+    });
+    return hit;
+  }
+
+  // Keyboard focus on the chart (chartaccess.js); the focused cell's tooltip
+  // takes the place of the hovered one
+  const navigation = createChartNavigation(canvas, document.getElementById('announcer'), {
+    getGrid: () => grid,
+    onChange: redraw
   });
 
-  let depthTexture = device.createTexture({
-    size: [canvas.width, canvas.height, 1],
-    format: 'depth24plus',
-    usage: GPUTextureUsage.RENDER_ATTACHMENT
+  // Where the tooltip goes: over the top of the focused cell, or next to
+  // the cell under the pointer
+  function tooltipTarget() {
+    const focused = navigation.cell;
+    if (!focused) {
+      const hit = hover && pickCell(hover.x, hover.y);
+      return hit && { ...hit, at: hover };
+    }
+    const { min, max } = chart.cellBox(layout, focused.row, focused.column);
+    const top = [(min[0] + max[0]) / 2, max[1], (min[2] + max[2]) / 2];
+    const screen = projectToScreen(top, chartMatrix, canvas.clientWidth, canvas.clientHeight);
+    const value = grid.values[focused.row * grid.columns + focused.column];
+    return screen && { ...focused, value, at: { x: screen[0], y: screen[1] } };
+  }
+
+  function updateTooltip() {
+    const hit = tooltipTarget();
+    if (!hit) {
+      tooltip.hidden = true;
+      return;
+    }
+    const reading = Number.isFinite(hit.value) ? formatValue(hit.value) : 'no value';
+    tooltip.textContent = `${grid.labels[hit.column]}: ${reading} ` +
+      `(${new Date(grid.times[hit.row]).toLocaleTimeString()})`;
+    tooltip.style.left = `${hit.at.x + 14}px`;
+    tooltip.style.top = `${hit.at.y + 14}px`;
+    tooltip.hidden = false;
+  }
+
+  // Only hover while no button is held, so dragging the camera hides it
+  canvas.addEventListener('pointermove', (e) => {
+    hover = e.buttons === 0 ? { x: e.offsetX, y: e.offsetY } : null;
+    redraw();
+  });
+  canvas.addEventListener('pointerleave', () => {
+    hover = null;
+    redraw();
   });
 
-  // Matrix helper functions (same as viewer.js)
-  function perspective(fov, aspect, near, far) {
-    const f = 1.0 / Math.tan(fov / 2);
-    const nf = 1 / (near - far);
-    const out = new Float32Array(16);
-    out[0] = f / aspect;
-    out[1] = 0;
-    out[2] = 0;
-    out[3] = 0;
-    out[4] = 0;
-    out[5] = f;
-    out[6] = 0;
-    out[7] = 0;
-    out[8] = 0;
-    out[9] = 0;
-    out[10] = (far + near) * nf;
-    out[11] = -1;
-    out[12] = 0;
-    out[13] = 0;
-    out[14] = 2 * far * near * nf;
-    out[15] = 0;
-    return out;
+  // (Re)create the chart when the type or the mode it needs has changed
+  function ensureChart() {
+    const { create, createWebGL, createCompute } = CHART_TYPES[chartType];
+    const mode = webgl ? 'webgl'
+      : createCompute && grid.rows * grid.columns >= COMPUTE_CELLS ? 'compute' : 'cpu';
+    if (chart && mode === chartMode) return;
+    if (chart) chart.destroy();
+    chartMode = mode;
+    chart = { webgl: createWebGL, cpu: create, compute: createCompute }[mode](chartContext);
   }
-  function lookAt(eye, center, up) {
-    const out = new Float32Array(16);
-    const zx0 = eye[0] - center[0];
-    const zx1 = eye[1] - center[1];
-    const zx2 = eye[2] - center[2];
-    let len = Math.hypot(zx0, zx1, zx2);
-    let zx = zx0 / len;
-    let zy = zx1 / len;
-    let zz = zx2 / len;
-    let xx = up[1] * zz - up[2] * zy;
-    let xy = up[2] * zx - up[0] * zz;
-    let xz = up[0] * zy - up[1] * zx;
-    len = Math.hypot(xx, xy, xz);
-    xx /= len; xy /= len; xz /= len;
-    let yx = zy * xz - zz * xy;
-    let yy = zz * xx - zx * xz;
-    let yz = zx * xy - zy * xx;
-    len = Math.hypot(yx, yy, yz);
-    yx /= len; yy /= len; yz /= len;
-    out[0] = xx;
-    out[1] = yx;
-    out[2] = zx;
-    out[3] = 0;
-    out[4] = xy;
-    out[5] = yy;
-    out[6] = zy;
-    out[7] = 0;
-    out[8] = xz;
-    out[9] = yz;
-    out[10] = zz;
-    out[11] = 0;
-    out[12] = -(xx * eye[0] + xy * eye[1] + xz * eye[2]);
-    out[13] = -(yx * eye[0] + yy * eye[1] + yz * eye[2]);
-    out[14] = -(zx * eye[0] + zy * eye[1] + zz * eye[2]);
-    out[15] = 1;
-    return out;
+
+  // Switching type keeps the history; only the GPU side is rebuilt
+  function useChartType(type) {
+    if (chart) chart.destroy();
+    chart = null;
+    chartType = type;
+    updateChart();
+  }
+
+  // The ground reaches a quarter of the chart's size past it on every side
+  function updateGround() {
+    if (!settings.groundPlane) {
+      if (ground) ground.destroy();
+      ground = null;
+      return;
+    }
+    if (!ground) ground = webgl ? createWebGLGroundPlane(chartContext) : createGroundPlane(chartContext);
+    const { min, max } = chartBounds();
+    const margin = Math.max(max[0] - min[0], max[2] - min[2]) * 0.25;
+    ground.update({ min: [min[0] - margin, min[2] - margin], max: [max[0] + margin, max[2] + margin], y: -GROUND_DEPTH });
+  }
+
+  // Ground and shadow settings from the panel or another page.  A new
+  // shadow map size means new bind groups, so the chart and the ground are
+  // built again around it.
+  function applyShadowSettings() {
+    if (!webgl && shadowMap.configure(settings)) {
+      if (ground) ground.destroy();
+      ground = null;
+      useChartType(chartTypeSelect.value);
+    } else {
+      updateGround();
+    }
+    redraw();
+  }
+  for (const [type, { label, createWebGL }] of Object.entries(CHART_TYPES)) {
+    if (webgl && !createWebGL) continue;
+    chartTypeSelect.add(new Option(label, type, false, type === 'bars'));
+  }
+  chartTypeSelect.addEventListener('change', () => useChartType(chartTypeSelect.value));
+
+  for (const [name, { label }] of Object.entries(COLORMAPS)) {
+    colorMapSelect.add(new Option(label, name, false, name === 'viridis'));
   }
-  function multiply(a, b) {
-    const out = new Float32Array(16);
-    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
-    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
-    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
-    const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
-    const b00 = b[0], b01 = b[1], b02 = b[2], b03 = b[3];
-    const b10 = b[4], b11 = b[5], b12 = b[6], b13 = b[7];
-    const b20 = b[8], b21 = b[9], b22 = b[10], b23 = b[11];
-    const b30 = b[12], b31 = b[13], b32 = b[14], b33 = b[15];
-    out[0] = a00 * b00 + a01 * b10 + a02 * b20 + a03 * b30;
-    out[1] = a00 * b01 + a01 * b11 + a02 * b21 + a03 * b31;
-    out[2] = a00 * b02 + a01 * b12 + a02 * b22 + a03 * b32;
-    out[3] = a00 * b03 + a01 * b13 + a02 * b23 + a03 * b33;
-    out[4] = a10 * b00 + a11 * b10 + a12 * b20 + a13 * b30;
-    out[5] = a10 * b01 + a11 * b11 + a12 * b21 + a13 * b31;
-    out[6] = a10 * b02 + a11 * b12 + a12 * b22 + a13 * b32;
-    out[7] = a10 * b03 + a11 * b13 + a12 * b23 + a13 * b33;
-    out[8] = a20 * b00 + a21 * b10 + a22 * b20 + a23 * b30;
-    out[9] = a20 * b01 + a21 * b11 + a22 * b21 + a23 * b31;
-    out[10] = a20 * b02 + a21 * b12 + a22 * b22 + a23 * b32;
-    out[11] = a20 * b03 + a21 * b13 + a22 * b23 + a23 * b33;
-    out[12] = a30 * b00 + a31 * b10 + a32 * b20 + a33 * b30;
-    out[13] = a30 * b01 + a31 * b11 + a32 * b21 + a33 * b31;
-    out[14] = a30 * b02 + a31 * b12 + a32 * b22 + a33 * b32;
-    out[15] = a30 * b03 + a31 * b13 + a32 * b23 + a33 * b33;
-    return out;
+  colorMapSelect.addEventListener('change', updateChart);
+  transitionInput.addEventListener('change', () => {
+    animator.duration = Math.max(parseFloat(transitionInput.value) || 0, 0);
+  });
+
+  windowSizeInput.addEventListener('change', () => {
+    history.windowSize = Math.min(Math.max(parseInt(windowSizeInput.value, 10) || 1, 1), 500);
+    windowSizeInput.value = history.windowSize;
+    updateChart();
+    camera.frame(chartBounds());
+  });
+
+  // Data source selection.  The REST adapter starts on the URL and interval
+  // from the settings (the CoinDesk endpoint by default) and follows changes
+  // to them until the panel switches to another source.
+  const dataStatus = document.getElementById('dataStatus');
+  let source = null;
+  let sourceFromSettings = true;
+  function settingsSource() {
+    const defaults = Object.fromEntries(DATA_SOURCES.rest.params.map((p) => [p.key, p.default]));
+    return { ...defaults, url: settings.dataUrl, interval: settings.refreshInterval };
+  }
+
+  // The text summary, a live region that screen readers read out, and the
+  // data table follow every sample the chart shows; the table only while it
+  // is open
+  const summary = document.getElementById('summary');
+  const tableContainer = document.getElementById('dataTable');
+  const dataTable = createDataTable(tableContainer);
+  const showTableInput = document.getElementById('showTable');
+  function updateTextAlternatives() {
+    summary.textContent = summarizeTrend(grid);
+    if (!tableContainer.hidden) dataTable.update(grid);
   }
+  showTableInput.addEventListener('change', () => {
+    tableContainer.hidden = !showTableInput.checked;
+    if (showTableInput.checked) dataTable.update(grid);
+  });
 
-  // Function to update instance scales based on data array
-  function updateInstanceScales(values) {
-    const maxValue = Math.max(...values, 1);
-    for (let i = 0; i < barCount; i++) {
-      const normalized = values[i] / maxValue;
-      // update y-scale
-      instanceData[i * 6 + 4] = 0.05 + normalized * 0.9;
+  // While the tab is hidden samples only go into the history; the chart is
+  // rebuilt once, from all of them, when it is shown again
+  let chartStale = false;
+  let frameChart = false;
+  function applyData(sample) {
+    frameChart = frameChart || history.length === 0;
+    history.push(sample);
+    dataStatus.textContent = `${sample.values.length} values, updated ${new Date().toLocaleTimeString()}`;
+    if (document.hidden) {
+      chartStale = true;
+      return;
     }
-    device.queue.writeBuffer(instanceBuffer, 0, instanceData);
+    refreshChart();
   }
 
-  // Fetch external data (cryptocurrency prices) and update chart
-  async function fetchDataAndUpdate() {
+  function refreshChart() {
+    chartStale = false;
+    updateChart();
+    updateTextAlternatives();
+    // The first sample of a source decides the chart's extent
+    if (frameChart) camera.frame(chartBounds());
+    frameChart = false;
+  }
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && chartStale) refreshChart();
+  });
+
+  function useSource(type, params) {
+    let next;
     try {
-      const resp = await fetch('https://api.coindesk.com/v1/bpi/currentprice.json');
-      if (resp.ok) {
-        const data = await resp.json();
-        const usdRate = parseFloat(data.bpi?.USD?.rate?.replace(/,/g, '')) || Math.random() * 50000;
-        // generate 10 values around the rate with some noise
-        const values = new Array(barCount).fill(0).map(() => usdRate * (0.8 + Math.random() * 0.4));
-        updateInstanceScales(values);
-        return;
-      }
-    } catch (e) {
-      // ignore network errors
+      next = DATA_SOURCES[type].create(params);
+    } catch (err) {
+      dataStatus.textContent = err.message;
+      return;
+    }
+    if (source) source.stop();
+    source = next;
+    // A new source starts a fresh history
+    history.clear();
+    chartStale = false;
+    frameChart = false;
+    updateChart();
+    updateTextAlternatives();
+    dataStatus.textContent = 'Waiting for data…';
+    source.start(applyData, (err) => {
+      console.error(err);
+      dataStatus.textContent = err.message;
+    });
+  }
+
+  const dataPanel = createDataSourcePanel(document.getElementById('dataPanel'), 'rest', (type, params) => {
+    sourceFromSettings = false;
+    if (type !== 'rest') {
+      useSource(type, params);
+      return;
     }
-    // fallback to random values
-    const randomValues = new Array(barCount).fill(0).map(() => Math.random() * 100);
-    updateInstanceScales(randomValues);
+    // Reading the response needs host permission, asked for while the Apply
+    // click still counts as a user gesture
+    let granted;
+    try {
+      granted = requestHostPermission(params.url);
+    } catch (err) {
+      dataStatus.textContent = `Invalid URL: ${params.url}`;
+      return;
+    }
+    granted.then((ok) => {
+      if (ok) {
+        useSource(type, params);
+      } else {
+        dataStatus.textContent = `Access to ${new URL(params.url).origin} was not granted.`;
+      }
+    }, (err) => {
+      dataStatus.textContent = err.message;
+    });
+  });
+  function updateSourceDefaults() {
+    dataPanel.setDefaults('rest', { url: settings.dataUrl, interval: settings.refreshInterval });
+    dataPanel.setDefaults('random', { count: settings.barCount, interval: settings.refreshInterval });
   }
+  updateSourceDefaults();
 
-  // Periodically fetch data
-  setInterval(fetchDataAndUpdate, 15000);
-  // Initial fetch
-  fetchDataAndUpdate();
-
-  // Render loop
-  let rotation = 0;
-  function frame() {
-    rotation += 0.003;
-    const aspect = canvas.width / canvas.height;
-    const proj = perspective(Math.PI / 4, aspect, 0.1, 100);
-    // orbit the camera around the origin
-    const radius = 3.0;
-    const eye = [Math.sin(rotation) * radius, 2.0, Math.cos(rotation) * radius];
-    const view = lookAt(eye, [0, 0, 0], [0, 1, 0]);
-    const mvp = multiply(proj, view);
-    device.queue.writeBuffer(uniformBuffer, 0, mvp.buffer);
+  // Camera starts where the old fixed orbit did (radius 3, height 2) at the
+  // configured pitch, and auto-rotates until the user takes over
+  const degrees = (d) => (d * Math.PI) / 180;
+  const camera = createOrbitCamera(canvas, {
+    distance: Math.hypot(3, 2),
+    yaw: 0,
+    pitch: degrees(settings.chartPitch),
+    fov: degrees(settings.fov),
+    autoRotate: settings.autoRotate,
+    autoRotateSpeed: degrees(settings.chartRotateSpeed)
+  });
+  camera.onChange(redraw);
+  // Bars stand on y = 0 and are at most 0.95 high; the depth covers the
+  // whole history window so framing does not change as rows fill in
+  function chartBounds() {
+    const halfWidth = (Math.max(grid.columns - 1, 0) / 2) * barSpacing + barSpacing / 3;
+    const depth = (history.windowSize - 1) * rowSpacing;
+    return { min: [-halfWidth, 0, -depth - rowSpacing / 3], max: [halfWidth, 0.95, rowSpacing / 3] };
+  }
+  const autoRotateInput = document.getElementById('autoRotate');
+  bindCameraControls(camera, {
+    autoRotate: autoRotateInput,
+    reset: document.getElementById('resetView'),
+    frameAll: document.getElementById('frameAll'),
+    getBounds: chartBounds
+  });
+
+  useChartType(chartTypeSelect.value);
+  // A rebuild for a device lost during start-up may go ahead now
+  setUp();
+
+  useSource('rest', settingsSource());
 
+  const chartClearColor = () => (settings.chartHighContrast ? HIGH_CONTRAST_BACKGROUND : colorFromHex(settings.chartBackground));
+  let clearColor = chartClearColor();
+
+  // High contrast from the panel or another page: the page's colors, the
+  // clear color, the color map and the axes all change
+  function applyContrastMode() {
+    applyContrast(settings.chartHighContrast);
+    colorMapSelect.disabled = settings.chartHighContrast;
+    clearColor = chartClearColor();
+    updateChart();
+  }
+  const contrastControls = createSettingsControls(document.getElementById('contrastControls'), settings,
+    ['chartHighContrast'], applyContrastMode);
+  colorMapSelect.disabled = settings.chartHighContrast;
+
+  // Encode and submit one frame into the given attachments; returns the
+  // view-projection matrix used.  The render loop passes the swap chain,
+  // exports their own offscreen target; WebGL2 always draws to the canvas.
+  // (Text labels are DOM elements and so are not part of exported images.)
+  function drawFrame(colorTarget, depthView, aspect) {
+    const proj = mat4.perspective(camera.fov, aspect, 0.1, 100);
+    const viewProjection = mat4.multiply(proj, camera.getViewMatrix());
+    const lightingData = packLighting(lighting, camera.getEye(), camera.distance);
+    if (webgl) {
+      renderer.writeBuffer(uniformBuffer, viewProjection);
+      renderer.writeBuffer(lightingBuffer, lightingData);
+      const pass = renderer.beginPass(clearColor);
+      if (ground) ground.draw(pass);
+      chart.draw(pass);
+      if (lineVertexCount > 0) {
+        pass.setPipeline(linePipeline);
+        pass.setUniformBuffer(0, uniformBuffer);
+        pass.setVertexBuffer(0, lineBuffer);
+        pass.draw(lineVertexCount);
+      }
+      pass.end();
+      return viewProjection;
+    }
+    device.queue.writeBuffer(uniformBuffer, 0, viewProjection.buffer);
+    device.queue.writeBuffer(lightingBuffer, 0, lightingData);
+    shadowMap.update(lightDirection(lighting), chartBounds());
+
+    const { stats } = renderer;
+    const postProcessed = post.enabled;
     const commandEncoder = device.createCommandEncoder();
-    const textureView = context.getCurrentTexture().createView();
+    // The chart casts shadows onto itself and the ground
+    const shadowPass = shadowMap.beginPass(commandEncoder);
+    if (shadowPass) {
+      chart.drawShadow(countDraws(shadowPass, stats));
+      shadowPass.end();
+    }
     const renderPass = commandEncoder.beginRenderPass({
-      colorAttachments: [
-        {
-          view: textureView,
-          clearValue: { r: 0.02, g: 0.04, b: 0.08, a: 1.0 },
-          loadOp: 'clear',
-          storeOp: 'store'
-        }
-      ],
+      colorAttachments: [colorAttachment(postProcessed ? post.sceneTarget(colorTarget) : colorTarget, clearColor)],
       depthStencilAttachment: {
-        view: depthTexture.createView(),
+        view: depthView,
         depthClearValue: 1.0,
         depthLoadOp: 'clear',
-        depthStoreOp: 'store',
-        stencilLoadOp: 'clear',
-        stencilStoreOp: 'store'
-      }
+        depthStoreOp: 'store'
+      },
+      timestampWrites: renderer.timestampWrites()
     });
-    renderPass.setPipeline(pipeline);
-    renderPass.setVertexBuffer(0, vertexBuffer);
-    renderPass.setVertexBuffer(1, instanceBuffer);
-    renderPass.setIndexBuffer(indexBuffer, 'uint16');
-    renderPass.setBindGroup(0, device.createBindGroup({
-      layout: pipeline.getBindGroupLayout(0),
-      entries: [ { binding: 0, resource: { buffer: uniformBuffer } } ]
-    }));
-    renderPass.drawIndexed(cubeIndices.length, barCount);
+    const counted = countDraws(renderPass, stats);
+    if (ground) ground.draw(counted);
+    chart.draw(counted);
+    if (chart.triangles !== undefined) stats.triangles += chart.triangles;
+    if (lineVertexCount > 0) {
+      renderPass.setPipeline(linePipeline);
+      renderPass.setBindGroup(0, lineBindGroup);
+      renderPass.setVertexBuffer(0, lineBuffer);
+      renderPass.draw(lineVertexCount);
+      stats.drawCalls++; // lines, so no triangles
+    }
     renderPass.end();
+    renderer.resolveTimestamps(commandEncoder);
     device.queue.submit([commandEncoder.finish()]);
-    requestAnimationFrame(frame);
+    if (postProcessed) post.apply(colorTarget, depthView, { projection: proj, aoRadius: 0.05 });
+    return viewProjection;
   }
-  requestAnimationFrame(frame);
+
+  // Exports read back WebGPU textures, so they are not offered under WebGL2
+  const capturePanel = document.getElementById('capturePanel');
+  if (webgl) {
+    capturePanel.hidden = true;
+  } else {
+    createCapturePanel(capturePanel, { renderer, draw: drawFrame, name: 'chart' });
+  }
+
+  // Render loop.  Returns whether the camera or a transition is still
+  // moving, which keeps an on-demand renderer drawing.
+  renderer.start((time, dt) => {
+    const moving = camera.update(dt);
+    // Re-upload the chart while a data update is easing in
+    const easing = animated() && animator.animating;
+    if (easing) {
+      animator.update(now());
+      chart.update(layout);
+    }
+    const viewProjection = webgl
+      ? drawFrame(null, null, renderer.aspect)
+      : drawFrame(renderer.colorTarget(), renderer.depthTexture.createView(), renderer.aspect);
+    chartMatrix = viewProjection;
+    labelOverlay.update(viewProjection, canvas.clientWidth, canvas.clientHeight);
+    updateTooltip();
+    return moving || easing;
+  });
+  // Settings changed on the options page or in the popup
+  watchSettings(settings, (changed) => {
+    const has = (...keys) => keys.some((key) => changed.includes(key));
+    if (has('theme')) applyTheme(settings.theme);
+    if (has('chartBackground')) clearColor = chartClearColor();
+    if (has('chartHighContrast')) {
+      contrastControls.update();
+      applyContrastMode();
+    }
+    if (has('autoRotate')) {
+      camera.autoRotate = settings.autoRotate;
+      autoRotateInput.checked = settings.autoRotate;
+    }
+    if (has('chartRotateSpeed')) camera.autoRotateSpeed = degrees(settings.chartRotateSpeed);
+    if (has('fov')) camera.fov = degrees(settings.fov);
+    if (has('chartPitch')) {
+      camera.setHomeAngles(0, degrees(settings.chartPitch));
+      camera.reset();
+    }
+    if (has('barSpacing')) updateChart();
+    if (has('barSpacing', 'fov')) camera.frame(chartBounds());
+    if (has('dataUrl', 'refreshInterval', 'barCount')) updateSourceDefaults();
+    if (has('dataUrl', 'refreshInterval') && sourceFromSettings) useSource('rest', settingsSource());
+    // WebGL2 fixes antialiasing when the context is created
+    if (post && has('msaa', 'postFxaa', 'postSsao', 'postBloom', 'postToneMapping', 'exposure')) {
+      postPanel.update();
+      applyPostSettings();
+    }
+    if (has('renderOnDemand')) renderer.onDemand = settings.renderOnDemand;
+    if (has('showHud')) {
+      hud.visible = settings.showHud;
+      hudInput.checked = settings.showHud;
+    }
+    if (has('groundPlane', 'shadows', 'shadowResolution', 'shadowSoftness')) {
+      shadowPanel.update();
+      applyShadowSettings();
+    }
+    redraw();
+  });
+
+  window.addEventListener('pagehide', () => {
+    if (source) source.stop();
+    if (ground) ground.destroy();
+    hud.destroy();
+    camera.destroy();
+    navigation.destroy();
+    labelOverlay.destroy();
+    chart.destroy();
+    renderer.destroy();
+  });
 }
 
-initVisualization().catch(console.error);
+initVisualization().catch(messageBox.error);
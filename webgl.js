@@ -0,0 +1,431 @@
+// webgl.js
+// WebGL2 fallback for browsers without WebGPU or without a usable adapter.
+// createWebGLRenderer() has the renderer surface the pages use from
+// createRenderer (core.js): backend, width / height / aspect, onResize,
+// start, onDemand / requestFrame, the loss / restore / error listeners, the
+// HUD numbers (stats, memory, measureGpuTime) and destroy.  Drawing goes
+// through a small API shaped after WebGPU so both code paths read alike:
+//   createBuffer(usage, sizeOrData)  usage: 'vertex', 'index' or 'uniform'
+//   writeBuffer(buffer, data)        replace the contents, growing as needed
+//   createTexture(source)            mipmapped RGBA8 texture from an image
+//   createPipeline(descriptor)       GLSL program, vertex layout and state
+//   beginPass(clearColor)            a pass with setPipeline, setUniformBuffer,
+//                                    setVertexBuffer, setIndexBuffer,
+//                                    setTexture, draw, drawIndexed and end
+// Vertex buffer layouts are WebGPU's ({ arrayStride, stepMode, attributes:
+// [{ shaderLocation, offset, format }] }) so they can be shared.  Shaders are
+// GLSL ES 3.00 with explicit attribute locations and std140 uniform blocks.
+// Passes count their own draws into `stats`; GPU time comes from
+// EXT_disjoint_timer_query_webgl2 where the browser has it.
+
+import { createRenderer, watchCanvasSize, createFrameLoop } from './core.js';
+
+const FORMAT_COMPONENTS = { float32: 1, float32x2: 2, float32x3: 3, float32x4: 4 };
+const DEPTH_FUNCS = { less: 'LESS', 'less-equal': 'LEQUAL', always: 'ALWAYS' };
+
+// For vertex shaders: the matrices in core.js produce WebGPU's [0, 1] clip
+// depth, GL wants [-1, 1]
+export const GL_CLIP_DEPTH = `
+vec4 glClipDepth(vec4 position) {
+  return vec4(position.xy, position.z * 2.0 - position.w, position.w);
+}
+`;
+
+function compileShader(gl, type, source, label) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`${label} shader failed to compile:\n${log}`);
+  }
+  return shader;
+}
+
+// `options.sampleCount` 1 turns antialiasing off.  WebGL fixes it when the
+// context is created, so unlike WebGPU it cannot be changed later.
+export function createWebGLRenderer(canvas, options = {}) {
+  const gl = canvas.getContext('webgl2', { alpha: false, antialias: (options.sampleCount ?? 4) > 1 });
+  if (!gl) {
+    throw new Error('This browser supports neither WebGPU nor WebGL2.');
+  }
+  const targets = { vertex: gl.ARRAY_BUFFER, index: gl.ELEMENT_ARRAY_BUFFER, uniform: gl.UNIFORM_BUFFER };
+  const maxSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+  const sampleCount = gl.getContextAttributes().antialias ? Math.max(gl.getParameter(gl.SAMPLES), 1) : 1;
+  const timerQuery = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+
+  const resizeListeners = [];
+  const lostListeners = [];
+  const restoreListeners = [];
+  const errorListeners = [];
+  let lost = false;
+  let destroyed = false;
+  let measureGpuTime = false;
+  let memory = 0; // bytes in buffers and textures created here
+  // Bumped when the context is restored; objects from an older context no
+  // longer count towards `memory`
+  let generation = 0;
+  // One timer query at a time, around the first pass of a frame; its result
+  // is available a frame or more later
+  let query = null;
+  let queryEnded = false;
+
+  const loop = createFrameLoop(() => !destroyed && !lost, reportError);
+  const { stats } = loop;
+  loop.onFrame(() => {
+    if (!query || !queryEnded || !gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) return;
+    // A disjoint event (power state change, ...) makes the result meaningless
+    if (!gl.getParameter(timerQuery.GPU_DISJOINT_EXT)) {
+      stats.gpuTime = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+    }
+    gl.deleteQuery(query);
+    query = null;
+  });
+
+  // A failing frame repeats every frame, so each message is reported once
+  const reported = new Set();
+  function reportError(err) {
+    if (reported.has(err.message)) return;
+    reported.add(err.message);
+    if (errorListeners.length === 0) console.error(err);
+    errorListeners.forEach((listener) => listener(err));
+  }
+
+  const size = watchCanvasSize(canvas, () => maxSize, (width, height) => {
+    if (canvas.width === width && canvas.height === height) return;
+    canvas.width = width;
+    canvas.height = height;
+    resizeListeners.forEach((listener) => listener(width, height));
+    loop.request();
+  });
+
+  // The context can be lost like a WebGPU device; every GL object is gone
+  // afterwards, so pages rebuild through the same restore listeners
+  function onContextLost(e) {
+    e.preventDefault();
+    lost = true;
+    loop.stop();
+    lostListeners.forEach((listener) => listener({ reason: 'unknown', message: 'WebGL context lost' }));
+  }
+  async function onContextRestored() {
+    // Every buffer, texture and query went with the old context
+    memory = 0;
+    generation++;
+    query = null;
+    try {
+      for (const listener of restoreListeners) await listener(gl);
+    } catch (err) {
+      reportError(err);
+      return;
+    }
+    lost = false;
+    loop.request();
+  }
+  canvas.addEventListener('webglcontextlost', onContextLost);
+  canvas.addEventListener('webglcontextrestored', onContextRestored);
+
+  const renderer = {
+    backend: 'WebGL2',
+    gl,
+    canvas,
+    sampleCount,
+
+    get width() {
+      return canvas.width;
+    },
+    get height() {
+      return canvas.height;
+    },
+    get aspect() {
+      return canvas.width / canvas.height;
+    },
+    get lost() {
+      return lost;
+    },
+
+    onResize(listener) {
+      resizeListeners.push(listener);
+    },
+    onDeviceLost(listener) {
+      lostListeners.push(listener);
+    },
+    onDeviceRestored(listener) {
+      restoreListeners.push(listener);
+    },
+    onError(listener) {
+      errorListeners.push(listener);
+    },
+    reportError,
+
+    get stats() {
+      return stats;
+    },
+    get memory() {
+      return memory;
+    },
+    get measureGpuTime() {
+      return measureGpuTime;
+    },
+    set measureGpuTime(value) {
+      measureGpuTime = !!value && !!timerQuery;
+    },
+
+    createBuffer(usage, sizeOrData) {
+      const created = generation;
+      const buffer = {
+        usage,
+        size: 0,
+        handle: gl.createBuffer(),
+        destroy() {
+          gl.deleteBuffer(buffer.handle);
+          if (created === generation) memory -= buffer.size;
+          buffer.size = 0;
+        }
+      };
+      if (typeof sizeOrData === 'number') {
+        gl.bindVertexArray(null); // keep index bindings out of any VAO
+        gl.bindBuffer(targets[usage], buffer.handle);
+        gl.bufferData(targets[usage], sizeOrData, gl.DYNAMIC_DRAW);
+        buffer.size = sizeOrData;
+        memory += sizeOrData;
+      } else {
+        renderer.writeBuffer(buffer, sizeOrData);
+      }
+      return buffer;
+    },
+
+    writeBuffer(buffer, data) {
+      const target = targets[buffer.usage];
+      gl.bindVertexArray(null);
+      gl.bindBuffer(target, buffer.handle);
+      if (data.byteLength > buffer.size) {
+        gl.bufferData(target, data, gl.DYNAMIC_DRAW);
+        memory += data.byteLength - buffer.size;
+        buffer.size = data.byteLength;
+      } else {
+        gl.bufferSubData(target, 0, data);
+      }
+    },
+
+    // `source` is an ImageBitmap (or other TexImageSource), or
+    // { width, height, data } with RGBA8 pixels.  Repeats, with trilinear
+    // filtering.
+    createTexture(source) {
+      const handle = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, handle);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+      gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+      if (source.data) {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, source.width, source.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, source.data);
+      } else {
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      }
+      gl.generateMipmap(gl.TEXTURE_2D);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      // The mip chain adds about a third
+      let bytes = Math.round((source.width * source.height * 4 * 4) / 3);
+      memory += bytes;
+      const created = generation;
+      return {
+        handle,
+        width: source.width,
+        height: source.height,
+        destroy() {
+          gl.deleteTexture(handle);
+          if (created === generation) memory -= bytes;
+          bytes = 0;
+        }
+      };
+    },
+
+    // { label, vertex, fragment, buffers, uniformBlocks: { Name: binding },
+    //   textures: { samplerName: unit }, topology: 'triangle-list' | 'line-list',
+    //   cullMode: 'none' | 'back', depthWrite,
+    //   depthCompare: 'less' | 'less-equal' | 'always' }
+    createPipeline({
+      label, vertex, fragment, buffers, uniformBlocks = {}, textures = {},
+      topology = 'triangle-list', cullMode = 'none', depthWrite = true, depthCompare = 'less'
+    }) {
+      const vs = compileShader(gl, gl.VERTEX_SHADER, vertex, `${label} vertex`);
+      const fs = compileShader(gl, gl.FRAGMENT_SHADER, fragment, `${label} fragment`);
+      const program = gl.createProgram();
+      gl.attachShader(program, vs);
+      gl.attachShader(program, fs);
+      gl.linkProgram(program);
+      gl.deleteShader(vs);
+      gl.deleteShader(fs);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+        throw new Error(`${label} program failed to link:\n${gl.getProgramInfoLog(program)}`);
+      }
+      for (const [name, binding] of Object.entries(uniformBlocks)) {
+        const index = gl.getUniformBlockIndex(program, name);
+        if (index !== gl.INVALID_INDEX) gl.uniformBlockBinding(program, index, binding);
+      }
+      gl.useProgram(program);
+      for (const [name, unit] of Object.entries(textures)) {
+        gl.uniform1i(gl.getUniformLocation(program, name), unit);
+      }
+      const vao = gl.createVertexArray();
+      return {
+        program,
+        vao,
+        buffers,
+        mode: topology === 'line-list' ? gl.LINES : gl.TRIANGLES,
+        cullMode,
+        depthWrite,
+        depthFunc: DEPTH_FUNCS[depthCompare],
+        destroy() {
+          gl.deleteProgram(program);
+          gl.deleteVertexArray(vao);
+        }
+      };
+    },
+
+    // Clear the canvas and record draws into it.  WebGL2 has no base
+    // instance, so firstInstance is applied by offsetting the per-instance
+    // attributes; baseVertex is not supported.
+    beginPass(clearColor) {
+      const timed = measureGpuTime && !query;
+      if (timed) {
+        query = gl.createQuery();
+        queryEnded = false;
+        gl.beginQuery(timerQuery.TIME_ELAPSED_EXT, query);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.clearColor(clearColor[0], clearColor[1], clearColor[2], 1);
+      gl.enable(gl.DEPTH_TEST);
+      gl.depthFunc(gl.LESS);
+      gl.depthMask(true);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+      let pipeline = null;
+      const vertexBuffers = [];
+      let index = null;
+      function countDraw(vertices, instances) {
+        stats.drawCalls++;
+        if (pipeline.mode === gl.TRIANGLES) stats.triangles += Math.floor(vertices / 3) * instances;
+      }
+      function bindAttributes(firstInstance) {
+        gl.bindVertexArray(pipeline.vao);
+        pipeline.buffers.forEach((layout, slot) => {
+          const instanced = layout.stepMode === 'instance';
+          const base = instanced ? firstInstance * layout.arrayStride : 0;
+          gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffers[slot].handle);
+          for (const attribute of layout.attributes) {
+            gl.enableVertexAttribArray(attribute.shaderLocation);
+            gl.vertexAttribPointer(attribute.shaderLocation, FORMAT_COMPONENTS[attribute.format], gl.FLOAT, false,
+              layout.arrayStride, base + attribute.offset);
+            gl.vertexAttribDivisor(attribute.shaderLocation, instanced ? 1 : 0);
+          }
+        });
+        if (index) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, index.buffer.handle);
+      }
+
+      return {
+        setPipeline(next) {
+          pipeline = next;
+          gl.useProgram(pipeline.program);
+          gl.depthMask(pipeline.depthWrite);
+          gl.depthFunc(gl[pipeline.depthFunc]);
+          if (pipeline.cullMode === 'back') {
+            gl.enable(gl.CULL_FACE);
+            gl.cullFace(gl.BACK);
+          } else {
+            gl.disable(gl.CULL_FACE);
+          }
+        },
+        setUniformBuffer(binding, buffer) {
+          gl.bindBufferBase(gl.UNIFORM_BUFFER, binding, buffer.handle);
+        },
+        setVertexBuffer(slot, buffer) {
+          vertexBuffers[slot] = buffer;
+        },
+        setTexture(unit, texture) {
+          gl.activeTexture(gl.TEXTURE0 + unit);
+          gl.bindTexture(gl.TEXTURE_2D, texture.handle);
+        },
+        setIndexBuffer(buffer, format) {
+          index = format === 'uint32'
+            ? { buffer, type: gl.UNSIGNED_INT, bytes: 4 }
+            : { buffer, type: gl.UNSIGNED_SHORT, bytes: 2 };
+        },
+        draw(count, instanceCount = 1, firstVertex = 0, firstInstance = 0) {
+          bindAttributes(firstInstance);
+          countDraw(count, instanceCount);
+          gl.drawArraysInstanced(pipeline.mode, firstVertex, count, instanceCount);
+        },
+        drawIndexed(count, instanceCount = 1, firstIndex = 0, baseVertex = 0, firstInstance = 0) {
+          bindAttributes(firstInstance);
+          countDraw(count, instanceCount);
+          gl.drawElementsInstanced(pipeline.mode, count, index.type, firstIndex * index.bytes, instanceCount);
+        },
+        end() {
+          gl.bindVertexArray(null);
+          if (timed) {
+            gl.endQuery(timerQuery.TIME_ELAPSED_EXT);
+            queryEnded = true;
+          }
+        }
+      };
+    },
+
+    // Run `frame(time, dt)` every animation frame; dt is in seconds.  In
+    // on-demand mode `frame` returns true while it needs more frames.
+    start(frame) {
+      loop.start(frame);
+    },
+
+    get onDemand() {
+      return loop.onDemand;
+    },
+    set onDemand(value) {
+      loop.onDemand = !!value;
+      loop.request();
+    },
+    requestFrame() {
+      loop.request();
+    },
+    onFrame(listener) {
+      loop.onFrame(listener);
+    },
+
+    destroy() {
+      destroyed = true;
+      loop.destroy();
+      size.stop();
+      canvas.removeEventListener('webglcontextlost', onContextLost);
+      canvas.removeEventListener('webglcontextrestored', onContextRestored);
+      resizeListeners.length = 0;
+      lostListeners.length = 0;
+      restoreListeners.length = 0;
+      errorListeners.length = 0;
+    }
+  };
+  return renderer;
+}
+
+// WebGPU when it works, WebGL2 otherwise.  A WebGPU failure (no adapter,
+// device request rejected) is logged and only rethrown when WebGL2 is
+// missing too.
+export async function createRendererWithFallback(canvas, options = {}) {
+  let gpuError = null;
+  if (navigator.gpu) {
+    try {
+      return await createRenderer(canvas, options);
+    } catch (err) {
+      console.warn('WebGPU is unavailable, falling back to WebGL2:', err);
+      gpuError = err;
+    }
+  }
+  try {
+    return createWebGLRenderer(canvas, options);
+  } catch (err) {
+    throw gpuError || err;
+  }
+}